@@ -0,0 +1,35 @@
+// Vercel serverless function for awarding achievements and XP
+// Evaluates the award rules for the signed-in reader after a book is created or updated
+// (same handler as the /api/awards route in server.js)
+
+import { handleAwardRequest } from '../src/services/awards/handler.js';
+
+export default async function handler(req, res) {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Set CORS headers for all responses
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  try {
+    const { status, body } = await handleAwardRequest(req.headers.authorization, req.body);
+    return res.status(status).json(body);
+  } catch (error) {
+    console.error('Error evaluating awards:', error.message);
+    return res.status(500).json({
+      error: error.message || 'Internal server error'
+    });
+  }
+}
@@ -3,14 +3,22 @@
  * 
  * This script:
  * 1. Fetches all books from the database
- * 2. For each book, searches Open Library and Google Books API to find genre
- * 3. Updates the book's genre in the database
+ * 2. For each book without a genre, asks the metadata providers (Google Books, then Open Library) for genres
+ * 3. Updates the book's genres in the database
+ *
+ * With --normalize it instead maps every book's existing genres onto the genre
+ * taxonomy (src/constants/genreTaxonomy.js plus the admin mappings in
+ * bk_genre_mappings). Run it once after the taxonomy was introduced, and again
+ * after changing mappings. Add --dry-run to only print what would change.
  * 
- * Usage: node scripts/updateBookGenres.js
+ * Usage: node scripts/updateBookGenres.js [--normalize] [--dry-run]
  * 
  * Make sure to set your Supabase credentials in a .env file or environment variables:
  * VITE_SUPABASE_URL=your-supabase-url
  * VITE_SUPABASE_ANON_KEY=your-anon-key
+ *
+ * Set METADATA_PROVIDERS=stub to run against the offline catalog instead of the live APIs.
+ * Lookups are cached in scripts/.cache/metadata.json, so re-runs skip books already looked up.
  */
 
 import { createClient } from '@supabase/supabase-js';
@@ -18,6 +26,15 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import https from 'https';
+import { createMetadataService, getMetadataProviders } from '../src/services/metadata/index.js';
+import { createFileCache } from '../src/services/metadata/cache/fileCache.js';
+import { getGenreKey, normalizeGenreList } from '../src/constants/genreTaxonomy.js';
+
+const NORMALIZE_MODE = process.argv.includes('--normalize');
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Rows fetched per request; Supabase caps a single select at 1000
+const PAGE_SIZE = 1000;
 
 // Load environment variables
 const __filename = fileURLToPath(import.meta.url);
@@ -59,121 +76,71 @@ const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
   }
 });
 
+// Admin genre mappings, loaded before any book is processed
+let genreMappings = {};
+
+const metadataService = createMetadataService({
+  providers: getMetadataProviders(process.env.METADATA_PROVIDERS),
+  fetch: customFetch,
+  cache: createFileCache(join(__dirname, '.cache', 'metadata.json')),
+  genreMappings: () => genreMappings
+});
+
 /**
- * Search for book genre using Open Library API
+ * Load the admin genre mappings (bk_genre_mappings)
  */
-async function getGenreFromOpenLibrary(title, author) {
-  try {
-    const query = author ? `${title} ${author}` : title;
-    const url = `https://openlibrary.org/search.json?q=${encodeURIComponent(query)}&limit=5`;
-    const response = await customFetch(url);
-    const data = await response.json();
-
-    if (data.docs && data.docs.length > 0) {
-      // Find the best match
-      const bestMatch = data.docs.find(doc => {
-        const docTitle = (doc.title || '').toLowerCase();
-        const searchTitle = title.toLowerCase();
-        return docTitle === searchTitle || docTitle.includes(searchTitle) || searchTitle.includes(docTitle);
-      }) || data.docs[0];
-
-      // Get subject/genre from Open Library
-      if (bestMatch.subject) {
-        // Open Library subjects can be genres
-        const subjects = Array.isArray(bestMatch.subject) ? bestMatch.subject : [bestMatch.subject];
-        // Filter out non-genre subjects (like "Fiction", "Juvenile fiction", etc. are okay)
-        const genreSubjects = subjects.filter(s => 
-          !s.toLowerCase().includes('accessible book') &&
-          !s.toLowerCase().includes('protected daisy') &&
-          !s.toLowerCase().includes('in library')
-        );
-        
-        if (genreSubjects.length > 0) {
-          // Return the first meaningful subject as genre
-          return genreSubjects[0];
-        }
-      }
-    }
-    return null;
-  } catch (error) {
-    console.error(`Error searching Open Library for "${title}":`, error.message);
-    return null;
+async function loadGenreMappings() {
+  const { data, error } = await supabase
+    .from('bk_genre_mappings')
+    .select('term, genre');
+
+  if (error) {
+    console.warn('⚠️  Could not load genre mappings, using the built-in taxonomy only:', error.message);
+    return;
   }
+  genreMappings = Object.fromEntries((data || []).map(row => [getGenreKey(row.term), (row.genre || '').trim()]));
+  console.log(`🗺️  Loaded ${data?.length || 0} genre mappings.\n`);
 }
 
 /**
- * Search for book genre using Google Books API
+ * Get genres for a book by trying multiple sources
+ * The metadata service already maps them onto the genre taxonomy
  */
-async function getGenreFromGoogleBooks(title, author) {
-  try {
-    const query = author ? `intitle:${title}+inauthor:${author}` : `intitle:${title}`;
-    const url = `https://www.googleapis.com/books/v1/volumes?q=${encodeURIComponent(query)}&maxResults=5`;
-    const response = await customFetch(url);
-    const data = await response.json();
-
-    if (data.items && data.items.length > 0) {
-      // Find the best match
-      const bestMatch = data.items.find(item => {
-        const itemTitle = (item.volumeInfo?.title || '').toLowerCase();
-        const searchTitle = title.toLowerCase();
-        return itemTitle === searchTitle || itemTitle.includes(searchTitle) || searchTitle.includes(itemTitle);
-      }) || data.items[0];
-
-      const volumeInfo = bestMatch.volumeInfo;
-      
-      // Google Books has categories which are genres
-      if (volumeInfo?.categories && volumeInfo.categories.length > 0) {
-        // Return the first category (usually the primary genre)
-        return volumeInfo.categories[0];
-      }
-    }
-    return null;
-  } catch (error) {
-    console.error(`Error searching Google Books for "${title}":`, error.message);
-    return null;
-  }
+async function getBookGenres(title, author) {
+  if (!title) return null;
+
+  const { data } = await metadataService.fetchGenre({ title, author });
+  return data?.genres?.length ? data.genres : null;
 }
 
 /**
- * Get genre for a book by trying multiple sources
+ * Fetch every book, a page at a time
  */
-async function getBookGenre(title, author) {
-  if (!title) return null;
-
-  // Try Google Books first (usually more reliable for genres)
-  let genre = await getGenreFromGoogleBooks(title, author);
-  
-  if (!genre) {
-    // Fall back to Open Library
-    genre = await getGenreFromOpenLibrary(title, author);
-  }
+async function fetchAllBooks(columns) {
+  const books = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('bk_books')
+      .select(columns)
+      .order('title')
+      .range(from, from + PAGE_SIZE - 1);
 
-  // Clean up the genre string
-  if (genre) {
-    // Remove common prefixes/suffixes
-    genre = genre
-      .replace(/^Fiction\s*-\s*/i, '')
-      .replace(/\s*Fiction$/i, '')
-      .replace(/^Juvenile\s+/i, '')
-      .trim();
-    
-    // Capitalize properly
-    genre = genre.split(' ').map(word => 
-      word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
-    ).join(' ');
+    if (error) return { data: null, error };
+    books.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return { data: books, error: null };
   }
-
-  return genre || null;
 }
 
 /**
- * Update genre for a single book
+ * Update genres for a single book
  */
-async function updateBookGenre(bookId, genre) {
+async function updateBookGenres(bookId, genres) {
+  if (DRY_RUN) return true;
+
   try {
     const { data, error } = await supabase
       .from('bk_books')
-      .update({ genre })
+      .update({ genre: genres[0] || null, genres })
       .eq('id', bookId)
       .select()
       .single();
@@ -198,10 +165,7 @@ async function updateAllBookGenres() {
   try {
     // Fetch all books from database
     console.log('📖 Fetching all books from database...');
-    const { data: books, error } = await supabase
-      .from('bk_books')
-      .select('id, title, author, genre')
-      .order('title');
+    const { data: books, error } = await fetchAllBooks('id, title, author, genre');
 
     if (error) {
       console.error('❌ Error fetching books:', error);
@@ -240,12 +204,12 @@ async function updateAllBookGenres() {
         continue;
       }
 
-      // Get genre
-      const genre = await getBookGenre(book.title, book.author);
+      // Get genres
+      const genres = await getBookGenres(book.title, book.author);
       
-      if (genre) {
-        console.log(`  ✅ Found genre: "${genre}"`);
-        const updated = await updateBookGenre(book.id, genre);
+      if (genres) {
+        console.log(`  ✅ Found genres: ${genres.map(genre => `"${genre}"`).join(', ')}`);
+        const updated = await updateBookGenres(book.id, genres);
         if (updated) {
           successCount++;
         } else {
@@ -277,8 +241,56 @@ async function updateAllBookGenres() {
   }
 }
 
+/**
+ * Map every book's existing genres onto the genre taxonomy
+ */
+async function normalizeAllBookGenres() {
+  console.log(`🗂️  Normalizing book genres${DRY_RUN ? ' (dry run, nothing is saved)' : ''}...\n`);
+
+  const { data: books, error } = await fetchAllBooks('id, title, genre, genres');
+  if (error) {
+    console.error('❌ Error fetching books:', error);
+    process.exit(1);
+  }
+
+  let changedCount = 0;
+  let failCount = 0;
+  const changes = new Map(); // "old -> new" -> number of books
+
+  for (const book of books) {
+    const current = book.genres?.length ? book.genres : (book.genre ? [book.genre] : []);
+    const normalized = normalizeGenreList(current, genreMappings);
+    // Rows from before multi-genre support also get their genres list filled in
+    const unchanged = (book.genre || null) === (normalized[0] || null) &&
+      JSON.stringify(book.genres || []) === JSON.stringify(normalized);
+    if (unchanged) continue;
+
+    const change = `${current.join(', ') || '(none)'} → ${normalized.join(', ') || '(none)'}`;
+    changes.set(change, (changes.get(change) || 0) + 1);
+
+    if (await updateBookGenres(book.id, normalized)) {
+      changedCount++;
+    } else {
+      failCount++;
+    }
+  }
+
+  [...changes.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([change, count]) => console.log(`  ${change} (${count})`));
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 Summary:');
+  console.log(`  ✅ ${DRY_RUN ? 'Would update' : 'Updated'}: ${changedCount}`);
+  console.log(`  ❌ Failed: ${failCount}`);
+  console.log(`  📚 Already normalized: ${books.length - changedCount - failCount}`);
+  console.log('='.repeat(50));
+}
+
 // Run the script
-updateAllBookGenres()
+loadGenreMappings()
+  .then(() => (NORMALIZE_MODE ? normalizeAllBookGenres() : updateAllBookGenres()))
   .then(() => {
     console.log('\n✅ Genre update process completed!');
     process.exit(0);
@@ -1,4 +1,4 @@
-// Simple Express server to proxy OpenAI API calls
+// Simple Express server to proxy OpenAI API calls and award achievements
 // Run with: node server.js
 // This solves CORS issues during development
 
@@ -8,6 +8,7 @@ import dotenv from 'dotenv';
 import fetch from 'node-fetch';
 import https from 'https';
 import http from 'http';
+import { handleAwardRequest } from './src/services/awards/handler.js';
 
 // Use node-fetch for all Node.js versions
 // node-fetch v3 is ESM-only and works with this setup
@@ -188,6 +189,19 @@ app.post('/api/openai', async (req, res) => {
   }
 });
 
+// Award achievements and XP after a book is created or updated (see src/services/awards)
+app.post('/api/awards', async (req, res) => {
+  try {
+    const { status, body } = await handleAwardRequest(req.headers.authorization, req.body);
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Error evaluating awards:', error.message);
+    res.status(500).json({ 
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`🚀 OpenAI proxy server running on http://localhost:${PORT}`);
   const hasApiKey = !!(process.env.VITE_OPENAI_API_KEY || process.env.OPENAI_API_KEY);
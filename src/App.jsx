@@ -6,12 +6,14 @@
  */
 
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Book, Star, Calendar, User, Plus, X, Sparkles, Target, Grid, List, Heart, Edit2, Check, Info, Table, Download, FileUp, Trash2, Share2 } from 'lucide-react';
+import { Book, Star, Calendar, User, Plus, X, Sparkles, Target, Grid, List, Heart, Edit2, Check, Info, Table, Download, FileUp, Trash2, Share2, Settings, Wand2 } from 'lucide-react';
 import AboutBookshelfModal from './components/AboutBookshelfModal';
 import AvatarSelector from './components/AvatarSelector';
 import LevelUpModal from './components/modals/LevelUpModal';
 import AchievementModal from './components/modals/AchievementModal';
 import MoveBookModal from './components/modals/MoveBookModal';
+import ShelfSettingsModal from './components/modals/ShelfSettingsModal';
+import SmartShelfModal from './components/modals/SmartShelfModal';
 import PublicRecommendationsModal from './components/modals/PublicRecommendationsModal';
 import AIRecommendationsModal from './components/modals/AIRecommendationsModal';
 import WritingFeedbackModal from './components/modals/WritingFeedbackModal';
@@ -23,20 +25,40 @@ import ProfileModal from './components/modals/ProfileModal';
 import ChallengeModal from './components/modals/ChallengeModal';
 import RewardsModal from './components/modals/RewardsModal';
 import ReadingHistoryModal from './components/modals/ReadingHistoryModal';
+import ReadingReportsModal from './components/modals/ReadingReportsModal';
+import YearInReviewModal from './components/modals/YearInReviewModal';
+import CSVImportModal from './components/modals/CSVImportModal';
+import LibraryImportModal from './components/modals/LibraryImportModal';
+import DuplicatesModal from './components/modals/DuplicatesModal';
+import SeriesModal from './components/modals/SeriesModal';
 import RewardUnlockedModal from './components/modals/RewardUnlockedModal';
 import AdminModal from './components/modals/AdminModal';
 import BookshelfWelcomeModal from './components/modals/BookshelfWelcomeModal';
 import Header from './components/layout/Header';
 import UserStatsSection from './components/layout/UserStatsSection';
 import BookshelfDisplay from './components/bookshelf/BookshelfDisplay';
+import LibrarySearchPanel from './components/bookshelf/LibrarySearchPanel';
 import { ANIMAL_THEMES } from './constants/animalThemes';
+import { READING_STATUS } from './constants/readingStatus';
+import { BOOK_FORMAT_OPTIONS } from './constants/bookFormats';
 import { getGenreColor } from './utils/genreColors';
 import { getPlaceholderImage } from './utils/imageHelpers';
 import { isAgeAppropriate } from './utils/contentFilter';
-import { getBooksReadThisMonth as getBooksThisMonth, calculateAverageBooksPerMonth, findMostReadAuthor } from './utils/bookHelpers';
+import { parseCSVFile, toCSVField } from './utils/csvParser';
+import { detectLibrarySource } from './utils/libraryImport';
+import { createDuplicateIndex, findDuplicateBook } from './utils/duplicateDetection';
+import { detectSeries, getSeriesDetails } from './utils/seriesHelpers';
+import { CANONICAL_GENRES } from './constants/genreTaxonomy';
+import { SUGGESTED_TAGS, parseTagList, toGenreFields, getBookGenres, getBookTags, getLibraryTags, getLibraryGenres } from './utils/bookTags';
+import { EMPTY_LIBRARY_FILTERS, hasActiveFilters, searchLibrary, sortBooks } from './utils/librarySearch';
+import { getBooksReadThisMonth as getBooksThisMonth, calculateAverageBooksPerMonth, findMostReadAuthor, getBookStatus, isBookFinished, getStatusTransitionUpdates, resolveStatusUpdates, EDITION_FIELDS, getEditionDetails } from './utils/bookHelpers';
 import { useAuth } from './hooks/useAuth';
 import { useGamification } from './hooks/useGamification';
 import { useBookshelfData } from './hooks/useBookshelfData';
+import { isRegularShelf, getShelfCapacity, getShelfOverflow, getShelfRoom, isShelfFull, formatShelfCount, getNextShelfName, isSmartShelf, getSmartShelfBooks, getSmartShelfMatches, moveItem, getChangedPositions, getNextSortPosition } from './utils/shelfHelpers';
+import { getThemeOptions, getShelfSlots, countUsedShelfSlots, getNextShelfSlotLevel } from './utils/levelUnlocks';
+import { SHELF_OVERFLOW, UNLIMITED_CAPACITY, ARCHIVE_SHELF_NAME } from './constants/shelfCapacity';
+import { DRAG_TYPES, REORDER_KEYS } from './constants/dragAndDrop';
 import { useUserData } from './hooks/useUserData';
 
 // Import Supabase services
@@ -55,11 +77,16 @@ import {
   getOrCreateAppUser
 } from './services/authService';
 import { uploadImageWithFallback, deleteImageFromStorage } from './services/imageService';
+import { createBackup, isBackupFile, validateBackup, restoreBackup } from './services/backupService';
+import { searchBookMetadata, fetchBookGenre, verifyBookExists } from './services/metadataService';
+import { loadGenreMappings } from './services/genreMappingService';
 import { 
   createBook, 
   updateBook, 
   deleteBook, 
   moveBook, 
+  updateBookPositions,
+  mergeBooks,
   getBooksInBookshelf,
   transformBookFromDB,
   getUserBookCount,
@@ -71,15 +98,22 @@ import {
   updateBookshelf, 
   deleteBookshelf, 
   getUserBookshelves,
-  ensureSharedWithMeBookshelf
+  updateBookshelfPositions,
+  ensureSharedWithMeBookshelf,
+  transformBookshelfFromDB
 } from './services/bookshelfService';
 import {
   getUserXP
 } from './services/gamificationService';
+import { getUserSessions, logReadingSession } from './services/readingSessionService';
 import { 
   getIgnoredSuggestions, 
   ignoreSuggestion as ignoreSuggestionService
 } from './services/suggestionService';
+import { getFilterPresets, createFilterPreset, deleteFilterPreset } from './services/filterPresetService';
+
+// Wait for a pause in typing before searching for books
+const SEARCH_DEBOUNCE_MS = 350;
 
 
 export default function App() {
@@ -111,10 +145,14 @@ export default function App() {
   const [displayMode, setDisplayMode] = useState('covers'); // 'covers', 'spines', or 'table'
   const [searchResults, setSearchResults] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
+  const searchTimerRef = useRef(null); // Debounce timer for the search box
+  const searchAbortRef = useRef(null); // Cancels the previous search when a new one starts
   const [newBook, setNewBook] = useState({
     title: '',
     author: '',
     genre: '',
+    genres: [],
+    tags: [],
     coverUrl: '',
     description: '',
     favoriteCharacter: '',
@@ -123,6 +161,20 @@ export default function App() {
     review: '',
     startDate: '',
     finishDate: '',
+    status: '',
+    pageCount: '',
+    currentPage: '',
+    isbn: '',
+    isbn10: '',
+    isbn13: '',
+    openLibraryWorkKey: '',
+    openLibraryEditionKey: '',
+    publisher: '',
+    publicationYear: '',
+    language: '',
+    format: '',
+    series: '',
+    seriesPosition: '',
     rating: 0,
     leastFavoritePart: ''
   });
@@ -169,6 +221,7 @@ export default function App() {
   // Bookshelf state (needed before gamification hook)
   const [bookshelves, setBookshelves] = useState([]);
   const [activeBookshelfIndex, setActiveBookshelfIndex] = useState(0);
+  const [readingSessions, setReadingSessions] = useState([]);
   const isUpdatingRef = useRef(false);
   
   // Gamification hook (depends on bookshelves)
@@ -176,6 +229,8 @@ export default function App() {
   const {
     userXP,
     setUserXP,
+    levelCurve,
+    setLevelCurve,
     userStreak,
     setUserStreak,
     recentAchievements,
@@ -196,8 +251,9 @@ export default function App() {
     newRewards,
     setNewRewards,
     loadGamificationData,
-    checkAchievements,
+    handleBookAdded,
     handleBookFinished,
+    handleReadingSessionLogged,
     updateChallengesForBook
   } = gamification;
   
@@ -209,13 +265,23 @@ export default function App() {
   const [showQuizModal, setShowQuizModal] = useState(false);
   const [showStatsModal, setShowStatsModal] = useState(false);
   const [showReportsModal, setShowReportsModal] = useState(false);
+  const [showYearInReviewModal, setShowYearInReviewModal] = useState(false);
   const [showCustomizationModal, setShowCustomizationModal] = useState(false);
+  const [showDuplicatesModal, setShowDuplicatesModal] = useState(false);
+  const [showSeriesModal, setShowSeriesModal] = useState(false);
+  const [showShelfSettingsModal, setShowShelfSettingsModal] = useState(false);
+  const [dropTargetShelfId, setDropTargetShelfId] = useState(null); // Shelf tab a book or tab is dragged over
+  const [smartShelfEditor, setSmartShelfEditor] = useState(null); // { shelf, initialFilters } while creating or editing a smart shelf
+  const [libraryFilters, setLibraryFilters] = useState(EMPTY_LIBRARY_FILTERS); // Search, facets and sort for the library
+  const [filterPresets, setFilterPresets] = useState([]);
+  const [csvImport, setCsvImport] = useState(null); // { fileName, headers, rows, source }
 
   // Load data when user changes
   useEffect(() => {
     if (currentUser) {
       loadData();
       loadUserProfile();
+      loadGenreMappings();
     }
   }, [currentUser]);
 
@@ -292,7 +358,7 @@ export default function App() {
     }
   };
 
-  // loadGamificationData and checkAchievements are now provided by useGamification hook
+  // loadGamificationData and the award handlers are now provided by useGamification hook
 
   const loadData = async () => {
     if (!currentUser || isUpdatingRef.current) return;
@@ -328,15 +394,7 @@ export default function App() {
           // Transform books from DB format to app format
           const transformedBooks = (books || []).map(transformBookFromDB);
           
-          return {
-            id: bookshelf.id,
-            name: bookshelf.name,
-            animal: bookshelf.animal,
-            books: transformedBooks,
-            displayMode: bookshelf.display_mode,
-            type: bookshelf.type,
-            sharedWith: bookshelf.shared_with || []
-          };
+          return transformBookshelfFromDB(bookshelf, transformedBooks);
         })
       );
 
@@ -369,6 +427,10 @@ export default function App() {
 
       setBookshelves(bookshelvesWithBooks);
 
+      // Load reading session log (used for pages/time stats)
+      const { data: sessionsData } = await getUserSessions(currentUser.id);
+      setReadingSessions(sessionsData || []);
+
       // Load gamification data
       await loadGamificationData();
 
@@ -398,6 +460,7 @@ export default function App() {
           name: profileData.name || '',
           monthlyTarget: profileData.monthly_target || 0,
           avatar: profileData.avatar || '📚',
+          avatarFrame: profileData.avatar_frame || 'none',
           bio: profileData.bio || '',
           feedback: profileData.feedback || '',
           hideFromComparison: profileData.hide_from_comparison || false,
@@ -418,6 +481,10 @@ export default function App() {
         setIgnoredSuggestions(ignoredData || []);
       }
 
+      // Load saved filter presets
+      const { data: presetData } = await getFilterPresets(currentUser.id);
+      setFilterPresets(presetData || []);
+
       // Set default active bookshelf index (find "My Bookshelf")
       const myBookshelfIndex = bookshelvesWithBooks.findIndex(s => s.name === 'My Bookshelf' && s.type === 'regular');
       if (myBookshelfIndex >= 0) {
@@ -619,7 +686,7 @@ export default function App() {
       const currentYear = new Date().getFullYear();
       
       return allBooks.filter(book => {
-        if (!book.finishDate) return false;
+        if (!isBookFinished(book) || !book.finishDate) return false;
         const finishDate = new Date(book.finishDate);
         return finishDate.getMonth() === currentMonth && finishDate.getFullYear() === currentYear;
       }).length;
@@ -638,176 +705,144 @@ export default function App() {
   };
 
 
+  // Searches the metadata providers by title/author or ISBN and returns age-appropriate results
+  const fetchBookSearchResults = async (query, signal) => {
+    const { data, error } = await searchBookMetadata(query, { signal });
+    if (error) throw error;
+
+    return data
+      .map(result => ({
+        ...result,
+        title: result.title || 'Unknown Title',
+        author: result.author || 'Unknown Author',
+        coverUrl: result.coverUrl || getPlaceholderImage(result.title || 'Book'),
+        description: result.description || ''
+      }))
+      // Filter out inappropriate books for teens
+      .filter(result => isAgeAppropriate(result.title, result.author))
+      .slice(0, 10); // Limit to 10 age-appropriate results
+  };
+
+  // Stops a pending or running search so its results can't replace newer ones
+  const cancelPendingSearch = () => {
+    clearTimeout(searchTimerRef.current);
+    searchAbortRef.current?.abort();
+    searchAbortRef.current = null;
+  };
+
   const searchBooks = async (query) => {
+    cancelPendingSearch();
     if (!query.trim()) {
       setSearchResults([]);
+      setIsSearching(false);
       return;
     }
 
+    const controller = new AbortController();
+    searchAbortRef.current = controller;
     setIsSearching(true);
     try {
-      // Check if query looks like an ISBN (10 or 13 digits, possibly with hyphens)
-      const isbnPattern = /^[\d-]{10,17}$/;
-      const cleanQuery = query.replace(/[-\s]/g, '');
-      const isISBN = isbnPattern.test(cleanQuery) && (cleanQuery.length === 10 || cleanQuery.length === 13);
-      
-      let url;
-      if (isISBN) {
-        // Search by ISBN
-        url = `https://openlibrary.org/search.json?isbn=${encodeURIComponent(cleanQuery)}&limit=20`;
-      } else {
-        // Search by title/author
-        url = `https://openlibrary.org/search.json?q=${encodeURIComponent(query)}&limit=20`;
-      }
-      
-      const response = await fetch(url);
-      const data = await response.json();
-      
-      if (data.docs && data.docs.length > 0) {
-        const results = data.docs
-          .map(doc => ({
-            title: doc.title || 'Unknown Title',
-            author: doc.author_name ? doc.author_name[0] : 'Unknown Author',
-            coverUrl: doc.cover_i 
-              ? `https://covers.openlibrary.org/b/id/${doc.cover_i}-L.jpg`
-              : getPlaceholderImage(doc.title || 'Book'),
-            description: doc.first_sentence ? (Array.isArray(doc.first_sentence) ? doc.first_sentence[0] : doc.first_sentence) : '',
-            isbn: doc.isbn ? doc.isbn[0] : null,
-            key: doc.key
-          }))
-          // Filter out inappropriate books for teens
-          .filter(result => isAgeAppropriate(result.title, result.author))
-          .slice(0, 10); // Limit to 10 age-appropriate results
-        setSearchResults(results);
-      } else {
-        setSearchResults([]);
-      }
+      const results = await fetchBookSearchResults(query, controller.signal);
+      if (!controller.signal.aborted) setSearchResults(results);
     } catch (error) {
+      if (controller.signal.aborted) return;
       console.error('Error searching books:', error);
       setSearchResults([]);
     } finally {
-      setIsSearching(false);
+      if (searchAbortRef.current === controller) {
+        searchAbortRef.current = null;
+        setIsSearching(false);
+      }
     }
   };
 
   const handleSearchChange = (e) => {
     const query = e.target.value;
     setSearchQuery(query);
+    cancelPendingSearch();
     if (query.length > 2) {
-      searchBooks(query);
+      setIsSearching(true);
+      searchTimerRef.current = setTimeout(() => searchBooks(query), SEARCH_DEBOUNCE_MS);
     } else {
       setSearchResults([]);
+      setIsSearching(false);
     }
   };
 
-  // Helper function to fetch genre for a book
-  const fetchBookGenre = async (title, author, isbn, openLibraryKey) => {
-    try {
-      // Try Google Books API first (usually more reliable for genres)
-      if (title) {
-        const query = author ? `intitle:${title}+inauthor:${author}` : `intitle:${title}`;
-        const googleUrl = `https://www.googleapis.com/books/v1/volumes?q=${encodeURIComponent(query)}&maxResults=3`;
-        const googleResponse = await fetch(googleUrl);
-        const googleData = await googleResponse.json();
-
-        if (googleData.items && googleData.items.length > 0) {
-          const bestMatch = googleData.items.find(item => {
-            const itemTitle = (item.volumeInfo?.title || '').toLowerCase();
-            const searchTitle = title.toLowerCase();
-            return itemTitle === searchTitle || itemTitle.includes(searchTitle) || searchTitle.includes(itemTitle);
-          }) || googleData.items[0];
-
-          if (bestMatch.volumeInfo?.categories && bestMatch.volumeInfo.categories.length > 0) {
-            // Clean up the genre string
-            let genre = bestMatch.volumeInfo.categories[0];
-            genre = genre.replace(/^Fiction\s*-\s*/i, '').replace(/\s*Fiction$/i, '').trim();
-            if (genre) return genre;
-          }
-        }
-      }
-
-      // Fall back to Open Library if we have a work key or ISBN
-      if (openLibraryKey) {
-        const workKey = openLibraryKey.startsWith('/works/') ? openLibraryKey : `/works/${openLibraryKey}`;
-        const olUrl = `https://openlibrary.org${workKey}.json`;
-        const olResponse = await fetch(olUrl);
-        const olData = await olResponse.json();
-
-        if (olData.subjects && olData.subjects.length > 0) {
-          const subjects = Array.isArray(olData.subjects) ? olData.subjects : [olData.subjects];
-          const genreSubjects = subjects.filter(s => {
-            const sLower = String(s).toLowerCase();
-            return !sLower.includes('accessible book') &&
-                   !sLower.includes('protected daisy') &&
-                   !sLower.includes('in library') &&
-                   !sLower.includes('juvenile');
-          });
-          
-          if (genreSubjects.length > 0) {
-            let genre = genreSubjects[0];
-            genre = genre.replace(/^Fiction\s*-\s*/i, '').replace(/\s*Fiction$/i, '').trim();
-            if (genre) return genre;
-          }
-        }
-      }
+  // Drop any in-flight search when the app unmounts
+  useEffect(() => cancelPendingSearch, []);
 
-      // Try Open Library search API as last resort
-      if (title) {
-        const query = author ? `${title} ${author}` : title;
-        const searchUrl = `https://openlibrary.org/search.json?q=${encodeURIComponent(query)}&limit=3`;
-        const searchResponse = await fetch(searchUrl);
-        const searchData = await searchResponse.json();
-
-        if (searchData.docs && searchData.docs.length > 0) {
-          const bestMatch = searchData.docs.find(doc => {
-            const docTitle = (doc.title || '').toLowerCase();
-            const searchTitle = title.toLowerCase();
-            return docTitle === searchTitle || docTitle.includes(searchTitle) || searchTitle.includes(docTitle);
-          }) || searchData.docs[0];
-
-          if (bestMatch.subject) {
-            const subjects = Array.isArray(bestMatch.subject) ? bestMatch.subject : [bestMatch.subject];
-            const genreSubjects = subjects.filter(s => {
-              const sLower = String(s).toLowerCase();
-              return !sLower.includes('accessible book') &&
-                     !sLower.includes('protected daisy') &&
-                     !sLower.includes('in library');
-            });
-            
-            if (genreSubjects.length > 0) {
-              let genre = genreSubjects[0];
-              genre = genre.replace(/^Fiction\s*-\s*/i, '').replace(/\s*Fiction$/i, '').trim();
-              if (genre) return genre;
-            }
-          }
-        }
-      }
+  // Scanned barcodes and text read off a cover photo run through the normal search
+  const runBookSearch = (query) => {
+    setSearchQuery(query);
+    searchBooks(query);
+  };
 
-      return null;
+  // Rapid scanning looks each barcode up without touching the search box
+  const lookupScannedISBN = async (isbn) => {
+    try {
+      const [result] = await fetchBookSearchResults(isbn);
+      if (!result) return { data: null, error: null };
+      return { data: { result, duplicate: findDuplicateBook(result, bookshelves) }, error: null };
     } catch (error) {
-      console.error('Error fetching book genre:', error);
-      return null;
+      console.error('Error looking up scanned ISBN:', error);
+      return { data: null, error };
+    }
+  };
+
+  // Adds every book from a rapid scanning session to the active bookshelf
+  const addScannedBooks = async (results) => {
+    const shelf = getAddTargetBookshelf();
+    if (!shelf || shelf.type === 'shared_with_me') {
+      alert('Choose one of your own bookshelves before adding scanned books.');
+      return { imported: 0, failed: results.length };
     }
+
+    return applyImportPlan({
+      validRows: results.map((result, index) => ({
+        rowNumber: index + 1,
+        shelfName: shelf.name,
+        book: {
+          title: result.title,
+          author: result.author,
+          coverUrl: result.coverUrl,
+          description: result.description,
+          pageCount: result.pageCount,
+          ...getEditionDetails(result),
+          status: shelf.type === 'wishlist' ? READING_STATUS.WANT_TO_READ : null
+        }
+      })),
+      newShelves: []
+    });
   };
 
   const selectSearchResult = async (result) => {
+    const seriesDetails = detectSeries(result);
+
     // First, populate the basic fields immediately
     setNewBook({
       ...newBook,
-      title: result.title,
+      title: seriesDetails?.title || result.title,
       author: result.author,
       coverUrl: result.coverUrl,
-      description: result.description
+      description: result.description,
+      pageCount: result.pageCount || newBook.pageCount,
+      ...getEditionDetails(result),
+      // Keep a format the reader already picked; catalogs rarely know which copy they own
+      format: result.format || newBook.format,
+      series: seriesDetails?.series || '',
+      seriesPosition: seriesDetails?.seriesPosition ?? ''
     });
+    cancelPendingSearch();
     setSearchResults([]);
     setSearchQuery('');
 
     // Then fetch and populate genre asynchronously
-    const genre = await fetchBookGenre(result.title, result.author, result.isbn, result.key);
-    if (genre) {
+    const { data } = await fetchBookGenre(result);
+    if (data?.genre) {
       setNewBook(prev => ({
         ...prev,
-        genre: genre
+        ...toGenreFields(data.genres || [data.genre])
       }));
     }
   };
@@ -869,28 +904,101 @@ export default function App() {
     }
   };
 
-  const verifyBookExists = async (title, author) => {
-    if (!title.trim()) return false;
-    
-    try {
-      const query = author ? `${title} ${author}` : title;
-      const response = await fetch(`https://openlibrary.org/search.json?q=${encodeURIComponent(query)}&limit=5`);
-      const data = await response.json();
-      
-      if (data.docs && data.docs.length > 0) {
-        // Check if any result closely matches
-        const matches = data.docs.filter(doc => {
-          const docTitle = (doc.title || '').toLowerCase();
-          const searchTitle = title.toLowerCase();
-          return docTitle.includes(searchTitle) || searchTitle.includes(docTitle);
+  // Makes room on a full regular shelf according to its overflow setting.
+  // Returns the shelves and the index to add the book at, or null to stop the add.
+  const makeRoomOnShelf = async (currentBookshelves, targetIndex) => {
+    const shelf = currentBookshelves[targetIndex];
+    if (!isShelfFull(shelf)) {
+      return { bookshelves: currentBookshelves, targetIndex };
+    }
+
+    const overflow = getShelfOverflow(shelf);
+    if (overflow === SHELF_OVERFLOW.BLOCK) {
+      alert(`"${shelf.name}" is full (${getShelfCapacity(shelf)} books). Choose another bookshelf, or change its capacity in the shelf settings.`);
+      return null;
+    }
+
+    if (overflow === SHELF_OVERFLOW.ARCHIVE) {
+      let shelves = [...currentBookshelves];
+      let archiveShelf = shelves.find(item => isRegularShelf(item) && item.name === ARCHIVE_SHELF_NAME && getShelfCapacity(item) === null);
+      if (!archiveShelf) {
+        archiveShelf = await createShelf({
+          name: ARCHIVE_SHELF_NAME,
+          animal: shelf.animal,
+          displayMode: 'spines',
+          type: 'regular',
+          capacity: UNLIMITED_CAPACITY,
+          autoCreated: true
         });
-        return matches.length > 0;
+        shelves = [...shelves, archiveShelf];
       }
-      return false;
-    } catch (error) {
-      console.error('Error verifying book:', error);
-      return false;
+
+      const oldestBook = shelf.books.reduce((oldest, book) => (
+        (book.addedDate || '') < (oldest.addedDate || '') ? book : oldest
+      ));
+      const archivedBook = { ...oldestBook, sortPosition: getNextSortPosition(archiveShelf) };
+      const result = await moveBook(oldestBook.id, archiveShelf.id, archivedBook.sortPosition);
+      if (result.error) {
+        console.error('Error archiving book:', result.error);
+        alert(`Could not move "${oldestBook.title}" to your ${ARCHIVE_SHELF_NAME} shelf: ${result.error.message || 'Unknown error'}`);
+        return null;
+      }
+
+      shelves = shelves.map(item => {
+        if (item.id === shelf.id) return { ...item, books: item.books.filter(book => book.id !== oldestBook.id) };
+        if (item.id === archiveShelf.id) return { ...item, books: [...item.books, archivedBook] };
+        return item;
+      });
+      return {
+        bookshelves: shelves,
+        targetIndex,
+        notice: `"${shelf.name}" was full, so "${oldestBook.title}" moved to your ${ARCHIVE_SHELF_NAME} shelf.`
+      };
+    }
+
+    // Roll over into a new shelf that looks like the full one
+    const newShelf = await createShelf({
+      name: getNextShelfName(shelf, currentBookshelves),
+      animal: shelf.animal,
+      displayMode: shelf.displayMode,
+      type: 'regular',
+      capacity: shelf.capacity,
+      overflowBehavior: shelf.overflowBehavior,
+      autoCreated: true
+    });
+    return {
+      bookshelves: [...currentBookshelves, newShelf],
+      targetIndex: currentBookshelves.length,
+      notice: `"${shelf.name}" is full, so the book went on a new shelf, "${newShelf.name}".`
+    };
+  };
+
+  // Creates a bookshelf in the database, falling back to a local one if that fails
+  const createShelf = async (shelfData) => {
+    const localShelf = { id: Date.now(), books: [], sharedWith: [], capacity: null, overflowBehavior: null, ...shelfData };
+    if (!currentUser) return localShelf;
+
+    const result = await createBookshelf(currentUser.id, shelfData);
+    if (result.error) {
+      console.error('Error creating bookshelf in database:', result.error);
+      return localShelf;
     }
+    return transformBookshelfFromDB(result.data);
+  };
+
+  // Shelves the reader adds themselves take one of the slots their level
+  // allows; overflow, archive and import shelves are made regardless, so no
+  // book is left without a shelf, and don't take a slot
+  const hasFreeShelfSlot = () => {
+    const level = userXP?.current_level || 1;
+    const slots = getShelfSlots(level, bookshelves);
+    if (countUsedShelfSlots(bookshelves) < slots) return true;
+
+    const nextLevel = getNextShelfSlotLevel(level);
+    alert(`You're using all ${slots} of your shelf slots. ${nextLevel
+      ? `Reach Level ${nextLevel} to unlock more.`
+      : 'Delete a shelf to make room.'}`);
+    return false;
   };
 
   const addBook = async () => {
@@ -930,7 +1038,7 @@ export default function App() {
 
       // Verify book exists if manually adding
       if (!newBook.coverUrl || newBook.coverUrl.includes('placeholder')) {
-        const exists = await verifyBookExists(newBook.title, newBook.author);
+        const { data: exists } = await verifyBookExists(newBook.title, newBook.author);
         if (!exists) {
           const confirm = window.confirm('This book was not found in our database. Are you sure you want to add it manually?');
           if (!confirm) return;
@@ -944,6 +1052,16 @@ export default function App() {
         setActiveBookshelfIndex(0);
       }
 
+      // Smart shelves fill themselves, so a book added while viewing one goes on the first regular shelf
+      const addingFromSmartShelf = isSmartShelf(currentBookshelves[targetIndex]);
+      if (addingFromSmartShelf) {
+        targetIndex = currentBookshelves.findIndex(isRegularShelf);
+        if (targetIndex === -1) {
+          alert('Create a regular bookshelf to add books to first.');
+          return;
+        }
+      }
+
       const currentBookshelf = currentBookshelves[targetIndex];
       
       if (!currentBookshelf) {
@@ -951,54 +1069,39 @@ export default function App() {
         console.error('No bookshelf found at index:', targetIndex, 'Bookshelves:', currentBookshelves);
         return;
       }
-      
-      // Check if bookshelf is full (only for regular shelves, not wishlist/favorites)
-      if (currentBookshelf.type === 'regular' && currentBookshelf.books.length >= 10) {
-        alert('This bookshelf is full! It will be moved to Completed Bookshelves. Creating a new bookshelf...');
-        createNewBookshelf();
-        return;
-      }
 
-      const updatedBookshelves = [...currentBookshelves];
-      
-      if (!updatedBookshelves[targetIndex]) {
-        alert('Error: Invalid bookshelf index. Please refresh the page.');
-        console.error('Invalid bookshelf index:', targetIndex, 'Bookshelves:', updatedBookshelves);
-        return;
+      // Check for a likely duplicate across all bookshelves (ISBN, or fuzzy title and author)
+      const duplicate = findDuplicateBook(newBook, currentBookshelves);
+      if (duplicate) {
+        const { book: existingBook, shelf: existingShelf } = duplicate;
+        const confirmAdd = window.confirm(
+          `This looks like a book you already have: "${existingBook.title}" by ${existingBook.author || 'Unknown Author'} ` +
+          `on "${existingShelf.name}". Do you want to add it anyway?`
+        );
+        if (!confirmAdd) {
+          isUpdatingRef.current = false;
+          return;
+        }
       }
 
-      // Check if bookshelf is full (only for regular shelves, not wishlist/favorites)
-      const targetShelf = updatedBookshelves[targetIndex];
-      if (targetShelf.type === 'regular' && targetShelf.books.length >= 10) {
-        alert('This bookshelf is full! It will be moved to Completed Bookshelves. Creating a new bookshelf...');
-        createNewBookshelf();
+      // A full shelf rolls over, archives its oldest book or blocks the add (per its settings)
+      const room = await makeRoomOnShelf(currentBookshelves, targetIndex);
+      if (!room) {
+        isUpdatingRef.current = false;
         return;
       }
+      const updatedBookshelves = [...room.bookshelves];
+      targetIndex = room.targetIndex;
+      const targetShelf = updatedBookshelves[targetIndex];
 
-      // Check for duplicate book across all bookshelves (same title and author)
-      if (currentUser) {
-        const { getAllUserBooks } = await import('./services/bookService');
-        const { data: allUserBooks } = await getAllUserBooks(currentUser.id);
-        
-        if (allUserBooks && allUserBooks.length > 0) {
-          const duplicateBook = allUserBooks.find(
-            book => 
-              book.title?.toLowerCase().trim() === newBook.title?.toLowerCase().trim() &&
-              (book.author || '').toLowerCase().trim() === (newBook.author || '').toLowerCase().trim()
-          );
-          
-          if (duplicateBook) {
-            const confirmAdd = window.confirm(
-              `You already have "${newBook.title}" by ${newBook.author || 'Unknown Author'} in your collection. ` +
-              `Do you want to add it again?`
-            );
-            if (!confirmAdd) {
-              isUpdatingRef.current = false;
-              return;
-            }
-          }
-        }
-      }
+      // Resolve the reading status (wishlist books default to want-to-read) and stamp its dates
+      const bookStatus = newBook.status ||
+        (targetShelf.type === 'wishlist' ? READING_STATUS.WANT_TO_READ : getBookStatus(newBook));
+      const bookFields = {
+        ...newBook,
+        ...getStatusTransitionUpdates(newBook, bookStatus),
+        ...getSeriesDetails(newBook)
+      };
 
       // Save book to Supabase database
       let savedBook = null;
@@ -1007,7 +1110,8 @@ export default function App() {
           const bookData = {
             title: newBook.title,
             author: newBook.author || '',
-            genre: newBook.genre || '',
+            ...toGenreFields(getBookGenres(newBook)),
+            tags: parseTagList(getBookTags(newBook)),
             coverUrl: newBook.coverUrl || getPlaceholderImage(newBook.title),
             description: newBook.description || '',
             favoriteCharacter: newBook.favoriteCharacter || '',
@@ -1016,8 +1120,17 @@ export default function App() {
             review: newBook.review || '',
             leastFavoritePart: newBook.leastFavoritePart || '',
             rating: newBook.rating || 0,
-            startDate: newBook.startDate || null,
-            finishDate: newBook.finishDate || null
+            startDate: bookFields.startDate || null,
+            finishDate: bookFields.finishDate || null,
+            status: bookFields.status,
+            abandonedAtPage: bookFields.abandonedAtPage || null,
+            abandonReason: bookFields.abandonReason || null,
+            pageCount: parseInt(newBook.pageCount) || null,
+            currentPage: parseInt(newBook.currentPage) || null,
+            ...Object.fromEntries(EDITION_FIELDS.map(field => [field, newBook[field] || null])),
+            publicationYear: parseInt(newBook.publicationYear) || null,
+            series: bookFields.series,
+            seriesPosition: bookFields.seriesPosition
           };
 
           // Use bookshelf ID - if it's a UUID format, use it directly; otherwise it might need to be created in DB first
@@ -1044,7 +1157,7 @@ export default function App() {
 
       const bookToAdd = {
         id: savedBook?.id || Date.now(),
-        ...newBook,
+        ...bookFields,
         coverUrl: newBook.coverUrl || `https://via.placeholder.com/200x300/4F46E5/FFFFFF?text=${encodeURIComponent(newBook.title)}`,
         addedDate: new Date().toISOString()
       };
@@ -1063,45 +1176,37 @@ export default function App() {
         });
       }
       
-      // Check if bookshelf is now full (reached exactly 10 books)
-      if (updatedBookshelves[targetIndex].books.length === 10) {
+      // Show the shelf the book went on if it rolled over to a new one
+      if (addingFromSmartShelf) {
+        // Stay on the smart shelf; the book shows up there if it matches
+      } else if (targetIndex !== activeBookshelfIndex) {
+        setActiveBookshelfIndex(targetIndex);
+      } else if (isShelfFull(updatedBookshelves[targetIndex])) {
         // Bookshelf is now complete - it will automatically appear in "Completed" tab
-        // Switch to a new bookshelf if this was the active one
-        setTimeout(() => {
-          isUpdatingRef.current = true;
-          const activeShelves = updatedBookshelves.filter(shelf => shelf.books.length < 10);
-          if (activeShelves.length > 0) {
-            const newActiveIndex = updatedBookshelves.findIndex(shelf => shelf.id === activeShelves[0].id);
-            if (newActiveIndex !== -1) {
-              setActiveBookshelfIndex(newActiveIndex);
-            }
-          } else {
-            // No active shelves, create a new one
-            const newBookshelf = {
-              id: Date.now(),
-              name: `Bookshelf ${updatedBookshelves.length + 1}`,
-              animal: 'cat',
-              books: [],
-              displayMode: 'covers',
-              type: 'regular'
-            };
-            const newBookshelves = [...updatedBookshelves, newBookshelf];
-            setBookshelves(newBookshelves);
-            setActiveBookshelfIndex(updatedBookshelves.length);
-          }
-        }, 100);
+        // Switch to another regular shelf with room, if there is one; otherwise the next add overflows
+        const nextIndex = updatedBookshelves.findIndex(shelf => isRegularShelf(shelf) && !isShelfFull(shelf));
+        if (nextIndex !== -1) {
+          setActiveBookshelfIndex(nextIndex);
+        }
       }
 
       // Update bookshelves - this is the main state update
       setBookshelves(updatedBookshelves);
       saveActiveIndex(); // Save active index
+      if (room.notice) {
+        alert(room.notice);
+      }
       
-      // Update challenge progress when book is added (only if book has finishDate)
-      // Books without finishDate are just pending additions, not completed reads
+      // Achievements for the new book count are awarded on the server
+      if (currentUser && savedBook?.id && handleBookAdded) {
+        await handleBookAdded(savedBook.id);
+      }
+
+      // Update challenge progress when book is added (only if the book is finished)
+      // Books in any other status are just pending additions, not completed reads
       if (currentUser && savedBook?.id && updateChallengesForBook) {
-        // Only update challenges if the book has a finishDate (not empty string)
-        if (newBook.finishDate && newBook.finishDate.trim() !== '') {
-          await updateChallengesForBook(savedBook.id, newBook);
+        if (isBookFinished(bookFields)) {
+          await updateChallengesForBook(savedBook.id, bookFields);
         }
       }
       
@@ -1110,6 +1215,8 @@ export default function App() {
         title: '',
         author: '',
         genre: '',
+        genres: [],
+        tags: [],
         coverUrl: '',
         description: '',
         favoriteCharacter: '',
@@ -1118,9 +1225,24 @@ export default function App() {
         review: '',
         startDate: '',
         finishDate: '',
+        status: '',
+        pageCount: '',
+        currentPage: '',
+        isbn: '',
+        isbn10: '',
+        isbn13: '',
+        openLibraryWorkKey: '',
+        openLibraryEditionKey: '',
+        publisher: '',
+        publicationYear: '',
+        language: '',
+        format: '',
+        series: '',
+        seriesPosition: '',
         rating: 0,
         leastFavoritePart: ''
       });
+      cancelPendingSearch();
       setSearchResults([]);
       setSearchQuery('');
     } catch (error) {
@@ -1130,70 +1252,64 @@ export default function App() {
   };
 
   const createNewBookshelf = async () => {
-    if (!currentUser) return;
+    if (!currentUser || !hasFreeShelfSlot()) return;
     
     isUpdatingRef.current = true; // Prevent loadData from interfering
     const regularShelves = bookshelves.filter(s => !s.type || s.type === 'regular');
-    
-    try {
-      // Create in database
-      const result = await createBookshelf(currentUser.id, {
-        name: `Bookshelf ${regularShelves.length + 1}`,
-        animal: 'cat',
-        displayMode: 'covers',
-        type: 'regular'
-      });
-      
+    const newBookshelf = await createShelf({
+      name: `Bookshelf ${regularShelves.length + 1}`,
+      animal: 'cat',
+      displayMode: 'covers',
+      type: 'regular'
+    });
+    const newBookshelves = [...bookshelves, newBookshelf];
+    setBookshelves(newBookshelves);
+    setActiveBookshelfIndex(newBookshelves.length - 1);
+    saveActiveIndex();
+  };
+
+  const handleSaveShelfSettings = async ({ capacity, overflowBehavior }) => {
+    if (!activeShelf?.id) return;
+
+    const result = await updateBookshelf(activeShelf.id, {
+      capacity,
+      overflow_behavior: overflowBehavior
+    });
+    if (result.error) {
+      alert(`Failed to save shelf settings: ${result.error.message || 'Unknown error'}`);
+      return;
+    }
+
+    setBookshelves(prev => prev.map(shelf =>
+      shelf.id === activeShelf.id ? { ...shelf, capacity, overflowBehavior } : shelf
+    ));
+    setShowShelfSettingsModal(false);
+  };
+
+  const handleSaveSmartShelf = async ({ name, animal, smartFilters }) => {
+    const editingShelf = smartShelfEditor?.shelf;
+    if (!editingShelf && !hasFreeShelfSlot()) return;
+    isUpdatingRef.current = true; // Prevent loadData from interfering
+
+    if (editingShelf) {
+      const result = await updateBookshelf(editingShelf.id, { name, animal, smart_filters: smartFilters });
       if (result.error) {
-        console.error('Error creating bookshelf in database:', result.error);
-        // Continue with local creation if DB fails
-        const newBookshelf = {
-          id: Date.now(),
-          name: `Bookshelf ${regularShelves.length + 1}`,
-          animal: 'cat',
-          books: [],
-          displayMode: 'covers',
-          type: 'regular'
-        };
-        const newBookshelves = [...bookshelves, newBookshelf];
-        const newIndex = newBookshelves.length - 1;
-        setBookshelves(newBookshelves);
-        setActiveBookshelfIndex(newIndex);
-        saveActiveIndex();
+        alert(`Failed to save smart shelf: ${result.error.message || 'Unknown error'}`);
         return;
       }
-
-      // Use database result
-      const newBookshelf = {
-        id: result.data.id,
-        name: result.data.name,
-        animal: result.data.animal,
-        books: [],
-        displayMode: result.data.display_mode,
-        type: result.data.type
-      };
-      const newBookshelves = [...bookshelves, newBookshelf];
-      const newIndex = newBookshelves.length - 1;
-      setBookshelves(newBookshelves);
-      setActiveBookshelfIndex(newIndex);
-      saveActiveIndex();
-    } catch (error) {
-      console.error('Error creating bookshelf:', error);
-      // Fallback to local creation
-      const newBookshelf = {
-        id: Date.now(),
-        name: `Bookshelf ${regularShelves.length + 1}`,
-        animal: 'cat',
-        books: [],
-        displayMode: 'covers',
-        type: 'regular'
-      };
-      const newBookshelves = [...bookshelves, newBookshelf];
-      const newIndex = newBookshelves.length - 1;
+      setBookshelves(prev => prev.map(shelf =>
+        shelf.id === editingShelf.id ? { ...shelf, name, animal, smartFilters } : shelf
+      ));
+    } else {
+      const newShelf = await createShelf({ name, animal, displayMode: 'covers', type: 'smart', smartFilters });
+      const newBookshelves = [...bookshelves, newShelf];
       setBookshelves(newBookshelves);
-      setActiveBookshelfIndex(newIndex);
+      setActiveBookshelfIndex(newBookshelves.length - 1);
+      // The smart shelf now shows what the search did
+      setLibraryFilters({ ...EMPTY_LIBRARY_FILTERS, sort: libraryFilters.sort });
       saveActiveIndex();
     }
+    setSmartShelfEditor(null);
   };
 
   const startEditingBookshelfName = () => {
@@ -1318,11 +1434,12 @@ export default function App() {
         }
       }
 
-      // Check if book is being finished (finishDate added)
+      // Keep status and dates consistent, then check if book is being finished
       const currentBook = bookshelves
         .flatMap(shelf => shelf.books)
         .find(book => book.id === bookId);
-      const isFinishingBook = updates.finishDate && !currentBook?.finishDate;
+      updates = resolveStatusUpdates(currentBook, updates);
+      const isFinishingBook = !isBookFinished(currentBook) && isBookFinished({ ...currentBook, ...updates });
 
       // Update in database
       const result = await updateBook(bookId, updates);
@@ -1345,6 +1462,7 @@ export default function App() {
       if (isFinishingBook && handleBookFinished) {
         await handleBookFinished(bookId, updates.finishDate);
       }
+      return updates;
     } catch (error) {
       console.error('Error updating book:', error);
       // Still update local state
@@ -1355,7 +1473,48 @@ export default function App() {
         )
       }));
       setBookshelves(updatedBookshelves);
+      return updates;
+    }
+  };
+
+  const handleLogSession = async (book, sessionData) => {
+    if (!currentUser) {
+      alert('Please log in to log reading sessions.');
+      return { data: null, error: { message: 'Not logged in' } };
+    }
+
+    const { data: session, error } = await logReadingSession(currentUser.id, book.id, sessionData);
+    if (error || !session) {
+      return { data: null, error: error || { message: 'Unknown error' } };
     }
+
+    setReadingSessions(prev => [session, ...prev]);
+
+    // Move the bookmark forward and pick the book back up if it was waiting or paused
+    const bookStatus = getBookStatus(book);
+    let updates = {};
+    if (session.endPage > (parseInt(book.currentPage) || 0)) {
+      updates.currentPage = session.endPage;
+    }
+    if (bookStatus === READING_STATUS.WANT_TO_READ || bookStatus === READING_STATUS.PAUSED) {
+      updates.status = READING_STATUS.READING;
+      updates.startDate = book.startDate || session.date;
+    }
+    if (book.pageCount && session.endPage >= book.pageCount && bookStatus !== READING_STATUS.FINISHED &&
+        window.confirm(`You reached the last page of "${book.title}". Mark it as finished?`)) {
+      updates.status = READING_STATUS.FINISHED;
+      updates.finishDate = session.date;
+    }
+
+    if (Object.keys(updates).length > 0) {
+      updates = await handleUpdateBook(book.id, updates);
+    }
+
+    if (handleReadingSessionLogged) {
+      await handleReadingSessionLogged(session.date);
+    }
+
+    return { data: { session, updates }, error: null };
   };
 
   const handleDeleteBook = async (bookId) => {
@@ -1402,6 +1561,27 @@ export default function App() {
     }
   };
 
+  // Merges a duplicate into the kept book (see DuplicatesModal)
+  const handleMergeBooks = async (keepBook, removeBook, updates) => {
+    const result = await mergeBooks(keepBook.id, removeBook.id, updates);
+    if (result.error) {
+      return { error: result.error };
+    }
+
+    const mergedBook = transformBookFromDB(result.data);
+    setBookshelves(prev => prev.map(shelf => ({
+      ...shelf,
+      books: shelf.books
+        .filter(book => book.id !== removeBook.id)
+        .map(book => (book.id === keepBook.id ? mergedBook : book))
+    })));
+    setReadingSessions(prev => prev.map(session =>
+      session.bookId === removeBook.id ? { ...session, bookId: keepBook.id } : session
+    ));
+
+    return { error: null };
+  };
+
   const handleMoveBook = async (bookId, targetShelfId) => {
     let bookToMove = null;
     let sourceShelfIndex = -1;
@@ -1422,14 +1602,17 @@ export default function App() {
 
     // Check if target shelf is full (only for regular shelves, not wishlist/favorites)
     const targetShelf = bookshelves[targetShelfIndex];
-    if (targetShelf.type === 'regular' && targetShelf.books.length >= 10) {
+    if (isShelfFull(targetShelf)) {
       alert('This bookshelf is full! Please choose another bookshelf.');
       return;
     }
 
+    // The book goes after everything already on the target shelf
+    bookToMove = { ...bookToMove, sortPosition: getNextSortPosition(targetShelf) };
+
     try {
       // Move in database
-      const result = await moveBook(bookId, targetShelfId);
+      const result = await moveBook(bookId, targetShelfId, bookToMove.sortPosition);
       
       if (result.error) {
         console.error('Error moving book in database:', result.error);
@@ -1471,6 +1654,139 @@ export default function App() {
     }
   };
 
+  // Drag and drop (or Alt+arrow) ordering. The new order shows straight away
+  // and is saved as sort positions in the background.
+
+  // Ids arrive as strings from drag data, so they're compared as strings
+
+  const handleReorderBooks = async (bookId, targetBookId) => {
+    const shelf = bookshelves.find(item => item.books.some(book => String(book.id) === String(bookId)));
+    if (!shelf || String(bookId) === String(targetBookId)) return;
+
+    const fromIndex = shelf.books.findIndex(book => String(book.id) === String(bookId));
+    const toIndex = shelf.books.findIndex(book => String(book.id) === String(targetBookId));
+    if (toIndex === -1) return;
+
+    const moved = moveItem(shelf.books, fromIndex, toIndex);
+    const changed = getChangedPositions(moved);
+    const books = moved.map((book, index) => ({ ...book, sortPosition: index }));
+    setBookshelves(prev => prev.map(item => (item.id === shelf.id ? { ...item, books } : item)));
+
+    if (currentUser) {
+      const result = await updateBookPositions(changed);
+      if (result.error) {
+        console.error('Error saving book order in database:', result.error);
+      }
+    }
+  };
+
+  const handleReorderShelves = async (shelfId, targetShelfId) => {
+    const fromIndex = bookshelves.findIndex(shelf => String(shelf.id) === String(shelfId));
+    const toIndex = bookshelves.findIndex(shelf => String(shelf.id) === String(targetShelfId));
+    if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) return;
+
+    // Keep the same shelf active now that it may sit at another index
+    const activeShelfId = bookshelves[activeBookshelfIndex]?.id;
+    const moved = moveItem(bookshelves, fromIndex, toIndex);
+    const changed = getChangedPositions(moved);
+    const reordered = moved.map((shelf, index) => ({ ...shelf, sortPosition: index }));
+    isUpdatingRef.current = true; // Prevent loadData from interfering
+    setBookshelves(reordered);
+    setActiveBookshelfIndex(Math.max(0, reordered.findIndex(shelf => shelf.id === activeShelfId)));
+
+    if (currentUser) {
+      const result = await updateBookshelfPositions(changed);
+      if (result.error) {
+        console.error('Error saving bookshelf order in database:', result.error);
+      }
+    }
+  };
+
+  const handleDropBookOnShelf = async (bookId, targetShelfId) => {
+    const sourceShelf = bookshelves.find(shelf => shelf.books.some(book => String(book.id) === String(bookId)));
+    if (!sourceShelf || sourceShelf.id === targetShelfId) return;
+    if (sourceShelf.type === 'shared_with_me') {
+      alert('Books shared with you stay on your Shared shelf.');
+      return;
+    }
+    const book = sourceShelf.books.find(item => String(item.id) === String(bookId));
+    await handleMoveBook(book.id, targetShelfId);
+  };
+
+  // Bulk actions from the table view. State is updated from `prev` once all
+  // the saves finish, so the batch doesn't overwrite itself.
+
+  const handleBulkUpdateBooks = async (books, getUpdates) => {
+    const updatesById = new Map(books.map(book => [book.id, getUpdates(book)]));
+    const results = await Promise.all(
+      [...updatesById].map(([bookId, updates]) => updateBook(bookId, updates))
+    );
+    results.filter(result => result.error).forEach(result => {
+      console.error('Error updating book in database:', result.error);
+    });
+
+    setBookshelves(prev => prev.map(shelf => ({
+      ...shelf,
+      books: shelf.books.map(book =>
+        updatesById.has(book.id) ? { ...book, ...updatesById.get(book.id) } : book
+      )
+    })));
+  };
+
+  const handleBulkMoveBooks = async (bookIds, targetShelfId) => {
+    const targetShelf = bookshelves.find(shelf => shelf.id === targetShelfId);
+    if (!targetShelf) return false;
+
+    const idsToMove = bookIds.filter(bookId => !targetShelf.books.some(book => book.id === bookId));
+    if (isShelfFull(targetShelf, idsToMove.length)) {
+      alert(`${targetShelf.name} only has room for ${getShelfRoom(targetShelf)} more books.`);
+      return false;
+    }
+
+    // Moved books go after everything already on the target shelf
+    const firstPosition = getNextSortPosition(targetShelf);
+    const results = await Promise.all(idsToMove.map((bookId, index) => moveBook(bookId, targetShelfId, firstPosition + index)));
+    results.filter(result => result.error).forEach(result => {
+      console.error('Error moving book in database:', result.error);
+    });
+
+    setBookshelves(prev => {
+      const moving = prev.flatMap(shelf => shelf.books)
+        .filter(book => idsToMove.includes(book.id))
+        .map(book => ({ ...book, sortPosition: firstPosition + idsToMove.indexOf(book.id) }))
+        .sort((a, b) => a.sortPosition - b.sortPosition);
+      return prev.map(shelf => {
+        const books = shelf.books.filter(book => !idsToMove.includes(book.id));
+        return { ...shelf, books: shelf.id === targetShelfId ? [...books, ...moving] : books };
+      });
+    });
+    return true;
+  };
+
+  const handleBulkDeleteBooks = async (bookIds) => {
+    const booksToDelete = bookshelves
+      .flatMap(shelf => shelf.books)
+      .filter(book => bookIds.includes(book.id));
+
+    booksToDelete.forEach(book => {
+      if (book.coverUrl && !book.coverUrl.startsWith('data:') && !book.coverUrl.includes('placeholder')) {
+        deleteImageFromStorage(book.coverUrl).catch(err => {
+          console.warn('Error deleting image from storage:', err);
+        });
+      }
+    });
+
+    const results = await Promise.all(bookIds.map(bookId => deleteBook(bookId)));
+    results.filter(result => result.error).forEach(result => {
+      console.error('Error deleting book from database:', result.error);
+    });
+
+    setBookshelves(prev => prev.map(shelf => ({
+      ...shelf,
+      books: shelf.books.filter(book => !bookIds.includes(book.id))
+    })));
+  };
+
   const ignoreSuggestion = async (bookTitle, bookAuthor) => {
     const suggestionKey = `${bookTitle}|${bookAuthor}`;
     if (!ignoredSuggestions.includes(suggestionKey) && currentUser) {
@@ -1507,6 +1823,11 @@ export default function App() {
       return;
     }
 
+    // Next-in-series suggestions know their series; detect it for everything else
+    const seriesDetails = rec.series
+      ? { series: rec.series, seriesPosition: rec.seriesPosition ?? null }
+      : getSeriesDetails(rec);
+
     // Save book to Supabase database
     let savedBook = null;
     if (currentUser && wishlistShelf.id) {
@@ -1523,7 +1844,9 @@ export default function App() {
           leastFavoritePart: '',
           rating: 0,
           startDate: null,
-          finishDate: null
+          finishDate: null,
+          status: READING_STATUS.WANT_TO_READ,
+          ...seriesDetails
         };
 
         // Use bookshelf ID - if it's a UUID format, use it directly; otherwise it might need to be created in DB first
@@ -1556,6 +1879,8 @@ export default function App() {
             author: rec.author,
             coverUrl: getPlaceholderImage(rec.title),
             description: rec.reason,
+            status: READING_STATUS.WANT_TO_READ,
+            ...seriesDetails,
             addedDate: new Date().toISOString()
           }]
         };
@@ -1569,16 +1894,24 @@ export default function App() {
     alert(`${rec.title} has been added to your wishlist!`);
   };
 
+  // Smart shelves come back with the books that currently match their filters
   const getActiveBookshelf = () => {
-    return bookshelves[activeBookshelfIndex] || bookshelves[0];
+    const shelf = bookshelves[activeBookshelfIndex] || bookshelves[0];
+    return isSmartShelf(shelf) ? { ...shelf, books: getSmartShelfBooks(shelf, bookshelves) } : shelf;
+  };
+
+  // Where new books go: the active shelf, or the first regular shelf while a smart shelf is shown
+  const getAddTargetBookshelf = () => {
+    const shelf = getActiveBookshelf();
+    return isSmartShelf(shelf) ? bookshelves.find(isRegularShelf) : shelf;
   };
 
   const getCompletedBookshelves = () => {
-    return bookshelves.filter(shelf => shelf.books.length >= 10);
+    return bookshelves.filter(shelf => isShelfFull(shelf));
   };
 
   const getActiveBookshelves = () => {
-    return bookshelves.filter(shelf => !shelf.type || shelf.type === 'regular').filter(shelf => shelf.books.length < 10);
+    return bookshelves.filter(shelf => isRegularShelf(shelf) && !isShelfFull(shelf));
   };
 
   const getRegularBookshelves = () => {
@@ -1612,6 +1945,8 @@ export default function App() {
 
   const getMostReadAuthor = () => {
     const allBooks = bookshelves.flatMap(shelf => shelf.books);
+  // Shelves books can be put on (smart shelves only show books)
+  const shelvesForBooks = bookshelves.filter(shelf => !isSmartShelf(shelf));
     const authorCounts = {};
     
     allBooks.forEach(book => {
@@ -1631,7 +1966,7 @@ export default function App() {
 
   const getAverageBooksPerMonth = () => {
     const allBooks = bookshelves.flatMap(shelf => shelf.books);
-    const booksWithFinishDate = allBooks.filter(book => book.finishDate);
+    const booksWithFinishDate = allBooks.filter(book => isBookFinished(book) && book.finishDate);
     
     if (booksWithFinishDate.length === 0) return '0.0';
     
@@ -1651,16 +1986,24 @@ export default function App() {
     return (totalBooks / totalMonths).toFixed(1);
   };
 
+  // While any filter is set, matches come from every shelf, not just the active one
+  const isSearchingLibrary = hasActiveFilters(libraryFilters);
+  const librarySearchResults = isSearchingLibrary ? searchLibrary(bookshelves, libraryFilters) : [];
+
   const getFilteredBooks = () => {
+    if (isSearchingLibrary) return librarySearchResults.map(match => match.book);
     const activeShelf = getActiveBookshelf();
     if (!activeShelf) return [];
-    return activeShelf.books;
+    return sortBooks(activeShelf.books, libraryFilters.sort);
   };
 
   const allBooks = bookshelves.flatMap(shelf => shelf.books);
   const activeShelf = getActiveBookshelf();
   const theme = activeShelf ? ANIMAL_THEMES[activeShelf.animal] || ANIMAL_THEMES.cat : ANIMAL_THEMES.cat;
   const filteredBooks = getFilteredBooks();
+  // Books can be arranged by hand only on the user's own shelves, shown in shelf order
+  const canArrangeActiveShelf = Boolean(activeShelf) && !isSearchingLibrary && libraryFilters.sort === 'shelf' &&
+    !isSmartShelf(activeShelf) && activeShelf.type !== 'shared_with_me';
 
   // Get all books across all bookshelves with their bookshelf names
   const getAllBooksWithBookshelf = () => {
@@ -1673,6 +2016,50 @@ export default function App() {
     );
   };
 
+  // Table rows: every book (or a smart shelf's books), or the search matches in the chosen sort order
+  const getTableBooks = () => {
+    let matches;
+    if (isSearchingLibrary) {
+      matches = librarySearchResults;
+    } else if (isSmartShelf(activeShelf)) {
+      // A sort picked in the search panel overrides the smart shelf's own order
+      const sort = libraryFilters.sort === 'shelf' ? activeShelf.smartFilters?.sort : libraryFilters.sort;
+      matches = getSmartShelfMatches({ ...activeShelf, smartFilters: { ...activeShelf.smartFilters, sort } }, bookshelves);
+    } else {
+      matches = searchLibrary(bookshelves, { ...EMPTY_LIBRARY_FILTERS, sort: libraryFilters.sort });
+    }
+    return matches.map(({ book, shelf }) => ({
+      ...book,
+      bookshelfName: shelf.name || 'Unknown',
+      bookshelfType: shelf.type || 'regular'
+    }));
+  };
+
+  const handleSaveFilterPreset = async (name) => {
+    const { data, error } = await createFilterPreset(currentUser.id, name, libraryFilters);
+    if (error) {
+      alert(`Failed to save preset: ${error.message || 'Unknown error'}`);
+      return null;
+    }
+    setFilterPresets(prev => [...prev, data].sort((a, b) => a.name.localeCompare(b.name)));
+    return data;
+  };
+
+  const handleDeleteFilterPreset = async (preset) => {
+    const { error } = await deleteFilterPreset(preset.id);
+    if (error) {
+      alert(`Failed to delete preset: ${error.message || 'Unknown error'}`);
+      return;
+    }
+    setFilterPresets(prev => prev.filter(item => item.id !== preset.id));
+  };
+
+  // Genres and tags already in use, offered when tagging books and as filters
+  const libraryTags = getLibraryTags(allBooks);
+  const libraryGenres = getLibraryGenres(allBooks);
+  const genreSuggestions = parseTagList([...libraryGenres, ...CANONICAL_GENRES]);
+  const tagSuggestions = parseTagList([...libraryTags, ...SUGGESTED_TAGS]);
+
   // Export functions
   const exportToCSV = () => {
     const books = getAllBooksWithBookshelf();
@@ -1683,33 +2070,47 @@ export default function App() {
 
     // Define CSV headers
     const headers = [
-      'Title', 'Author', 'Bookshelf', 'Bookshelf Type', 'Rating', 
+      'Title', 'Author', 'Bookshelf', 'Bookshelf Type', 'Status', 'Pages', 'Current Page', 'Rating', 
       'Start Date', 'Finish Date', 'Description', 'Favorite Character',
-      'Scene Summary', 'Memorable Moments', 'Review', 'Least Favorite Part'
+      'Scene Summary', 'Memorable Moments', 'Review', 'Least Favorite Part', 'ISBN',
+      'Publisher', 'Publication Year', 'Language', 'Format', 'Series', 'Series Number',
+      'Genres', 'Tags'
     ];
 
     // Convert books to CSV rows
     const rows = books.map(book => [
-      `"${(book.title || '').replace(/"/g, '""')}"`,
-      `"${(book.author || '').replace(/"/g, '""')}"`,
-      `"${(book.bookshelfName || '').replace(/"/g, '""')}"`,
-      `"${(book.bookshelfType || '').replace(/"/g, '""')}"`,
+      book.title,
+      book.author,
+      book.bookshelfName,
+      book.bookshelfType,
+      getBookStatus(book),
+      book.pageCount || '',
+      book.currentPage || '',
       book.rating || 0,
       book.startDate || '',
       book.finishDate || '',
-      `"${(book.description || '').replace(/"/g, '""')}"`,
-      `"${(book.favoriteCharacter || '').replace(/"/g, '""')}"`,
-      `"${(book.sceneSummary || '').replace(/"/g, '""')}"`,
-      `"${(book.memorableMoments || '').replace(/"/g, '""')}"`,
-      `"${(book.review || '').replace(/"/g, '""')}"`,
-      `"${(book.leastFavoritePart || '').replace(/"/g, '""')}"`
-    ]);
+      book.description,
+      book.favoriteCharacter,
+      book.sceneSummary,
+      book.memorableMoments,
+      book.review,
+      book.leastFavoritePart,
+      book.isbn || '',
+      book.publisher || '',
+      book.publicationYear || '',
+      book.language || '',
+      BOOK_FORMAT_OPTIONS[book.format]?.label || '',
+      book.series || '',
+      book.seriesPosition ?? '',
+      getBookGenres(book).join('; '),
+      getBookTags(book).join('; ')
+    ].map(toCSVField));
 
     // Combine headers and rows
     const csvContent = [
       headers.join(','),
       ...rows.map(row => row.join(','))
-    ].join('\n');
+    ].join('\r\n');
 
     // Create download link
     const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
@@ -1742,6 +2143,85 @@ export default function App() {
     document.body.removeChild(link);
   };
 
+  // Full account backup (see backupService)
+  const handleDownloadBackup = async () => {
+    if (!currentUser) {
+      alert('Please log in to back up your account.');
+      return;
+    }
+
+    const { data: backup, error } = await createBackup(currentUser.id);
+    if (error) {
+      alert(`Error creating backup: ${error.message || 'Unknown error'}`);
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json;charset=utf-8;' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', `bookshelf-backup-${new Date().toISOString().split('T')[0]}.json`);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  };
+
+  const restoreFromBackup = async (backup) => {
+    if (!currentUser) {
+      alert('Please log in to restore a backup.');
+      return;
+    }
+
+    const { data: summary, error: validationError } = validateBackup(backup);
+    if (validationError) {
+      alert(validationError.message);
+      return;
+    }
+
+    const { counts } = summary;
+    const confirmRestore = window.confirm(
+      `Restore the backup${summary.username ? ` of ${summary.username}` : ''}` +
+      `${summary.exportedAt ? ` from ${new Date(summary.exportedAt).toLocaleDateString()}` : ''}?\n\n` +
+      `It contains ${counts.bk_bookshelves} bookshelves, ${counts.bk_books} books, ` +
+      `${counts.bk_reading_challenges} challenges and ${counts.bk_achievements} achievements.\n\n` +
+      'Your current bookshelves, books, challenges, XP and history will be replaced. This cannot be undone.'
+    );
+    if (!confirmRestore) return;
+
+    isUpdatingRef.current = true; // Prevent loadData from interfering
+    const { data: result, error } = await restoreBackup(currentUser.id, backup, { replaceExisting: true });
+    isUpdatingRef.current = false;
+    if (error) {
+      alert(`Error restoring backup: ${error.message || 'Unknown error'}`);
+      return;
+    }
+
+    await loadData();
+    await loadUserProfile();
+
+    const failedCount = Object.values(result.failed).reduce((sum, count) => sum + count, 0);
+    alert(
+      `Backup restored: ${result.restored.bk_bookshelves} bookshelves and ${result.restored.bk_books} books.` +
+      (failedCount > 0 ? ` ${failedCount} items could not be restored; check the console for details.` : '')
+    );
+  };
+
+  const handleRestoreBackupFile = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    try {
+      await restoreFromBackup(JSON.parse(await file.text()));
+    } catch (error) {
+      console.error('Error reading backup file:', error);
+      alert('Invalid backup file.');
+    }
+
+    // Reset file input
+    event.target.value = '';
+  };
+
   // Import functions
   const handleFileUpload = async (event) => {
     const file = event.target.files?.[0];
@@ -1751,7 +2231,7 @@ export default function App() {
     
     try {
       if (fileExtension === 'csv') {
-        await importFromCSV(file);
+        await openCSVImport(file);
       } else if (fileExtension === 'json') {
         await importFromJSON(file);
       } else {
@@ -1767,129 +2247,67 @@ export default function App() {
     event.target.value = '';
   };
 
-  const importFromCSV = async (file) => {
-    const text = await file.text();
-    const lines = text.split('\n').filter(line => line.trim());
-    if (lines.length < 2) {
+  const openCSVImport = async (file) => {
+    const { headers, rows } = await parseCSVFile(file);
+    if (headers.length === 0 || rows.length === 0) {
       alert('CSV file must have at least a header row and one data row.');
       return;
     }
 
-    // Parse header
-    const headers = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
-    
-    // Find bookshelf column index
-    const bookshelfIndex = headers.findIndex(h => h.toLowerCase() === 'bookshelf');
-    if (bookshelfIndex === -1) {
-      alert('CSV file must have a "Bookshelf" column.');
-      return;
-    }
-
-    // Parse data rows
-    let importedCount = 0;
-    for (let i = 1; i < lines.length; i++) {
-      const values = parseCSVLine(lines[i]);
-      if (values.length !== headers.length) continue;
-
-      const bookshelfName = values[bookshelfIndex]?.replace(/^"|"$/g, '') || '';
-      if (!bookshelfName) continue;
-
-      // Find or create bookshelf
-      let targetShelf = bookshelves.find(s => s.name === bookshelfName);
-      if (!targetShelf) {
-        // Create new bookshelf
-        if (!currentUser) {
-          alert('Please log in to import books.');
-          return;
-        }
-        const result = await createBookshelf(currentUser.id, {
-          name: bookshelfName,
-          animal: 'cat',
-          displayMode: 'covers',
-          type: 'regular'
-        });
-        if (result.error) {
-          console.error('Error creating bookshelf:', result.error);
-          continue;
-        }
-        targetShelf = { ...result.data, books: [] };
-        setBookshelves([...bookshelves, targetShelf]);
-      }
-
-      // Map CSV columns to book fields
-      const titleIndex = headers.findIndex(h => h.toLowerCase() === 'title');
-      const authorIndex = headers.findIndex(h => h.toLowerCase() === 'author');
-      const ratingIndex = headers.findIndex(h => h.toLowerCase() === 'rating');
-      const startDateIndex = headers.findIndex(h => h.toLowerCase() === 'start date');
-      const finishDateIndex = headers.findIndex(h => h.toLowerCase() === 'finish date');
-      const descriptionIndex = headers.findIndex(h => h.toLowerCase() === 'description');
-      const favoriteCharacterIndex = headers.findIndex(h => h.toLowerCase() === 'favorite character');
-      const sceneSummaryIndex = headers.findIndex(h => h.toLowerCase() === 'scene summary');
-      const memorableMomentsIndex = headers.findIndex(h => h.toLowerCase() === 'memorable moments');
-      const reviewIndex = headers.findIndex(h => h.toLowerCase() === 'review');
-      const leastFavoritePartIndex = headers.findIndex(h => h.toLowerCase() === 'least favorite part');
-
-      const bookData = {
-        title: titleIndex >= 0 ? values[titleIndex]?.replace(/^"|"$/g, '') || '' : '',
-        author: authorIndex >= 0 ? values[authorIndex]?.replace(/^"|"$/g, '') || '' : '',
-        rating: ratingIndex >= 0 ? parseInt(values[ratingIndex]?.replace(/^"|"$/g, '')) || 0 : 0,
-        startDate: startDateIndex >= 0 ? values[startDateIndex]?.replace(/^"|"$/g, '') || null : null,
-        finishDate: finishDateIndex >= 0 ? values[finishDateIndex]?.replace(/^"|"$/g, '') || null : null,
-        description: descriptionIndex >= 0 ? values[descriptionIndex]?.replace(/^"|"$/g, '') || '' : '',
-        favoriteCharacter: favoriteCharacterIndex >= 0 ? values[favoriteCharacterIndex]?.replace(/^"|"$/g, '') || '' : '',
-        sceneSummary: sceneSummaryIndex >= 0 ? values[sceneSummaryIndex]?.replace(/^"|"$/g, '') || '' : '',
-        memorableMoments: memorableMomentsIndex >= 0 ? values[memorableMomentsIndex]?.replace(/^"|"$/g, '') || '' : '',
-        review: reviewIndex >= 0 ? values[reviewIndex]?.replace(/^"|"$/g, '') || '' : '',
-        leastFavoritePart: leastFavoritePartIndex >= 0 ? values[leastFavoritePartIndex]?.replace(/^"|"$/g, '') || '' : '',
-        coverUrl: getPlaceholderImage(values[titleIndex]?.replace(/^"|"$/g, '') || 'Book')
-      };
+    // Goodreads and StoryGraph exports have their own importer
+    setCsvImport({ fileName: file.name, headers, rows, source: detectLibrarySource(headers) });
+  };
 
-      if (!bookData.title) continue;
+  // Writes a confirmed import plan (see buildImportPlan and buildLibraryImportPlan)
+  const applyImportPlan = async (plan) => {
+    if (!currentUser) {
+      alert('Please log in to import books.');
+      return { imported: 0, failed: plan.validRows.length };
+    }
 
-      // Create book
-      const result = await createBook(targetShelf.id, bookData);
+    // Create any bookshelves the file refers to that don't exist yet
+    const shelfIds = {};
+    bookshelves.filter(shelf => !isSmartShelf(shelf)).forEach(shelf => {
+      shelfIds[shelf.name] = shelf.id;
+    });
+    for (const name of plan.newShelves) {
+      const result = await createBookshelf(currentUser.id, {
+        name,
+        animal: 'cat',
+        displayMode: 'covers',
+        type: plan.shelfTypes?.[name] || 'regular',
+        autoCreated: true
+      });
       if (result.error) {
-        console.error('Error creating book:', result.error);
+        console.error('Error creating bookshelf:', result.error);
         continue;
       }
-
-      // Update local state
-      const updatedBookshelves = bookshelves.map(shelf => 
-        shelf.id === targetShelf.id
-          ? { ...shelf, books: [...shelf.books, transformBookFromDB(result.data)] }
-          : shelf
-      );
-      setBookshelves(updatedBookshelves);
-      importedCount++;
+      shelfIds[name] = result.data.id;
     }
 
-    alert(`Successfully imported ${importedCount} books!`);
-    await loadData(); // Reload data to ensure consistency
-  };
+    let imported = 0;
+    let failed = 0;
+    for (const row of plan.validRows) {
+      const shelfId = shelfIds[row.shelfName];
+      const { bookshelf, ...bookData } = row.book;
+      const result = shelfId
+        ? await createBook(shelfId, {
+          ...bookData,
+          ...getSeriesDetails(bookData),
+          coverUrl: bookData.coverUrl || getPlaceholderImage(bookData.title)
+        })
+        : { error: 'Bookshelf could not be created' };
 
-  const parseCSVLine = (line) => {
-    const values = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      if (char === '"') {
-        if (inQuotes && line[i + 1] === '"') {
-          current += '"';
-          i++;
-        } else {
-          inQuotes = !inQuotes;
-        }
-      } else if (char === ',' && !inQuotes) {
-        values.push(current);
-        current = '';
+      if (result.error) {
+        console.error(`Error importing row ${row.rowNumber}:`, result.error);
+        failed++;
       } else {
-        current += char;
+        imported++;
       }
     }
-    values.push(current);
-    return values;
+
+    await loadData(); // Reload data to ensure consistency
+    return { imported, failed };
   };
 
   const importFromJSON = async (file) => {
@@ -1897,18 +2315,32 @@ export default function App() {
     let books;
     try {
       books = JSON.parse(text);
-      if (!Array.isArray(books)) {
-        alert('JSON file must contain an array of books.');
-        return;
-      }
     } catch (error) {
       alert('Invalid JSON file format.');
       return;
     }
 
+    // Full account backups restore everything, not just books
+    if (isBackupFile(books)) {
+      await restoreFromBackup(books);
+      return;
+    }
+    if (!Array.isArray(books)) {
+      alert('JSON file must contain an array of books.');
+      return;
+    }
+
+    // Skip books already on the shelves (or earlier in the file) so re-importing doesn't double the library
+    const duplicates = createDuplicateIndex(bookshelves);
     let importedCount = 0;
+    let skippedCount = 0;
     for (const book of books) {
       if (!book.title) continue;
+      if (duplicates.find(book)) {
+        skippedCount++;
+        continue;
+      }
+      duplicates.add(book);
 
       const bookshelfName = book.bookshelfName || book.bookshelf || 'Default';
       
@@ -1923,7 +2355,8 @@ export default function App() {
           name: bookshelfName,
           animal: 'cat',
           displayMode: 'covers',
-          type: 'regular'
+          type: 'regular',
+          autoCreated: true
         });
         if (result.error) {
           console.error('Error creating bookshelf:', result.error);
@@ -1937,10 +2370,19 @@ export default function App() {
       const bookData = {
         title: book.title || '',
         author: book.author || '',
-        genre: book.genre || '',
+        ...toGenreFields(getBookGenres(book)),
+        tags: parseTagList(book.tags),
         rating: book.rating || 0,
         startDate: book.startDate || null,
         finishDate: book.finishDate || null,
+        status: book.status || null,
+        pageCount: book.pageCount || null,
+        currentPage: book.currentPage || null,
+        ...Object.fromEntries(EDITION_FIELDS.map(field => [field, book[field] || null])),
+        series: book.series || null,
+        seriesPosition: book.seriesPosition ?? null,
+        abandonedAtPage: book.abandonedAtPage || null,
+        abandonReason: book.abandonReason || null,
         description: book.description || '',
         favoriteCharacter: book.favoriteCharacter || '',
         sceneSummary: book.sceneSummary || '',
@@ -1967,9 +2409,13 @@ export default function App() {
       importedCount++;
     }
 
-    alert(`Successfully imported ${importedCount} books!`);
+    alert(
+      `Successfully imported ${importedCount} books!` +
+      (skippedCount > 0 ? ` Skipped ${skippedCount} that are already on your shelves.` : '')
+    );
     await loadData(); // Reload data to ensure consistency
   };
+
   const booksReadThisMonth = getCurrentUserBooksReadThisMonth();
   const remainingBooks = Math.max(0, userProfile.monthlyTarget - booksReadThisMonth);
   const mostReadAuthor = getMostReadAuthor();
@@ -1988,7 +2434,7 @@ export default function App() {
     const authors = [...new Set(allBooks.map(b => b.author).filter(Boolean))];
     const genres = []; // Could be extracted from book data if available
     const recentBooks = allBooks
-      .filter(b => b.finishDate)
+      .filter(b => isBookFinished(b) && b.finishDate)
       .sort((a, b) => new Date(b.finishDate) - new Date(a.finishDate))
       .slice(0, 5);
     
@@ -2202,6 +2648,7 @@ export default function App() {
         onShowChallenges={() => setShowChallengeModal(true)}
         onShowRewards={() => setShowRewardsModal(true)}
         onShowReadingHistory={() => setShowReadingHistoryModal(true)}
+        onShowReports={() => setShowReportsModal(true)}
         onShowAdmin={() => setShowAdminModal(true)}
       />
 
@@ -2210,6 +2657,7 @@ export default function App() {
         currentUser={currentUser}
         userProfile={userProfile}
         userXP={userXP}
+        levelCurve={levelCurve}
         userStreak={userStreak}
         recentAchievements={recentAchievements}
         totalBooksCount={getTotalBooksCount()}
@@ -2339,8 +2787,46 @@ export default function App() {
             <button
                       key={shelf.id}
                       onClick={() => setActiveBookshelfIndex(shelfIndex)}
-                      className={`px-2 sm:px-4 py-2 rounded-lg font-medium flex items-center justify-center ${getButtonColor(shelf.animal)}`}
-                      title={`View ${shelf.name}`}
+                      draggable
+                      onDragStart={(e) => {
+                        e.dataTransfer.setData(DRAG_TYPES.SHELF, shelf.id);
+                        e.dataTransfer.effectAllowed = 'move';
+                      }}
+                      onDragOver={(e) => {
+                        if (e.dataTransfer.types.includes(DRAG_TYPES.BOOK) || e.dataTransfer.types.includes(DRAG_TYPES.SHELF)) {
+                          e.preventDefault();
+                          setDropTargetShelfId(shelf.id);
+                        }
+                      }}
+                      onDragLeave={() => setDropTargetShelfId(null)}
+                      onDrop={(e) => {
+                        e.preventDefault();
+                        setDropTargetShelfId(null);
+                        const bookId = e.dataTransfer.getData(DRAG_TYPES.BOOK);
+                        const draggedShelfId = e.dataTransfer.getData(DRAG_TYPES.SHELF);
+                        if (bookId) {
+                          handleDropBookOnShelf(bookId, shelf.id);
+                        } else if (draggedShelfId) {
+                          handleReorderShelves(draggedShelfId, shelf.id);
+                        }
+                      }}
+                      onKeyDown={(e) => {
+                        // Alt+arrow swaps the tab with its neighbour
+                        const step = REORDER_KEYS[e.key];
+                        if (!e.altKey || !step) return;
+                        const tabs = getRegularBookshelves().slice(0, 6);
+                        const neighbour = tabs[tabs.findIndex(s => s.id === shelf.id) + step];
+                        if (neighbour) {
+                          e.preventDefault();
+                          const tab = e.currentTarget;
+                          handleReorderShelves(shelf.id, neighbour.id);
+                          // Moving the tab drops focus; put it back once it's re-rendered
+                          setTimeout(() => tab.focus());
+                        }
+                      }}
+                      className={`px-2 sm:px-4 py-2 rounded-lg font-medium flex items-center justify-center ${getButtonColor(shelf.animal)} ${dropTargetShelfId === shelf.id ? 'ring-4 ring-indigo-300' : ''}`}
+                      title={`View ${shelf.name}. Drag books here to move them; drag or Alt+arrow to reorder shelves`}
+                      aria-keyshortcuts="Alt+ArrowLeft Alt+ArrowRight"
                     >
                       {shelf.animal && ANIMAL_THEMES[shelf.animal]?.emoji && (
                         <span>{ANIMAL_THEMES[shelf.animal].emoji}</span>
@@ -2403,11 +2889,7 @@ export default function App() {
                     >
                       {bookshelves.map((shelf, index) => (
                         <option key={shelf.id} value={index}>
-                          {shelf.name} {shelf.animal ? ANIMAL_THEMES[shelf.animal]?.emoji : ''} {
-                            shelf.type === 'wishlist' || shelf.type === 'favorites' || shelf.type === 'shared_with_me'
-                              ? `(${shelf.books.length})` 
-                              : `(${shelf.books.length}/10)`
-                          }
+                          {shelf.name} {shelf.animal ? ANIMAL_THEMES[shelf.animal]?.emoji : ''} {formatShelfCount(shelf, isSmartShelf(shelf) ? getSmartShelfBooks(shelf, bookshelves).length : undefined)}
                         </option>
                       ))}
                     </select>
@@ -2419,6 +2901,24 @@ export default function App() {
                       <Edit2 className="w-4 h-4 sm:w-5 sm:h-5" />
                     </button>
                     {activeShelf && activeShelf.type === 'regular' && (
+                      <button
+                        onClick={() => setShowShelfSettingsModal(true)}
+                        className="px-2 sm:px-3 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors flex-shrink-0"
+                        title="Shelf capacity and what happens when it's full"
+                      >
+                        <Settings className="w-4 h-4 sm:w-5 sm:h-5" />
+                      </button>
+                    )}
+                    {isSmartShelf(activeShelf) && (
+                      <button
+                        onClick={() => setSmartShelfEditor({ shelf: bookshelves.find(shelf => shelf.id === activeShelf.id), initialFilters: null })}
+                        className="px-2 sm:px-3 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors flex-shrink-0"
+                        title="Edit this smart shelf's rules"
+                      >
+                        <Wand2 className="w-4 h-4 sm:w-5 sm:h-5" />
+                      </button>
+                    )}
+                    {activeShelf && (activeShelf.type === 'regular' || isSmartShelf(activeShelf)) && (
                       <button
                         onClick={() => handleDeleteBookshelf(activeShelf.id)}
                         className="px-2 sm:px-3 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors flex-shrink-0"
@@ -2437,6 +2937,14 @@ export default function App() {
                       <Plus className="w-4 h-4 sm:w-5 sm:h-5" />
                       <span className="hidden sm:inline">Add Bookshelf</span>
                     </button>
+                    <button
+                      onClick={() => setSmartShelfEditor({ shelf: null, initialFilters: null })}
+                      className="px-2 sm:px-3 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors flex-shrink-0 flex items-center gap-1"
+                      title="Create a shelf that fills itself from rules"
+                    >
+                      <Wand2 className="w-4 h-4 sm:w-5 sm:h-5" />
+                      <span className="hidden sm:inline">Smart Shelf</span>
+                    </button>
                     <button
                       onClick={() => {
                         const updated = [...bookshelves];
@@ -2519,9 +3027,9 @@ export default function App() {
                   }}
                   className="px-3 sm:px-4 py-2 text-sm sm:text-base border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 flex-shrink-0"
                 >
-                  {Object.entries(ANIMAL_THEMES).filter(([key]) => key !== 'heart' && key !== 'sparkles').map(([key, theme]) => (
-                    <option key={key} value={key}>
-                      {theme.emoji} {theme.name}
+                  {getThemeOptions(userXP?.current_level, activeShelf.animal).map(({ key, theme, unlockLevel, locked }) => (
+                    <option key={key} value={key} disabled={locked}>
+                      {theme.emoji} {theme.name}{locked ? ` (Level ${unlockLevel})` : ''}
                     </option>
                   ))}
                 </select>
@@ -2530,11 +3038,35 @@ export default function App() {
           )}
         </div>
 
+        {/* Library Search */}
+        {allBooks.length > 0 && (
+          <LibrarySearchPanel
+            filters={libraryFilters}
+            onChange={setLibraryFilters}
+            availableGenres={libraryGenres}
+            availableTags={libraryTags}
+            bookshelves={shelvesForBooks}
+            presets={filterPresets}
+            onSavePreset={handleSaveFilterPreset}
+            onDeletePreset={handleDeleteFilterPreset}
+            resultCount={librarySearchResults.length}
+            onSaveAsSmartShelf={currentUser ? () => setSmartShelfEditor({ shelf: null, initialFilters: libraryFilters }) : undefined}
+          />
+        )}
+
         {/* Bookshelf Display */}
         <BookshelfDisplay
           activeShelf={activeShelf}
           filteredBooks={filteredBooks}
-          allBooksWithBookshelf={getAllBooksWithBookshelf()}
+          allBooksWithBookshelf={getTableBooks()}
+          isFiltered={isSearchingLibrary}
+          bookshelves={shelvesForBooks}
+          availableTags={libraryTags}
+          currentUser={currentUser}
+          onUpdateBook={handleUpdateBook}
+          onBulkUpdateBooks={handleBulkUpdateBooks}
+          onBulkMoveBooks={handleBulkMoveBooks}
+          onBulkDeleteBooks={handleBulkDeleteBooks}
           totalBookshelves={bookshelves.length}
           failedImages={failedImages}
           failedImagesRef={failedImagesRef}
@@ -2544,7 +3076,7 @@ export default function App() {
           onBookClick={(book) => {
             // Use activeShelf if available, otherwise search for the book's bookshelf
             let bookShelf = activeShelf;
-            if (!bookShelf || !bookShelf.books.some(b => b.id === book.id)) {
+            if (!bookShelf || isSmartShelf(bookShelf) || !bookShelf.books.some(b => b.id === book.id)) {
               bookShelf = bookshelves.find(shelf => 
                 shelf.books.some(b => b.id === book.id)
               );
@@ -2557,9 +3089,16 @@ export default function App() {
             });
             setShowDetailsModal(true);
           }}
+          onReorderBooks={canArrangeActiveShelf ? handleReorderBooks : undefined}
+          onMoveBook={(book) => {
+            setBookToMove(book);
+            setShowMoveModal(true);
+          }}
           onExportCSV={exportToCSV}
           onExportJSON={exportToJSON}
           onImport={handleFileUpload}
+          onFindDuplicates={() => setShowDuplicatesModal(true)}
+          onShowSeries={() => setShowSeriesModal(true)}
         />
       </div>
 
@@ -2574,8 +3113,15 @@ export default function App() {
         onClose={() => setShowAddModal(false)}
         onSearchChange={handleSearchChange}
         onSelectResult={selectSearchResult}
+        onScanISBN={runBookSearch}
+        onSearchCoverText={runBookSearch}
+        onLookupISBN={lookupScannedISBN}
+        onAddScannedBooks={addScannedBooks}
+        activeShelfName={getAddTargetBookshelf()?.name || ''}
         onImageUpload={handleImageUpload}
         onAddBook={addBook}
+        genreSuggestions={genreSuggestions}
+        tagSuggestions={tagSuggestions}
       />
 
       {/* Book Details Modal */}
@@ -2587,12 +3133,15 @@ export default function App() {
         userProfile={userProfile}
         onClose={() => setShowDetailsModal(false)}
         onUpdateBook={handleUpdateBook}
+        onLogSession={handleLogSession}
         onImageUpload={handleImageUpload}
         onDeleteBook={handleDeleteBook}
         onMoveBook={(book) => {
           setBookToMove(book);
           setShowMoveModal(true);
         }}
+        genreSuggestions={genreSuggestions}
+        tagSuggestions={tagSuggestions}
       />
 
       {/* Public Recommendations Modal */}
@@ -2664,6 +3213,7 @@ export default function App() {
         averageBooksPerMonth={averageBooksPerMonth}
         mostReadAuthor={mostReadAuthor}
         userXP={userXP}
+        levelCurve={levelCurve}
         userStreak={userStreak}
         recentAchievements={recentAchievements}
         onClose={() => {
@@ -2673,6 +3223,8 @@ export default function App() {
           setShowAvatarSelector(false);
         }}
         onLogout={logout}
+        onDownloadBackup={handleDownloadBackup}
+        onRestoreBackup={handleRestoreBackupFile}
         onSave={async () => {
           setProfileLoading(true);
           setProfileError('');
@@ -2694,6 +3246,7 @@ export default function App() {
               name: userProfile.name,
               monthly_target: userProfile.monthlyTarget,
               avatar: userProfile.avatar,
+              avatar_frame: userProfile.avatarFrame || 'none',
               bio: userProfile.bio,
               feedback: userProfile.feedback,
               hide_from_comparison: userProfile.hideFromComparison || false,
@@ -2723,11 +3276,32 @@ export default function App() {
         }}
       />
 
+      {/* Shelf Settings Modal */}
+      <ShelfSettingsModal
+        show={showShelfSettingsModal}
+        shelf={activeShelf}
+        onClose={() => setShowShelfSettingsModal(false)}
+        onSave={handleSaveShelfSettings}
+      />
+
+      {/* Smart Shelf Modal */}
+      <SmartShelfModal
+        show={!!smartShelfEditor}
+        shelf={smartShelfEditor?.shelf}
+        initialFilters={smartShelfEditor?.initialFilters}
+        bookshelves={bookshelves}
+        availableGenres={libraryGenres}
+        availableTags={libraryTags}
+        userLevel={userXP?.current_level || 1}
+        onClose={() => setSmartShelfEditor(null)}
+        onSave={handleSaveSmartShelf}
+      />
+
       {/* Move Book Modal */}
       <MoveBookModal
         show={showMoveModal}
         bookToMove={bookToMove}
-        bookshelves={bookshelves}
+        bookshelves={shelvesForBooks}
         onClose={() => setShowMoveModal(false)}
         onMove={handleMoveBook}
       />
@@ -2833,6 +3407,7 @@ export default function App() {
         show={showChallengeModal}
         currentUser={currentUser}
         onClose={() => setShowChallengeModal(false)}
+        availableTags={libraryTags}
         onChallengeCreated={async () => {
           // Reload gamification data when challenge is created
           if (loadGamificationData) {
@@ -2847,6 +3422,7 @@ export default function App() {
         currentUser={currentUser}
         userRewards={userRewards}
         userXP={userXP}
+        levelCurve={levelCurve}
         userStreak={userStreak}
         challenges={challenges}
         recentAchievements={recentAchievements}
@@ -2858,13 +3434,89 @@ export default function App() {
       <ReadingHistoryModal
         show={showReadingHistoryModal}
         bookshelves={bookshelves}
+        readingSessions={readingSessions}
         onClose={() => setShowReadingHistoryModal(false)}
+        onShowYearInReview={() => {
+          setShowReadingHistoryModal(false);
+          setShowYearInReviewModal(true);
+        }}
+      />
+
+      {/* Year in Review Modal */}
+      <YearInReviewModal
+        show={showYearInReviewModal}
+        bookshelves={bookshelves}
+        readingSessions={readingSessions}
+        currentUser={currentUser}
+        userProfile={userProfile}
+        userXP={userXP}
+        onClose={() => setShowYearInReviewModal(false)}
+      />
+
+      {/* Find Duplicates Modal */}
+      <DuplicatesModal
+        show={showDuplicatesModal}
+        bookshelves={bookshelves}
+        onMerge={handleMergeBooks}
+        onClose={() => setShowDuplicatesModal(false)}
+      />
+
+      {/* Series Modal */}
+      <SeriesModal
+        show={showSeriesModal}
+        bookshelves={bookshelves}
+        onAddToWishlist={addRecommendationToWishlist}
+        onBookClick={(book, shelf) => {
+          setSelectedBook({
+            ...book,
+            bookshelfName: shelf?.name || 'Unknown Bookshelf',
+            bookshelfAnimal: shelf?.animal || 'cat'
+          });
+          setShowSeriesModal(false);
+          setShowDetailsModal(true);
+        }}
+        onClose={() => setShowSeriesModal(false)}
+      />
+
+      {/* CSV Import Modal */}
+      <CSVImportModal
+        show={!!csvImport && !csvImport.source}
+        fileName={csvImport?.fileName}
+        headers={csvImport?.headers}
+        rows={csvImport?.rows}
+        bookshelves={shelvesForBooks}
+        defaultShelfName={getAddTargetBookshelf()?.name || ''}
+        onImport={applyImportPlan}
+        onClose={() => setCsvImport(null)}
+      />
+
+      {/* Goodreads / StoryGraph Import Modal */}
+      <LibraryImportModal
+        show={!!csvImport?.source}
+        source={csvImport?.source}
+        fileName={csvImport?.fileName}
+        headers={csvImport?.headers}
+        rows={csvImport?.rows}
+        bookshelves={shelvesForBooks}
+        onImport={applyImportPlan}
+        onClose={() => setCsvImport(null)}
+      />
+
+      {/* Reading Reports Modal */}
+      <ReadingReportsModal
+        show={showReportsModal}
+        currentUser={currentUser}
+        onClose={() => setShowReportsModal(false)}
       />
 
       {/* Admin Modal */}
       <AdminModal
         show={showAdminModal}
         currentUser={currentUser}
+        onLevelCurveSaved={(curve) => {
+          setLevelCurve(curve);
+          loadGamificationData(); // The admin's own level may have moved
+        }}
         onClose={() => setShowAdminModal(false)}
       />
 
@@ -1,11 +1,15 @@
 /**
  * Avatar Selector Component
  * 
- * Allows users to select an avatar emoji from a predefined list.
+ * Allows users to select an avatar emoji from a predefined list, and a frame
+ * for it once their level has unlocked one (see constants/levelCurve).
  * Used in the profile settings modal.
  */
 
 import React, { useState, useEffect } from 'react';
+import { Lock } from 'lucide-react';
+import { AVATAR_FRAMES } from '../constants/levelCurve';
+import { isAvatarFrameUnlocked } from '../utils/levelUnlocks';
 
 const AVATARS = [
   '📚', '🦦', '👦', '👧', '🧑', '👨', '👩', '👴', '👵',
@@ -22,8 +26,11 @@ const AVATARS = [
  * AvatarSelector Component
  * @param {string} currentAvatar - The currently selected avatar
  * @param {Function} onSelect - Callback function when an avatar is selected
+ * @param {string} currentFrame - The currently selected frame (AVATAR_FRAMES key)
+ * @param {Function} onSelectFrame - Callback function when a frame is selected
+ * @param {number} userLevel - The user's level, which decides the frames they can pick
  */
-const AvatarSelector = ({ currentAvatar, onSelect }) => {
+const AvatarSelector = ({ currentAvatar, onSelect, currentFrame = 'none', onSelectFrame, userLevel = 1 }) => {
   const [selected, setSelected] = useState(currentAvatar || '📚');
 
   useEffect(() => {
@@ -59,6 +66,34 @@ const AvatarSelector = ({ currentAvatar, onSelect }) => {
       <div className="text-xs text-gray-500 text-center">
         Click an emoji to select it as your avatar
       </div>
+      {onSelectFrame && (
+        <>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Avatar Frame
+          </label>
+          <div className="grid grid-cols-3 sm:grid-cols-6 gap-3 p-3 bg-gray-50 rounded-lg border border-gray-200">
+            {Object.entries(AVATAR_FRAMES).map(([key, frame]) => {
+              const unlocked = isAvatarFrameUnlocked(key, userLevel);
+              return (
+                <button
+                  key={key}
+                  onClick={() => unlocked && onSelectFrame(key)}
+                  disabled={!unlocked}
+                  className={`flex flex-col items-center gap-1 p-2 rounded-lg transition-all ${
+                    currentFrame === key ? 'bg-indigo-100 border border-indigo-300' : 'bg-white hover:bg-gray-100'
+                  } ${unlocked ? '' : 'opacity-50 cursor-not-allowed'}`}
+                  title={unlocked ? frame.name : `Unlocks at Level ${frame.level}`}
+                >
+                  <span className={`w-10 h-10 flex items-center justify-center rounded-full text-xl bg-white ${frame.ring}`}>
+                    {unlocked ? selected : <Lock className="w-4 h-4 text-gray-400" />}
+                  </span>
+                  <span className="text-xs text-gray-600">{unlocked ? frame.name : `Level ${frame.level}`}</span>
+                </button>
+              );
+            })}
+          </div>
+        </>
+      )}
     </div>
   );
 };
@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Camera, CameraOff, Upload } from 'lucide-react';
+import { detectISBN } from '../utils/barcodeScanner';
+
+// How often a camera frame is checked for a barcode
+const SCAN_INTERVAL_MS = 300;
+
+// The same barcode is ignored for this long so one book isn't scanned twice
+const REPEAT_COOLDOWN_MS = 3000;
+
+/**
+ * BarcodeScanner Component
+ * Reads ISBN barcodes from the camera or an uploaded photo. Decoding runs
+ * in the browser; nothing is uploaded.
+ *
+ * @param {function} onDetected - Callback with each ISBN-13 found
+ * @param {boolean} continuous - Keep the camera running after a scan (rapid mode)
+ */
+export default function BarcodeScanner({ onDetected, continuous = false }) {
+  const [cameraOn, setCameraOn] = useState(false);
+  const [message, setMessage] = useState('');
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const streamRef = useRef(null);
+  const lastScanRef = useRef({ isbn: null, at: 0 });
+  const onDetectedRef = useRef(onDetected);
+  onDetectedRef.current = onDetected;
+
+  const stopCamera = () => {
+    streamRef.current?.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+    setCameraOn(false);
+  };
+
+  const handleCode = (isbn) => {
+    const now = Date.now();
+    if (isbn === lastScanRef.current.isbn && now - lastScanRef.current.at < REPEAT_COOLDOWN_MS) {
+      return false;
+    }
+    lastScanRef.current = { isbn, at: now };
+    setMessage(`Found ISBN ${isbn}`);
+    onDetectedRef.current(isbn);
+    return true;
+  };
+
+  const startCamera = async () => {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setMessage('This browser cannot use the camera. Try uploading a photo of the barcode instead.');
+      return;
+    }
+
+    try {
+      // Prefer the back camera on phones and tablets
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'environment', width: { ideal: 1280 }, height: { ideal: 720 } }
+      });
+      streamRef.current = stream;
+      setCameraOn(true);
+      setMessage('Hold the barcode inside the frame');
+    } catch (error) {
+      console.error('Error starting camera:', error);
+      setMessage('Could not open the camera. Check the camera permission or upload a photo instead.');
+    }
+  };
+
+  // Attach the stream once the video element is rendered, then scan frames
+  useEffect(() => {
+    if (!cameraOn || !videoRef.current || !streamRef.current) return undefined;
+
+    const video = videoRef.current;
+    video.srcObject = streamRef.current;
+    video.play().catch(() => {});
+
+    let cancelled = false;
+    let timer = null;
+    const scanFrame = async () => {
+      if (cancelled) return;
+      if (video.readyState >= 2) {
+        const isbn = await detectISBN(video, canvasRef.current);
+        if (!cancelled && isbn && handleCode(isbn) && !continuous) {
+          stopCamera();
+          return;
+        }
+      }
+      timer = setTimeout(scanFrame, SCAN_INTERVAL_MS);
+    };
+    scanFrame();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [cameraOn, continuous]);
+
+  // Always release the camera when the scanner goes away
+  useEffect(() => () => {
+    streamRef.current?.getTracks().forEach(track => track.stop());
+  }, []);
+
+  const handlePhotoUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const url = URL.createObjectURL(file);
+    try {
+      const image = new Image();
+      image.src = url;
+      await image.decode();
+      const isbn = await detectISBN(image, canvasRef.current);
+      if (isbn) {
+        lastScanRef.current = { isbn: null, at: 0 };
+        handleCode(isbn);
+      } else {
+        setMessage('No ISBN barcode found in that photo. Try a closer, sharper picture of the barcode.');
+      }
+    } catch (error) {
+      console.error('Error reading barcode photo:', error);
+      setMessage('Could not read that image.');
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {cameraOn && (
+        <div className="relative bg-black rounded-lg overflow-hidden">
+          <video ref={videoRef} muted playsInline className="w-full max-h-72 object-contain" />
+          {/* Aiming guide */}
+          <div className="absolute inset-x-8 top-1/2 -translate-y-1/2 h-24 border-2 border-white/80 rounded-lg pointer-events-none" />
+        </div>
+      )}
+      <canvas ref={canvasRef} className="hidden" />
+
+      <div className="flex flex-col sm:flex-row gap-2">
+        <button
+          type="button"
+          onClick={cameraOn ? stopCamera : startCamera}
+          className={`flex-1 flex items-center justify-center gap-2 px-4 py-2 rounded-lg transition-colors text-sm font-medium ${
+            cameraOn ? 'bg-gray-200 text-gray-800 hover:bg-gray-300' : 'bg-indigo-600 text-white hover:bg-indigo-700'
+          }`}
+        >
+          {cameraOn ? <CameraOff className="w-4 h-4" /> : <Camera className="w-4 h-4" />}
+          {cameraOn ? 'Stop Camera' : 'Scan with Camera'}
+        </button>
+        <label className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-white text-indigo-700 border border-indigo-300 rounded-lg hover:bg-indigo-50 transition-colors text-sm font-medium cursor-pointer">
+          <Upload className="w-4 h-4" />
+          Upload Barcode Photo
+          <input type="file" accept="image/*" onChange={handlePhotoUpload} className="hidden" />
+        </label>
+      </div>
+
+      {message && <p className="text-sm text-gray-600">{message}</p>}
+    </div>
+  );
+}
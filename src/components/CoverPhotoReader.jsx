@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import { Camera, Loader, Search } from 'lucide-react';
+import { recognizeCoverText, extractTitleAndAuthor } from '../utils/coverOcr';
+
+/**
+ * CoverPhotoReader Component
+ * Reads the title and author off a photo of a book's front cover and
+ * searches for them. Text recognition runs in the browser; the photo is
+ * not uploaded.
+ *
+ * @param {function} onSearch - Callback with the search query built from the cover text
+ */
+export default function CoverPhotoReader({ onSearch }) {
+  const [previewUrl, setPreviewUrl] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [title, setTitle] = useState('');
+  const [author, setAuthor] = useState('');
+  const [message, setMessage] = useState('');
+
+  // Release the preview image when it changes or the reader goes away
+  useEffect(() => () => {
+    if (previewUrl) URL.revokeObjectURL(previewUrl);
+  }, [previewUrl]);
+
+  const search = (searchTitle, searchAuthor) => {
+    const query = [searchTitle, searchAuthor].filter(Boolean).join(' ').trim();
+    if (query) onSearch(query);
+  };
+
+  const handlePhotoUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setPreviewUrl(URL.createObjectURL(file));
+    setTitle('');
+    setAuthor('');
+    setMessage('');
+    setProgress(0);
+
+    try {
+      const lines = await recognizeCoverText(file, setProgress);
+      const found = extractTitleAndAuthor(lines);
+      setTitle(found.title);
+      setAuthor(found.author);
+
+      if (found.title || found.author) {
+        setMessage('Check the words we found, then pick your book from the results.');
+        search(found.title, found.author);
+      } else {
+        setMessage('We couldn\'t read any words on that cover. Try a straight-on photo in good light, or type the title below.');
+      }
+    } catch (error) {
+      console.error('Error reading cover photo:', error);
+      setMessage('Could not read that photo. Try again or type the title instead.');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const isReading = progress !== null;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-4">
+        {previewUrl && (
+          <img src={previewUrl} alt="Cover photo" className="w-24 h-36 object-cover rounded-lg shadow-sm flex-shrink-0" />
+        )}
+        <div className="flex-1 space-y-3">
+          <label className={`flex items-center justify-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors text-sm font-medium cursor-pointer ${
+            isReading ? 'opacity-50 pointer-events-none' : ''
+          }`}>
+            <Camera className="w-4 h-4" />
+            {previewUrl ? 'Try Another Photo' : 'Snap or Upload the Front Cover'}
+            <input
+              type="file"
+              accept="image/*"
+              capture="environment"
+              onChange={handlePhotoUpload}
+              disabled={isReading}
+              className="hidden"
+            />
+          </label>
+
+          {isReading && (
+            <div>
+              <p className="text-sm text-gray-600 flex items-center gap-2 mb-1">
+                <Loader className="w-4 h-4 animate-spin" />
+                Reading the cover... {Math.round(progress * 100)}%
+              </p>
+              <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div className="h-full bg-indigo-600 transition-all" style={{ width: `${Math.round(progress * 100)}%` }} />
+              </div>
+            </div>
+          )}
+
+          {previewUrl && !isReading && (
+            <div className="space-y-2">
+              <div>
+                <label className="block text-xs text-gray-600 mb-1">Title on the cover</label>
+                <input
+                  type="text"
+                  value={title}
+                  onChange={(e) => setTitle(e.target.value)}
+                  className="w-full px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                  placeholder="Book title"
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600 mb-1">Author on the cover</label>
+                <input
+                  type="text"
+                  value={author}
+                  onChange={(e) => setAuthor(e.target.value)}
+                  className="w-full px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                  placeholder="Author name"
+                />
+              </div>
+              <button
+                type="button"
+                onClick={() => search(title, author)}
+                disabled={!title.trim() && !author.trim()}
+                className="flex items-center gap-2 px-3 py-1.5 bg-white text-indigo-700 border border-indigo-300 rounded-lg hover:bg-indigo-50 transition-colors text-sm font-medium disabled:opacity-50"
+              >
+                <Search className="w-4 h-4" />
+                Search Again
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {message && <p className="text-sm text-gray-600">{message}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { X, Plus } from 'lucide-react';
+import { getTagColor } from '../utils/genreColors';
+import { parseTagList } from '../utils/bookTags';
+
+// Suggestions shown under the input at once
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * TagInput Component
+ * Chip editor for genres and tags. Enter or a comma adds what's typed,
+ * Backspace on an empty input removes the last chip, and unused
+ * suggestions can be added with a click.
+ *
+ * @param {array} values - Current values
+ * @param {function} onChange - Callback with the new list of values
+ * @param {array} suggestions - Values to offer (ones already added are hidden)
+ * @param {function} getColor - Color scheme for a value ({ bg, text, border }); defaults to getTagColor
+ * @param {string} placeholder - Input placeholder
+ * @param {string} size - 'sm' for the compact version used in dense forms
+ */
+export default function TagInput({
+  values = [],
+  onChange,
+  suggestions = [],
+  getColor = getTagColor,
+  placeholder = 'Add a tag...',
+  size = 'md'
+}) {
+  const [text, setText] = useState('');
+
+  const addValues = (input) => {
+    const next = parseTagList([...values, ...parseTagList(input)]);
+    if (next.length !== values.length) onChange(next);
+    setText('');
+  };
+
+  const removeValue = (value) => {
+    onChange(values.filter(item => item !== value));
+  };
+
+  const handleKeyDown = (e) => {
+    if ((e.key === 'Enter' || e.key === ',') && text.trim()) {
+      e.preventDefault();
+      addValues(text);
+    } else if (e.key === 'Backspace' && !text && values.length > 0) {
+      removeValue(values[values.length - 1]);
+    }
+  };
+
+  const used = new Set(values.map(value => value.toLowerCase()));
+  const query = text.trim().toLowerCase();
+  const openSuggestions = suggestions
+    .filter(suggestion => !used.has(suggestion.toLowerCase()))
+    .filter(suggestion => !query || suggestion.toLowerCase().includes(query))
+    .slice(0, MAX_SUGGESTIONS);
+
+  const chipSize = size === 'sm' ? 'text-xs px-2 py-0.5' : 'text-sm px-2.5 py-1';
+
+  return (
+    <div>
+      <div className={`flex flex-wrap items-center gap-1.5 w-full border border-gray-300 rounded-lg focus-within:ring-2 focus-within:ring-indigo-500 ${size === 'sm' ? 'px-2 py-1.5' : 'px-3 py-2'}`}>
+        {values.map(value => {
+          const colors = getColor(value);
+          return (
+            <span key={value} className={`inline-flex items-center gap-1 rounded-full border font-medium ${colors.bg} ${colors.text} ${colors.border} ${chipSize}`}>
+              {value}
+              <button type="button" onClick={() => removeValue(value)} className="opacity-70 hover:opacity-100" title={`Remove ${value}`}>
+                <X className="w-3 h-3" />
+              </button>
+            </span>
+          );
+        })}
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => text.trim() && addValues(text)}
+          className="flex-grow min-w-[8rem] outline-none text-sm bg-transparent"
+          placeholder={values.length === 0 ? placeholder : ''}
+        />
+      </div>
+      {openSuggestions.length > 0 && (
+        <div className="flex flex-wrap gap-1.5 mt-1.5">
+          {openSuggestions.map(suggestion => (
+            <button
+              key={suggestion}
+              type="button"
+              // Keep focus in the input so its blur doesn't add half-typed text first
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => addValues([suggestion])}
+              className="inline-flex items-center gap-0.5 text-xs px-2 py-0.5 rounded-full border border-dashed border-gray-300 text-gray-600 hover:bg-gray-50"
+            >
+              <Plus className="w-3 h-3" />
+              {suggestion}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
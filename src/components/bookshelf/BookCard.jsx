@@ -1,6 +1,9 @@
 import React from 'react';
 import { Star, Share2, Globe } from 'lucide-react';
-import { getGenreColor, getShortGenreName } from '../../utils/genreColors';
+import { getGenreColor, getShortGenreName, getTagColor } from '../../utils/genreColors';
+import { getBookTags } from '../../utils/bookTags';
+import { getBookStatus, getReadingProgress } from '../../utils/bookHelpers';
+import { READING_STATUS, READING_STATUS_OPTIONS } from '../../constants/readingStatus';
 
 /**
  * BookCard Component
@@ -60,6 +63,14 @@ export default function BookCard({
 
   const genreColors = book.genre ? getGenreColor(book.genre) : null;
   const shortGenre = book.genre ? getShortGenreName(book.genre, 10) : null;
+  const tags = getBookTags(book);
+  const tagColors = tags.length > 0 ? getTagColor(tags[0]) : null;
+  // Finished books are the norm on a shelf, so only the other statuses get a badge
+  const status = getBookStatus(book);
+  const statusOption = status !== READING_STATUS.FINISHED ? READING_STATUS_OPTIONS[status] : null;
+  const progress = (status === READING_STATUS.READING || status === READING_STATUS.PAUSED)
+    ? getReadingProgress(book)
+    : null;
 
   return (
     <div key={book.id} className="group relative">
@@ -102,9 +113,24 @@ export default function BookCard({
               )}
             </>
           )}
+          {/* First tag, with a count of the rest */}
+          {tagColors && (
+            <div
+              className={`absolute bottom-1 right-1 max-w-[4.5rem] truncate ${tagColors.bg} ${tagColors.text} px-1.5 py-0.5 rounded-full text-[10px] font-semibold border ${tagColors.border} shadow-md`}
+              title={tags.join(', ')}
+            >
+              {tags[0]}{tags.length > 1 && ` +${tags.length - 1}`}
+            </div>
+          )}
           <div className="absolute inset-0 bg-gradient-to-t from-black/60 via-transparent to-transparent rounded-lg opacity-0 group-hover:opacity-100 transition-opacity flex items-end p-2">
             <span className="text-white text-xs font-semibold truncate w-full">{book.title}</span>
           </div>
+          {/* Reading progress bar */}
+          {progress !== null && (
+            <div className="absolute bottom-0 left-0 right-0 h-1.5 bg-black/30 rounded-b-lg overflow-hidden" title={`${progress}% read`}>
+              <div className="h-full bg-green-400" style={{ width: `${progress}%` }} />
+            </div>
+          )}
         </div>
         {/* Rating indicator */}
         {book.rating > 0 && (
@@ -118,6 +144,14 @@ export default function BookCard({
             <Share2 className="w-4 h-4 text-white" />
           </div>
         )}
+        {statusOption && (
+          <div
+            className={`absolute top-1 left-1 ${statusOption.colors.bg} ${statusOption.colors.text} border ${statusOption.colors.border} px-1.5 py-0.5 rounded text-[10px] font-semibold shadow-md z-10`}
+            title={statusOption.label}
+          >
+            {statusOption.emoji}
+          </div>
+        )}
         {book.isPublic && (
           <div className="absolute top-1 right-1 bg-green-500 rounded-full p-1 shadow-md z-10" title="Publicly recommended">
             <Globe className="w-3 h-3 text-white" />
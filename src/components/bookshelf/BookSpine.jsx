@@ -1,5 +1,8 @@
 import React from 'react';
-import { getGenreColor } from '../../utils/genreColors';
+import { getGenreColor, getTagColor } from '../../utils/genreColors';
+import { getBookGenres, getBookTags } from '../../utils/bookTags';
+import { getBookStatus, getReadingProgress } from '../../utils/bookHelpers';
+import { READING_STATUS } from '../../constants/readingStatus';
 
 /**
  * BookSpine Component
@@ -10,6 +13,13 @@ import { getGenreColor } from '../../utils/genreColors';
  * @param {function} onClick - Callback when book is clicked
  */
 export default function BookSpine({ book, index, onClick }) {
+  const status = getBookStatus(book);
+  const progress = (status === READING_STATUS.READING || status === READING_STATUS.PAUSED)
+    ? getReadingProgress(book)
+    : null;
+  const genres = getBookGenres(book);
+  const tags = getBookTags(book);
+
   return (
     <button
       key={book.id}
@@ -83,6 +93,13 @@ export default function BookSpine({ book, index, onClick }) {
             </div>
           )}
           
+          {/* Reading progress, filling up from the bottom of the spine */}
+          {progress !== null && (
+            <div className="absolute right-1 top-2 bottom-2 w-1 bg-black/30 rounded-full overflow-hidden flex flex-col justify-end">
+              <div className="w-full bg-green-400" style={{ height: `${progress}%` }}></div>
+            </div>
+          )}
+
           {/* Subtle texture overlay */}
           <div className="absolute inset-0 opacity-10" style={{
             backgroundImage: 'repeating-linear-gradient(90deg, transparent, transparent 2px, rgba(255,255,255,0.1) 2px, rgba(255,255,255,0.1) 4px)'
@@ -116,16 +133,27 @@ export default function BookSpine({ book, index, onClick }) {
       <div className="absolute -top-16 left-1/2 transform -translate-x-1/2 opacity-0 group-hover:opacity-100 transition-opacity duration-200 bg-gray-900 text-white text-xs rounded-lg px-3 py-2 z-20 shadow-xl pointer-events-none min-w-[150px]">
         <div className="font-semibold">{book.title}</div>
         {book.author && <div className="text-gray-300 text-[10px] mt-1">{book.author}</div>}
-        {book.genre && (() => {
-          const genreColors = getGenreColor(book.genre);
-          return (
-            <div className="mt-1.5">
-              <span className={`px-1.5 py-0.5 ${genreColors.bg} ${genreColors.text} rounded text-[10px] font-semibold border ${genreColors.border}`}>
-                {book.genre}
-              </span>
-            </div>
-          );
-        })()}
+        {progress !== null && <div className="text-green-300 text-[10px] mt-1">{progress}% read</div>}
+        {(genres.length > 0 || tags.length > 0) && (
+          <div className="mt-1.5 flex flex-wrap gap-1">
+            {genres.map(genre => {
+              const genreColors = getGenreColor(genre);
+              return (
+                <span key={`genre-${genre}`} className={`px-1.5 py-0.5 ${genreColors.bg} ${genreColors.text} rounded text-[10px] font-semibold border ${genreColors.border}`}>
+                  {genre}
+                </span>
+              );
+            })}
+            {tags.map(tag => {
+              const tagColors = getTagColor(tag);
+              return (
+                <span key={`tag-${tag}`} className={`px-1.5 py-0.5 ${tagColors.bg} ${tagColors.text} rounded-full text-[10px] font-semibold border ${tagColors.border}`}>
+                  {tag}
+                </span>
+              );
+            })}
+          </div>
+        )}
         <div className="absolute bottom-0 left-1/2 transform -translate-x-1/2 translate-y-full w-0 h-0 border-l-4 border-r-4 border-t-4 border-transparent border-t-gray-900"></div>
       </div>
     </button>
@@ -1,8 +1,11 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { SearchX, Wand2 } from 'lucide-react';
 import TableView from './TableView';
 import BookCard from './BookCard';
 import BookSpine from './BookSpine';
 import { ANIMAL_THEMES } from '../../constants/animalThemes';
+import { getShelfCapacity, isSmartShelf } from '../../utils/shelfHelpers';
+import { DRAG_TYPES, REORDER_KEYS } from '../../constants/dragAndDrop';
 
 /**
  * BookshelfDisplay Component
@@ -11,6 +14,14 @@ import { ANIMAL_THEMES } from '../../constants/animalThemes';
  * @param {object} activeShelf - Currently active bookshelf
  * @param {array} filteredBooks - Filtered list of books to display
  * @param {array} allBooksWithBookshelf - All books with bookshelf information (for table view)
+ * @param {boolean} isFiltered - Whether a library search is narrowing the books shown
+ * @param {array} bookshelves - User's bookshelves (for moving books from the table view)
+ * @param {array} availableTags - Tags used across the library (for tagging from the table view)
+ * @param {object} currentUser - Current logged in user (for sharing from the table view)
+ * @param {function} onUpdateBook - Callback when a table cell is edited
+ * @param {function} onBulkUpdateBooks - Callback to update several books at once
+ * @param {function} onBulkMoveBooks - Callback to move several books to a shelf
+ * @param {function} onBulkDeleteBooks - Callback to delete several books
  * @param {number} totalBookshelves - Total number of bookshelves
  * @param {object} failedImages - Set of book IDs with failed images
  * @param {object} failedImagesRef - Ref object tracking failed images
@@ -18,14 +29,26 @@ import { ANIMAL_THEMES } from '../../constants/animalThemes';
  * @param {object} pendingFailedUpdatesRef - Ref object for batching updates
  * @param {function} setFailedImages - State setter for failed images
  * @param {function} onBookClick - Callback when a book is clicked
+ * @param {function} onReorderBooks - Callback with (bookId, targetBookId) to put a book where another one is; omitted when the shelf can't be arranged by hand
+ * @param {function} onMoveBook - Callback with a book to move to another shelf (the M key)
  * @param {function} onExportCSV - Callback to export to CSV
  * @param {function} onExportJSON - Callback to export to JSON
  * @param {function} onImport - Callback when file is imported
+ * @param {function} onFindDuplicates - Callback to open the find duplicates tool
+ * @param {function} onShowSeries - Callback to open the series view
  */
 export default function BookshelfDisplay({
   activeShelf,
   filteredBooks,
   allBooksWithBookshelf,
+  isFiltered = false,
+  bookshelves,
+  availableTags,
+  currentUser,
+  onUpdateBook,
+  onBulkUpdateBooks,
+  onBulkMoveBooks,
+  onBulkDeleteBooks,
   totalBookshelves,
   failedImages,
   failedImagesRef,
@@ -33,11 +56,65 @@ export default function BookshelfDisplay({
   pendingFailedUpdatesRef,
   setFailedImages,
   onBookClick,
+  onReorderBooks,
+  onMoveBook,
   onExportCSV,
   onExportJSON,
-  onImport
+  onImport,
+  onFindDuplicates,
+  onShowSeries
 }) {
   const theme = activeShelf ? ANIMAL_THEMES[activeShelf.animal] || ANIMAL_THEMES.cat : ANIMAL_THEMES.cat;
+  const isTableMode = activeShelf?.displayMode === 'table';
+  const hasNoMatches = isFiltered && (isTableMode ? allBooksWithBookshelf.length === 0 : filteredBooks.length === 0);
+  const [draggedBookId, setDraggedBookId] = useState(null);
+  const [dropTargetBookId, setDropTargetBookId] = useState(null);
+
+  // Books can always be dragged onto a shelf tab; dropping on another book reorders them
+  const getBookDragProps = (book, index) => ({
+    draggable: true,
+    onDragStart: (e) => {
+      e.dataTransfer.setData(DRAG_TYPES.BOOK, String(book.id));
+      e.dataTransfer.effectAllowed = 'move';
+      setDraggedBookId(book.id);
+    },
+    onDragEnd: () => {
+      setDraggedBookId(null);
+      setDropTargetBookId(null);
+    },
+    onDragOver: (e) => {
+      if (onReorderBooks && e.dataTransfer.types.includes(DRAG_TYPES.BOOK)) {
+        e.preventDefault();
+        setDropTargetBookId(book.id);
+      }
+    },
+    onDragLeave: () => setDropTargetBookId(null),
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTargetBookId(null);
+      const bookId = e.dataTransfer.getData(DRAG_TYPES.BOOK);
+      if (bookId && onReorderBooks) onReorderBooks(bookId, book.id);
+    },
+    // Keyboard equivalents, from the focused book: Alt+arrow reorders, M moves to another shelf
+    onKeyDown: (e) => {
+      const step = REORDER_KEYS[e.key];
+      if (e.altKey && step && onReorderBooks) {
+        const neighbour = filteredBooks[index + step];
+        if (!neighbour) return;
+        e.preventDefault();
+        const focused = document.activeElement;
+        onReorderBooks(book.id, neighbour.id);
+        setTimeout(() => focused?.focus());
+      } else if ((e.key === 'm' || e.key === 'M') && !e.altKey && !e.ctrlKey && !e.metaKey && onMoveBook) {
+        e.preventDefault();
+        onMoveBook(book);
+      }
+    },
+    title: onReorderBooks
+      ? 'Drag to reorder or onto a shelf tab to move. Alt+arrows reorder, M moves.'
+      : 'Drag onto a shelf tab to move. M moves.',
+    className: `${draggedBookId === book.id ? 'opacity-50' : ''} ${dropTargetBookId === book.id && draggedBookId !== book.id ? 'ring-4 ring-white/70 rounded-lg' : ''}`
+  });
 
   return (
     <div className={`bg-gradient-to-b ${theme.colors.primary} rounded-2xl shadow-2xl p-8 relative overflow-hidden`}>
@@ -92,44 +169,65 @@ export default function BookshelfDisplay({
       )}
       
       <div className={`bg-white/20 rounded-xl p-6 min-h-[400px] relative z-10`}>
-        {filteredBooks.length === 0 ? (
+        {hasNoMatches ? (
+          <div className="flex flex-col items-center justify-center h-64 text-white">
+            <SearchX className="w-12 h-12 mb-4 opacity-75" />
+            <p className="text-xl font-semibold mb-2">No books match your search</p>
+            <p className="text-sm opacity-90">Try removing a filter or clear the search to see your shelf again.</p>
+          </div>
+        ) : !isFiltered && filteredBooks.length === 0 && isSmartShelf(activeShelf) ? (
+          <div className="flex flex-col items-center justify-center h-64 text-white">
+            <Wand2 className="w-12 h-12 mb-4 opacity-75" />
+            <p className="text-xl font-semibold mb-2">No books match this smart shelf yet</p>
+            <p className="text-sm opacity-90">Books show up here by themselves as soon as they match its rules.</p>
+          </div>
+        ) : !isFiltered && filteredBooks.length === 0 ? (
           <div className="flex flex-col items-center justify-center h-64 text-white">
             <div className="text-8xl mb-4 opacity-75 animate-bounce">📚</div>
             <p className="text-xl font-semibold mb-2">Ready to start your reading adventure? 🚀</p>
             <p className="text-sm opacity-90">Your bookshelf is waiting for its first book! Click the + button to add one and let the magic begin! ✨</p>
           </div>
         ) : (
-          activeShelf?.displayMode === 'table' ? (
+          isTableMode ? (
             <TableView
               books={allBooksWithBookshelf}
+              bookshelves={bookshelves}
               totalBookshelves={totalBookshelves}
+              availableTags={availableTags}
+              currentUser={currentUser}
               onBookClick={onBookClick}
+              onUpdateBook={onUpdateBook}
+              onBulkUpdateBooks={onBulkUpdateBooks}
+              onBulkMoveBooks={onBulkMoveBooks}
+              onBulkDeleteBooks={onBulkDeleteBooks}
               onExportCSV={onExportCSV}
               onExportJSON={onExportJSON}
               onImport={onImport}
+              onFindDuplicates={onFindDuplicates}
+              onShowSeries={onShowSeries}
             />
           ) : (
             <div className={`flex ${activeShelf?.displayMode === 'spines' ? 'flex-wrap gap-3 items-end' : 'flex-wrap gap-4'}`}>
               {filteredBooks.map((book, index) => (
-                activeShelf?.displayMode === 'spines' ? (
-                  <BookSpine
-                    key={book.id}
-                    book={book}
-                    index={index}
-                    onClick={onBookClick}
-                  />
-                ) : (
-                  <BookCard
-                    key={book.id}
-                    book={book}
-                    isFailed={failedImages.has(book.id) || failedImagesRef.current.has(book.id)}
-                    imageRetryCountsRef={imageRetryCountsRef}
-                    failedImagesRef={failedImagesRef}
-                    pendingFailedUpdatesRef={pendingFailedUpdatesRef}
-                    setFailedImages={setFailedImages}
-                    onClick={onBookClick}
-                  />
-                )
+                <div key={book.id} {...getBookDragProps(book, index)}>
+                  {activeShelf?.displayMode === 'spines' ? (
+                    <BookSpine
+                      book={book}
+                      index={index}
+                      onClick={onBookClick}
+                    />
+                  ) : (
+                    <BookCard
+                      book={book}
+                      isFailed={failedImages.has(book.id) || failedImagesRef.current.has(book.id)}
+                      imageRetryCountsRef={imageRetryCountsRef}
+                      failedImagesRef={failedImagesRef}
+                      pendingFailedUpdatesRef={pendingFailedUpdatesRef}
+                      setFailedImages={setFailedImages}
+                      onClick={onBookClick}
+                    />
+                  )}
+                </div>
               ))}
             </div>
           )
@@ -137,11 +235,16 @@ export default function BookshelfDisplay({
       </div>
       <div className="mt-4 h-4 bg-black/20 rounded-b-xl"></div>
       <div className="absolute bottom-4 left-4 text-white font-semibold">
-        {filteredBooks.length} / {activeShelf?.books.length || 0} books
-        {activeShelf?.type === 'regular' && ` (${activeShelf.books.length}/10)`}
-        {activeShelf?.type === 'wishlist' && ` (unlimited)`}
-        {activeShelf?.type === 'favorites' && ` (unlimited)`}
-        {activeShelf?.type === 'shared_with_me' && ` (unlimited)`}
+        {isFiltered ? (
+          `${isTableMode ? allBooksWithBookshelf.length : filteredBooks.length} matching books across your library`
+        ) : (
+          <>
+            {filteredBooks.length} / {activeShelf?.books.length || 0} books
+            {isSmartShelf(activeShelf) ? ' (smart shelf)' : activeShelf && (getShelfCapacity(activeShelf) === null
+              ? ` (unlimited)`
+              : ` (${activeShelf.books.length}/${getShelfCapacity(activeShelf)})`)}
+          </>
+        )}
       </div>
     </div>
   );
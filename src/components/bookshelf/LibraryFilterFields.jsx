@@ -0,0 +1,230 @@
+import React, { useState } from 'react';
+import { READING_STATUS_OPTIONS } from '../../constants/readingStatus';
+import { getGenreColor, getTagColor } from '../../utils/genreColors';
+import { FINISHED_PERIOD_OPTIONS, NOTE_FIELD_OPTIONS } from '../../utils/librarySearch';
+
+const shelfColors = { bg: 'bg-indigo-100', text: 'text-indigo-700', border: 'border-indigo-300' };
+const fieldColors = {
+  with: { bg: 'bg-green-100', text: 'text-green-700', border: 'border-green-300' },
+  without: { bg: 'bg-rose-100', text: 'text-rose-700', border: 'border-rose-300' }
+};
+const ratingValues = [0, 1, 2, 3, 4, 5];
+
+const chipClass = (active, colors) => `text-xs px-2.5 py-1 rounded-full border font-medium transition-colors ${active
+  ? `${colors.bg} ${colors.text} ${colors.border} ring-2 ring-indigo-400`
+  : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'}`;
+
+/**
+ * LibraryFilterFields Component
+ * The facet filters shared by the library search panel and the smart shelf
+ * editor: rating, finish date, status, shelf, genre, tags and which notes a
+ * book has.
+ *
+ * @param {object} filters - Current library filters (see EMPTY_LIBRARY_FILTERS)
+ * @param {function} onUpdate - Callback with the filters that changed
+ * @param {array} availableGenres - Genres used across the library
+ * @param {array} availableTags - Tags used across the library
+ * @param {array} bookshelves - Bookshelves offered as a shelf filter
+ */
+export default function LibraryFilterFields({
+  filters,
+  onUpdate,
+  availableGenres = [],
+  availableTags = [],
+  bookshelves = []
+}) {
+  const [isCustomPeriod, setIsCustomPeriod] = useState(Boolean(filters.finishedFrom || filters.finishedTo));
+
+  const periodValue = filters.finishedPeriod || (isCustomPeriod || filters.finishedFrom || filters.finishedTo ? 'custom' : '');
+
+  const handlePeriodChange = (value) => {
+    setIsCustomPeriod(value === 'custom');
+    onUpdate({
+      finishedPeriod: value === 'custom' ? '' : value,
+      finishedFrom: '',
+      finishedTo: ''
+    });
+  };
+
+  const isActive = (field, value) => filters[field]
+    .some(active => String(active).toLowerCase() === String(value).toLowerCase());
+
+  const toggleValue = (field, value) => {
+    onUpdate({
+      [field]: isActive(field, value)
+        ? filters[field].filter(active => String(active).toLowerCase() !== String(value).toLowerCase())
+        : [...filters[field], value]
+    });
+  };
+
+  // A field can't be both required and missing
+  const toggleField = (field, oppositeField, value) => {
+    onUpdate({
+      [field]: filters[field].includes(value) ? filters[field].filter(item => item !== value) : [...filters[field], value],
+      [oppositeField]: filters[oppositeField].filter(item => item !== value)
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-xs font-semibold text-gray-500 uppercase mb-1">Rating</label>
+          <div className="flex items-center gap-2">
+            <select
+              value={filters.minRating}
+              onChange={(e) => onUpdate({ minRating: Number(e.target.value) })}
+              className="px-2 py-1.5 text-sm border border-gray-300 rounded-lg"
+            >
+              {ratingValues.filter(value => value <= filters.maxRating).map(value => (
+                <option key={value} value={value}>{value === 0 ? 'Unrated' : `${value} ★`}</option>
+              ))}
+            </select>
+            <span className="text-sm text-gray-500">to</span>
+            <select
+              value={filters.maxRating}
+              onChange={(e) => onUpdate({ maxRating: Number(e.target.value) })}
+              className="px-2 py-1.5 text-sm border border-gray-300 rounded-lg"
+            >
+              {ratingValues.filter(value => value >= filters.minRating).map(value => (
+                <option key={value} value={value}>{value === 0 ? 'Unrated' : `${value} ★`}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-xs font-semibold text-gray-500 uppercase mb-1">Finished</label>
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={periodValue}
+              onChange={(e) => handlePeriodChange(e.target.value)}
+              className="px-2 py-1.5 text-sm border border-gray-300 rounded-lg"
+            >
+              <option value="">Any time</option>
+              {Object.entries(FINISHED_PERIOD_OPTIONS).map(([value, option]) => (
+                <option key={value} value={value}>{option.label}</option>
+              ))}
+              <option value="custom">Between dates...</option>
+            </select>
+            {periodValue === 'custom' && (
+              <>
+                <input
+                  type="date"
+                  value={filters.finishedFrom}
+                  max={filters.finishedTo || undefined}
+                  onChange={(e) => onUpdate({ finishedFrom: e.target.value })}
+                  className="px-2 py-1.5 text-sm border border-gray-300 rounded-lg"
+                />
+                <span className="text-sm text-gray-500">and</span>
+                <input
+                  type="date"
+                  value={filters.finishedTo}
+                  min={filters.finishedFrom || undefined}
+                  onChange={(e) => onUpdate({ finishedTo: e.target.value })}
+                  className="px-2 py-1.5 text-sm border border-gray-300 rounded-lg"
+                />
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-xs font-semibold text-gray-500 uppercase mb-1">Status</label>
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(READING_STATUS_OPTIONS).map(([status, option]) => (
+            <button
+              key={status}
+              onClick={() => toggleValue('statuses', status)}
+              className={chipClass(isActive('statuses', status), option.colors)}
+            >
+              {option.emoji} {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {bookshelves.length > 1 && (
+        <div>
+          <label className="block text-xs font-semibold text-gray-500 uppercase mb-1">Shelf</label>
+          <div className="flex flex-wrap gap-2">
+            {bookshelves.map(shelf => (
+              <button
+                key={shelf.id}
+                onClick={() => toggleValue('shelfIds', shelf.id)}
+                className={chipClass(isActive('shelfIds', shelf.id), shelfColors)}
+              >
+                {shelf.name}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {availableGenres.length > 0 && (
+        <div>
+          <label className="block text-xs font-semibold text-gray-500 uppercase mb-1">Genre (any)</label>
+          <div className="flex flex-wrap gap-2">
+            {availableGenres.map(genre => (
+              <button
+                key={genre}
+                onClick={() => toggleValue('genres', genre)}
+                className={chipClass(isActive('genres', genre), getGenreColor(genre))}
+              >
+                {genre}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {availableTags.length > 0 && (
+        <div>
+          <label className="block text-xs font-semibold text-gray-500 uppercase mb-1">Tags (all)</label>
+          <div className="flex flex-wrap gap-2">
+            {availableTags.map(tag => (
+              <button
+                key={tag}
+                onClick={() => toggleValue('tags', tag)}
+                className={chipClass(isActive('tags', tag), getTagColor(tag))}
+              >
+                {tag}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div>
+        <label className="block text-xs font-semibold text-gray-500 uppercase mb-1">Has</label>
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(NOTE_FIELD_OPTIONS).map(([field, option]) => (
+            <button
+              key={field}
+              onClick={() => toggleField('withFields', 'withoutFields', field)}
+              className={chipClass(filters.withFields.includes(field), fieldColors.with)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-xs font-semibold text-gray-500 uppercase mb-1">Missing</label>
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(NOTE_FIELD_OPTIONS).map(([field, option]) => (
+            <button
+              key={field}
+              onClick={() => toggleField('withoutFields', 'withFields', field)}
+              className={chipClass(filters.withoutFields.includes(field), fieldColors.without)}
+            >
+              No {option.label.toLowerCase()}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
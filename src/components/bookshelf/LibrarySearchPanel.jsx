@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { Search, SlidersHorizontal, X, Bookmark, Trash2, Wand2 } from 'lucide-react';
+import LibraryFilterFields from './LibraryFilterFields';
+import { EMPTY_LIBRARY_FILTERS, LIBRARY_SORT_OPTIONS, countActiveFilters } from '../../utils/librarySearch';
+
+/**
+ * LibrarySearchPanel Component
+ * Search box, sort order and facet filters for the whole library, plus
+ * saved filter presets. While any filter is set the shelf shows matching
+ * books from every shelf.
+ *
+ * @param {object} filters - Current library filters (see EMPTY_LIBRARY_FILTERS)
+ * @param {function} onChange - Callback with the new filters
+ * @param {array} availableGenres - Genres used across the library
+ * @param {array} availableTags - Tags used across the library
+ * @param {array} bookshelves - User's bookshelves, offered as a shelf filter
+ * @param {array} presets - Saved presets ({ id, name, filters })
+ * @param {function} onSavePreset - Callback with a name to save the current filters under
+ * @param {function} onDeletePreset - Callback with the preset to delete
+ * @param {number} resultCount - Number of books matching the filters
+ * @param {function} onSaveAsSmartShelf - Callback to turn the current filters into a smart shelf
+ */
+export default function LibrarySearchPanel({
+  filters,
+  onChange,
+  availableGenres = [],
+  availableTags = [],
+  bookshelves = [],
+  presets = [],
+  onSavePreset,
+  onDeletePreset,
+  resultCount,
+  onSaveAsSmartShelf
+}) {
+  const [showFilters, setShowFilters] = useState(false);
+  const [presetName, setPresetName] = useState('');
+  const [selectedPresetId, setSelectedPresetId] = useState('');
+
+  const activeCount = countActiveFilters(filters);
+  const selectedPreset = presets.find(preset => preset.id === selectedPresetId);
+
+  const update = (changes) => {
+    setSelectedPresetId('');
+    onChange({ ...filters, ...changes });
+  };
+
+  const applyPreset = (presetId) => {
+    const preset = presets.find(item => item.id === presetId);
+    setSelectedPresetId(presetId);
+    if (preset) onChange(preset.filters);
+  };
+
+  const handleSavePreset = async () => {
+    if (!presetName.trim()) return;
+    const saved = await onSavePreset(presetName.trim());
+    if (saved) {
+      setPresetName('');
+      setSelectedPresetId(saved.id);
+    }
+  };
+
+  const handleDeletePreset = async () => {
+    if (!selectedPreset || !confirm(`Delete the preset "${selectedPreset.name}"?`)) return;
+    await onDeletePreset(selectedPreset);
+    setSelectedPresetId('');
+  };
+
+  const clearFilters = () => {
+    setSelectedPresetId('');
+    onChange({ ...EMPTY_LIBRARY_FILTERS, sort: filters.sort });
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-3 sm:p-4 mb-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="relative flex-grow min-w-[12rem]">
+          <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={filters.query}
+            onChange={(e) => update({ query: e.target.value })}
+            placeholder='Search titles, authors, reviews, notes... ("exact phrase")'
+            className="w-full pl-9 pr-8 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          {filters.query && (
+            <button
+              onClick={() => update({ query: '' })}
+              className="absolute right-2 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
+              title="Clear search"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+
+        <select
+          value={filters.sort}
+          onChange={(e) => onChange({ ...filters, sort: e.target.value })}
+          className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          title="Sort books"
+        >
+          {Object.entries(LIBRARY_SORT_OPTIONS).map(([value, option]) => (
+            <option key={value} value={value}>{option.label}</option>
+          ))}
+        </select>
+
+        <button
+          onClick={() => setShowFilters(!showFilters)}
+          className={`flex items-center gap-1.5 px-3 py-2 text-sm rounded-lg border transition-colors ${showFilters || activeCount > 0
+            ? 'bg-indigo-50 border-indigo-300 text-indigo-700'
+            : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+        >
+          <SlidersHorizontal className="w-4 h-4" />
+          Filters{activeCount > 0 && ` (${activeCount})`}
+        </button>
+
+        {presets.length > 0 && (
+          <div className="flex items-center gap-1">
+            <select
+              value={selectedPresetId}
+              onChange={(e) => applyPreset(e.target.value)}
+              className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              title="Saved presets"
+            >
+              <option value="">Saved presets...</option>
+              {presets.map(preset => (
+                <option key={preset.id} value={preset.id}>{preset.name}</option>
+              ))}
+            </select>
+            {selectedPreset && (
+              <button
+                onClick={handleDeletePreset}
+                className="p-2 text-gray-400 hover:text-red-600 rounded-lg hover:bg-red-50"
+                title="Delete preset"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+        )}
+
+        {activeCount > 0 && (
+          <>
+            <span className="text-sm text-gray-600">
+              {resultCount} {resultCount === 1 ? 'book' : 'books'} across your library
+            </span>
+            {onSaveAsSmartShelf && (
+              <button
+                onClick={onSaveAsSmartShelf}
+                className="flex items-center gap-1 text-sm px-2 py-1 rounded-lg text-indigo-700 hover:bg-indigo-50"
+                title="Make a shelf that always shows these books"
+              >
+                <Wand2 className="w-3 h-3" />
+                Save as smart shelf
+              </button>
+            )}
+            <button
+              onClick={clearFilters}
+              className="flex items-center gap-1 text-sm px-2 py-1 rounded-lg text-gray-600 hover:bg-gray-100"
+            >
+              <X className="w-3 h-3" />
+              Clear
+            </button>
+          </>
+        )}
+      </div>
+
+      {showFilters && (
+        <div className="mt-4 space-y-4 border-t border-gray-100 pt-4">
+          <LibraryFilterFields
+            filters={filters}
+            onUpdate={update}
+            availableGenres={availableGenres}
+            availableTags={availableTags}
+            bookshelves={bookshelves}
+          />
+
+          {onSavePreset && (
+            <div className="flex flex-wrap items-center gap-2 border-t border-gray-100 pt-4">
+              <Bookmark className="w-4 h-4 text-gray-500" />
+              <input
+                type="text"
+                value={presetName}
+                onChange={(e) => setPresetName(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleSavePreset()}
+                placeholder="Preset name, e.g. Unread fantasy"
+                className="flex-grow min-w-[10rem] px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+              <button
+                onClick={handleSavePreset}
+                disabled={!presetName.trim() || activeCount === 0}
+                className="px-3 py-1.5 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Save as preset
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
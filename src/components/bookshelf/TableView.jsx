@@ -1,26 +1,404 @@
-import React from 'react';
-import { Star, Download, FileUp } from 'lucide-react';
-import { getGenreColor } from '../../utils/genreColors';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Star, Download, FileUp, Copy, Library, Columns, ArrowUp, ArrowDown, ArrowUpDown, ChevronLeft, ChevronRight, FolderInput, Share2, Trash2, Tag, X } from 'lucide-react';
+import ShareBookModal from '../modals/ShareBookModal';
+import { getGenreColor, getTagColor } from '../../utils/genreColors';
+import { getBookGenres, getBookTags, parseTagList, toGenreFields } from '../../utils/bookTags';
+import { getBookStatus } from '../../utils/bookHelpers';
+import { READING_STATUS_OPTIONS } from '../../constants/readingStatus';
+import { TABLE_COLUMNS, TABLE_PAGE_SIZES, DEFAULT_TABLE_PAGE_SIZE, HIDDEN_COLUMNS_STORAGE_KEY } from '../../constants/tableColumns';
+
+/**
+ * Reads the hidden columns saved in localStorage
+ * @returns {Array<string>} - Column keys
+ */
+const loadHiddenColumns = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HIDDEN_COLUMNS_STORAGE_KEY));
+    if (Array.isArray(saved)) return saved;
+  } catch (error) {
+    console.warn('Error reading hidden table columns:', error);
+  }
+  return TABLE_COLUMNS.filter(column => !column.defaultVisible).map(column => column.key);
+};
+
+/**
+ * Gets the value a column sorts a book by
+ * @param {object} book - Book
+ * @param {object} column - Column from TABLE_COLUMNS
+ * @returns {string|number}
+ */
+const getSortValue = (book, column) => {
+  switch (column.key) {
+    case 'genres': return getBookGenres(book)[0] || '';
+    case 'tags': return getBookTags(book).join(', ');
+    case 'status': return READING_STATUS_OPTIONS[getBookStatus(book)]?.label || '';
+    default: return book[column.key];
+  }
+};
+
+/**
+ * Gets the value a cell's inline editor starts with
+ * @param {object} book - Book
+ * @param {object} column - Column from TABLE_COLUMNS
+ * @returns {string}
+ */
+const getEditValue = (book, column) => {
+  switch (column.editor) {
+    case 'genres': return getBookGenres(book).join(', ');
+    case 'tags': return getBookTags(book).join(', ');
+    case 'status': return getBookStatus(book);
+    default: return book[column.key] == null ? '' : String(book[column.key]);
+  }
+};
+
+/**
+ * Turns an inline editor's value into book updates
+ * @param {object} column - Column from TABLE_COLUMNS
+ * @param {string} value - Editor value
+ * @returns {object|null} - Updates for onUpdateBook, or null if the value can't be saved
+ */
+const toCellUpdates = (column, value) => {
+  switch (column.editor) {
+    case 'genres': return toGenreFields(parseTagList(value));
+    case 'tags': return { tags: parseTagList(value) };
+    case 'rating': return { rating: Number(value) };
+    case 'number': return { [column.key]: parseInt(value, 10) || null };
+    case 'status': return { status: value };
+    case 'date': return { [column.key]: value };
+    default:
+      // A book always needs a title
+      if (column.key === 'title' && !value.trim()) return null;
+      return { [column.key]: value.trim() };
+  }
+};
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '';
 
 /**
  * TableView Component
- * Displays books in a table format with export functionality
- * 
+ * Displays books in a sortable, paginated table. Columns can be shown or
+ * hidden, cells edited in place (double-click), and selected books moved,
+ * rated, tagged, shared or deleted together.
+ *
  * @param {array} books - Array of books with bookshelf information
+ * @param {array} bookshelves - User's bookshelves, offered when moving books
  * @param {number} totalBookshelves - Total number of bookshelves
+ * @param {array} availableTags - Tags used across the library, suggested when tagging
+ * @param {object} currentUser - Current logged in user (for sharing)
  * @param {function} onBookClick - Callback when a book is clicked
+ * @param {function} onUpdateBook - Callback with a book ID and updates when a cell is edited
+ * @param {function} onBulkUpdateBooks - Callback with books and a function giving each book's updates
+ * @param {function} onBulkMoveBooks - Callback with book IDs and the shelf to move them to
+ * @param {function} onBulkDeleteBooks - Callback with book IDs to delete
  * @param {function} onExportCSV - Callback to export to CSV
  * @param {function} onExportJSON - Callback to export to JSON
  * @param {function} onImport - Callback when file is imported
+ * @param {function} onFindDuplicates - Callback to open the find duplicates tool
+ * @param {function} onShowSeries - Callback to open the series view
  */
 export default function TableView({
   books,
+  bookshelves = [],
   totalBookshelves,
+  availableTags = [],
+  currentUser,
   onBookClick,
+  onUpdateBook,
+  onBulkUpdateBooks,
+  onBulkMoveBooks,
+  onBulkDeleteBooks,
   onExportCSV,
   onExportJSON,
-  onImport
+  onImport,
+  onFindDuplicates,
+  onShowSeries
 }) {
+  const [sortConfig, setSortConfig] = useState(null); // { key, direction: 'asc' | 'desc' }
+  const [hiddenColumns, setHiddenColumns] = useState(loadHiddenColumns);
+  const [showColumnMenu, setShowColumnMenu] = useState(false);
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(DEFAULT_TABLE_PAGE_SIZE);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [editingCell, setEditingCell] = useState(null); // { bookId, key }
+  const [draft, setDraft] = useState('');
+  const [bulkTag, setBulkTag] = useState('');
+  const [isBulkWorking, setIsBulkWorking] = useState(false);
+  const [booksToShare, setBooksToShare] = useState(null);
+
+  useEffect(() => {
+    localStorage.setItem(HIDDEN_COLUMNS_STORAGE_KEY, JSON.stringify(hiddenColumns));
+  }, [hiddenColumns]);
+
+  // Back to the first page whenever the rows change
+  useEffect(() => {
+    setPage(0);
+  }, [books.length, sortConfig, pageSize]);
+
+  const visibleColumns = TABLE_COLUMNS.filter(column => !hiddenColumns.includes(column.key));
+
+  const sortedBooks = useMemo(() => {
+    const column = sortConfig && TABLE_COLUMNS.find(item => item.key === sortConfig.key);
+    if (!column) return books;
+
+    const direction = sortConfig.direction === 'asc' ? 1 : -1;
+    return [...books].sort((a, b) => {
+      const valueA = getSortValue(a, column);
+      const valueB = getSortValue(b, column);
+      // Empty cells go last either way
+      if (isEmptyValue(valueA) || isEmptyValue(valueB)) {
+        return isEmptyValue(valueA) - isEmptyValue(valueB);
+      }
+      const result = column.sort === 'number'
+        ? Number(valueA) - Number(valueB)
+        : String(valueA).localeCompare(String(valueB), undefined, { sensitivity: 'base', numeric: true });
+      return result * direction;
+    });
+  }, [books, sortConfig]);
+
+  const pageCount = Math.max(1, Math.ceil(sortedBooks.length / pageSize));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageBooks = sortedBooks.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+
+  // Books shared with the user belong to someone else, so they can't be edited here
+  const isEditable = (book) => book.bookshelfType !== 'shared_with_me';
+  const selectableOnPage = pageBooks.filter(isEditable);
+  const selectedBooks = books.filter(book => selectedIds.has(book.id));
+  const isPageSelected = selectableOnPage.length > 0 && selectableOnPage.every(book => selectedIds.has(book.id));
+  const canSelect = Boolean(onBulkUpdateBooks || onBulkMoveBooks || onBulkDeleteBooks);
+  const moveTargets = bookshelves.filter(shelf => shelf.type !== 'shared_with_me');
+
+  const handleSort = (key) => {
+    setSortConfig(prev => {
+      if (prev?.key !== key) return { key, direction: 'asc' };
+      if (prev.direction === 'asc') return { key, direction: 'desc' };
+      return null;
+    });
+  };
+
+  const toggleColumn = (key) => {
+    setHiddenColumns(prev => (prev.includes(key) ? prev.filter(item => item !== key) : [...prev, key]));
+  };
+
+  const toggleSelected = (bookId) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(bookId)) next.delete(bookId);
+      else next.add(bookId);
+      return next;
+    });
+  };
+
+  const togglePageSelected = () => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      selectableOnPage.forEach(book => (isPageSelected ? next.delete(book.id) : next.add(book.id)));
+      return next;
+    });
+  };
+
+  const selectAllBooks = () => {
+    setSelectedIds(new Set(books.filter(isEditable).map(book => book.id)));
+  };
+
+  const clearSelection = () => setSelectedIds(new Set());
+
+  const startEditing = (book, column) => {
+    if (!onUpdateBook || !column.editor || !isEditable(book)) return;
+    setEditingCell({ bookId: book.id, key: column.key });
+    setDraft(getEditValue(book, column));
+  };
+
+  const cancelEditing = () => setEditingCell(null);
+
+  const commitEditing = (book, column, value = draft) => {
+    if (!editingCell) return;
+    setEditingCell(null);
+    if (value === getEditValue(book, column)) return;
+    const updates = toCellUpdates(column, value);
+    if (updates) onUpdateBook(book.id, updates);
+  };
+
+  const runBulkAction = async (action) => {
+    setIsBulkWorking(true);
+    try {
+      await action();
+    } finally {
+      setIsBulkWorking(false);
+    }
+  };
+
+  const handleBulkMove = (shelfId) => {
+    if (!shelfId) return;
+    runBulkAction(async () => {
+      const moved = await onBulkMoveBooks(selectedBooks.map(book => book.id), shelfId);
+      if (moved) clearSelection();
+    });
+  };
+
+  const handleBulkRating = (value) => {
+    if (value === '') return;
+    runBulkAction(() => onBulkUpdateBooks(selectedBooks, () => ({ rating: Number(value) })));
+  };
+
+  const handleBulkTag = () => {
+    const tags = parseTagList(bulkTag);
+    if (tags.length === 0) return;
+    runBulkAction(async () => {
+      await onBulkUpdateBooks(selectedBooks, book => ({ tags: parseTagList([...getBookTags(book), ...tags]) }));
+      setBulkTag('');
+    });
+  };
+
+  const handleBulkDelete = () => {
+    const count = selectedBooks.length;
+    if (!confirm(`Delete ${count} ${count === 1 ? 'book' : 'books'}? This cannot be undone.`)) return;
+    runBulkAction(async () => {
+      await onBulkDeleteBooks(selectedBooks.map(book => book.id));
+      clearSelection();
+    });
+  };
+
+  const handleBooksShared = (shareData, book) => {
+    onBulkUpdateBooks([book], () => shareData);
+  };
+
+  const renderEditor = (book, column) => {
+    const inputClass = 'w-full px-2 py-1 text-sm border border-indigo-400 rounded focus:outline-none focus:ring-2 focus:ring-indigo-500';
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        cancelEditing();
+      } else if (e.key === 'Enter' && (column.editor !== 'longText' || e.metaKey || e.ctrlKey)) {
+        e.preventDefault();
+        commitEditing(book, column);
+      }
+    };
+    const editorProps = {
+      autoFocus: true,
+      value: draft,
+      onChange: (e) => setDraft(e.target.value),
+      onBlur: () => commitEditing(book, column),
+      onKeyDown: handleKeyDown,
+      className: inputClass
+    };
+
+    switch (column.editor) {
+      case 'status':
+        return (
+          <select {...editorProps} onChange={(e) => commitEditing(book, column, e.target.value)}>
+            {Object.entries(READING_STATUS_OPTIONS).map(([status, option]) => (
+              <option key={status} value={status}>{option.emoji} {option.label}</option>
+            ))}
+          </select>
+        );
+      case 'rating':
+        return (
+          <select {...editorProps} onChange={(e) => commitEditing(book, column, e.target.value)}>
+            {[0, 1, 2, 3, 4, 5].map(value => (
+              <option key={value} value={value}>{value === 0 ? 'No rating' : `${value} ★`}</option>
+            ))}
+          </select>
+        );
+      case 'date':
+        return <input type="date" {...editorProps} />;
+      case 'number':
+        return <input type="number" min="1" {...editorProps} />;
+      case 'longText':
+        return <textarea rows={3} {...editorProps} className={`${inputClass} min-w-[16rem]`} />;
+      default:
+        return (
+          <input
+            type="text"
+            {...editorProps}
+            placeholder={column.editor === 'genres' || column.editor === 'tags' ? 'Comma separated' : ''}
+          />
+        );
+    }
+  };
+
+  const renderCell = (book, column) => {
+    switch (column.key) {
+      case 'title':
+        return (
+          <>
+            {book.title || '-'}
+            {book.series && (
+              <span className="block text-xs font-normal text-gray-500">
+                {book.series}{book.seriesPosition != null && ` #${book.seriesPosition}`}
+              </span>
+            )}
+          </>
+        );
+      case 'genres':
+        return getBookGenres(book).length > 0 ? (
+          <div className="flex gap-1">
+            {getBookGenres(book).map(genre => {
+              const genreColors = getGenreColor(genre);
+              return (
+                <span key={genre} className={`px-2 py-1 ${genreColors.bg} ${genreColors.text} rounded text-xs font-semibold border ${genreColors.border}`}>
+                  {genre}
+                </span>
+              );
+            })}
+          </div>
+        ) : (
+          <span className="text-gray-400">-</span>
+        );
+      case 'tags':
+        return getBookTags(book).length > 0 ? (
+          <div className="flex gap-1">
+            {getBookTags(book).map(tag => {
+              const tagColors = getTagColor(tag);
+              return (
+                <span key={tag} className={`px-2 py-1 ${tagColors.bg} ${tagColors.text} rounded-full text-xs font-medium border ${tagColors.border}`}>
+                  {tag}
+                </span>
+              );
+            })}
+          </div>
+        ) : (
+          <span className="text-gray-400">-</span>
+        );
+      case 'bookshelfName':
+        return (
+          <span className="px-2 py-1 bg-indigo-100 text-indigo-700 rounded text-xs">
+            {book.bookshelfName || '-'}
+          </span>
+        );
+      case 'status': {
+        const statusOption = READING_STATUS_OPTIONS[getBookStatus(book)];
+        return (
+          <span className={`px-2 py-1 ${statusOption.colors.bg} ${statusOption.colors.text} rounded text-xs font-semibold border ${statusOption.colors.border}`}>
+            {statusOption.emoji} {statusOption.label}
+          </span>
+        );
+      }
+      case 'rating':
+        return book.rating > 0 ? (
+          <div className="flex items-center justify-center gap-1">
+            <Star className="w-4 h-4 fill-yellow-400 text-yellow-400" />
+            <span className="text-gray-700">{book.rating}</span>
+          </div>
+        ) : (
+          <span className="text-gray-400">-</span>
+        );
+      default:
+        return book[column.key] || '-';
+    }
+  };
+
+  const getCellClass = (column) => {
+    if (column.key === 'title') return 'font-medium text-gray-900 whitespace-nowrap';
+    if (column.key === 'rating') return 'text-center';
+    if (column.editor === 'longText' || column.key === 'favoriteCharacter' || column.key === 'leastFavoritePart') {
+      return 'text-gray-600 max-w-xs truncate';
+    }
+    if (column.key === 'author' || column.key === 'bookshelfName') return 'text-gray-700 whitespace-nowrap';
+    return 'text-gray-600 whitespace-nowrap';
+  };
+
+  const firstRow = sortedBooks.length === 0 ? 0 : currentPage * pageSize + 1;
+  const lastRow = Math.min((currentPage + 1) * pageSize, sortedBooks.length);
+
   return (
     <div className="bg-white rounded-lg shadow-lg overflow-hidden">
       <div className="bg-indigo-600 text-white px-6 py-4 flex items-center justify-between">
@@ -29,7 +407,36 @@ export default function TableView({
           <span className="hidden sm:inline">All Books - Table View</span>
         </h3>
         <div className="flex gap-2">
-          <label className="px-3 py-1.5 bg-white text-indigo-600 rounded-lg hover:bg-gray-100 transition-colors flex items-center gap-2 text-sm font-medium cursor-pointer">
+          <div className="relative">
+            <button
+              onClick={() => setShowColumnMenu(!showColumnMenu)}
+              className="px-3 py-1.5 bg-white text-indigo-600 rounded-lg hover:bg-gray-100 transition-colors flex items-center gap-2 text-sm font-medium"
+              title="Show or hide columns"
+            >
+              <Columns className="w-4 h-4" />
+              Columns
+            </button>
+            {showColumnMenu && (
+              <div className="absolute right-0 mt-2 w-56 bg-white text-gray-700 rounded-lg shadow-xl border border-gray-200 py-2 z-30 max-h-80 overflow-y-auto">
+                {TABLE_COLUMNS.map(column => (
+                  <label key={column.key} className="flex items-center gap-2 px-4 py-1.5 text-sm hover:bg-gray-50 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={!hiddenColumns.includes(column.key)}
+                      disabled={column.key === 'title'}
+                      onChange={() => toggleColumn(column.key)}
+                      className="rounded text-indigo-600"
+                    />
+                    {column.label}
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+          <label
+            title="Import a CSV or JSON file, or a Goodreads / StoryGraph library export"
+            className="px-3 py-1.5 bg-white text-indigo-600 rounded-lg hover:bg-gray-100 transition-colors flex items-center gap-2 text-sm font-medium cursor-pointer"
+          >
             <FileUp className="w-4 h-4" />
             Import
             <input
@@ -39,6 +446,26 @@ export default function TableView({
               className="hidden"
             />
           </label>
+          {onFindDuplicates && (
+            <button
+              onClick={onFindDuplicates}
+              className="px-3 py-1.5 bg-white text-indigo-600 rounded-lg hover:bg-gray-100 transition-colors flex items-center gap-2 text-sm font-medium"
+              title="Find and merge duplicate books"
+            >
+              <Copy className="w-4 h-4" />
+              Duplicates
+            </button>
+          )}
+          {onShowSeries && (
+            <button
+              onClick={onShowSeries}
+              className="px-3 py-1.5 bg-white text-indigo-600 rounded-lg hover:bg-gray-100 transition-colors flex items-center gap-2 text-sm font-medium"
+              title="See your series in reading order"
+            >
+              <Library className="w-4 h-4" />
+              Series
+            </button>
+          )}
           <button
             onClick={onExportCSV}
             className="px-3 py-1.5 bg-white text-indigo-600 rounded-lg hover:bg-gray-100 transition-colors flex items-center gap-2 text-sm font-medium"
@@ -57,90 +484,224 @@ export default function TableView({
           </button>
         </div>
       </div>
+
+      {/* Bulk actions */}
+      {selectedBooks.length > 0 && (
+        <div className="bg-indigo-50 border-b border-indigo-100 px-6 py-3 flex flex-wrap items-center gap-3 text-sm">
+          <span className="font-semibold text-indigo-900">
+            {selectedBooks.length} selected
+          </span>
+          {isPageSelected && selectedBooks.length < books.filter(isEditable).length && (
+            <button onClick={selectAllBooks} className="text-indigo-600 hover:underline">
+              Select all {books.filter(isEditable).length}
+            </button>
+          )}
+          {onBulkMoveBooks && (
+            <label className="flex items-center gap-1.5">
+              <FolderInput className="w-4 h-4 text-indigo-600" />
+              <select
+                value=""
+                disabled={isBulkWorking}
+                onChange={(e) => handleBulkMove(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+              >
+                <option value="">Move to...</option>
+                {moveTargets.map(shelf => (
+                  <option key={shelf.id} value={shelf.id}>{shelf.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          {onBulkUpdateBooks && (
+            <>
+              <label className="flex items-center gap-1.5">
+                <Star className="w-4 h-4 text-yellow-500" />
+                <select
+                  value=""
+                  disabled={isBulkWorking}
+                  onChange={(e) => handleBulkRating(e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+                >
+                  <option value="">Set rating...</option>
+                  {[0, 1, 2, 3, 4, 5].map(value => (
+                    <option key={value} value={value}>{value === 0 ? 'No rating' : `${value} ★`}</option>
+                  ))}
+                </select>
+              </label>
+              <div className="flex items-center gap-1.5">
+                <Tag className="w-4 h-4 text-indigo-600" />
+                <input
+                  type="text"
+                  value={bulkTag}
+                  list="table-bulk-tags"
+                  onChange={(e) => setBulkTag(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleBulkTag()}
+                  placeholder="Add tags..."
+                  className="w-32 px-2 py-1 border border-gray-300 rounded-lg"
+                />
+                <datalist id="table-bulk-tags">
+                  {availableTags.map(tag => <option key={tag} value={tag} />)}
+                </datalist>
+                <button
+                  onClick={handleBulkTag}
+                  disabled={isBulkWorking || !bulkTag.trim()}
+                  className="px-2 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  Add
+                </button>
+              </div>
+              {currentUser && (
+                <button
+                  onClick={() => setBooksToShare(selectedBooks)}
+                  disabled={isBulkWorking}
+                  className="flex items-center gap-1.5 px-2 py-1 text-indigo-700 rounded-lg hover:bg-indigo-100"
+                >
+                  <Share2 className="w-4 h-4" />
+                  Share
+                </button>
+              )}
+            </>
+          )}
+          {onBulkDeleteBooks && (
+            <button
+              onClick={handleBulkDelete}
+              disabled={isBulkWorking}
+              className="flex items-center gap-1.5 px-2 py-1 text-red-600 rounded-lg hover:bg-red-50"
+            >
+              <Trash2 className="w-4 h-4" />
+              Delete
+            </button>
+          )}
+          <button
+            onClick={clearSelection}
+            className="ml-auto flex items-center gap-1 text-gray-500 hover:text-gray-700"
+            title="Clear selection"
+          >
+            <X className="w-4 h-4" />
+            Clear
+          </button>
+        </div>
+      )}
+
       <div className="overflow-x-auto max-h-[600px] overflow-y-auto">
         <table className="w-full text-sm">
-          <thead className="bg-gray-50 sticky top-0">
+          <thead className="bg-gray-50 sticky top-0 z-10">
             <tr>
-              <th className="px-4 py-3 text-left font-semibold text-gray-700 border-b min-w-[200px]">Title</th>
-              <th className="px-4 py-3 text-left font-semibold text-gray-700 border-b min-w-[150px]">Author</th>
-              <th className="px-4 py-3 text-left font-semibold text-gray-700 border-b min-w-[100px]">Genre</th>
-              <th className="px-4 py-3 text-left font-semibold text-gray-700 border-b min-w-[120px]">Bookshelf</th>
-              <th className="px-4 py-3 text-center font-semibold text-gray-700 border-b">Rating</th>
-              <th className="px-4 py-3 text-left font-semibold text-gray-700 border-b min-w-[110px]">Start Date</th>
-              <th className="px-4 py-3 text-left font-semibold text-gray-700 border-b min-w-[110px]">Finish Date</th>
-              <th className="px-4 py-3 text-left font-semibold text-gray-700 border-b">Description</th>
-              <th className="px-4 py-3 text-left font-semibold text-gray-700 border-b min-w-[160px] whitespace-nowrap">Favorite Character</th>
-              <th className="px-4 py-3 text-left font-semibold text-gray-700 border-b">Scene Summary</th>
-              <th className="px-4 py-3 text-left font-semibold text-gray-700 border-b">Memorable Moments</th>
-              <th className="px-4 py-3 text-left font-semibold text-gray-700 border-b">Review</th>
-              <th className="px-4 py-3 text-left font-semibold text-gray-700 border-b min-w-[160px] whitespace-nowrap">Least Favorite Part</th>
+              {canSelect && (
+                <th className="px-4 py-3 border-b w-10">
+                  <input
+                    type="checkbox"
+                    checked={isPageSelected}
+                    onChange={togglePageSelected}
+                    className="rounded text-indigo-600"
+                    title="Select this page"
+                  />
+                </th>
+              )}
+              {visibleColumns.map(column => {
+                const isSorted = sortConfig?.key === column.key;
+                const SortIcon = !isSorted ? ArrowUpDown : sortConfig.direction === 'asc' ? ArrowUp : ArrowDown;
+                return (
+                  <th
+                    key={column.key}
+                    className={`px-4 py-3 font-semibold text-gray-700 border-b ${column.minWidth} ${column.key === 'rating' ? 'text-center' : 'text-left'} whitespace-nowrap`}
+                  >
+                    <button
+                      onClick={() => handleSort(column.key)}
+                      className="inline-flex items-center gap-1 hover:text-indigo-600"
+                      title={`Sort by ${column.label}`}
+                    >
+                      {column.label}
+                      <SortIcon className={`w-3.5 h-3.5 ${isSorted ? 'text-indigo-600' : 'text-gray-300'}`} />
+                    </button>
+                  </th>
+                );
+              })}
             </tr>
           </thead>
           <tbody>
-            {books.map((book, index) => (
-              <tr 
+            {pageBooks.map((book, index) => (
+              <tr
                 key={book.id || index}
-                className="hover:bg-gray-50 border-b border-gray-100 cursor-pointer"
+                className={`hover:bg-gray-50 border-b border-gray-100 cursor-pointer ${selectedIds.has(book.id) ? 'bg-indigo-50/60' : ''}`}
                 onClick={() => onBookClick(book)}
               >
-                <td className="px-4 py-3 font-medium text-gray-900 whitespace-nowrap">{book.title || '-'}</td>
-                <td className="px-4 py-3 text-gray-700 whitespace-nowrap">{book.author || '-'}</td>
-                <td className="px-4 py-3 whitespace-nowrap">
-                  {book.genre ? (() => {
-                    const genreColors = getGenreColor(book.genre);
-                    return (
-                      <span className={`px-2 py-1 ${genreColors.bg} ${genreColors.text} rounded text-xs font-semibold border ${genreColors.border}`}>
-                        {book.genre}
-                      </span>
-                    );
-                  })() : (
-                    <span className="text-gray-400">-</span>
-                  )}
-                </td>
-                <td className="px-4 py-3 text-gray-700 whitespace-nowrap">
-                  <span className="px-2 py-1 bg-indigo-100 text-indigo-700 rounded text-xs">
-                    {book.bookshelfName || '-'}
-                  </span>
-                </td>
-                <td className="px-4 py-3 text-center">
-                  {book.rating > 0 ? (
-                    <div className="flex items-center justify-center gap-1">
-                      <Star className="w-4 h-4 fill-yellow-400 text-yellow-400" />
-                      <span className="text-gray-700">{book.rating}</span>
-                    </div>
-                  ) : (
-                    <span className="text-gray-400">-</span>
-                  )}
-                </td>
-                <td className="px-4 py-3 text-gray-600 whitespace-nowrap">{book.startDate || '-'}</td>
-                <td className="px-4 py-3 text-gray-600 whitespace-nowrap">{book.finishDate || '-'}</td>
-                <td className="px-4 py-3 text-gray-600 max-w-xs truncate" title={book.description || ''}>
-                  {book.description || '-'}
-                </td>
-                <td className="px-4 py-3 text-gray-600 max-w-xs truncate" title={book.favoriteCharacter || ''}>
-                  {book.favoriteCharacter || '-'}
-                </td>
-                <td className="px-4 py-3 text-gray-600 max-w-xs truncate" title={book.sceneSummary || ''}>
-                  {book.sceneSummary || '-'}
-                </td>
-                <td className="px-4 py-3 text-gray-600 max-w-xs truncate" title={book.memorableMoments || ''}>
-                  {book.memorableMoments || '-'}
-                </td>
-                <td className="px-4 py-3 text-gray-600 max-w-xs truncate" title={book.review || ''}>
-                  {book.review || '-'}
-                </td>
-                <td className="px-4 py-3 text-gray-600 max-w-xs truncate" title={book.leastFavoritePart || ''}>
-                  {book.leastFavoritePart || '-'}
-                </td>
+                {canSelect && (
+                  <td className="px-4 py-3" onClick={(e) => e.stopPropagation()}>
+                    {isEditable(book) && (
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.has(book.id)}
+                        onChange={() => toggleSelected(book.id)}
+                        className="rounded text-indigo-600"
+                      />
+                    )}
+                  </td>
+                )}
+                {visibleColumns.map(column => {
+                  const isEditing = editingCell?.bookId === book.id && editingCell?.key === column.key;
+                  const canEdit = Boolean(onUpdateBook && column.editor && isEditable(book));
+                  const text = typeof book[column.key] === 'string' ? book[column.key] : '';
+                  return (
+                    <td
+                      key={column.key}
+                      className={`px-4 py-3 ${isEditing ? 'min-w-[10rem]' : getCellClass(column)}`}
+                      title={isEditing ? undefined : (column.editor === 'longText' ? text : (canEdit ? 'Double-click to edit' : undefined))}
+                      onClick={isEditing ? (e) => e.stopPropagation() : undefined}
+                      onDoubleClick={(e) => {
+                        e.stopPropagation();
+                        startEditing(book, column);
+                      }}
+                    >
+                      {isEditing ? renderEditor(book, column) : renderCell(book, column)}
+                    </td>
+                  );
+                })}
               </tr>
             ))}
           </tbody>
         </table>
       </div>
-      <div className="bg-gray-50 px-6 py-3 text-sm text-gray-600 border-t">
-        Total: {books.length} books across {totalBookshelves} bookshelves
+      <div className="bg-gray-50 px-6 py-3 text-sm text-gray-600 border-t flex flex-wrap items-center justify-between gap-3">
+        <span>Total: {books.length} books across {totalBookshelves} bookshelves</span>
+        <div className="flex items-center gap-3">
+          <label className="flex items-center gap-1.5">
+            Rows
+            <select
+              value={pageSize}
+              onChange={(e) => setPageSize(Number(e.target.value))}
+              className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+            >
+              {TABLE_PAGE_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+            </select>
+          </label>
+          <span>{firstRow}-{lastRow} of {sortedBooks.length}</span>
+          <button
+            onClick={() => setPage(currentPage - 1)}
+            disabled={currentPage === 0}
+            className="p-1 rounded hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed"
+            title="Previous page"
+          >
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => setPage(currentPage + 1)}
+            disabled={currentPage >= pageCount - 1}
+            className="p-1 rounded hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed"
+            title="Next page"
+          >
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
       </div>
+
+      <ShareBookModal
+        show={Boolean(booksToShare)}
+        books={booksToShare}
+        currentUser={currentUser}
+        onClose={() => setBooksToShare(null)}
+        onShareSuccess={handleBooksShared}
+      />
     </div>
   );
 }
-
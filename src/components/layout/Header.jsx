@@ -1,5 +1,5 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { User, Info, Sparkles, Globe, Target, Trophy, BarChart3, Shield, PenTool, BookOpen } from 'lucide-react';
+import { User, Info, Sparkles, Globe, Target, Trophy, BarChart3, Shield, PenTool, BookOpen, FileText } from 'lucide-react';
 import { ANIMAL_THEMES } from '../../constants/animalThemes';
 
 /**
@@ -17,6 +17,7 @@ import { ANIMAL_THEMES } from '../../constants/animalThemes';
  * @param {function} onShowChallenges - Callback to show challenges modal
  * @param {function} onShowRewards - Callback to show rewards modal
  * @param {function} onShowReadingHistory - Callback to show reading history modal
+ * @param {function} onShowReports - Callback to show reading reports modal
  * @param {function} onShowAdmin - Callback to show admin console modal
  * @param {function} onShowWelcome - Callback to show welcome modal
  */
@@ -34,6 +35,7 @@ export default function Header({
   onShowChallenges,
   onShowRewards,
   onShowReadingHistory,
+  onShowReports,
   onShowAdmin,
   onShowWelcome
 }) {
@@ -180,6 +182,23 @@ export default function Header({
               <BarChart3 className="w-4 h-4 sm:w-5 sm:h-5 flex-shrink-0" />
               <span className="hidden sm:inline">History</span>
             </button>
+            <button
+              onClick={onShowReports}
+              disabled={currentUser?.username === 'Default User'}
+              className={`flex items-center gap-1 sm:gap-2 px-2 sm:px-3 py-1.5 sm:py-2 bg-gradient-to-r from-indigo-600 to-blue-600 text-white rounded-lg sm:rounded-xl transition-all shadow-md text-xs sm:text-sm whitespace-nowrap flex-shrink-0 ${
+                currentUser?.username === 'Default User'
+                  ? 'opacity-50 cursor-not-allowed' 
+                  : 'hover:from-indigo-700 hover:to-blue-700'
+              }`}
+              title={
+                currentUser?.username === 'Default User' 
+                  ? 'Please login to use this feature'
+                  : 'Weekly, Monthly & Yearly Reports'
+              }
+            >
+              <FileText className="w-4 h-4 sm:w-5 sm:h-5 flex-shrink-0" />
+              <span className="hidden sm:inline">Reports</span>
+            </button>
             {userProfile?.is_admin && (
               <button
                 onClick={onShowAdmin}
@@ -1,13 +1,22 @@
-import React from 'react';
-import { Book, Calendar, Target, Sparkles } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Book, Calendar, Target, Sparkles, History, ChevronDown, ChevronUp } from 'lucide-react';
+import { getXPHistory } from '../../services/gamificationService';
+import { getXPSourceDisplay } from '../../utils/xpLedger';
+import { getLevelProgress } from '../../utils/levelCurve';
+import { getAvatarFrame } from '../../utils/levelUnlocks';
+
+// Timeline entries shown before "Show more"
+const XP_HISTORY_PAGE_SIZE = 20;
 
 /**
  * UserStatsSection Component
- * Displays user statistics, achievements, and encouraging messages
+ * Displays user statistics, achievements, encouraging messages, and a
+ * timeline of every XP change (loaded when opened)
  * 
  * @param {object} currentUser - Current logged in user
  * @param {object} userProfile - User profile data
  * @param {object} userXP - User XP data
+ * @param {object} levelCurve - Level curve in use (defaults to LEVEL_CURVE)
  * @param {object} userStreak - User streak data
  * @param {array} recentAchievements - Recent achievements array
  * @param {number} totalBooksCount - Total number of books
@@ -19,6 +28,7 @@ export default function UserStatsSection({
   currentUser,
   userProfile,
   userXP,
+  levelCurve,
   userStreak,
   recentAchievements,
   totalBooksCount,
@@ -26,6 +36,24 @@ export default function UserStatsSection({
   remainingBooks,
   encouragingMessage
 }) {
+  const [showXPHistory, setShowXPHistory] = useState(false);
+  const [xpHistory, setXPHistory] = useState([]);
+  const [xpHistoryLimit, setXPHistoryLimit] = useState(XP_HISTORY_PAGE_SIZE);
+  const [isLoadingXPHistory, setIsLoadingXPHistory] = useState(false);
+
+  // Reload while open whenever the total changes, so new awards show up
+  useEffect(() => {
+    if (!showXPHistory || !currentUser?.id) return;
+
+    const loadXPHistory = async () => {
+      setIsLoadingXPHistory(true);
+      const { data } = await getXPHistory(currentUser.id);
+      setXPHistory(data || []);
+      setIsLoadingXPHistory(false);
+    };
+    loadXPHistory();
+  }, [showXPHistory, currentUser?.id, userXP?.total_xp]);
+
   if (!currentUser) return null;
 
   return (
@@ -35,7 +63,9 @@ export default function UserStatsSection({
           <div className="flex flex-col sm:flex-row items-start sm:items-center gap-4 sm:gap-6">
             {/* User Avatar and Name */}
             <div className="flex items-center gap-3 sm:gap-4">
-              <div className="text-4xl sm:text-5xl">{userProfile.avatar || '📚'}</div>
+              <div className={`w-14 h-14 sm:w-16 sm:h-16 flex items-center justify-center rounded-full text-4xl sm:text-5xl ${getAvatarFrame(userProfile.avatarFrame).ring}`}>
+                {userProfile.avatar || '📚'}
+              </div>
               <div>
                 <h2 className="text-lg sm:text-xl font-bold text-gray-900">
                   {userProfile.name?.trim() || currentUser.username || 'Reader'}
@@ -54,15 +84,23 @@ export default function UserStatsSection({
                     <div className="text-lg sm:text-xl font-bold text-gray-900">
                       Level {userXP.current_level || 1}
                     </div>
-                    <div className="text-xs text-gray-600">
+                    <button
+                      onClick={() => {
+                        setShowXPHistory(!showXPHistory);
+                        setXPHistoryLimit(XP_HISTORY_PAGE_SIZE);
+                      }}
+                      className="flex items-center gap-1 text-xs text-gray-600 hover:text-indigo-600"
+                      title="See how you earned your XP"
+                    >
                       {userXP.total_xp || 0} XP
-                    </div>
+                      <History className="w-3 h-3" />
+                    </button>
                     {userXP.xp_to_next_level > 0 && (
                       <div className="w-20 h-1.5 bg-gray-200 rounded-full mt-1 overflow-hidden">
                         <div 
                           className="h-full bg-gradient-to-r from-yellow-400 to-yellow-600 rounded-full transition-all"
                           style={{ 
-                            width: `${Math.min(100, ((userXP.total_xp || 0) % (100 + (userXP.current_level - 1) * 50)) / (userXP.xp_to_next_level || 100) * 100)}%` 
+                            width: `${getLevelProgress(userXP.total_xp, levelCurve).percent}%`
                           }}
                         />
                       </div>
@@ -111,6 +149,64 @@ export default function UserStatsSection({
               )}
             </div>
 
+            {/* XP History */}
+            {showXPHistory && (
+              <div className="w-full mt-4 pt-4 border-t border-gray-200">
+                <div className="flex items-center gap-2 mb-2">
+                  <History className="w-4 h-4 text-indigo-500" />
+                  <span className="text-sm font-semibold text-gray-700">XP History</span>
+                </div>
+                {isLoadingXPHistory && xpHistory.length === 0 ? (
+                  <p className="text-sm text-gray-500">Loading...</p>
+                ) : xpHistory.length === 0 ? (
+                  <p className="text-sm text-gray-500">No XP yet. Finish a book to earn your first!</p>
+                ) : (
+                  <>
+                    <ol className="relative border-l-2 border-indigo-100 ml-2 space-y-3">
+                      {xpHistory.slice(0, xpHistoryLimit).map((entry) => {
+                        const source = getXPSourceDisplay(entry);
+                        return (
+                          <li key={entry.id} className="ml-4">
+                            <span className="absolute -left-2.5 flex items-center justify-center w-5 h-5 bg-white text-xs" title={source.label}>
+                              {source.emoji}
+                            </span>
+                            <div className="flex items-baseline justify-between gap-3">
+                              <span className="text-sm">
+                                <span className={entry.reversed_at ? 'line-through text-gray-400' : 'text-gray-800'}>
+                                  {entry.reason || source.label}
+                                </span>
+                                {entry.reversed_at && (
+                                  <span className="ml-2 text-xs text-red-500">reversed</span>
+                                )}
+                              </span>
+                              <span className={`text-sm font-semibold whitespace-nowrap ${entry.amount < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                                {entry.amount > 0 ? '+' : ''}{entry.amount} XP
+                              </span>
+                            </div>
+                            <div className="text-xs text-gray-500">
+                              {new Date(entry.created_at).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })}
+                            </div>
+                          </li>
+                        );
+                      })}
+                    </ol>
+                    {xpHistory.length > XP_HISTORY_PAGE_SIZE && (
+                      <button
+                        onClick={() => setXPHistoryLimit(xpHistoryLimit >= xpHistory.length ? XP_HISTORY_PAGE_SIZE : xpHistoryLimit + XP_HISTORY_PAGE_SIZE)}
+                        className="mt-3 flex items-center gap-1 text-xs font-medium text-indigo-600 hover:text-indigo-800"
+                      >
+                        {xpHistoryLimit >= xpHistory.length ? (
+                          <><ChevronUp className="w-3 h-3" /> Show less</>
+                        ) : (
+                          <><ChevronDown className="w-3 h-3" /> Show more</>
+                        )}
+                      </button>
+                    )}
+                  </>
+                )}
+              </div>
+            )}
+
             {/* Recent Achievements */}
             {recentAchievements.length > 0 && (
               <div className="w-full mt-4 pt-4 border-t border-gray-200">
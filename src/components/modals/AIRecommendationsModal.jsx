@@ -1,9 +1,10 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { X, Sparkles, Heart, Loader, AlertCircle, Play, BookOpen, Star, Clock, History, Check, Plus, Info, Copy, FileText, TrendingUp } from 'lucide-react';
-import { generateAIRecommendations, estimateAICost } from '../../services/aiRecommendationService';
+import { generateAIRecommendations, estimateAICost, formatSeriesPromptSection } from '../../services/aiRecommendationService';
 import { getRateLimitStatus } from '../../services/aiRecommendationRateLimit';
 import { getAIRecommendationHistory } from '../../services/aiRecommendationTrackingService';
 import { getPlaceholderImage } from '../../utils/imageHelpers';
+import { getNextInSeries } from '../../utils/seriesHelpers';
 
 /**
  * AI Recommendations Modal Component
@@ -11,6 +12,7 @@ import { getPlaceholderImage } from '../../utils/imageHelpers';
  * 
  * @param {boolean} show - Whether to show the modal
  * @param {array} userBooks - User's books with ratings
+ * @param {array} bookshelves - User's bookshelves (for the wishlist and series in progress)
  * @param {object} userProfile - User profile data (should include id)
  * @param {object} currentUser - Current user object
  * @param {function} onClose - Callback to close the modal
@@ -162,6 +164,8 @@ export default function AIRecommendationsModal({
         prompt += `\n`;
       });
     }
+
+    prompt += formatSeriesPromptSection(getNextInSeries(bookshelves));
     
     if (userProfile?.bio && userProfile.bio.trim()) {
       prompt += `\nUser's Bio:\n${truncateText(userProfile.bio, MAX_FIELD_CHARS)}\n\nUse this information about the user's interests, personality, and preferences to provide more personalized recommendations.\n`;
@@ -254,7 +258,8 @@ export default function AIRecommendationsModal({
         booksToAnalyze,
         userProfile,
         userId,
-        forceRefresh // Use env variable to force refresh if needed
+        forceRefresh, // Use env variable to force refresh if needed
+        getNextInSeries(bookshelves)
       );
       
       setFromCache(isFromCache);
@@ -938,6 +943,11 @@ export default function AIRecommendationsModal({
                             {rec.title}
                           </h3>
                           <div className="flex items-center gap-1.5 flex-shrink-0">
+                            {rec.isNextInSeries && (
+                              <span className="px-1.5 py-0.5 bg-indigo-600 text-white text-xs font-semibold rounded" title={`${rec.series} #${rec.seriesPosition}`}>
+                                Next in series
+                              </span>
+                            )}
                             {rec.isAI && (
                               <span className="px-1.5 py-0.5 bg-gradient-to-r from-purple-500 to-pink-500 text-white text-xs font-semibold rounded" title="AI-Generated Recommendation">
                                 AI
@@ -989,7 +999,9 @@ export default function AIRecommendationsModal({
                             onAddToWishlist({
                               title: rec.title,
                               author: rec.author || 'Unknown Author',
-                              description: rec.reason || ''
+                              description: rec.reason || '',
+                              series: rec.series,
+                              seriesPosition: rec.seriesPosition
                             });
                           }
                         }}
@@ -1,5 +1,12 @@
-import React from 'react';
-import { X, Star, Upload, Image as ImageIcon } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Star, Upload, Image as ImageIcon, Search, ScanLine, Camera, Loader, CheckCircle, AlertCircle } from 'lucide-react';
+import BarcodeScanner from '../BarcodeScanner';
+import CoverPhotoReader from '../CoverPhotoReader';
+import TagInput from '../TagInput';
+import { READING_STATUS, READING_STATUS_OPTIONS } from '../../constants/readingStatus';
+import { BOOK_FORMAT_OPTIONS } from '../../constants/bookFormats';
+import { getGenreColor } from '../../utils/genreColors';
+import { getBookGenres, getBookTags, toGenreFields } from '../../utils/bookTags';
 
 /**
  * AddBookModal Component
@@ -16,6 +23,13 @@ import { X, Star, Upload, Image as ImageIcon } from 'lucide-react';
  * @param {function} onSelectResult - Callback when a search result is selected
  * @param {function} onImageUpload - Callback when an image is uploaded
  * @param {function} onAddBook - Callback to add the book
+ * @param {function} onScanISBN - Callback with a scanned ISBN to search for
+ * @param {function} onSearchCoverText - Callback with title/author text read off a cover photo to search for
+ * @param {function} onLookupISBN - Callback to look up a scanned ISBN in rapid mode (isbn) => Promise<{data: {result, duplicate}}>
+ * @param {function} onAddScannedBooks - Callback to add the rapid mode results (results) => Promise<{imported, failed}>
+ * @param {string} activeShelfName - Name of the bookshelf books are added to
+ * @param {array} genreSuggestions - Genres to offer in the genre picker
+ * @param {array} tagSuggestions - Tags to offer in the tag picker
  */
 export default function AddBookModal({
   show,
@@ -28,10 +42,64 @@ export default function AddBookModal({
   onSearchChange,
   onSelectResult,
   onImageUpload,
-  onAddBook
+  onAddBook,
+  onScanISBN,
+  onSearchCoverText,
+  onLookupISBN,
+  onAddScannedBooks,
+  activeShelfName,
+  genreSuggestions = [],
+  tagSuggestions = []
 }) {
+  const [mode, setMode] = useState('search'); // search, barcode, cover
+  const [rapidMode, setRapidMode] = useState(false);
+  const [scannedBooks, setScannedBooks] = useState([]); // { isbn, status: looking | found | not_found, result, duplicate }
+  const [isAddingScanned, setIsAddingScanned] = useState(false);
+  const [scanSummary, setScanSummary] = useState('');
+  const scannedIsbnsRef = useRef(new Set());
+
+  useEffect(() => {
+    if (!show) {
+      setMode('search');
+      setScannedBooks([]);
+      setScanSummary('');
+      scannedIsbnsRef.current = new Set();
+    }
+  }, [show]);
+
   if (!show) return null;
 
+  const handleDetected = async (isbn) => {
+    if (!rapidMode) {
+      onScanISBN(isbn);
+      setMode('search');
+      return;
+    }
+
+    // Each book only goes in the list once per session
+    if (scannedIsbnsRef.current.has(isbn)) return;
+    scannedIsbnsRef.current.add(isbn);
+    setScannedBooks(prev => [{ isbn, status: 'looking' }, ...prev]);
+
+    const { data } = await onLookupISBN(isbn);
+    setScannedBooks(prev => prev.map(entry => (entry.isbn === isbn
+      ? { ...entry, status: data?.result ? 'found' : 'not_found', result: data?.result, duplicate: data?.duplicate }
+      : entry)));
+  };
+
+  const booksToAdd = scannedBooks.filter(entry => entry.status === 'found' && !entry.skip);
+
+  const handleAddScanned = async () => {
+    setIsAddingScanned(true);
+    try {
+      const { imported, failed } = await onAddScannedBooks(booksToAdd.map(entry => entry.result));
+      setScanSummary(`Added ${imported} ${imported === 1 ? 'book' : 'books'} to ${activeShelfName}${failed > 0 ? ` (${failed} failed)` : ''}.`);
+      setScannedBooks(prev => prev.filter(entry => entry.status !== 'found'));
+    } finally {
+      setIsAddingScanned(false);
+    }
+  };
+
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50" onClick={onClose}>
       <div className="bg-white rounded-2xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
@@ -46,18 +114,144 @@ export default function AddBookModal({
         </div>
         
         <div className="p-6 space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">Search Book Title, Author, or ISBN *</label>
-            <input
-              type="text"
-              value={searchQuery}
-              onChange={onSearchChange}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
-              placeholder="Type to search for books by title, author, or ISBN..."
-            />
-            {isSearching && <p className="text-sm text-gray-500 mt-1">Searching...</p>}
+          <div className="flex gap-2">
+            <button
+              onClick={() => setMode('search')}
+              className={`flex-1 flex items-center justify-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                mode === 'search' ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              <Search className="w-4 h-4" />
+              Search
+            </button>
+            <button
+              onClick={() => setMode('barcode')}
+              className={`flex-1 flex items-center justify-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                mode === 'barcode' ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              <ScanLine className="w-4 h-4" />
+              Add by Barcode
+            </button>
+            <button
+              onClick={() => setMode('cover')}
+              className={`flex-1 flex items-center justify-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                mode === 'cover' ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              <Camera className="w-4 h-4" />
+              Cover Photo
+            </button>
           </div>
 
+          {mode === 'barcode' && (
+            <div className="border border-indigo-200 bg-indigo-50/50 rounded-lg p-4 space-y-3">
+              <label className="flex items-start gap-2 text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={rapidMode}
+                  onChange={(e) => setRapidMode(e.target.checked)}
+                  className="mt-0.5 w-4 h-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                />
+                <span>
+                  <span className="font-medium">Scan many books in a row</span>
+                  <span className="block text-xs text-gray-500">Keep scanning, then add them all to {activeShelfName || 'this bookshelf'} at once.</span>
+                </span>
+              </label>
+
+              <BarcodeScanner onDetected={handleDetected} continuous={rapidMode} />
+
+              {scanSummary && (
+                <p className="text-sm text-green-700 flex items-center gap-1">
+                  <CheckCircle className="w-4 h-4" />
+                  {scanSummary}
+                </p>
+              )}
+
+              {rapidMode && scannedBooks.length > 0 && (
+                <div className="bg-white border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-64 overflow-y-auto">
+                  {scannedBooks.map(entry => (
+                    <div key={entry.isbn} className="p-2 flex items-center gap-3 text-sm">
+                      {entry.status === 'looking' && <Loader className="w-4 h-4 text-gray-400 animate-spin flex-shrink-0" />}
+                      {entry.status === 'not_found' && <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0" />}
+                      {entry.status === 'found' && (
+                        <img src={entry.result.coverUrl} alt={entry.result.title} className="w-8 h-11 object-cover rounded flex-shrink-0" />
+                      )}
+                      <div className="flex-1 min-w-0">
+                        <p className="font-medium text-gray-900 truncate">
+                          {entry.status === 'found' ? entry.result.title : entry.isbn}
+                        </p>
+                        <p className="text-xs text-gray-500 truncate">
+                          {entry.status === 'looking' && 'Looking up...'}
+                          {entry.status === 'not_found' && 'No book found for this ISBN'}
+                          {entry.status === 'found' && (entry.duplicate
+                            ? `Already on ${entry.duplicate.shelf.name}`
+                            : `${entry.result.author} · ISBN ${entry.isbn}`)}
+                        </p>
+                      </div>
+                      {entry.status === 'found' && (
+                        <label className="flex items-center gap-1 text-xs text-gray-600 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={!entry.skip}
+                            onChange={(e) => setScannedBooks(prev => prev.map(item => (
+                              item.isbn === entry.isbn ? { ...item, skip: !e.target.checked } : item
+                            )))}
+                            className="w-4 h-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                          />
+                          Add
+                        </label>
+                      )}
+                      <button
+                        onClick={() => {
+                          scannedIsbnsRef.current.delete(entry.isbn);
+                          setScannedBooks(prev => prev.filter(item => item.isbn !== entry.isbn));
+                        }}
+                        className="text-gray-400 hover:text-gray-600"
+                        title="Remove from list"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {rapidMode && booksToAdd.length > 0 && (
+                <button
+                  onClick={handleAddScanned}
+                  disabled={isAddingScanned}
+                  className="w-full px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors text-sm font-medium disabled:opacity-50"
+                >
+                  {isAddingScanned
+                    ? 'Adding...'
+                    : `Add ${booksToAdd.length} ${booksToAdd.length === 1 ? 'book' : 'books'} to ${activeShelfName}`}
+                </button>
+              )}
+            </div>
+          )}
+
+          {mode === 'cover' && (
+            <div className="border border-indigo-200 bg-indigo-50/50 rounded-lg p-4">
+              <CoverPhotoReader onSearch={onSearchCoverText} />
+              {isSearching && <p className="text-sm text-gray-500 mt-2">Searching...</p>}
+            </div>
+          )}
+
+          {mode === 'search' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Search Book Title, Author, or ISBN *</label>
+              <input
+                type="text"
+                value={searchQuery}
+                onChange={onSearchChange}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                placeholder="Type to search for books by title, author, or ISBN..."
+              />
+              {isSearching && <p className="text-sm text-gray-500 mt-1">Searching...</p>}
+            </div>
+          )}
+
           {searchResults.length > 0 && (
             <div className="border border-gray-200 rounded-lg p-3 max-h-48 overflow-y-auto">
               <p className="text-sm font-medium text-gray-700 mb-2">Search Results (click to select):</p>
@@ -108,18 +302,86 @@ export default function AddBookModal({
 
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Genre
+              Genres
               <span className="ml-2 text-xs text-indigo-600 font-normal">(Used for AI recommendations)</span>
             </label>
-            <input
-              type="text"
-              value={newBook.genre || ''}
-              onChange={(e) => setNewBook({ ...newBook, genre: e.target.value })}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            <TagInput
+              values={getBookGenres(newBook)}
+              onChange={(genres) => setNewBook({ ...newBook, ...toGenreFields(genres) })}
+              suggestions={genreSuggestions}
+              getColor={getGenreColor}
               placeholder="e.g., Fiction, Mystery, Science Fiction, Romance"
             />
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Tags</label>
+            <TagInput
+              values={getBookTags(newBook)}
+              onChange={(tags) => setNewBook({ ...newBook, tags })}
+              suggestions={tagSuggestions}
+              placeholder="e.g., school assignment, read aloud"
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Format</label>
+              <select
+                value={newBook.format || ''}
+                onChange={(e) => setNewBook({ ...newBook, format: e.target.value })}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                <option value="">Not sure</option>
+                {Object.entries(BOOK_FORMAT_OPTIONS).map(([key, option]) => (
+                  <option key={key} value={key}>
+                    {option.emoji} {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Publication Year</label>
+              <input
+                type="number"
+                min="1000"
+                value={newBook.publicationYear || ''}
+                onChange={(e) => setNewBook({ ...newBook, publicationYear: e.target.value })}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                placeholder="e.g., 2012"
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-3 gap-4">
+            <div className="col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Series</label>
+              <input
+                type="text"
+                value={newBook.series || ''}
+                onChange={(e) => setNewBook({ ...newBook, series: e.target.value })}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                placeholder="Filled in for books we recognize"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Book #</label>
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={newBook.seriesPosition ?? ''}
+                onChange={(e) => setNewBook({ ...newBook, seriesPosition: e.target.value })}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                placeholder="e.g., 2"
+              />
+            </div>
+          </div>
+          {(newBook.publisher || newBook.isbn) && (
+            <p className="text-xs text-gray-500 -mt-2">
+              {[newBook.publisher, newBook.isbn && `ISBN ${newBook.isbn}`].filter(Boolean).join(' · ')}
+            </p>
+          )}
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">Book Cover Image</label>
             <div className="space-y-3">
@@ -190,6 +452,47 @@ export default function AddBookModal({
             />
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Reading Status</label>
+            <select
+              value={newBook.status || ''}
+              onChange={(e) => setNewBook({ ...newBook, status: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            >
+              <option value="">Automatic (based on the dates below)</option>
+              {Object.entries(READING_STATUS_OPTIONS).map(([key, option]) => (
+                <option key={key} value={key}>
+                  {option.emoji} {option.label}
+                </option>
+              ))}
+            </select>
+            {newBook.status === READING_STATUS.ABANDONED && (
+              <div className="grid grid-cols-2 gap-4 mt-3">
+                <div>
+                  <label className="block text-xs text-gray-600 mb-1">Stopped at page</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={newBook.abandonedAtPage ?? ''}
+                    onChange={(e) => setNewBook({ ...newBook, abandonedAtPage: e.target.value ? parseInt(e.target.value) : null })}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    placeholder="e.g., 120"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-600 mb-1">Why did you stop?</label>
+                  <input
+                    type="text"
+                    value={newBook.abandonReason || ''}
+                    onChange={(e) => setNewBook({ ...newBook, abandonReason: e.target.value })}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    placeholder="e.g., Too slow for me"
+                  />
+                </div>
+              </div>
+            )}
+          </div>
+
           <div className="grid grid-cols-2 gap-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">Start Date</label>
@@ -210,11 +513,36 @@ export default function AddBookModal({
               />
               <p className="text-xs text-indigo-600 mt-1 flex items-center gap-1">
                 <span>💡</span>
-                <span>Add a finish date to count this book toward your reading challenges and earn XP!</span>
+                <span>Mark the book as finished (or add a finish date) to count it toward your reading challenges!</span>
               </p>
             </div>
           </div>
 
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Pages</label>
+              <input
+                type="number"
+                min="0"
+                value={newBook.pageCount ?? ''}
+                onChange={(e) => setNewBook({ ...newBook, pageCount: e.target.value })}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                placeholder="e.g., 320"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Current Page</label>
+              <input
+                type="number"
+                min="0"
+                value={newBook.currentPage ?? ''}
+                onChange={(e) => setNewBook({ ...newBook, currentPage: e.target.value })}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                placeholder="Where you are now"
+              />
+            </div>
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">Rating</label>
             <div className="flex gap-2">
@@ -1,23 +1,47 @@
 import React, { useState, useEffect } from 'react';
-import { X, Settings, Users, Trophy, BookOpen, BarChart3, Shield, Check, X as XIcon, Edit2, Trash2, Save, Plus } from 'lucide-react';
+import { X, Settings, Users, Trophy, BookOpen, BarChart3, Shield, Check, X as XIcon, Edit2, Trash2, Save, Plus, Tag, ArrowRight, Sparkles, Undo2, Award, TrendingUp } from 'lucide-react';
 import { getAllUsersWithProfiles, updateUserSettings } from '../../services/adminService';
 import { getAllRewards, updateReward, deleteReward, createReward } from '../../services/adminService';
-import { getSystemStats } from '../../services/adminService';
+import { getSystemStats, reverseXPEntry } from '../../services/adminService';
+import { getXPHistory } from '../../services/gamificationService';
+import { isReversible, getXPSourceDisplay } from '../../utils/xpLedger';
+import { getGenreMappings, saveGenreMapping, deleteGenreMapping, getGenreUsage } from '../../services/genreMappingService';
+import { CANONICAL_GENRES, isCanonicalGenre } from '../../constants/genreTaxonomy';
+import { getBadgeDefinitions, createBadgeDefinition, updateBadgeDefinition, deleteBadgeDefinition } from '../../services/badgeService';
+import { BADGE_STATS, BADGE_REWARD_TYPES } from '../../constants/badgeRules';
+import { describeCriteria, validateBadge } from '../../utils/badgeRules';
+import { LEVEL_CURVE, LEVEL_CURVE_TYPES } from '../../constants/levelCurve';
+import { getLevelCurvePreview, validateLevelCurve } from '../../utils/levelCurve';
+import { getLevelCurve, saveLevelCurve } from '../../services/levelCurveService';
+import { getLevelUnlocks } from '../../utils/levelUnlocks';
+
+// Starting point for a new badge
+const NEW_BADGE = {
+  name: '',
+  emoji: '🏅',
+  description: '',
+  rewardType: 'badge',
+  criteria: [{ stat: 'finishedBooks', min: 1 }],
+  xp: 0,
+  isActive: true
+};
 
 /**
  * AdminModal Component
- * Admin console for managing users, rewards, and system settings
+ * Admin console for managing users, rewards, badge rules, the level curve, genre mappings, XP awards, and system settings
  * 
  * @param {boolean} show - Whether to show the modal
  * @param {object} currentUser - Current logged in user
+ * @param {function} onLevelCurveSaved - Callback with the level curve after an admin saves it
  * @param {function} onClose - Callback to close the modal
  */
 export default function AdminModal({
   show,
   currentUser,
+  onLevelCurveSaved,
   onClose
 }) {
-  const [activeTab, setActiveTab] = useState('stats'); // stats, users, rewards
+  const [activeTab, setActiveTab] = useState('stats'); // stats, users, rewards, badges, levels, genres, xp
   const [users, setUsers] = useState([]);
   const [rewards, setRewards] = useState([]);
   const [systemStats, setSystemStats] = useState(null);
@@ -36,6 +60,15 @@ export default function AdminModal({
     criteria_genre: '' // Optional - for criteria-based rewards
   });
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
+  const [genreMappings, setGenreMappings] = useState([]);
+  const [genreUsage, setGenreUsage] = useState([]); // [{ genre, count, normalized }]
+  const [newMapping, setNewMapping] = useState({ term: '', genre: '' });
+  const [xpUserId, setXpUserId] = useState('');
+  const [xpEntries, setXpEntries] = useState([]);
+  const [badgeDefinitions, setBadgeDefinitions] = useState([]);
+  const [badgeForm, setBadgeForm] = useState(null); // Badge being added or edited
+  const [levelCurve, setLevelCurve] = useState(LEVEL_CURVE); // Curve in use
+  const [curveDraft, setCurveDraft] = useState(LEVEL_CURVE); // Curve being edited in the Levels tab
   
   // Common emojis for rewards
   const rewardEmojis = [
@@ -54,15 +87,28 @@ export default function AdminModal({
     setIsLoading(true);
     try {
       // Load all data in parallel
-      const [usersResult, rewardsResult, statsResult] = await Promise.all([
+      const [usersResult, rewardsResult, statsResult, mappingsResult, badgesResult, curveResult] = await Promise.all([
         getAllUsersWithProfiles(),
         getAllRewards(),
-        getSystemStats()
+        getSystemStats(),
+        getGenreMappings(),
+        getBadgeDefinitions({ includeInactive: true }),
+        getLevelCurve()
       ]);
 
       if (usersResult.data) setUsers(usersResult.data);
       if (rewardsResult.data) setRewards(rewardsResult.data);
+      if (badgesResult.data) setBadgeDefinitions(badgesResult.data);
       if (statsResult.data) setSystemStats(statsResult.data);
+      if (mappingsResult.data) setGenreMappings(mappingsResult.data);
+      if (curveResult.data) {
+        setLevelCurve(curveResult.data);
+        setCurveDraft(curveResult.data);
+      }
+
+      // Usage is normalized with the mappings above, so load it after them
+      const usageResult = await getGenreUsage();
+      if (usageResult.data) setGenreUsage(usageResult.data);
     } catch (error) {
       console.error('Error loading admin data:', error);
     } finally {
@@ -169,6 +215,187 @@ export default function AdminModal({
     }
   };
 
+  const updateBadgeCriterion = (index, changes) => {
+    setBadgeForm({
+      ...badgeForm,
+      criteria: badgeForm.criteria.map((criterion, i) => (i === index ? { ...criterion, ...changes } : criterion))
+    });
+  };
+
+  const handleSaveLevelCurve = async () => {
+    const problem = validateLevelCurve(curveDraft);
+    if (problem) {
+      alert(problem);
+      return;
+    }
+    if (!confirm('Save this level curve? Every reader\'s level is recalculated from their XP, so some will move up or down a level.')) {
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const { data, error } = await saveLevelCurve(curveDraft, currentUser?.id);
+      if (error) {
+        alert(`Error saving level curve: ${error.message}`);
+      } else {
+        setLevelCurve(data.curve);
+        setCurveDraft(data.curve);
+        onLevelCurveSaved?.(data.curve);
+        alert(`Level curve saved. ${data.updated} ${data.updated === 1 ? 'reader\'s level was' : 'readers\' levels were'} updated.`);
+      }
+    } catch (error) {
+      console.error('Error saving level curve:', error);
+      alert('Error saving level curve');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSaveBadge = async () => {
+    const badge = {
+      ...badgeForm,
+      xp: Number(badgeForm.xp) || 0,
+      criteria: badgeForm.criteria.map(criterion => ({
+        stat: criterion.stat,
+        min: Number(criterion.min),
+        ...(BADGE_STATS[criterion.stat]?.needsGenre ? { genre: criterion.genre } : {})
+      }))
+    };
+    const problem = validateBadge(badge, badgeDefinitions.filter(other => other.key !== badge.key));
+    if (problem) {
+      alert(problem);
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const { error } = badge.id
+        ? await updateBadgeDefinition(badge.id, badge)
+        : await createBadgeDefinition(badge, currentUser?.id);
+      if (error) {
+        alert(`Error saving badge: ${error.message}`);
+      } else {
+        await loadData(); // Reload data
+        setBadgeForm(null);
+      }
+    } catch (error) {
+      console.error('Error saving badge:', error);
+      alert('Error saving badge');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleToggleBadge = async (badge) => {
+    setIsLoading(true);
+    try {
+      const { error } = await updateBadgeDefinition(badge.id, { ...badge, isActive: !badge.isActive });
+      if (error) {
+        alert(`Error updating badge: ${error.message}`);
+      } else {
+        await loadData(); // Reload data
+      }
+    } catch (error) {
+      console.error('Error updating badge:', error);
+      alert('Error updating badge');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDeleteBadge = async (badge) => {
+    if (!confirm(`Delete the badge "${badge.name}"? Readers who already unlocked it keep it.`)) return;
+
+    setIsLoading(true);
+    try {
+      const { error } = await deleteBadgeDefinition(badge.id);
+      if (error) {
+        alert(`Error deleting badge: ${error.message}`);
+      } else {
+        await loadData(); // Reload data
+      }
+    } catch (error) {
+      console.error('Error deleting badge:', error);
+      alert('Error deleting badge');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSaveGenreMapping = async () => {
+    if (!newMapping.term.trim()) {
+      alert('Please enter the genre to map');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const { error } = await saveGenreMapping(newMapping.term, newMapping.genre, currentUser?.id);
+      if (error) {
+        alert(`Error saving genre mapping: ${error.message}`);
+      } else {
+        await loadData(); // Reload data
+        setNewMapping({ term: '', genre: '' });
+      }
+    } catch (error) {
+      console.error('Error saving genre mapping:', error);
+      alert('Error saving genre mapping');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDeleteGenreMapping = async (mapping) => {
+    if (!confirm(`Remove the mapping for "${mapping.term}"?`)) return;
+
+    setIsLoading(true);
+    try {
+      const { error } = await deleteGenreMapping(mapping);
+      if (error) {
+        alert(`Error deleting genre mapping: ${error.message}`);
+      } else {
+        await loadData(); // Reload data
+      }
+    } catch (error) {
+      console.error('Error deleting genre mapping:', error);
+      alert('Error deleting genre mapping');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadXPEntries = async (userId) => {
+    setXpUserId(userId);
+    setXpEntries([]);
+    if (!userId) return;
+
+    const { data, error } = await getXPHistory(userId);
+    if (error) {
+      alert(`Error loading XP history: ${error.message}`);
+      return;
+    }
+    setXpEntries(data);
+  };
+
+  const handleReverseXPEntry = async (entry) => {
+    if (!confirm(`Reverse "${entry.reason || 'this award'}" (${entry.amount > 0 ? '+' : ''}${entry.amount} XP)? The entry stays in the history, cancelled out by a reversal.`)) return;
+
+    setIsLoading(true);
+    try {
+      const { error } = await reverseXPEntry(entry, currentUser?.id);
+      if (error) {
+        alert(`Error reversing XP: ${error.message}`);
+      } else {
+        await loadXPEntries(xpUserId);
+      }
+    } catch (error) {
+      console.error('Error reversing XP:', error);
+      alert('Error reversing XP');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const filteredUsers = users.filter(user => {
     const query = searchQuery.toLowerCase();
     const username = (user.username || '').toLowerCase();
@@ -197,6 +424,34 @@ export default function AdminModal({
     return rewardName.includes(query) || userName.toLowerCase().includes(query) || genre.toLowerCase().includes(query);
   });
 
+  const filteredBadges = badgeDefinitions.filter(badge => {
+    const query = searchQuery.toLowerCase();
+    return badge.name.toLowerCase().includes(query) || describeCriteria(badge.criteria).toLowerCase().includes(query);
+  });
+
+  // Levels tab: the curve being edited next to the one in use
+  const curvePreview = getLevelCurvePreview(curveDraft);
+  const configuredCurve = getLevelCurvePreview(levelCurve);
+  const levelUnlocks = getLevelUnlocks();
+  const setDraftNumber = (field, value) => setCurveDraft({ ...curveDraft, [field]: Number(value) || 0 });
+
+  const filteredGenreMappings = genreMappings.filter(mapping => {
+    const query = searchQuery.toLowerCase();
+    return (mapping.term || '').toLowerCase().includes(query) || (mapping.genre || '').toLowerCase().includes(query);
+  });
+
+  const filteredXPEntries = xpEntries.filter(entry => {
+    const query = searchQuery.toLowerCase();
+    return (entry.reason || '').toLowerCase().includes(query) ||
+      getXPSourceDisplay(entry).label.toLowerCase().includes(query);
+  });
+
+  // Genres on books that aren't stored as a canonical genre yet
+  const unsettledGenres = genreUsage.filter(usage => (
+    (usage.normalized !== usage.genre || !isCanonicalGenre(usage.normalized)) &&
+    usage.genre.toLowerCase().includes(searchQuery.toLowerCase())
+  ));
+
   if (!show) return null;
 
   return (
@@ -248,6 +503,50 @@ export default function AdminModal({
               <Trophy className="w-4 h-4 inline mr-2" />
               Rewards ({rewards.length})
             </button>
+            <button
+              onClick={() => setActiveTab('badges')}
+              className={`px-4 py-2 font-medium transition-colors ${
+                activeTab === 'badges'
+                  ? 'text-purple-600 border-b-2 border-purple-600'
+                  : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              <Award className="w-4 h-4 inline mr-2" />
+              Badges ({badgeDefinitions.length})
+            </button>
+            <button
+              onClick={() => setActiveTab('levels')}
+              className={`px-4 py-2 font-medium transition-colors ${
+                activeTab === 'levels'
+                  ? 'text-purple-600 border-b-2 border-purple-600'
+                  : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              <TrendingUp className="w-4 h-4 inline mr-2" />
+              Levels
+            </button>
+            <button
+              onClick={() => setActiveTab('genres')}
+              className={`px-4 py-2 font-medium transition-colors ${
+                activeTab === 'genres'
+                  ? 'text-purple-600 border-b-2 border-purple-600'
+                  : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              <Tag className="w-4 h-4 inline mr-2" />
+              Genres ({genreMappings.length})
+            </button>
+            <button
+              onClick={() => setActiveTab('xp')}
+              className={`px-4 py-2 font-medium transition-colors ${
+                activeTab === 'xp'
+                  ? 'text-purple-600 border-b-2 border-purple-600'
+                  : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              <Sparkles className="w-4 h-4 inline mr-2" />
+              XP
+            </button>
           </div>
 
           {/* Search */}
@@ -501,41 +800,9 @@ export default function AdminModal({
                             className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
                           >
                             <option value="">Any Genre</option>
-                            <option value="Fiction">Fiction</option>
-                            <option value="Science Fiction">Science Fiction</option>
-                            <option value="Fantasy">Fantasy</option>
-                            <option value="Mystery">Mystery</option>
-                            <option value="Thriller">Thriller</option>
-                            <option value="Horror">Horror</option>
-                            <option value="Romance">Romance</option>
-                            <option value="Historical Fiction">Historical Fiction</option>
-                            <option value="Literary Fiction">Literary Fiction</option>
-                            <option value="Biography">Biography</option>
-                            <option value="Autobiography">Autobiography</option>
-                            <option value="History">History</option>
-                            <option value="Science">Science</option>
-                            <option value="Philosophy">Philosophy</option>
-                            <option value="Self-Help">Self-Help</option>
-                            <option value="Business">Business</option>
-                            <option value="Health">Health</option>
-                            <option value="Travel">Travel</option>
-                            <option value="Cooking">Cooking</option>
-                            <option value="Art">Art</option>
-                            <option value="Music">Music</option>
-                            <option value="Sports">Sports</option>
-                            <option value="Education">Education</option>
-                            <option value="Religion">Religion</option>
-                            <option value="Psychology">Psychology</option>
-                            <option value="Young Adult">Young Adult</option>
-                            <option value="Children">Children</option>
-                            <option value="Poetry">Poetry</option>
-                            <option value="Drama">Drama</option>
-                            <option value="Comedy">Comedy</option>
-                            <option value="Adventure">Adventure</option>
-                            <option value="Crime">Crime</option>
-                            <option value="Dystopian">Dystopian</option>
-                            <option value="Western">Western</option>
-                            <option value="War">War</option>
+                            {CANONICAL_GENRES.map(genre => (
+                              <option key={genre} value={genre}>{genre}</option>
+                            ))}
                           </select>
                         </div>
                         <div>
@@ -706,41 +973,9 @@ export default function AdminModal({
                                       className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
                                     >
                                       <option value="">Any Genre</option>
-                                      <option value="Fiction">Fiction</option>
-                                      <option value="Science Fiction">Science Fiction</option>
-                                      <option value="Fantasy">Fantasy</option>
-                                      <option value="Mystery">Mystery</option>
-                                      <option value="Thriller">Thriller</option>
-                                      <option value="Horror">Horror</option>
-                                      <option value="Romance">Romance</option>
-                                      <option value="Historical Fiction">Historical Fiction</option>
-                                      <option value="Literary Fiction">Literary Fiction</option>
-                                      <option value="Biography">Biography</option>
-                                      <option value="Autobiography">Autobiography</option>
-                                      <option value="History">History</option>
-                                      <option value="Science">Science</option>
-                                      <option value="Philosophy">Philosophy</option>
-                                      <option value="Self-Help">Self-Help</option>
-                                      <option value="Business">Business</option>
-                                      <option value="Health">Health</option>
-                                      <option value="Travel">Travel</option>
-                                      <option value="Cooking">Cooking</option>
-                                      <option value="Art">Art</option>
-                                      <option value="Music">Music</option>
-                                      <option value="Sports">Sports</option>
-                                      <option value="Education">Education</option>
-                                      <option value="Religion">Religion</option>
-                                      <option value="Psychology">Psychology</option>
-                                      <option value="Young Adult">Young Adult</option>
-                                      <option value="Children">Children</option>
-                                      <option value="Poetry">Poetry</option>
-                                      <option value="Drama">Drama</option>
-                                      <option value="Comedy">Comedy</option>
-                                      <option value="Adventure">Adventure</option>
-                                      <option value="Crime">Crime</option>
-                                      <option value="Dystopian">Dystopian</option>
-                                      <option value="Western">Western</option>
-                                      <option value="War">War</option>
+                                      {CANONICAL_GENRES.map(genre => (
+                                        <option key={genre} value={genre}>{genre}</option>
+                                      ))}
                                     </select>
                                   ) : (
                                     <span className="text-sm text-gray-600">
@@ -843,6 +1078,647 @@ export default function AdminModal({
                   )}
                 </div>
               )}
+
+              {/* Badges Tab */}
+              {activeTab === 'badges' && (
+                <div className="space-y-4">
+                  <div className="flex justify-between items-start gap-4">
+                    <div>
+                      <h3 className="text-lg font-semibold text-gray-900">Badge Rules</h3>
+                      <p className="text-sm text-gray-600 mt-1">
+                        Readers unlock a badge as soon as they meet all of its rules. Built-in badges ship with the app;
+                        badges added here apply to everyone right away. Badges with XP are also awarded as achievements.
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => setBadgeForm(badgeForm ? null : NEW_BADGE)}
+                      className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors flex-shrink-0"
+                    >
+                      <Plus className="w-4 h-4" />
+                      {badgeForm ? 'Cancel' : 'Add Badge'}
+                    </button>
+                  </div>
+
+                  {/* Badge Form */}
+                  {badgeForm && (
+                    <div className="bg-gray-50 border border-gray-200 rounded-lg p-6 space-y-4">
+                      <h4 className="text-md font-semibold text-gray-900">{badgeForm.id ? 'Edit Badge' : 'New Badge'}</h4>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                          <input
+                            type="text"
+                            value={badgeForm.name}
+                            onChange={(e) => setBadgeForm({ ...badgeForm, name: e.target.value })}
+                            placeholder="e.g., Fantasy Explorer"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                          <select
+                            value={badgeForm.rewardType}
+                            onChange={(e) => setBadgeForm({ ...badgeForm, rewardType: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                          >
+                            {Object.entries(BADGE_REWARD_TYPES).map(([value, type]) => (
+                              <option key={value} value={value}>{type.label}</option>
+                            ))}
+                          </select>
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Emoji</label>
+                          <div className="flex gap-2">
+                            <input
+                              type="text"
+                              value={badgeForm.emoji}
+                              onChange={(e) => setBadgeForm({ ...badgeForm, emoji: e.target.value })}
+                              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                            />
+                            <button
+                              type="button"
+                              onClick={() => setShowEmojiPicker(!showEmojiPicker)}
+                              className="px-3 py-2 bg-gray-200 hover:bg-gray-300 rounded-lg transition-colors"
+                              title="Pick emoji"
+                            >
+                              😀
+                            </button>
+                          </div>
+                          {showEmojiPicker && (
+                            <div className="mt-2 p-3 bg-white border border-gray-300 rounded-lg max-h-48 overflow-y-auto">
+                              <div className="grid grid-cols-10 gap-2">
+                                {rewardEmojis.map((emoji, idx) => (
+                                  <button
+                                    key={idx}
+                                    type="button"
+                                    onClick={() => {
+                                      setBadgeForm({ ...badgeForm, emoji });
+                                      setShowEmojiPicker(false);
+                                    }}
+                                    className="text-2xl hover:bg-gray-100 rounded p-1 transition-colors"
+                                    title={emoji}
+                                  >
+                                    {emoji}
+                                  </button>
+                                ))}
+                              </div>
+                            </div>
+                          )}
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                          <input
+                            type="text"
+                            value={badgeForm.description}
+                            onChange={(e) => setBadgeForm({ ...badgeForm, description: e.target.value })}
+                            placeholder="e.g., Read 5 fantasy books!"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Achievement XP</label>
+                          <input
+                            type="number"
+                            min="0"
+                            value={badgeForm.xp ?? 0}
+                            onChange={(e) => setBadgeForm({ ...badgeForm, xp: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                          />
+                          <p className="text-xs text-gray-500 mt-1">Above 0, earning the badge is also an achievement worth this much XP</p>
+                        </div>
+                      </div>
+
+                      <div className="space-y-2">
+                        <label className="block text-sm font-medium text-gray-700">Rules (all must be met)</label>
+                        {badgeForm.criteria.map((criterion, index) => (
+                          <div key={index} className="flex flex-wrap items-center gap-2">
+                            <select
+                              value={criterion.stat}
+                              onChange={(e) => updateBadgeCriterion(index, { stat: e.target.value })}
+                              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                            >
+                              {Object.entries(BADGE_STATS).map(([value, stat]) => (
+                                <option key={value} value={value}>{stat.label}</option>
+                              ))}
+                            </select>
+                            {BADGE_STATS[criterion.stat]?.needsGenre && (
+                              <select
+                                value={criterion.genre || ''}
+                                onChange={(e) => updateBadgeCriterion(index, { genre: e.target.value })}
+                                className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                              >
+                                <option value="">Choose a genre...</option>
+                                {CANONICAL_GENRES.map(genre => (
+                                  <option key={genre} value={genre}>{genre}</option>
+                                ))}
+                              </select>
+                            )}
+                            <span className="text-sm text-gray-600">at least</span>
+                            <input
+                              type="number"
+                              min="1"
+                              value={criterion.min}
+                              onChange={(e) => updateBadgeCriterion(index, { min: e.target.value })}
+                              className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                            />
+                            {badgeForm.criteria.length > 1 && (
+                              <button
+                                onClick={() => setBadgeForm({ ...badgeForm, criteria: badgeForm.criteria.filter((_, i) => i !== index) })}
+                                className="p-2 text-red-600 hover:bg-red-50 rounded"
+                                title="Remove rule"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            )}
+                          </div>
+                        ))}
+                        <button
+                          onClick={() => setBadgeForm({ ...badgeForm, criteria: [...badgeForm.criteria, { stat: 'finishedBooks', min: 1 }] })}
+                          className="flex items-center gap-1 text-sm text-purple-700 hover:text-purple-900"
+                        >
+                          <Plus className="w-3 h-3" />
+                          Add rule
+                        </button>
+                      </div>
+
+                      <label className="flex items-center gap-2 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={badgeForm.isActive}
+                          onChange={(e) => setBadgeForm({ ...badgeForm, isActive: e.target.checked })}
+                          className="w-4 h-4"
+                        />
+                        Readers can earn this badge
+                      </label>
+
+                      <div className="flex justify-end gap-2">
+                        <button
+                          onClick={() => setBadgeForm(null)}
+                          className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition-colors"
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          onClick={handleSaveBadge}
+                          disabled={isLoading}
+                          className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          {badgeForm.id ? 'Save Badge' : 'Create Badge'}
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  {filteredBadges.length === 0 ? (
+                    <div className="text-center py-12">
+                      <Award className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+                      <p className="text-gray-600">No badges found</p>
+                    </div>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className="w-full border-collapse">
+                        <thead>
+                          <tr className="bg-gray-50 border-b border-gray-200">
+                            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Badge</th>
+                            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Type</th>
+                            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Earned When</th>
+                            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">XP</th>
+                            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Status</th>
+                            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Actions</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {filteredBadges.map(badge => (
+                            <tr key={badge.key} className={`border-b border-gray-100 hover:bg-gray-50 ${badge.isActive ? '' : 'opacity-60'}`}>
+                              <td className="px-4 py-3">
+                                <span className="text-2xl mr-2">{badge.emoji}</span>
+                                <span className="font-medium text-gray-900">{badge.name}</span>
+                                {badge.description && <span className="block text-xs text-gray-500">{badge.description}</span>}
+                              </td>
+                              <td className="px-4 py-3">
+                                <span className="px-2 py-1 bg-purple-100 text-purple-700 rounded text-xs font-medium">
+                                  {BADGE_REWARD_TYPES[badge.rewardType]?.label || badge.rewardType}
+                                </span>
+                              </td>
+                              <td className="px-4 py-3 text-sm text-gray-600">{describeCriteria(badge.criteria)}</td>
+                              <td className="px-4 py-3 text-sm text-gray-600">{badge.xp > 0 ? `+${badge.xp}` : '—'}</td>
+                              <td className="px-4 py-3 text-sm text-gray-600">
+                                {badge.isBuiltIn ? 'Built-in' : badge.isActive ? 'Active' : 'Off'}
+                              </td>
+                              <td className="px-4 py-3">
+                                {!badge.isBuiltIn && (
+                                  <div className="flex gap-2">
+                                    <button
+                                      onClick={() => setBadgeForm(badge)}
+                                      className="p-1 text-blue-600 hover:bg-blue-50 rounded"
+                                      title="Edit"
+                                    >
+                                      <Edit2 className="w-4 h-4" />
+                                    </button>
+                                    <button
+                                      onClick={() => handleToggleBadge(badge)}
+                                      className="p-1 text-gray-600 hover:bg-gray-100 rounded"
+                                      title={badge.isActive ? 'Turn off' : 'Turn on'}
+                                    >
+                                      {badge.isActive ? <XIcon className="w-4 h-4" /> : <Check className="w-4 h-4" />}
+                                    </button>
+                                    <button
+                                      onClick={() => handleDeleteBadge(badge)}
+                                      className="p-1 text-red-600 hover:bg-red-50 rounded"
+                                      title="Delete"
+                                    >
+                                      <Trash2 className="w-4 h-4" />
+                                    </button>
+                                  </div>
+                                )}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Levels Tab */}
+              {activeTab === 'levels' && (
+                <div className="space-y-4">
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-900">Level Curve</h3>
+                    <p className="text-sm text-gray-600 mt-1">
+                      The XP each level costs and what readers unlock on the way. Changes are previewed against the
+                      curve in use; saving applies them to everyone and recalculates every reader's level.
+                    </p>
+                  </div>
+
+                  <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 grid grid-cols-1 md:grid-cols-5 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Curve</label>
+                      <select
+                        value={curveDraft.type}
+                        onChange={(e) => setCurveDraft({ ...curveDraft, type: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                      >
+                        {Object.entries(LEVEL_CURVE_TYPES).map(([key, type]) => (
+                          <option key={key} value={key}>{type.label}</option>
+                        ))}
+                      </select>
+                      <p className="text-xs text-gray-500 mt-1">{LEVEL_CURVE_TYPES[curveDraft.type]?.description}</p>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Starting XP</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={curveDraft.startXP}
+                        onChange={(e) => setDraftNumber('startXP', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">Added to what level 1 costs</p>
+                    </div>
+                    {curveDraft.type === 'table' ? (
+                      <div className="md:col-span-2">
+                        <label className="block text-sm font-medium text-gray-700 mb-1">XP per level</label>
+                        <input
+                          type="text"
+                          value={(curveDraft.table || []).join(', ')}
+                          onChange={(e) => setCurveDraft({
+                            ...curveDraft,
+                            table: e.target.value.split(',').map(value => parseInt(value, 10)).filter(value => value > 0)
+                          })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                        />
+                      </div>
+                    ) : (
+                      <>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Level 1 XP</label>
+                          <input
+                            type="number"
+                            min="1"
+                            value={curveDraft.baseXP}
+                            onChange={(e) => setDraftNumber('baseXP', e.target.value)}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                          />
+                        </div>
+                        {curveDraft.type === 'exponential' ? (
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">Growth per level</label>
+                            <input
+                              type="number"
+                              min="1"
+                              step="0.05"
+                              value={curveDraft.growth}
+                              onChange={(e) => setDraftNumber('growth', e.target.value)}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                            />
+                          </div>
+                        ) : (
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">Extra XP per level</label>
+                            <input
+                              type="number"
+                              min="0"
+                              value={curveDraft.stepXP}
+                              onChange={(e) => setDraftNumber('stepXP', e.target.value)}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                            />
+                          </div>
+                        )}
+                      </>
+                    )}
+                    <div className="flex items-end gap-2">
+                      <button
+                        onClick={() => setCurveDraft(levelCurve)}
+                        className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
+                      >
+                        Reset
+                      </button>
+                      <button
+                        onClick={handleSaveLevelCurve}
+                        disabled={isLoading}
+                        className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Save
+                      </button>
+                    </div>
+                  </div>
+
+                  <div className="overflow-x-auto">
+                    <table className="w-full border-collapse">
+                      <thead>
+                        <tr className="bg-gray-50 border-b border-gray-200">
+                          <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Level</th>
+                          <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">XP for Level</th>
+                          <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Total XP</th>
+                          <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Total XP Now</th>
+                          <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Unlocks</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {curvePreview.map((row, index) => (
+                          <tr key={row.level} className="border-b border-gray-100 hover:bg-gray-50">
+                            <td className="px-4 py-3 font-medium text-gray-900">{row.level}</td>
+                            <td className="px-4 py-3 text-sm text-gray-600">{row.xpForLevel}</td>
+                            <td className="px-4 py-3 text-sm font-semibold text-purple-700">{row.totalXP}</td>
+                            <td className="px-4 py-3 text-sm text-gray-500">{configuredCurve[index].totalXP}</td>
+                            <td className="px-4 py-3 text-sm text-gray-600">
+                              {levelUnlocks.filter(unlock => unlock.level === row.level)
+                                .map(unlock => `${unlock.emoji} ${unlock.label}`).join(', ')}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
+              {/* Genres Tab */}
+              {activeTab === 'genres' && (
+                <div className="space-y-6">
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-900">Genre Mappings</h3>
+                    <p className="text-sm text-gray-600 mt-1">
+                      Map a genre as it arrives from catalogs, imports or readers onto one of the standard genres.
+                      Mappings are applied when books are saved and override the built-in synonyms. Leave the
+                      genre empty to ignore a term. To apply them to books already saved, run
+                      <code className="mx-1 px-1 bg-gray-100 rounded">node scripts/updateBookGenres.js --normalize</code>.
+                    </p>
+                  </div>
+
+                  <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 flex flex-col md:flex-row md:items-end gap-3">
+                    <div className="flex-1">
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Genre as it arrives *</label>
+                      <input
+                        type="text"
+                        value={newMapping.term}
+                        onChange={(e) => setNewMapping({ ...newMapping, term: e.target.value })}
+                        placeholder="e.g., Juvenile Fiction / Dragons"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                      />
+                    </div>
+                    <ArrowRight className="w-5 h-5 text-gray-400 hidden md:block mb-2.5" />
+                    <div className="flex-1">
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Standard genre</label>
+                      <input
+                        type="text"
+                        list="admin-canonical-genres"
+                        value={newMapping.genre}
+                        onChange={(e) => setNewMapping({ ...newMapping, genre: e.target.value })}
+                        placeholder="e.g., Fantasy (empty to ignore)"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                      />
+                      <datalist id="admin-canonical-genres">
+                        {CANONICAL_GENRES.map(genre => (
+                          <option key={genre} value={genre} />
+                        ))}
+                      </datalist>
+                    </div>
+                    <button
+                      onClick={handleSaveGenreMapping}
+                      className="flex items-center justify-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
+                    >
+                      <Save className="w-4 h-4" />
+                      Save Mapping
+                    </button>
+                  </div>
+
+                  {filteredGenreMappings.length === 0 ? (
+                    <div className="text-center py-8">
+                      <Tag className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+                      <p className="text-gray-600">No custom genre mappings yet</p>
+                    </div>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className="w-full border-collapse">
+                        <thead>
+                          <tr className="bg-gray-50 border-b border-gray-200">
+                            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Genre as it arrives</th>
+                            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Standard genre</th>
+                            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Updated</th>
+                            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Actions</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {filteredGenreMappings.map(mapping => (
+                            <tr key={mapping.id} className="border-b border-gray-100 hover:bg-gray-50">
+                              <td className="px-4 py-3 text-gray-900">{mapping.term}</td>
+                              <td className="px-4 py-3">
+                                {mapping.genre ? (
+                                  <span className={`text-sm ${isCanonicalGenre(mapping.genre) ? 'text-gray-900' : 'text-amber-700'}`}>
+                                    {mapping.genre}
+                                  </span>
+                                ) : (
+                                  <span className="text-sm text-gray-400 italic">Ignored</span>
+                                )}
+                              </td>
+                              <td className="px-4 py-3 text-sm text-gray-600">
+                                {mapping.updated_at ? new Date(mapping.updated_at).toLocaleDateString() : 'N/A'}
+                              </td>
+                              <td className="px-4 py-3">
+                                <div className="flex gap-2">
+                                  <button
+                                    onClick={() => setNewMapping({ term: mapping.term, genre: mapping.genre || '' })}
+                                    className="p-1 text-blue-600 hover:bg-blue-50 rounded"
+                                    title="Edit"
+                                  >
+                                    <Edit2 className="w-4 h-4" />
+                                  </button>
+                                  <button
+                                    onClick={() => handleDeleteGenreMapping(mapping)}
+                                    className="p-1 text-red-600 hover:bg-red-50 rounded"
+                                    title="Delete"
+                                  >
+                                    <Trash2 className="w-4 h-4" />
+                                  </button>
+                                </div>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-900">Genres Needing Attention</h3>
+                    <p className="text-sm text-gray-600 mt-1">
+                      Genres saved on books that aren't a standard genre, and what they become when normalized.
+                    </p>
+                  </div>
+                  {unsettledGenres.length === 0 ? (
+                    <div className="text-center py-6 text-gray-600">
+                      <Check className="w-8 h-8 text-green-500 mx-auto mb-2" />
+                      Every genre on every book is a standard genre
+                    </div>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className="w-full border-collapse">
+                        <thead>
+                          <tr className="bg-gray-50 border-b border-gray-200">
+                            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Saved genre</th>
+                            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Books</th>
+                            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Normalizes to</th>
+                            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Actions</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {unsettledGenres.map(usage => (
+                            <tr key={usage.genre} className="border-b border-gray-100 hover:bg-gray-50">
+                              <td className="px-4 py-3 text-gray-900">{usage.genre}</td>
+                              <td className="px-4 py-3 text-sm text-gray-600">{usage.count}</td>
+                              <td className="px-4 py-3 text-sm">
+                                {usage.normalized ? (
+                                  <span className={isCanonicalGenre(usage.normalized) ? 'text-gray-900' : 'text-amber-700'}>
+                                    {usage.normalized}
+                                    {!isCanonicalGenre(usage.normalized) && ' (not a standard genre)'}
+                                  </span>
+                                ) : (
+                                  <span className="text-gray-400 italic">Ignored</span>
+                                )}
+                              </td>
+                              <td className="px-4 py-3">
+                                <button
+                                  onClick={() => setNewMapping({ term: usage.genre, genre: isCanonicalGenre(usage.normalized) ? usage.normalized : '' })}
+                                  className="flex items-center gap-1 px-2 py-1 text-sm text-purple-600 hover:bg-purple-50 rounded"
+                                >
+                                  <Plus className="w-4 h-4" />
+                                  Map
+                                </button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* XP Tab */}
+              {activeTab === 'xp' && (
+                <div className="space-y-4">
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-900">XP History</h3>
+                    <p className="text-sm text-gray-600 mt-1">
+                      Every XP award a reader has received. Reversing an award keeps it in the history and adds a
+                      matching negative entry, then recalculates the reader's total and level.
+                    </p>
+                  </div>
+
+                  <select
+                    value={xpUserId}
+                    onChange={(e) => loadXPEntries(e.target.value)}
+                    className="w-full md:w-80 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  >
+                    <option value="">Choose a user...</option>
+                    {users.map(user => (
+                      <option key={user.id} value={user.id}>{user.name || user.username}</option>
+                    ))}
+                  </select>
+
+                  {xpUserId && (filteredXPEntries.length === 0 ? (
+                    <div className="text-center py-8">
+                      <Sparkles className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+                      <p className="text-gray-600">No XP entries</p>
+                    </div>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className="w-full border-collapse">
+                        <thead>
+                          <tr className="bg-gray-50 border-b border-gray-200">
+                            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Date</th>
+                            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Source</th>
+                            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Reason</th>
+                            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">XP</th>
+                            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Actions</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {filteredXPEntries.map(entry => {
+                            const source = getXPSourceDisplay(entry);
+                            return (
+                              <tr key={entry.id} className="border-b border-gray-100 hover:bg-gray-50">
+                                <td className="px-4 py-3 text-sm text-gray-600">
+                                  {entry.created_at ? new Date(entry.created_at).toLocaleString() : 'N/A'}
+                                </td>
+                                <td className="px-4 py-3 text-sm text-gray-900">
+                                  {source.emoji} {source.label}
+                                  {entry.source_id && <span className="block text-xs text-gray-400 truncate max-w-[10rem]">{entry.source_id}</span>}
+                                </td>
+                                <td className={`px-4 py-3 text-sm ${entry.reversed_at ? 'line-through text-gray-400' : 'text-gray-900'}`}>
+                                  {entry.reason || '—'}
+                                </td>
+                                <td className={`px-4 py-3 text-sm font-semibold ${entry.amount < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                                  {entry.amount > 0 ? '+' : ''}{entry.amount}
+                                </td>
+                                <td className="px-4 py-3">
+                                  {isReversible(entry) ? (
+                                    <button
+                                      onClick={() => handleReverseXPEntry(entry)}
+                                      className="flex items-center gap-1 px-2 py-1 text-sm text-red-600 hover:bg-red-50 rounded"
+                                    >
+                                      <Undo2 className="w-4 h-4" />
+                                      Reverse
+                                    </button>
+                                  ) : entry.reversed_at ? (
+                                    <span className="text-xs text-gray-500">
+                                      Reversed {new Date(entry.reversed_at).toLocaleDateString()}
+                                      {entry.reversed_by && ` by ${users.find(u => u.id === entry.reversed_by)?.username || 'an admin'}`}
+                                    </span>
+                                  ) : null}
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  ))}
+                </div>
+              )}
             </>
           )}
         </div>
@@ -1,11 +1,19 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { X, Star, User, Heart, Upload, Image as ImageIcon, Library, Save, Sparkles, ChevronDown, ChevronUp, ShoppingCart, Book, Share2, UserCheck } from 'lucide-react';
+import { X, Star, User, Heart, Upload, Image as ImageIcon, Library, Save, Sparkles, ChevronDown, ChevronUp, ShoppingCart, Book, Share2, UserCheck, Clock } from 'lucide-react';
 import { ANIMAL_THEMES } from '../../constants/animalThemes';
+import { READING_STATUS, READING_STATUS_OPTIONS } from '../../constants/readingStatus';
+import { BOOK_FORMAT_OPTIONS } from '../../constants/bookFormats';
 import { getPlaceholderImage } from '../../utils/imageHelpers';
+import { detectSeries } from '../../utils/seriesHelpers';
+import { getGenreColor } from '../../utils/genreColors';
+import { getBookGenres, getBookTags, toGenreFields } from '../../utils/bookTags';
+import { getBookStatus, resolveStatusUpdates, getReadingProgress, getTodayDateString, summarizeReadingSessions } from '../../utils/bookHelpers';
 import { getBookFacts, addBookFacts } from '../../services/gamificationService';
 import { generateBookFacts } from '../../utils/bookFactsGenerator';
 import { getUserProfile } from '../../services/userService';
+import { getBookSessions } from '../../services/readingSessionService';
 import ShareBookModal from './ShareBookModal';
+import TagInput from '../TagInput';
 
 /**
  * BookDetailsModal Component
@@ -18,9 +26,12 @@ import ShareBookModal from './ShareBookModal';
  * @param {object} userProfile - User profile data (name, avatar)
  * @param {function} onClose - Callback to close the modal
  * @param {function} onUpdateBook - Callback to update book (bookId, updates)
+ * @param {function} onLogSession - Callback to log a reading session (book, sessionData)
  * @param {function} onImageUpload - Callback when an image is uploaded (event, isEditing)
  * @param {function} onDeleteBook - Callback to delete the book (bookId)
  * @param {function} onMoveBook - Callback to open move book modal (book)
+ * @param {array} genreSuggestions - Genres to offer in the genre picker
+ * @param {array} tagSuggestions - Tags to offer in the tag picker
  */
 export default function BookDetailsModal({
   show,
@@ -30,9 +41,12 @@ export default function BookDetailsModal({
   userProfile,
   onClose,
   onUpdateBook,
+  onLogSession,
   onImageUpload,
   onDeleteBook,
-  onMoveBook
+  onMoveBook,
+  genreSuggestions = [],
+  tagSuggestions = []
 }) {
   const [localBook, setLocalBook] = useState(selectedBook);
   const [originalBook, setOriginalBook] = useState(selectedBook);
@@ -42,6 +56,10 @@ export default function BookDetailsModal({
   const [isGetBookExpanded, setIsGetBookExpanded] = useState(true); // Expanded by default
   const [showShareModal, setShowShareModal] = useState(false);
   const [sharerProfile, setSharerProfile] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [sessionForm, setSessionForm] = useState({ date: '', startPage: '', endPage: '', minutes: '' });
+  const [sessionError, setSessionError] = useState('');
+  const [isLoggingSession, setIsLoggingSession] = useState(false);
 
   // Load book facts from database, or generate and save them if they don't exist
   const loadBookFacts = useCallback(async () => {
@@ -121,12 +139,35 @@ export default function BookDetailsModal({
     }
   }, [show, selectedBook?.sharedBy, currentUser?.id]);
 
+  // Load the reading log for this book
+  useEffect(() => {
+    const loadSessions = async () => {
+      const { data } = await getBookSessions(selectedBook.id);
+      setSessions(data || []);
+    };
+
+    setSessions([]);
+    setSessionError('');
+    setSessionForm({
+      date: getTodayDateString(),
+      startPage: selectedBook?.currentPage || '',
+      endPage: '',
+      minutes: ''
+    });
+    if (show && selectedBook?.id) {
+      loadSessions();
+    }
+  }, [show, selectedBook?.id]);
+
   if (!show || !selectedBook) return null;
 
   // Get theme based on bookshelf animal
   const bookshelfAnimal = selectedBook.bookshelfAnimal || localBook?.bookshelfAnimal || 'cat';
   const theme = ANIMAL_THEMES[bookshelfAnimal] || ANIMAL_THEMES.cat;
 
+  // Offer a series from the title or series list when none is set
+  const detectedSeries = localBook && !localBook.series ? detectSeries(localBook) : null;
+
   const handleUpdate = (updates) => {
     // Update local state immediately for UI responsiveness
     const updatedBook = { ...localBook, ...updates };
@@ -145,6 +186,34 @@ export default function BookDetailsModal({
     setHasUnsavedChanges(hasChanges);
   };
 
+  const handleLogSession = async () => {
+    if (!onLogSession || isLoggingSession) return;
+
+    setIsLoggingSession(true);
+    setSessionError('');
+    try {
+      const { data, error } = await onLogSession(localBook, sessionForm);
+      if (error) {
+        setSessionError(error.message || 'Could not log this session.');
+        return;
+      }
+
+      setSessions(prev => [data.session, ...prev]);
+      // The book was already saved by the parent, so keep both copies in sync
+      setLocalBook(prev => ({ ...prev, ...data.updates }));
+      setOriginalBook(prev => ({ ...prev, ...data.updates }));
+      setSelectedBook?.({ ...selectedBook, ...data.updates });
+      setSessionForm({
+        date: getTodayDateString(),
+        startPage: data.session.endPage,
+        endPage: '',
+        minutes: ''
+      });
+    } finally {
+      setIsLoggingSession(false);
+    }
+  };
+
   const handleSave = () => {
     if (hasUnsavedChanges && localBook) {
       // Calculate what actually changed compared to original
@@ -245,13 +314,24 @@ export default function BookDetailsModal({
                 <p className="text-xs text-gray-500 mt-1">You can paste an image URL here or use the upload button to upload a file</p>
               </div>
               <div className="mb-2">
-                <label className="block text-sm font-medium text-gray-700 mb-1">Genre</label>
-                <input
-                  type="text"
-                  value={localBook?.genre || selectedBook.genre || ''}
-                  onChange={(e) => handleUpdate({ genre: e.target.value })}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                <label className="block text-sm font-medium text-gray-700 mb-1">Genres</label>
+                <TagInput
+                  values={getBookGenres(localBook || selectedBook)}
+                  onChange={(genres) => handleUpdate(toGenreFields(genres))}
+                  suggestions={genreSuggestions}
+                  getColor={getGenreColor}
                   placeholder="e.g., Fiction, Mystery, Science Fiction"
+                  size="sm"
+                />
+              </div>
+              <div className="mb-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+                <TagInput
+                  values={getBookTags(localBook || selectedBook)}
+                  onChange={(tags) => handleUpdate({ tags })}
+                  suggestions={tagSuggestions}
+                  placeholder="e.g., school assignment, read aloud"
+                  size="sm"
                 />
               </div>
               <div className="flex items-center gap-1 mb-4">
@@ -272,13 +352,53 @@ export default function BookDetailsModal({
                   </button>
                 ))}
               </div>
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reading Status</label>
+                <select
+                  value={getBookStatus(localBook || selectedBook)}
+                  onChange={(e) => handleUpdate(resolveStatusUpdates(localBook, { status: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                >
+                  {Object.entries(READING_STATUS_OPTIONS).map(([key, option]) => (
+                    <option key={key} value={key}>
+                      {option.emoji} {option.label}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">Changing the status fills in the start and finish dates for you</p>
+              </div>
+              {getBookStatus(localBook || selectedBook) === READING_STATUS.ABANDONED && (
+                <div className="grid grid-cols-2 gap-4 mb-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Stopped at Page</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={localBook?.abandonedAtPage ?? ''}
+                      onChange={(e) => handleUpdate({ abandonedAtPage: e.target.value ? parseInt(e.target.value) : null })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                      placeholder="e.g., 120"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Why did you stop?</label>
+                    <input
+                      type="text"
+                      value={localBook?.abandonReason || ''}
+                      onChange={(e) => handleUpdate({ abandonReason: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                      placeholder="e.g., Too slow for me"
+                    />
+                  </div>
+                </div>
+              )}
               <div className="grid grid-cols-2 gap-4 mb-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
                   <input
                     type="date"
-                    value={localBook?.startDate || selectedBook.startDate || ''}
-                    onChange={(e) => handleUpdate({ startDate: e.target.value || null })}
+                    value={(localBook ?? selectedBook).startDate || ''}
+                    onChange={(e) => handleUpdate(resolveStatusUpdates(localBook, { startDate: e.target.value || null }))}
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
                   />
                 </div>
@@ -286,12 +406,178 @@ export default function BookDetailsModal({
                   <label className="block text-sm font-medium text-gray-700 mb-1">Finish Date</label>
                   <input
                     type="date"
-                    value={localBook?.finishDate || selectedBook.finishDate || ''}
-                    onChange={(e) => handleUpdate({ finishDate: e.target.value || null })}
+                    value={(localBook ?? selectedBook).finishDate || ''}
+                    onChange={(e) => handleUpdate(resolveStatusUpdates(localBook, { finishDate: e.target.value || null }))}
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
                   />
                 </div>
               </div>
+              <div className="grid grid-cols-2 gap-4 mb-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Pages</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={localBook?.pageCount ?? ''}
+                    onChange={(e) => handleUpdate({ pageCount: e.target.value ? parseInt(e.target.value) : null })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                    placeholder="e.g., 320"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Current Page</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={localBook?.currentPage ?? ''}
+                    onChange={(e) => handleUpdate({ currentPage: e.target.value ? parseInt(e.target.value) : null })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                    placeholder="e.g., 45"
+                  />
+                </div>
+              </div>
+              <div className="mb-4 border border-gray-200 rounded-lg p-3">
+                <p className="text-sm font-medium text-gray-700 mb-2">Series</p>
+                <div className="grid grid-cols-3 gap-3">
+                  <div className="col-span-2">
+                    <label className="block text-xs text-gray-600 mb-1">Series Name</label>
+                    <input
+                      type="text"
+                      value={localBook?.series || ''}
+                      onChange={(e) => handleUpdate({ series: e.target.value || null })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                      placeholder="e.g., The Hunger Games"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-600 mb-1">Book #</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={localBook?.seriesPosition ?? ''}
+                      onChange={(e) => handleUpdate({ seriesPosition: e.target.value ? parseFloat(e.target.value) : null })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                      placeholder="e.g., 2"
+                    />
+                  </div>
+                </div>
+                {!localBook?.series && detectedSeries && (
+                  <button
+                    type="button"
+                    onClick={() => handleUpdate({ series: detectedSeries.series, seriesPosition: detectedSeries.seriesPosition })}
+                    className="mt-2 text-xs text-indigo-600 hover:underline"
+                  >
+                    Looks like {detectedSeries.series} #{detectedSeries.seriesPosition}. Use this?
+                  </button>
+                )}
+              </div>
+              <div className="mb-4 border border-gray-200 rounded-lg p-3">
+                <p className="text-sm font-medium text-gray-700 mb-2">Edition</p>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-xs text-gray-600 mb-1">Format</label>
+                    <select
+                      value={localBook?.format || ''}
+                      onChange={(e) => handleUpdate({ format: e.target.value || null })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                    >
+                      <option value="">Not set</option>
+                      {Object.entries(BOOK_FORMAT_OPTIONS).map(([key, option]) => (
+                        <option key={key} value={key}>
+                          {option.emoji} {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-600 mb-1">Publication Year</label>
+                    <input
+                      type="number"
+                      min="1000"
+                      max={new Date().getFullYear() + 1}
+                      value={localBook?.publicationYear ?? ''}
+                      onChange={(e) => handleUpdate({ publicationYear: e.target.value ? parseInt(e.target.value) : null })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                      placeholder="e.g., 2012"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-600 mb-1">Publisher</label>
+                    <input
+                      type="text"
+                      value={localBook?.publisher || ''}
+                      onChange={(e) => handleUpdate({ publisher: e.target.value || null })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                      placeholder="e.g., Scholastic"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-600 mb-1">Language</label>
+                    <input
+                      type="text"
+                      value={localBook?.language || ''}
+                      onChange={(e) => handleUpdate({ language: e.target.value || null })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                      placeholder="e.g., en"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-600 mb-1">ISBN-13</label>
+                    <input
+                      type="text"
+                      value={localBook?.isbn13 || (localBook?.isbn?.length === 13 ? localBook.isbn : '')}
+                      onChange={(e) => {
+                        const isbn13 = e.target.value.toUpperCase().replace(/[^0-9X]/g, '') || null;
+                        handleUpdate({ isbn13, isbn: isbn13 || localBook?.isbn10 || null });
+                      }}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                      placeholder="978..."
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-600 mb-1">ISBN-10</label>
+                    <input
+                      type="text"
+                      value={localBook?.isbn10 || (localBook?.isbn?.length === 10 ? localBook.isbn : '')}
+                      onChange={(e) => {
+                        const isbn10 = e.target.value.toUpperCase().replace(/[^0-9X]/g, '') || null;
+                        handleUpdate({ isbn10, isbn: localBook?.isbn13 || isbn10 || null });
+                      }}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                    />
+                  </div>
+                </div>
+                {(localBook?.openLibraryWorkKey || localBook?.openLibraryEditionKey) && (
+                  <div className="flex gap-3 mt-2 text-xs">
+                    {localBook.openLibraryWorkKey && (
+                      <a href={`https://openlibrary.org${localBook.openLibraryWorkKey}`} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:underline">
+                        Open Library work
+                      </a>
+                    )}
+                    {localBook.openLibraryEditionKey && (
+                      <a href={`https://openlibrary.org${localBook.openLibraryEditionKey}`} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:underline">
+                        This edition
+                      </a>
+                    )}
+                  </div>
+                )}
+                <p className="text-xs text-gray-500 mt-2">Format and publication year count toward challenges that ask for them</p>
+              </div>
+              {getReadingProgress(localBook || selectedBook) !== null && (
+                <div className="mb-4">
+                  <div className="flex justify-between text-xs text-gray-600 mb-1">
+                    <span>Progress</span>
+                    <span>{getReadingProgress(localBook || selectedBook)}%</span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div
+                      className="bg-gradient-to-r from-green-400 to-emerald-500 h-2 rounded-full transition-all"
+                      style={{ width: `${getReadingProgress(localBook || selectedBook)}%` }}
+                    />
+                  </div>
+                </div>
+              )}
               <div className="mb-4">
                 <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
                 <textarea
@@ -304,6 +590,88 @@ export default function BookDetailsModal({
             </div>
           </div>
 
+          {onLogSession && currentUser && (
+            <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+              <h3 className={`font-semibold ${theme.colors.accent} mb-3 flex items-center gap-2`}>
+                <Clock className="w-5 h-5" />
+                Reading Log
+              </h3>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-3">
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Date</label>
+                  <input
+                    type="date"
+                    value={sessionForm.date}
+                    onChange={(e) => setSessionForm({ ...sessionForm, date: e.target.value })}
+                    className="w-full px-2 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">From Page</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={sessionForm.startPage}
+                    onChange={(e) => setSessionForm({ ...sessionForm, startPage: e.target.value })}
+                    className="w-full px-2 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                    placeholder="0"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">To Page</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={sessionForm.endPage}
+                    onChange={(e) => setSessionForm({ ...sessionForm, endPage: e.target.value })}
+                    className="w-full px-2 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                    placeholder="e.g., 60"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Minutes</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={sessionForm.minutes}
+                    onChange={(e) => setSessionForm({ ...sessionForm, minutes: e.target.value })}
+                    className="w-full px-2 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                    placeholder="e.g., 30"
+                  />
+                </div>
+              </div>
+              {sessionError && (
+                <p className="text-sm text-red-600 mb-2">{sessionError}</p>
+              )}
+              <button
+                onClick={handleLogSession}
+                disabled={isLoggingSession || !sessionForm.date}
+                className={`px-4 py-2 bg-gradient-to-r ${theme.colors.primary} text-white rounded-lg hover:opacity-90 transition-all text-sm font-medium disabled:opacity-50`}
+              >
+                {isLoggingSession ? 'Logging...' : 'Log Session'}
+              </button>
+              {sessions.length > 0 && (
+                <div className="mt-4">
+                  <p className="text-xs text-gray-500 mb-2">
+                    {summarizeReadingSessions(sessions).pages} pages · {summarizeReadingSessions(sessions).minutes} minutes across {sessions.length} session{sessions.length === 1 ? '' : 's'}
+                  </p>
+                  <ul className="space-y-1 max-h-40 overflow-y-auto">
+                    {sessions.map(session => (
+                      <li key={session.id} className="flex justify-between text-sm text-gray-700 bg-white px-3 py-1.5 rounded border border-gray-100">
+                        <span>{new Date(session.date + 'T00:00:00').toLocaleDateString()}</span>
+                        <span>
+                          {session.pagesRead > 0 && `pp. ${session.startPage}–${session.endPage}`}
+                          {session.pagesRead > 0 && session.minutes > 0 && ' · '}
+                          {session.minutes > 0 && `${session.minutes} min`}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+
           <div className="mb-4">
             <label className={`block font-semibold ${theme.colors.accent} mb-2`}>
               Book Summary ✨ (Will be used in AI)
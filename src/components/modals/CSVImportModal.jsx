@@ -0,0 +1,307 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, Upload, ArrowLeft, ArrowRight, AlertCircle, CheckCircle } from 'lucide-react';
+import { BOOK_IMPORT_FIELDS, guessColumnMapping, buildImportPlan } from '../../utils/csvImport';
+import { READING_STATUS_OPTIONS } from '../../constants/readingStatus';
+
+const PREVIEW_ROW_LIMIT = 100;
+
+/**
+ * CSVImportModal Component
+ * Walks through a CSV import: map columns to book fields, preview and
+ * validate every row, then confirm a dry-run summary before importing.
+ *
+ * @param {boolean} show - Whether to show the modal
+ * @param {string} fileName - Name of the uploaded file
+ * @param {array} headers - CSV header row
+ * @param {array} rows - CSV data rows
+ * @param {array} bookshelves - User's bookshelves
+ * @param {string} defaultShelfName - Shelf suggested for rows without a bookshelf
+ * @param {function} onImport - Callback to write the plan (plan) => Promise<{imported, failed}>
+ * @param {function} onClose - Callback to close the modal
+ */
+export default function CSVImportModal({
+  show,
+  fileName,
+  headers = [],
+  rows = [],
+  bookshelves = [],
+  defaultShelfName = '',
+  onImport,
+  onClose
+}) {
+  const [step, setStep] = useState('mapping'); // mapping, preview, done
+  const [mapping, setMapping] = useState({});
+  const [fallbackShelf, setFallbackShelf] = useState(defaultShelfName);
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  // Start over whenever a new file is opened
+  useEffect(() => {
+    if (show) {
+      setStep('mapping');
+      setMapping(guessColumnMapping(headers));
+      setFallbackShelf(defaultShelfName);
+      setShowErrorsOnly(false);
+      setResult(null);
+    }
+  }, [show, headers]);
+
+  const plan = useMemo(
+    () => (step === 'mapping' ? null : buildImportPlan(rows, mapping, bookshelves, fallbackShelf)),
+    [step, rows, mapping, bookshelves, fallbackShelf]
+  );
+
+  if (!show) return null;
+
+  const mappedFields = Object.values(mapping).filter(Boolean);
+  const hasTitle = mappedFields.includes('title');
+  const hasShelfColumn = mappedFields.includes('bookshelf');
+  const shelfOptions = bookshelves.filter(shelf => shelf.type !== 'shared_with_me');
+
+  const handleMappingChange = (columnIndex, fieldKey) => {
+    const next = { ...mapping };
+    // A field can only come from one column
+    Object.keys(next).forEach(index => {
+      if (fieldKey && next[index] === fieldKey) delete next[index];
+    });
+    if (fieldKey) {
+      next[columnIndex] = fieldKey;
+    } else {
+      delete next[columnIndex];
+    }
+    setMapping(next);
+  };
+
+  const handleImport = async () => {
+    if (!plan || plan.validRows.length === 0) return;
+
+    setIsImporting(true);
+    try {
+      const importResult = await onImport(plan);
+      setResult(importResult);
+      setStep('done');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const previewRows = plan
+    ? (showErrorsOnly ? plan.errorRows : plan.rows).slice(0, PREVIEW_ROW_LIMIT)
+    : [];
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50" onClick={isImporting ? undefined : onClose}>
+      <div className="bg-white rounded-2xl shadow-2xl max-w-5xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Upload className="w-6 h-6 text-indigo-600" />
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900">Import Books</h2>
+              <p className="text-sm text-gray-500">{fileName} · {rows.length} rows</p>
+            </div>
+          </div>
+          <button onClick={onClose} disabled={isImporting} className="text-gray-400 hover:text-gray-600 p-2 hover:bg-gray-100 rounded-full transition-colors disabled:opacity-50">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-grow">
+          {step === 'mapping' && (
+            <>
+              <p className="text-sm text-gray-600 mb-4">
+                Match each column in your file to a book field. Columns set to "Ignore" are skipped.
+              </p>
+              <div className="border border-gray-200 rounded-lg overflow-hidden mb-6">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left font-semibold text-gray-700">Column in file</th>
+                      <th className="px-4 py-2 text-left font-semibold text-gray-700">Example</th>
+                      <th className="px-4 py-2 text-left font-semibold text-gray-700">Book field</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {headers.map((header, index) => (
+                      <tr key={index}>
+                        <td className="px-4 py-2 font-medium text-gray-900">{header || <span className="text-gray-400">(no header)</span>}</td>
+                        <td className="px-4 py-2 text-gray-500 max-w-xs truncate">{rows[0]?.[index] || ''}</td>
+                        <td className="px-4 py-2">
+                          <select
+                            value={mapping[index] || ''}
+                            onChange={(e) => handleMappingChange(index, e.target.value)}
+                            className="w-full px-2 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                          >
+                            <option value="">Ignore</option>
+                            {BOOK_IMPORT_FIELDS.map(field => (
+                              <option key={field.key} value={field.key}>{field.label}</option>
+                            ))}
+                          </select>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="mb-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {hasShelfColumn ? 'Bookshelf for rows with an empty Bookshelf column' : 'Import all books into'}
+                </label>
+                <select
+                  value={fallbackShelf}
+                  onChange={(e) => setFallbackShelf(e.target.value)}
+                  className="w-full sm:w-72 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  {hasShelfColumn && <option value="">Skip those rows</option>}
+                  {shelfOptions.map(shelf => (
+                    <option key={shelf.id} value={shelf.name}>{shelf.name}</option>
+                  ))}
+                </select>
+              </div>
+              {!hasTitle && (
+                <p className="text-sm text-red-600 flex items-center gap-1 mt-3">
+                  <AlertCircle className="w-4 h-4" />
+                  Map a column to Title to continue.
+                </p>
+              )}
+            </>
+          )}
+
+          {step === 'preview' && plan && (
+            <>
+              {/* Dry-run summary */}
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+                <div className="bg-green-50 border border-green-200 rounded-lg p-4">
+                  <p className="text-2xl font-bold text-green-700">{plan.validRows.length}</p>
+                  <p className="text-sm text-gray-600">books will be added</p>
+                </div>
+                <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
+                  <p className="text-2xl font-bold text-amber-700">{plan.duplicateRows.length}</p>
+                  <p className="text-sm text-gray-600">already on your shelves and will be skipped</p>
+                </div>
+                <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                  <p className="text-2xl font-bold text-red-700">{plan.errorRows.length}</p>
+                  <p className="text-sm text-gray-600">rows have problems and will be skipped</p>
+                </div>
+                <div className="bg-indigo-50 border border-indigo-200 rounded-lg p-4">
+                  <p className="text-2xl font-bold text-indigo-700">{Object.keys(plan.shelves).length}</p>
+                  <p className="text-sm text-gray-600">
+                    bookshelves{plan.newShelves.length > 0 && ` (${plan.newShelves.length} new: ${plan.newShelves.join(', ')})`}
+                  </p>
+                </div>
+              </div>
+              <p className="text-xs text-gray-500 mb-4">Nothing has been saved yet — this is a preview of what will happen.</p>
+
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="font-semibold text-gray-900">
+                  Preview{(showErrorsOnly ? plan.errorRows : plan.rows).length > PREVIEW_ROW_LIMIT && ` (first ${PREVIEW_ROW_LIMIT} rows)`}
+                </h3>
+                <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={showErrorsOnly}
+                    onChange={(e) => setShowErrorsOnly(e.target.checked)}
+                    className="w-4 h-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                  />
+                  Only rows with problems
+                </label>
+              </div>
+              <div className="border border-gray-200 rounded-lg overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left font-semibold text-gray-700">Row</th>
+                      <th className="px-3 py-2 text-left font-semibold text-gray-700">Title</th>
+                      <th className="px-3 py-2 text-left font-semibold text-gray-700">Author</th>
+                      <th className="px-3 py-2 text-left font-semibold text-gray-700">Bookshelf</th>
+                      <th className="px-3 py-2 text-left font-semibold text-gray-700">Status</th>
+                      <th className="px-3 py-2 text-left font-semibold text-gray-700">Rating</th>
+                      <th className="px-3 py-2 text-left font-semibold text-gray-700">Finished</th>
+                      <th className="px-3 py-2 text-left font-semibold text-gray-700">Problems</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {previewRows.map(row => (
+                      <tr key={row.rowNumber} className={row.errors.length > 0 ? 'bg-red-50' : row.duplicateOf ? 'bg-amber-50' : ''}>
+                        <td className="px-3 py-2 text-gray-500">{row.rowNumber}</td>
+                        <td className="px-3 py-2 font-medium text-gray-900 max-w-[200px] truncate">{row.book.title}</td>
+                        <td className="px-3 py-2 text-gray-700 max-w-[150px] truncate">{row.book.author}</td>
+                        <td className="px-3 py-2 text-gray-700">{row.shelfName}</td>
+                        <td className="px-3 py-2 text-gray-700">{row.book.status ? READING_STATUS_OPTIONS[row.book.status]?.label : ''}</td>
+                        <td className="px-3 py-2 text-gray-700">{row.book.rating > 0 ? `${row.book.rating}★` : ''}</td>
+                        <td className="px-3 py-2 text-gray-700">{row.book.finishDate || ''}</td>
+                        <td className="px-3 py-2">
+                          {row.errors.length > 0 ? (
+                            <ul className="text-red-700 text-xs space-y-0.5">
+                              {row.errors.map((error, index) => <li key={index}>{error}</li>)}
+                            </ul>
+                          ) : row.duplicateOf ? (
+                            <span className="text-amber-700 text-xs">Matches {row.duplicateOf}</span>
+                          ) : (
+                            <CheckCircle className="w-4 h-4 text-green-600" />
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          {step === 'done' && result && (
+            <div className="text-center py-10">
+              <CheckCircle className="w-16 h-16 text-green-500 mx-auto mb-4" />
+              <p className="text-xl font-semibold text-gray-900 mb-2">Imported {result.imported} {result.imported === 1 ? 'book' : 'books'}</p>
+              {result.failed > 0 && (
+                <p className="text-sm text-red-600">{result.failed} could not be saved. Check the console for details.</p>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex justify-between">
+          {step === 'preview' ? (
+            <button
+              onClick={() => setStep('mapping')}
+              disabled={isImporting}
+              className="px-4 py-2 text-gray-700 hover:bg-gray-100 rounded-lg transition-colors flex items-center gap-2 disabled:opacity-50"
+            >
+              <ArrowLeft className="w-4 h-4" />
+              Back to columns
+            </button>
+          ) : <span />}
+
+          {step === 'mapping' && (
+            <button
+              onClick={() => setStep('preview')}
+              disabled={!hasTitle}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Preview import
+              <ArrowRight className="w-4 h-4" />
+            </button>
+          )}
+          {step === 'preview' && plan && (
+            <button
+              onClick={handleImport}
+              disabled={isImporting || plan.validRows.length === 0}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isImporting ? 'Importing...' : `Import ${plan.validRows.length} ${plan.validRows.length === 1 ? 'book' : 'books'}`}
+            </button>
+          )}
+          {step === 'done' && (
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
+            >
+              Done
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -3,6 +3,8 @@ import { X, Target, Plus, Calendar, Users, Share2, Trash2, Check, UserCheck, Use
 import { getChallenges, createChallenge, shareChallenge, deleteChallenge, getChallengeUserProgress } from '../../services/gamificationService';
 import { getAllUsers } from '../../services/userService';
 import { getUserProfile } from '../../services/userService';
+import { BOOK_FORMAT_OPTIONS } from '../../constants/bookFormats';
+import TagInput from '../TagInput';
 
 /**
  * ChallengeModal Component
@@ -12,12 +14,14 @@ import { getUserProfile } from '../../services/userService';
  * @param {object} currentUser - Current logged in user
  * @param {function} onClose - Callback to close the modal
  * @param {function} onChallengeCreated - Callback when challenge is created
+ * @param {array} availableTags - Tags used in the user's library, offered as tag conditions
  */
 export default function ChallengeModal({
   show,
   currentUser,
   onClose,
-  onChallengeCreated
+  onChallengeCreated,
+  availableTags = []
 }) {
   const [challenges, setChallenges] = useState([]);
   const [closedChallenges, setClosedChallenges] = useState([]);
@@ -45,7 +49,8 @@ export default function ChallengeModal({
   const [conditionGenre, setConditionGenre] = useState('');
   const [conditionMinRating, setConditionMinRating] = useState('');
   const [conditionAuthor, setConditionAuthor] = useState('');
-  const [conditionFormat, setConditionFormat] = useState('');
+  const [conditionTags, setConditionTags] = useState([]);
+  const [conditionFormat, setConditionFormat] = useState([]); // BOOK_FORMAT values
   const [conditionYearMin, setConditionYearMin] = useState('');
   const [conditionYearMax, setConditionYearMax] = useState('');
   const [isConditionsExpanded, setIsConditionsExpanded] = useState(false);
@@ -238,9 +243,7 @@ export default function ChallengeModal({
       const conditionAuthorArray = conditionAuthor.trim()
         ? conditionAuthor.split(',').map(a => a.trim()).filter(a => a)
         : null;
-      const conditionFormatArray = conditionFormat.trim()
-        ? conditionFormat.split(',').map(f => f.trim()).filter(f => f)
-        : null;
+      const conditionFormatArray = conditionFormat.length > 0 ? conditionFormat : null;
 
       const challengeData = {
         challenge_name: challengeName,
@@ -257,6 +260,7 @@ export default function ChallengeModal({
         condition_genre: conditionGenreArray,
         condition_min_rating: conditionMinRating ? parseFloat(conditionMinRating) : null,
         condition_author: conditionAuthorArray,
+        condition_tags: conditionTags.length > 0 ? conditionTags : null,
         condition_format: conditionFormatArray,
         condition_year_min: conditionYearMin ? parseInt(conditionYearMin) : null,
         condition_year_max: conditionYearMax ? parseInt(conditionYearMax) : null
@@ -420,7 +424,8 @@ export default function ChallengeModal({
                   setConditionGenre('');
                   setConditionMinRating('');
                   setConditionAuthor('');
-                  setConditionFormat('');
+                  setConditionTags([]);
+                  setConditionFormat([]);
                   setConditionYearMin('');
                   setConditionYearMax('');
                 }
@@ -583,6 +588,18 @@ export default function ChallengeModal({
                         />
                       </div>
                     </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-600 mb-1">
+                        Tags (any of them)
+                      </label>
+                      <TagInput
+                        values={conditionTags}
+                        onChange={setConditionTags}
+                        suggestions={availableTags}
+                        placeholder="e.g., school assignment"
+                        size="sm"
+                      />
+                    </div>
                     <div className="grid grid-cols-2 gap-4">
                       <div>
                         <label className="block text-xs font-medium text-gray-600 mb-1">
@@ -598,15 +615,27 @@ export default function ChallengeModal({
                       </div>
                       <div>
                         <label className="block text-xs font-medium text-gray-600 mb-1">
-                          Format (comma-separated)
+                          Format
                         </label>
-                        <input
-                          type="text"
-                          value={conditionFormat}
-                          onChange={(e) => setConditionFormat(e.target.value)}
-                          placeholder="e.g., Paperback, Hardcover, Ebook"
-                          className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
-                        />
+                        <div className="flex flex-wrap gap-2">
+                          {Object.entries(BOOK_FORMAT_OPTIONS).map(([key, option]) => {
+                            const selected = conditionFormat.includes(key);
+                            return (
+                              <button
+                                key={key}
+                                type="button"
+                                onClick={() => setConditionFormat(selected
+                                  ? conditionFormat.filter(format => format !== key)
+                                  : [...conditionFormat, key])}
+                                className={`px-2 py-1 text-xs rounded-full border transition-colors ${
+                                  selected ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                                }`}
+                              >
+                                {option.emoji} {option.label}
+                              </button>
+                            );
+                          })}
+                        </div>
                       </div>
                     </div>
                     <div className="grid grid-cols-2 gap-4">
@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, Copy, Star, CheckCircle, Merge } from 'lucide-react';
+import { findDuplicateGroups, mergeBookRecords } from '../../utils/duplicateDetection';
+import { getBookStatus } from '../../utils/bookHelpers';
+import { READING_STATUS_OPTIONS } from '../../constants/readingStatus';
+
+const NOTE_FIELDS = [
+  { key: 'review', label: 'Review' },
+  { key: 'favoriteCharacter', label: 'Favorite character' },
+  { key: 'sceneSummary', label: 'Scene summary' },
+  { key: 'memorableMoments', label: 'Memorable moments' },
+  { key: 'leastFavoritePart', label: 'Least favorite part' }
+];
+
+/**
+ * Builds a stable key for a duplicate group
+ * @param {Array} group - Entries ({ book, shelf }) in the group
+ * @returns {string}
+ */
+const getGroupKey = (group) => group.map(entry => entry.book.id).sort().join('|');
+
+/**
+ * DuplicatesModal Component
+ * Library-wide "find duplicates" tool. Shows groups of books that look like
+ * the same book and merges a duplicate into the record the user keeps,
+ * keeping the richer review/notes and combining challenge links.
+ *
+ * @param {boolean} show - Whether to show the modal
+ * @param {array} bookshelves - User's bookshelves with books
+ * @param {function} onMerge - Callback to merge (keepBook, removeBook, updates) => Promise<{error}>
+ * @param {function} onClose - Callback to close the modal
+ */
+export default function DuplicatesModal({
+  show,
+  bookshelves = [],
+  onMerge,
+  onClose
+}) {
+  const [keptIds, setKeptIds] = useState({});
+  const [dismissed, setDismissed] = useState([]);
+  const [mergingId, setMergingId] = useState(null);
+  const [mergedCount, setMergedCount] = useState(0);
+
+  useEffect(() => {
+    if (show) {
+      setKeptIds({});
+      setDismissed([]);
+      setMergedCount(0);
+    }
+  }, [show]);
+
+  const groups = useMemo(
+    () => (show ? findDuplicateGroups(bookshelves) : []),
+    [show, bookshelves]
+  );
+
+  if (!show) return null;
+
+  const visibleGroups = groups.filter(group => !dismissed.includes(getGroupKey(group)));
+
+  const handleMerge = async (keepEntry, removeEntry) => {
+    const updates = mergeBookRecords(keepEntry.book, removeEntry.book);
+    const confirmMerge = window.confirm(
+      `Merge "${removeEntry.book.title}" on "${removeEntry.shelf.name}" into the copy on "${keepEntry.shelf.name}"? ` +
+      'Its reading log and challenge progress move over and the duplicate is deleted.'
+    );
+    if (!confirmMerge) return;
+
+    setMergingId(removeEntry.book.id);
+    try {
+      const result = await onMerge(keepEntry.book, removeEntry.book, updates);
+      if (result?.error) {
+        alert(`Error merging books: ${result.error.message || 'Unknown error'}`);
+      } else {
+        setMergedCount(count => count + 1);
+      }
+    } finally {
+      setMergingId(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50" onClick={mergingId ? undefined : onClose}>
+      <div className="bg-white rounded-2xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Copy className="w-6 h-6 text-indigo-600" />
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900">Find Duplicates</h2>
+              <p className="text-sm text-gray-500">
+                {visibleGroups.length === 0
+                  ? 'No duplicates found'
+                  : `${visibleGroups.length} ${visibleGroups.length === 1 ? 'book looks' : 'books look'} like they're on your shelves more than once`}
+                {mergedCount > 0 && ` · ${mergedCount} merged`}
+              </p>
+            </div>
+          </div>
+          <button onClick={onClose} disabled={!!mergingId} className="text-gray-400 hover:text-gray-600 p-2 hover:bg-gray-100 rounded-full transition-colors disabled:opacity-50">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-grow space-y-6">
+          {visibleGroups.length === 0 && (
+            <div className="text-center py-10">
+              <CheckCircle className="w-16 h-16 text-green-500 mx-auto mb-4" />
+              <p className="text-gray-600">Every book on your shelves is only there once.</p>
+            </div>
+          )}
+
+          {visibleGroups.map(group => {
+            const groupKey = getGroupKey(group);
+            const keepEntry = group.find(entry => entry.book.id === keptIds[groupKey]) || group[0];
+
+            return (
+              <div key={groupKey} className="border border-gray-200 rounded-xl overflow-hidden">
+                <div className="px-4 py-2 bg-gray-50 border-b border-gray-200 flex items-center justify-between">
+                  <p className="text-sm text-gray-600">Pick the copy to keep, then merge the others into it.</p>
+                  <button
+                    onClick={() => setDismissed([...dismissed, groupKey])}
+                    className="text-sm text-gray-500 hover:text-gray-700"
+                  >
+                    Not duplicates
+                  </button>
+                </div>
+                <div className="divide-y divide-gray-100">
+                  {group.map(entry => {
+                    const { book, shelf } = entry;
+                    const isKept = entry === keepEntry;
+                    const status = getBookStatus(book);
+                    const notes = NOTE_FIELDS.filter(field => (book[field.key] || '').trim());
+
+                    return (
+                      <div key={book.id} className={`p-4 flex gap-4 ${isKept ? 'bg-indigo-50' : ''}`}>
+                        <input
+                          type="radio"
+                          name={`keep-${groupKey}`}
+                          checked={isKept}
+                          onChange={() => setKeptIds({ ...keptIds, [groupKey]: book.id })}
+                          className="mt-1 w-4 h-4 text-indigo-600 focus:ring-indigo-500"
+                          title="Keep this copy"
+                        />
+                        {book.coverUrl && (
+                          <img src={book.coverUrl} alt={book.title} className="w-12 h-16 object-cover rounded shadow-sm flex-shrink-0" />
+                        )}
+                        <div className="flex-grow min-w-0">
+                          <p className="font-semibold text-gray-900 truncate">{book.title}</p>
+                          <p className="text-sm text-gray-600 truncate">
+                            {book.author || 'Unknown Author'} · on {shelf.name}
+                            {book.isbn && ` · ISBN ${book.isbn}`}
+                          </p>
+                          <div className="flex flex-wrap items-center gap-2 mt-1 text-xs">
+                            <span className={`px-2 py-0.5 rounded-full ${READING_STATUS_OPTIONS[status]?.colors.bg} ${READING_STATUS_OPTIONS[status]?.colors.text}`}>
+                              {READING_STATUS_OPTIONS[status]?.label}
+                            </span>
+                            {book.rating > 0 && (
+                              <span className="flex items-center gap-0.5 text-yellow-600">
+                                <Star className="w-3 h-3 fill-yellow-400 text-yellow-400" />
+                                {book.rating}
+                              </span>
+                            )}
+                            {book.finishDate && <span className="text-gray-500">Finished {book.finishDate}</span>}
+                            <span className="text-gray-500">
+                              {notes.length > 0 ? notes.map(field => field.label).join(', ') : 'No review or notes'}
+                            </span>
+                          </div>
+                        </div>
+                        {isKept ? (
+                          <span className="text-sm font-medium text-indigo-700 self-center">Keeping</span>
+                        ) : (
+                          <button
+                            onClick={() => handleMerge(keepEntry, entry)}
+                            disabled={!!mergingId}
+                            className="self-center px-3 py-1.5 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors flex items-center gap-1 text-sm disabled:opacity-50"
+                          >
+                            <Merge className="w-4 h-4" />
+                            {mergingId === book.id ? 'Merging...' : 'Merge'}
+                          </button>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,16 +1,21 @@
 import React from 'react';
+import { getUnlocksBetween, getNextUnlock } from '../../utils/levelUnlocks';
 
 /**
  * LevelUpModal Component
- * Displays a celebration modal when the user levels up
- * 
+ * Displays a celebration modal when the user levels up, with what the new level unlocked
+ *
  * @param {boolean} show - Whether to show the modal
- * @param {object} levelUpData - Data containing level and xp information
+ * @param {object} levelUpData - Data containing level, previousLevel and xp information
  * @param {function} onClose - Callback to close the modal
  */
 export default function LevelUpModal({ show, levelUpData, onClose }) {
   if (!show || !levelUpData) return null;
 
+  const previousLevel = levelUpData.previousLevel || levelUpData.level - 1;
+  const unlocks = getUnlocksBetween(previousLevel, levelUpData.level);
+  const nextUnlock = getNextUnlock(levelUpData.level);
+
   return (
     <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-50 p-4">
       <div className="bg-gradient-to-br from-yellow-400 via-orange-400 to-pink-500 rounded-2xl shadow-2xl p-8 max-w-md w-full text-center animate-bounce">
@@ -22,6 +27,24 @@ export default function LevelUpModal({ show, levelUpData, onClose }) {
         <p className="text-white/90 mb-6">
           Total XP: {levelUpData.xp}
         </p>
+        {unlocks.length > 0 && (
+          <div className="bg-white/20 rounded-lg p-4 mb-6 text-left">
+            <p className="text-white font-bold mb-2">Unlocked:</p>
+            <ul className="space-y-1">
+              {unlocks.map(unlock => (
+                <li key={unlock.key} className="text-white flex items-center gap-2">
+                  <span className="text-xl">{unlock.emoji}</span>
+                  <span>{unlock.label}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {nextUnlock && (
+          <p className="text-white/80 text-sm mb-6">
+            Next at Level {nextUnlock.level}: {nextUnlock.emoji} {nextUnlock.label}
+          </p>
+        )}
         <button
           onClick={onClose}
           className="px-6 py-3 bg-white text-orange-600 rounded-lg font-bold hover:bg-gray-100 transition-colors"
@@ -32,4 +55,3 @@ export default function LevelUpModal({ show, levelUpData, onClose }) {
     </div>
   );
 }
-
@@ -0,0 +1,266 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, Upload, CheckCircle, AlertCircle, Copy } from 'lucide-react';
+import { LIBRARY_SOURCES, buildLibraryImportPlan } from '../../utils/libraryImport';
+import { READING_STATUS_OPTIONS } from '../../constants/readingStatus';
+
+const PREVIEW_ROW_LIMIT = 100;
+
+const FILTERS = [
+  { id: 'import', label: 'To import' },
+  { id: 'duplicates', label: 'Already on your shelves' },
+  { id: 'errors', label: 'Problems' },
+  { id: 'all', label: 'All rows' }
+];
+
+/**
+ * LibraryImportModal Component
+ * Imports a Goodreads or StoryGraph library export. Read and currently
+ * reading books go to a regular bookshelf, to-read books go to the
+ * wishlist, and books already on the user's shelves are skipped.
+ *
+ * @param {boolean} show - Whether to show the modal
+ * @param {string} source - Key of LIBRARY_SOURCES ('goodreads' or 'storygraph')
+ * @param {string} fileName - Name of the uploaded file
+ * @param {array} headers - CSV header row
+ * @param {array} rows - CSV data rows
+ * @param {array} bookshelves - User's bookshelves
+ * @param {function} onImport - Callback to write the plan (plan) => Promise<{imported, failed}>
+ * @param {function} onClose - Callback to close the modal
+ */
+export default function LibraryImportModal({
+  show,
+  source,
+  fileName,
+  headers = [],
+  rows = [],
+  bookshelves = [],
+  onImport,
+  onClose
+}) {
+  const sourceLabel = LIBRARY_SOURCES[source]?.label || 'Library';
+  const newRegularShelf = `${sourceLabel} Library`;
+  const regularShelves = bookshelves.filter(shelf => shelf.type === 'regular' || !shelf.type);
+  const wishlistShelves = bookshelves.filter(shelf => shelf.type === 'wishlist');
+
+  const [regularTarget, setRegularTarget] = useState(newRegularShelf);
+  const [wishlistTarget, setWishlistTarget] = useState('Wishlist');
+  const [filter, setFilter] = useState('import');
+  const [isImporting, setIsImporting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  // Start over whenever a new file is opened
+  useEffect(() => {
+    if (show) {
+      setRegularTarget(newRegularShelf);
+      setWishlistTarget(wishlistShelves[0]?.name || 'Wishlist');
+      setFilter('import');
+      setResult(null);
+    }
+  }, [show, headers]);
+
+  const plan = useMemo(
+    () => (show && !result
+      ? buildLibraryImportPlan(source, headers, rows, bookshelves, { regular: regularTarget, wishlist: wishlistTarget })
+      : null),
+    [show, result, source, headers, rows, bookshelves, regularTarget, wishlistTarget]
+  );
+
+  if (!show) return null;
+
+  const handleImport = async () => {
+    if (!plan || plan.validRows.length === 0) return;
+
+    setIsImporting(true);
+    try {
+      setResult(await onImport(plan));
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const filteredRows = plan
+    ? {
+      import: plan.validRows,
+      duplicates: plan.duplicateRows,
+      errors: plan.errorRows,
+      all: plan.rows
+    }[filter]
+    : [];
+
+  // How many rows came from each shelf in the export
+  const sourceShelfCounts = plan
+    ? plan.rows.reduce((counts, row) => ({ ...counts, [row.sourceShelf]: (counts[row.sourceShelf] || 0) + 1 }), {})
+    : {};
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50" onClick={isImporting ? undefined : onClose}>
+      <div className="bg-white rounded-2xl shadow-2xl max-w-5xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Upload className="w-6 h-6 text-indigo-600" />
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900">Import from {sourceLabel}</h2>
+              <p className="text-sm text-gray-500">{fileName} · {rows.length} books</p>
+            </div>
+          </div>
+          <button onClick={onClose} disabled={isImporting} className="text-gray-400 hover:text-gray-600 p-2 hover:bg-gray-100 rounded-full transition-colors disabled:opacity-50">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-grow">
+          {plan && (
+            <>
+              {/* Where each export shelf goes */}
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Read &amp; currently reading go to
+                  </label>
+                  <select
+                    value={regularTarget}
+                    onChange={(e) => setRegularTarget(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  >
+                    {!regularShelves.some(shelf => shelf.name === newRegularShelf) && (
+                      <option value={newRegularShelf}>New bookshelf: {newRegularShelf}</option>
+                    )}
+                    {regularShelves.map(shelf => (
+                      <option key={shelf.id} value={shelf.name}>{shelf.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    To-read goes to
+                  </label>
+                  <select
+                    value={wishlistTarget}
+                    onChange={(e) => setWishlistTarget(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  >
+                    {wishlistShelves.length === 0 && <option value="Wishlist">New wishlist</option>}
+                    {wishlistShelves.map(shelf => (
+                      <option key={shelf.id} value={shelf.name}>{shelf.name}</option>
+                    ))}
+                    <option value="">Don't import to-read books</option>
+                  </select>
+                </div>
+              </div>
+
+              {/* Dry-run summary */}
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-2">
+                <div className="bg-green-50 border border-green-200 rounded-lg p-4">
+                  <p className="text-2xl font-bold text-green-700">{plan.validRows.length}</p>
+                  <p className="text-sm text-gray-600">books will be added</p>
+                </div>
+                <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
+                  <p className="text-2xl font-bold text-amber-700">{plan.duplicateRows.length}</p>
+                  <p className="text-sm text-gray-600">already on your shelves and will be skipped</p>
+                </div>
+                <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                  <p className="text-2xl font-bold text-red-700">{plan.errorRows.length}</p>
+                  <p className="text-sm text-gray-600">rows have problems and will be skipped</p>
+                </div>
+              </div>
+              <p className="text-xs text-gray-500 mb-4">
+                {Object.entries(sourceShelfCounts).map(([shelf, count]) => `${count} ${shelf}`).join(' · ')}
+                {' — '}nothing has been saved yet.
+              </p>
+
+              <div className="flex flex-wrap gap-2 mb-2">
+                {FILTERS.map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => setFilter(option.id)}
+                    className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                      filter === option.id ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              {filteredRows.length > PREVIEW_ROW_LIMIT && (
+                <p className="text-xs text-gray-500 mb-2">Showing the first {PREVIEW_ROW_LIMIT} of {filteredRows.length} rows.</p>
+              )}
+              <div className="border border-gray-200 rounded-lg overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left font-semibold text-gray-700">Title</th>
+                      <th className="px-3 py-2 text-left font-semibold text-gray-700">Author</th>
+                      <th className="px-3 py-2 text-left font-semibold text-gray-700">{sourceLabel} shelf</th>
+                      <th className="px-3 py-2 text-left font-semibold text-gray-700">Goes to</th>
+                      <th className="px-3 py-2 text-left font-semibold text-gray-700">Status</th>
+                      <th className="px-3 py-2 text-left font-semibold text-gray-700">Rating</th>
+                      <th className="px-3 py-2 text-left font-semibold text-gray-700">Notes</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {filteredRows.slice(0, PREVIEW_ROW_LIMIT).map(row => (
+                      <tr key={row.rowNumber} className={row.errors.length > 0 ? 'bg-red-50' : row.duplicateOf ? 'bg-amber-50' : ''}>
+                        <td className="px-3 py-2 font-medium text-gray-900 max-w-[220px] truncate">{row.book.title}</td>
+                        <td className="px-3 py-2 text-gray-700 max-w-[150px] truncate">{row.book.author}</td>
+                        <td className="px-3 py-2 text-gray-700">{row.sourceShelf}</td>
+                        <td className="px-3 py-2 text-gray-700">{row.shelfName}</td>
+                        <td className="px-3 py-2 text-gray-700">{row.book.status ? READING_STATUS_OPTIONS[row.book.status]?.label : ''}</td>
+                        <td className="px-3 py-2 text-gray-700">{row.book.rating > 0 ? `${row.book.rating}★` : ''}</td>
+                        <td className="px-3 py-2 text-xs">
+                          {row.errors.length > 0 ? (
+                            <span className="text-red-700 flex items-center gap-1">
+                              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                              {row.errors.join('; ')}
+                            </span>
+                          ) : row.duplicateOf ? (
+                            <span className="text-amber-700 flex items-center gap-1">
+                              <Copy className="w-4 h-4 flex-shrink-0" />
+                              Matches {row.duplicateOf}
+                            </span>
+                          ) : (
+                            <CheckCircle className="w-4 h-4 text-green-600" />
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          {result && (
+            <div className="text-center py-10">
+              <CheckCircle className="w-16 h-16 text-green-500 mx-auto mb-4" />
+              <p className="text-xl font-semibold text-gray-900 mb-2">Imported {result.imported} {result.imported === 1 ? 'book' : 'books'} from {sourceLabel}</p>
+              {result.failed > 0 && (
+                <p className="text-sm text-red-600">{result.failed} could not be saved. Check the console for details.</p>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex justify-end">
+          {result ? (
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
+            >
+              Done
+            </button>
+          ) : (
+            <button
+              onClick={handleImport}
+              disabled={isImporting || !plan || plan.validRows.length === 0}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isImporting
+                ? 'Importing...'
+                : `Import ${plan?.validRows.length || 0} ${plan?.validRows.length === 1 ? 'book' : 'books'}`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -2,6 +2,7 @@ import React from 'react';
 import { X, BookOpen } from 'lucide-react';
 import { ANIMAL_THEMES } from '../../constants/animalThemes';
 import { getPlaceholderImage } from '../../utils/imageHelpers';
+import { getShelfCapacity, isShelfFull } from '../../utils/shelfHelpers';
 
 /**
  * MoveBookModal Component
@@ -59,7 +60,8 @@ export default function MoveBookModal({ show, bookToMove, bookshelves, onClose,
                 })
                 .map((shelf) => {
                   const theme = ANIMAL_THEMES[shelf.animal] || ANIMAL_THEMES.cat;
-                  const isFull = shelf.type === 'regular' && shelf.books.length >= 10;
+                  const isFull = isShelfFull(shelf);
+                  const capacity = getShelfCapacity(shelf);
                   const isSpecialShelf = shelf.type === 'wishlist' || shelf.type === 'favorites';
                   return (
                     <button
@@ -81,7 +83,9 @@ export default function MoveBookModal({ show, bookToMove, bookshelves, onClose,
                             <div className="text-sm text-gray-600">
                               {shelf.type === 'wishlist' && '❤️ Wishlist'}
                               {shelf.type === 'favorites' && '⭐ Favorites (unlimited)'}
-                              {(!shelf.type || shelf.type === 'regular') && `${shelf.books.length}/10 books`}
+                              {(!shelf.type || shelf.type === 'regular') && (capacity === null
+                                ? `${shelf.books.length} books (unlimited)`
+                                : `${shelf.books.length}/${capacity} books`)}
                             </div>
                           </div>
                         </div>
@@ -1,8 +1,10 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { X, User, ChevronUp, ChevronDown, Target, Sparkles, MessageSquare, Settings, Save, BookOpen, Library, Plus, Trash2 } from 'lucide-react';
+import { X, User, ChevronUp, ChevronDown, Target, Sparkles, MessageSquare, Settings, Save, BookOpen, Library, Plus, Trash2, Database, Download, Upload } from 'lucide-react';
 import AvatarSelector from '../AvatarSelector';
 import { isEmailVerified } from '../../services/authService';
 import { getGenreColor } from '../../utils/genreColors';
+import { getLevelProgress } from '../../utils/levelCurve';
+import { getAvatarFrame } from '../../utils/levelUnlocks';
 
 /**
  * ProfileModal Component
@@ -25,10 +27,13 @@ import { getGenreColor } from '../../utils/genreColors';
  * @param {number} averageBooksPerMonth - Average books per month
  * @param {string} mostReadAuthor - Most read author
  * @param {object} userXP - User XP data
+ * @param {object} levelCurve - Level curve in use (defaults to LEVEL_CURVE)
  * @param {object} userStreak - User streak data
  * @param {array} recentAchievements - Recent achievements
  * @param {function} onClose - Callback to close the modal
  * @param {function} onLogout - Callback to logout
+ * @param {function} onDownloadBackup - Callback to download a full account backup
+ * @param {function} onRestoreBackup - Callback when a backup file is chosen (file input change event)
  * @param {function} onSave - Callback to save profile
  */
 export default function ProfileModal({
@@ -49,10 +54,13 @@ export default function ProfileModal({
   averageBooksPerMonth,
   mostReadAuthor,
   userXP,
+  levelCurve,
   userStreak,
   recentAchievements,
   onClose,
   onLogout,
+  onDownloadBackup,
+  onRestoreBackup,
   onSave
 }) {
   const [isFeedbackExpanded, setIsFeedbackExpanded] = useState(false);
@@ -180,7 +188,9 @@ export default function ProfileModal({
 
           {/* Avatar Display and Selector */}
           <div className="text-center">
-            <div className="text-6xl mb-4">{userProfile.avatar || '📚'}</div>
+            <div className={`w-24 h-24 mx-auto mb-4 flex items-center justify-center rounded-full text-6xl ${getAvatarFrame(userProfile.avatarFrame).ring}`}>
+              {userProfile.avatar || '📚'}
+            </div>
             <button
               onClick={() => setShowAvatarSelector(!showAvatarSelector)}
               className="flex items-center justify-center gap-2 mx-auto px-4 py-2 bg-indigo-50 text-indigo-700 rounded-lg border border-indigo-200 hover:bg-indigo-100 transition-colors"
@@ -195,6 +205,9 @@ export default function ProfileModal({
                 <AvatarSelector
                   currentAvatar={userProfile.avatar || '📚'}
                   onSelect={(newAvatar) => setUserProfile({ ...userProfile, avatar: newAvatar })}
+                  currentFrame={userProfile.avatarFrame || 'none'}
+                  onSelectFrame={(frame) => setUserProfile({ ...userProfile, avatarFrame: frame })}
+                  userLevel={userXP?.current_level || 1}
                 />
               </div>
             )}
@@ -426,7 +439,7 @@ export default function ProfileModal({
                           <div 
                             className="bg-gradient-to-r from-yellow-400 to-orange-500 h-2 rounded-full transition-all"
                             style={{ 
-                              width: `${Math.min(100, ((userXP.total_xp || 0) % (100 + (userXP.current_level - 1) * 50)) / (userXP.xp_to_next_level || 100) * 100)}%` 
+                              width: `${getLevelProgress(userXP.total_xp, levelCurve).percent}%`
                             }}
                           />
                         </div>
@@ -625,6 +638,39 @@ export default function ProfileModal({
             </div>
           </div>
 
+          {/* Backup & Restore */}
+          {currentUser && (
+            <div className="bg-gradient-to-r from-sky-50 to-cyan-50 rounded-xl p-6 border border-sky-200">
+              <div className="flex items-center gap-3 mb-2">
+                <Database className="w-6 h-6 text-sky-600" />
+                <h3 className="text-xl font-bold text-gray-900">Backup &amp; Restore</h3>
+              </div>
+              <p className="text-sm text-gray-600 mb-4">
+                A backup includes your bookshelves, books, reading log, challenges, XP, streaks, rewards,
+                AI history and settings. Restoring replaces what is in this account now.
+              </p>
+              <div className="flex flex-col sm:flex-row gap-3">
+                <button
+                  onClick={onDownloadBackup}
+                  className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-sky-600 text-white rounded-lg hover:bg-sky-700 transition-colors text-sm font-medium"
+                >
+                  <Download className="w-4 h-4" />
+                  Download Backup
+                </button>
+                <label className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-white text-sky-700 border border-sky-300 rounded-lg hover:bg-sky-50 transition-colors text-sm font-medium cursor-pointer">
+                  <Upload className="w-4 h-4" />
+                  Restore from Backup
+                  <input
+                    type="file"
+                    accept=".json"
+                    onChange={onRestoreBackup}
+                    className="hidden"
+                  />
+                </label>
+              </div>
+            </div>
+          )}
+
           {/* Error/Success Messages */}
           {profileError && (
             <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-red-700 text-sm">
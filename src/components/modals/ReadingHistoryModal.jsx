@@ -1,5 +1,13 @@
 import React, { useState, useMemo } from 'react';
-import { X, BarChart3, TrendingUp, Calendar, BookOpen, Sparkles, Trophy, Target } from 'lucide-react';
+import { X, BarChart3, TrendingUp, Calendar, BookOpen, Sparkles, Trophy, Target, FileText, Clock, Gift } from 'lucide-react';
+import { isBookFinished, summarizeReadingSessions } from '../../utils/bookHelpers';
+
+// What the charts count: finished books, or pages/minutes from the reading log
+const METRICS = {
+  books: { label: 'Books', unit: 'books' },
+  pages: { label: 'Pages', unit: 'pages' },
+  minutes: { label: 'Minutes', unit: 'minutes' }
+};
 
 /**
  * ReadingHistoryModal Component
@@ -7,20 +15,25 @@ import { X, BarChart3, TrendingUp, Calendar, BookOpen, Sparkles, Trophy, Target
  * 
  * @param {boolean} show - Whether to show the modal
  * @param {array} bookshelves - Array of bookshelves with books
+ * @param {array} readingSessions - Logged reading sessions (date, pagesRead, minutes)
  * @param {function} onClose - Callback to close the modal
+ * @param {function} onShowYearInReview - Callback to open the year in review recap
  */
 export default function ReadingHistoryModal({
   show,
   bookshelves = [],
-  onClose
+  readingSessions = [],
+  onClose,
+  onShowYearInReview
 }) {
   const [timePeriod, setTimePeriod] = useState('monthly'); // daily, weekly, monthly
+  const [metric, setMetric] = useState('books'); // books, pages, minutes
   const [showLineConnection, setShowLineConnection] = useState(true);
 
-  // Get all books with finish dates
+  // Get all finished books with finish dates
   const allBooks = useMemo(() => {
     return bookshelves.flatMap(shelf => shelf.books || [])
-      .filter(book => book.finishDate)
+      .filter(book => isBookFinished(book) && book.finishDate)
       .map(book => ({
         ...book,
         finishDate: new Date(book.finishDate)
@@ -28,9 +41,36 @@ export default function ReadingHistoryModal({
       .sort((a, b) => b.finishDate - a.finishDate);
   }, [bookshelves]);
 
+  const sessions = useMemo(() => {
+    return (readingSessions || [])
+      .filter(session => session.date)
+      .map(session => ({
+        ...session,
+        sessionDate: new Date(session.date + 'T00:00:00')
+      }));
+  }, [readingSessions]);
+
+  const sessionTotals = useMemo(() => summarizeReadingSessions(readingSessions), [readingSessions]);
+  const hasHistory = allBooks.length > 0 || sessions.length > 0;
+
+  // Amount of the selected metric between two dates (inclusive)
+  const measure = (rangeStart, rangeEnd) => {
+    if (metric === 'books') {
+      return allBooks.filter(book => {
+        const bookDate = new Date(book.finishDate);
+        return bookDate >= rangeStart && bookDate <= rangeEnd;
+      }).length;
+    }
+
+    const field = metric === 'pages' ? 'pagesRead' : 'minutes';
+    return sessions
+      .filter(session => session.sessionDate >= rangeStart && session.sessionDate <= rangeEnd)
+      .reduce((sum, session) => sum + (session[field] || 0), 0);
+  };
+
   // Calculate statistics based on time period
   const statistics = useMemo(() => {
-    if (allBooks.length === 0) {
+    if (!hasHistory) {
       return {
         data: [],
         total: 0,
@@ -54,10 +94,7 @@ export default function ReadingHistoryModal({
         const dayStart = new Date(date.setHours(0, 0, 0, 0));
         const dayEnd = new Date(date.setHours(23, 59, 59, 999));
         
-        const count = allBooks.filter(book => {
-          const bookDate = new Date(book.finishDate);
-          return bookDate >= dayStart && bookDate <= dayEnd;
-        }).length;
+        const count = measure(dayStart, dayEnd);
 
         days.push({
           label: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
@@ -79,10 +116,7 @@ export default function ReadingHistoryModal({
         weekEnd.setDate(weekEnd.getDate() + 6);
         weekEnd.setHours(23, 59, 59, 999);
 
-        const count = allBooks.filter(book => {
-          const bookDate = new Date(book.finishDate);
-          return bookDate >= weekStart && bookDate <= weekEnd;
-        }).length;
+        const count = measure(weekStart, weekEnd);
 
         weeks.push({
           label: `W${12 - i}`,
@@ -99,10 +133,7 @@ export default function ReadingHistoryModal({
         const monthStart = new Date(now.getFullYear(), now.getMonth() - i, 1);
         const monthEnd = new Date(now.getFullYear(), now.getMonth() - i + 1, 0, 23, 59, 59, 999);
 
-        const count = allBooks.filter(book => {
-          const bookDate = new Date(book.finishDate);
-          return bookDate >= monthStart && bookDate <= monthEnd;
-        }).length;
+        const count = measure(monthStart, monthEnd);
 
         months.push({
           label: monthStart.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
@@ -133,7 +164,7 @@ export default function ReadingHistoryModal({
       trend,
       periodLabel
     };
-  }, [allBooks, timePeriod]);
+  }, [allBooks, sessions, timePeriod, metric]);
 
   // Calculate additional stats
   const additionalStats = useMemo(() => {
@@ -339,9 +370,20 @@ export default function ReadingHistoryModal({
             <BarChart3 className="w-6 h-6 text-indigo-600" />
             <h2 className="text-2xl font-bold text-gray-900">Reading History & Analytics</h2>
           </div>
-          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 p-2 hover:bg-gray-100 rounded-full transition-colors">
-            <X className="w-6 h-6" />
-          </button>
+          <div className="flex items-center gap-2">
+            {onShowYearInReview && allBooks.length > 0 && (
+              <button
+                onClick={onShowYearInReview}
+                className="flex items-center gap-2 px-3 py-2 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-lg hover:from-purple-700 hover:to-pink-700 transition-all shadow-md text-sm font-medium"
+              >
+                <Gift className="w-4 h-4" />
+                <span className="hidden sm:inline">Year in Review</span>
+              </button>
+            )}
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600 p-2 hover:bg-gray-100 rounded-full transition-colors">
+              <X className="w-6 h-6" />
+            </button>
+          </div>
         </div>
 
         <div className="p-6 flex-grow">
@@ -377,9 +419,24 @@ export default function ReadingHistoryModal({
             >
               Monthly
             </button>
+            <div className="ml-auto flex gap-1 bg-gray-100 rounded-lg p-1">
+              {Object.entries(METRICS).map(([key, option]) => (
+                <button
+                  key={key}
+                  onClick={() => setMetric(key)}
+                  className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${
+                    metric === key
+                      ? 'bg-white text-indigo-700 shadow-sm'
+                      : 'text-gray-600 hover:text-gray-900'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
           </div>
 
-          {allBooks.length === 0 ? (
+          {!hasHistory ? (
             <div className="text-center py-12">
               <BookOpen className="w-16 h-16 text-gray-300 mx-auto mb-4" />
               <p className="text-gray-600 font-medium mb-2">No Reading History Yet</p>
@@ -392,7 +449,7 @@ export default function ReadingHistoryModal({
                 <div className="bg-gradient-to-br from-blue-50 to-indigo-50 rounded-lg p-4 border border-blue-200">
                   <div className="flex items-center gap-2 mb-2">
                     <BookOpen className="w-5 h-5 text-blue-600" />
-                    <span className="text-sm font-medium text-gray-600">Total Books</span>
+                    <span className="text-sm font-medium text-gray-600">Total {METRICS[metric].label}</span>
                   </div>
                   <p className="text-2xl font-bold text-blue-600">{statistics.total}</p>
                   <p className="text-xs text-gray-500 mt-1">{statistics.periodLabel}</p>
@@ -411,7 +468,7 @@ export default function ReadingHistoryModal({
                     <span className="text-sm font-medium text-gray-600">Best Period</span>
                   </div>
                   <p className="text-2xl font-bold text-yellow-600">{statistics.max}</p>
-                  <p className="text-xs text-gray-500 mt-1">books in one period</p>
+                  <p className="text-xs text-gray-500 mt-1">{METRICS[metric].unit} in one period</p>
                 </div>
                 <div className={`bg-gradient-to-br rounded-lg p-4 border ${
                   statistics.trend === 'up' 
@@ -441,7 +498,7 @@ export default function ReadingHistoryModal({
                 <div className="bg-white rounded-lg p-6 border border-gray-200 shadow-sm">
                   <div className="flex items-center gap-2 mb-4">
                     <BarChart3 className="w-5 h-5 text-indigo-600" />
-                    <h3 className="text-lg font-semibold text-gray-900">Books Read - Bar Chart</h3>
+                    <h3 className="text-lg font-semibold text-gray-900">{METRICS[metric].label} Read - Bar Chart</h3>
                   </div>
                   {renderBarChart()}
                 </div>
@@ -501,6 +558,28 @@ export default function ReadingHistoryModal({
                 </div>
               </div>
 
+              {/* Reading Log Totals */}
+              {sessions.length > 0 && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                  <div className="bg-gradient-to-br from-rose-50 to-pink-50 rounded-lg p-4 border border-rose-200">
+                    <div className="flex items-center gap-2 mb-2">
+                      <FileText className="w-5 h-5 text-rose-600" />
+                      <span className="text-sm font-medium text-gray-600">Pages Read</span>
+                    </div>
+                    <p className="text-2xl font-bold text-rose-600">{sessionTotals.pages.toLocaleString()}</p>
+                    <p className="text-xs text-gray-500 mt-1">across {sessionTotals.sessions} logged sessions</p>
+                  </div>
+                  <div className="bg-gradient-to-br from-sky-50 to-cyan-50 rounded-lg p-4 border border-sky-200">
+                    <div className="flex items-center gap-2 mb-2">
+                      <Clock className="w-5 h-5 text-sky-600" />
+                      <span className="text-sm font-medium text-gray-600">Time Reading</span>
+                    </div>
+                    <p className="text-2xl font-bold text-sky-600">{(sessionTotals.minutes / 60).toFixed(1)}</p>
+                    <p className="text-xs text-gray-500 mt-1">hours logged</p>
+                  </div>
+                </div>
+              )}
+
               {/* Motivational Message */}
               {statistics.trend === 'up' && (
                 <div className="mt-6 bg-gradient-to-r from-green-50 to-emerald-50 rounded-lg p-4 border-2 border-green-300">
@@ -512,7 +591,7 @@ export default function ReadingHistoryModal({
                   </div>
                 </div>
               )}
-              {statistics.currentPeriod === 0 && statistics.total > 0 && (
+              {metric === 'books' && statistics.currentPeriod === 0 && statistics.total > 0 && (
                 <div className="mt-6 bg-gradient-to-r from-yellow-50 to-orange-50 rounded-lg p-4 border-2 border-yellow-300">
                   <div className="flex items-center gap-2">
                     <Target className="w-6 h-6 text-yellow-600" />
@@ -0,0 +1,280 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, FileText, ChevronLeft, ChevronRight, RefreshCw, BookOpen, Star, Clock, Zap, Trophy, Target, BookMarked } from 'lucide-react';
+import { generateReadingReport, getReadingReports } from '../../services/gamificationService';
+import { REPORT_TYPES, getReportPeriod, shiftReportPeriod, formatReportPeriod } from '../../utils/reportHelpers';
+import { getGenreColor } from '../../utils/genreColors';
+
+const REPORT_TYPE_LABELS = {
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  yearly: 'Yearly'
+};
+
+/**
+ * ReadingReportsModal Component
+ * Shows a weekly, monthly or yearly summary of the user's reading
+ *
+ * @param {boolean} show - Whether to show the modal
+ * @param {object} currentUser - Current logged in user
+ * @param {function} onClose - Callback to close the modal
+ */
+export default function ReadingReportsModal({
+  show,
+  currentUser,
+  onClose
+}) {
+  const [reportType, setReportType] = useState('monthly');
+  const [referenceDate, setReferenceDate] = useState(new Date());
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const { periodStart, periodEnd } = getReportPeriod(reportType, referenceDate);
+  const isCurrentPeriod = getReportPeriod(reportType).periodStart === periodStart;
+
+  // Use the saved report for a finished period, otherwise build it fresh
+  const loadReport = useCallback(async (forceRegenerate = false) => {
+    if (!currentUser?.id) return;
+
+    setIsLoading(true);
+    setError('');
+    try {
+      if (!forceRegenerate) {
+        const { data: savedReports } = await getReadingReports(currentUser.id, reportType);
+        const saved = savedReports.find(r => r.period_start === periodStart);
+        const isStale = isCurrentPeriod || !saved?.generated_at || saved.generated_at < `${periodEnd}T23:59:59`;
+        if (saved && !isStale) {
+          setReport(saved);
+          return;
+        }
+      }
+
+      const { data, error: generateError } = await generateReadingReport(currentUser.id, reportType, periodStart, periodEnd);
+      if (generateError) {
+        setError('Could not build this report. Please try again.');
+        setReport(null);
+      } else {
+        setReport(data);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, [currentUser?.id, reportType, periodStart, periodEnd, isCurrentPeriod]);
+
+  useEffect(() => {
+    if (show) {
+      loadReport();
+    }
+  }, [show, loadReport]);
+
+  if (!show) return null;
+
+  const genreBreakdown = Array.isArray(report?.genre_breakdown) ? report.genre_breakdown : [];
+  const authorBreakdown = Array.isArray(report?.author_breakdown) ? report.author_breakdown : [];
+  const finishedBooks = Array.isArray(report?.finished_books) ? report.finished_books : [];
+  const achievements = Array.isArray(report?.achievements) ? report.achievements : [];
+  const completedChallenges = Array.isArray(report?.challenges) ? report.challenges : [];
+  const maxGenreCount = Math.max(...genreBreakdown.map(g => g.count), 1);
+  const isEmpty = report && !report.books_read && !report.pages_read && !report.xp_earned && !report.achievements_earned;
+
+  const statCards = report ? [
+    { label: 'Books Finished', value: report.books_read || 0, icon: BookOpen, color: 'text-blue-600', bg: 'from-blue-50 to-indigo-50 border-blue-200' },
+    { label: 'Pages Read', value: (report.pages_read || 0).toLocaleString(), icon: BookMarked, color: 'text-rose-600', bg: 'from-rose-50 to-pink-50 border-rose-200' },
+    { label: 'Hours Reading', value: report.hours_read || 0, icon: Clock, color: 'text-sky-600', bg: 'from-sky-50 to-cyan-50 border-sky-200' },
+    { label: 'Average Rating', value: report.average_rating ? `${report.average_rating} ★` : '–', icon: Star, color: 'text-yellow-600', bg: 'from-yellow-50 to-amber-50 border-yellow-200' },
+    { label: 'XP Earned', value: report.xp_earned || 0, icon: Zap, color: 'text-purple-600', bg: 'from-purple-50 to-fuchsia-50 border-purple-200' },
+    { label: 'Achievements', value: report.achievements_earned || 0, icon: Trophy, color: 'text-orange-600', bg: 'from-orange-50 to-red-50 border-orange-200' },
+    { label: 'Challenges Completed', value: report.challenges_completed || 0, icon: Target, color: 'text-green-600', bg: 'from-green-50 to-emerald-50 border-green-200' }
+  ] : [];
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-y-auto relative flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between sticky top-0 bg-white z-10">
+          <div className="flex items-center gap-3">
+            <FileText className="w-6 h-6 text-indigo-600" />
+            <h2 className="text-2xl font-bold text-gray-900">Reading Reports</h2>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 p-2 hover:bg-gray-100 rounded-full transition-colors">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 flex-grow">
+          {/* Report Type Selector */}
+          <div className="flex gap-2 mb-4 border-b border-gray-200 pb-4">
+            {REPORT_TYPES.map(type => (
+              <button
+                key={type}
+                onClick={() => {
+                  setReportType(type);
+                  setReferenceDate(new Date());
+                }}
+                className={`px-4 py-2 font-medium transition-colors rounded-lg ${
+                  reportType === type
+                    ? 'bg-indigo-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {REPORT_TYPE_LABELS[type]}
+              </button>
+            ))}
+          </div>
+
+          {/* Period Navigation */}
+          <div className="flex items-center justify-between mb-6">
+            <button
+              onClick={() => setReferenceDate(shiftReportPeriod(reportType, referenceDate, -1))}
+              className="p-2 rounded-lg hover:bg-gray-100 text-gray-600"
+              title="Previous period"
+            >
+              <ChevronLeft className="w-5 h-5" />
+            </button>
+            <div className="text-center">
+              <p className="text-lg font-semibold text-gray-900">{formatReportPeriod(reportType, periodStart, periodEnd)}</p>
+              {isCurrentPeriod && <p className="text-xs text-gray-500">So far this {reportType === 'weekly' ? 'week' : reportType === 'monthly' ? 'month' : 'year'}</p>}
+            </div>
+            <div className="flex items-center gap-1">
+              <button
+                onClick={() => loadReport(true)}
+                disabled={isLoading}
+                className="p-2 rounded-lg hover:bg-gray-100 text-gray-600 disabled:opacity-50"
+                title="Refresh report"
+              >
+                <RefreshCw className={`w-5 h-5 ${isLoading ? 'animate-spin' : ''}`} />
+              </button>
+              <button
+                onClick={() => setReferenceDate(shiftReportPeriod(reportType, referenceDate, 1))}
+                disabled={isCurrentPeriod}
+                className="p-2 rounded-lg hover:bg-gray-100 text-gray-600 disabled:opacity-30 disabled:cursor-not-allowed"
+                title="Next period"
+              >
+                <ChevronRight className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+          )}
+
+          {isLoading && !report ? (
+            <div className="text-center py-12 text-gray-500">Building your report...</div>
+          ) : report && (
+            <>
+              {/* Statistics Cards */}
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                {statCards.map(card => (
+                  <div key={card.label} className={`bg-gradient-to-br ${card.bg} rounded-lg p-4 border`}>
+                    <div className="flex items-center gap-2 mb-2">
+                      <card.icon className={`w-5 h-5 ${card.color}`} />
+                      <span className="text-sm font-medium text-gray-600">{card.label}</span>
+                    </div>
+                    <p className={`text-2xl font-bold ${card.color}`}>{card.value}</p>
+                  </div>
+                ))}
+              </div>
+
+              {isEmpty ? (
+                <div className="text-center py-8">
+                  <BookOpen className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+                  <p className="text-gray-600 font-medium mb-2">Nothing to report yet</p>
+                  <p className="text-sm text-gray-500">Finish a book or log a reading session and it will show up here!</p>
+                </div>
+              ) : (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  {/* Genres */}
+                  {genreBreakdown.length > 0 && (
+                    <div className="bg-white rounded-lg p-5 border border-gray-200 shadow-sm">
+                      <h3 className="text-lg font-semibold text-gray-900 mb-3">Genres</h3>
+                      <div className="space-y-2">
+                        {genreBreakdown.map(genre => {
+                          const colors = getGenreColor(genre.name);
+                          return (
+                            <div key={genre.name}>
+                              <div className="flex justify-between text-sm mb-1">
+                                <span className="text-gray-700 truncate">{genre.name}</span>
+                                <span className="text-gray-500">{genre.count}</span>
+                              </div>
+                              <div className="w-full bg-gray-100 rounded-full h-2">
+                                <div
+                                  className={`${colors.bg} border ${colors.border} h-2 rounded-full`}
+                                  style={{ width: `${(genre.count / maxGenreCount) * 100}%` }}
+                                />
+                              </div>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Authors */}
+                  {authorBreakdown.length > 0 && (
+                    <div className="bg-white rounded-lg p-5 border border-gray-200 shadow-sm">
+                      <h3 className="text-lg font-semibold text-gray-900 mb-3">Top Authors</h3>
+                      <ol className="space-y-1">
+                        {authorBreakdown.slice(0, 5).map((author, index) => (
+                          <li key={author.name} className="flex justify-between text-sm">
+                            <span className="text-gray-700 truncate">{index + 1}. {author.name}</span>
+                            <span className="text-gray-500">{author.count} book{author.count === 1 ? '' : 's'}</span>
+                          </li>
+                        ))}
+                      </ol>
+                    </div>
+                  )}
+
+                  {/* Books Finished */}
+                  {finishedBooks.length > 0 && (
+                    <div className="bg-white rounded-lg p-5 border border-gray-200 shadow-sm lg:col-span-2">
+                      <h3 className="text-lg font-semibold text-gray-900 mb-3">Books Finished</h3>
+                      <ul className="divide-y divide-gray-100">
+                        {finishedBooks.map(book => (
+                          <li key={book.id} className="flex items-center justify-between py-2 text-sm">
+                            <div className="min-w-0">
+                              <p className="font-medium text-gray-900 truncate">{book.title}</p>
+                              {book.author && <p className="text-xs text-gray-500 truncate">{book.author}</p>}
+                            </div>
+                            <div className="flex items-center gap-3 flex-shrink-0 ml-3">
+                              {book.rating > 0 && (
+                                <span className="text-yellow-500">{'★'.repeat(book.rating)}</span>
+                              )}
+                              {book.finishDate && (
+                                <span className="text-xs text-gray-500">
+                                  {new Date(book.finishDate + 'T00:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                                </span>
+                              )}
+                            </div>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  {/* Achievements and Challenges */}
+                  {(achievements.length > 0 || completedChallenges.length > 0) && (
+                    <div className="bg-gradient-to-r from-yellow-50 to-orange-50 rounded-lg p-5 border-2 border-yellow-200 lg:col-span-2">
+                      <h3 className="text-lg font-semibold text-gray-900 mb-3">🎉 Highlights</h3>
+                      <div className="flex flex-wrap gap-2">
+                        {achievements.map((achievement, index) => (
+                          <span key={`a-${index}`} className="px-3 py-1 bg-white rounded-full border border-yellow-300 text-sm text-gray-800">
+                            {achievement.emoji} {achievement.name}
+                          </span>
+                        ))}
+                        {completedChallenges.map(challenge => (
+                          <span key={`c-${challenge.id}`} className="px-3 py-1 bg-white rounded-full border border-green-300 text-sm text-gray-800">
+                            🎯 {challenge.name}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
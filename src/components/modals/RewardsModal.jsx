@@ -1,7 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { X, Trophy, Star, Gift, Award, Sparkles, Lock, Unlock } from 'lucide-react';
-import { getUserRewards } from '../../services/gamificationService';
+import { getUserRewards, getQuizzesPassedCount } from '../../services/gamificationService';
+import { getBadgeDefinitions } from '../../services/badgeService';
 import RewardUnlockedModal from './RewardUnlockedModal';
+import { buildBadgeStats, countCompletedChallenges, getNextBadges, describeCriteria } from '../../utils/badgeRules';
+import { BADGE_REWARD_TYPES } from '../../constants/badgeRules';
+import { getLevelProgress } from '../../utils/levelCurve';
 
 /**
  * RewardsModal Component
@@ -11,6 +15,7 @@ import RewardUnlockedModal from './RewardUnlockedModal';
  * @param {object} currentUser - Current logged in user
  * @param {array} userRewards - Array of user rewards
  * @param {object} userXP - User XP data (level, total XP, etc.)
+ * @param {object} levelCurve - Level curve in use (defaults to LEVEL_CURVE)
  * @param {array} challenges - Array of challenges (to show completed ones that awarded XP)
  * @param {array} recentAchievements - Array of recent achievements
  * @param {function} onClose - Callback to close the modal
@@ -20,6 +25,7 @@ export default function RewardsModal({
   currentUser,
   userRewards = [],
   userXP = null,
+  levelCurve,
   userStreak = null,
   challenges = [],
   recentAchievements = [],
@@ -31,6 +37,8 @@ export default function RewardsModal({
   const [filter, setFilter] = useState('all'); // all, unlocked, locked
   const [showRewardAnimation, setShowRewardAnimation] = useState(false);
   const [selectedReward, setSelectedReward] = useState(null);
+  const [badges, setBadges] = useState([]);
+  const [quizzesPassed, setQuizzesPassed] = useState(0);
 
   useEffect(() => {
     if (show && currentUser) {
@@ -42,12 +50,18 @@ export default function RewardsModal({
     if (!currentUser) return;
     setIsLoading(true);
     try {
-      const { data, error } = await getUserRewards(currentUser.id);
+      const [{ data, error }, { data: badgeData }, { data: passed }] = await Promise.all([
+        getUserRewards(currentUser.id),
+        getBadgeDefinitions(),
+        getQuizzesPassedCount(currentUser.id)
+      ]);
       if (error) {
         console.error('Error loading rewards:', error);
       } else {
         setRewards(data || []);
       }
+      setBadges(badgeData || []);
+      setQuizzesPassed(passed || 0);
     } catch (error) {
       console.error('Error loading rewards:', error);
     } finally {
@@ -68,159 +82,34 @@ export default function RewardsModal({
     return rewardTypes[rewardType] || rewardTypes.default;
   };
 
-  // Helper functions for milestone names and emojis
-  const getBookMilestoneName = (count) => {
-    const names = {
-      1: 'First Steps',
-      5: 'Getting Started',
-      10: 'Bookworm',
-      25: 'Avid Reader',
-      50: 'Book Master',
-      100: 'Legendary Reader',
-      200: 'Reading Champion'
-    };
-    return names[count] || `Read ${count} Books`;
-  };
-
-  const getBookMilestoneEmoji = (count) => {
-    const emojis = {
-      1: '🌱',
-      5: '📖',
-      10: '📚',
-      25: '🌟',
-      50: '👑',
-      100: '🏆',
-      200: '💎'
-    };
-    return emojis[count] || '📚';
-  };
+  // Calculate upcoming rewards based on current stats: the next badge for each stat
+  const getUpcomingRewards = () => {
+    if (!userXP || !bookshelves) return [];
 
-  const getChallengeMilestoneName = (count) => {
-    const names = {
-      1: 'Challenge Starter',
-      3: 'Challenge Enthusiast',
-      5: 'Challenge Master',
-      10: 'Challenge Champion',
-      20: 'Challenge Legend',
-      50: 'Ultimate Challenger'
-    };
-    return names[count] || `Complete ${count} Challenges`;
-  };
+    const stats = buildBadgeStats({
+      books: bookshelves.flatMap(shelf => shelf.books || []),
+      userXP,
+      userStreak,
+      completedChallenges: countCompletedChallenges(challenges, currentUser?.id),
+      quizzesPassed
+    });
 
-  const getChallengeMilestoneEmoji = (count) => {
-    const emojis = {
-      1: '🎯',
-      3: '🏅',
-      5: '👑',
-      10: '🏆',
-      20: '⭐',
-      50: '💎'
-    };
-    return emojis[count] || '🎯';
+    return getNextBadges(badges, stats, rewards).map(({ badge, current, target, progress }) => ({
+      type: badge.rewardType,
+      name: badge.name,
+      emoji: badge.emoji,
+      current,
+      target,
+      progress,
+      description: `${describeCriteria(badge.criteria)} to unlock this ${(BADGE_REWARD_TYPES[badge.rewardType]?.label || 'reward').toLowerCase()}!`
+    })).slice(0, 3); // Show top 3 upcoming
   };
 
-  // Calculate upcoming rewards based on current stats
-  const getUpcomingRewards = () => {
-    if (!userXP || !bookshelves) return [];
-    
-    const allBooks = bookshelves.flatMap(shelf => shelf.books || []);
-    const finishedBooks = allBooks.filter(b => b.finishDate).length;
-    const currentLevel = userXP.current_level || 1;
-    const currentStreak = userStreak?.current_streak || 0;
-    
-    // Count completed challenges
-    const completedChallenges = challenges.filter(c => {
-      const isCompleted = c.is_completed || (c.current_count >= c.target_count);
-      const isCreator = currentUser && String(c.user_id) === String(currentUser.id);
-      let isParticipant = false;
-      if (c.shared_with) {
-        let sharedArray = c.shared_with;
-        if (typeof sharedArray === 'string') {
-          try {
-            sharedArray = JSON.parse(sharedArray);
-          } catch (e) {
-            if (sharedArray.includes(',')) {
-              sharedArray = sharedArray.split(',').map(id => id.trim());
-            } else {
-              sharedArray = [sharedArray];
-            }
-          }
-        }
-        if (Array.isArray(sharedArray) && currentUser) {
-          isParticipant = sharedArray.map(id => String(id)).includes(String(currentUser.id));
-        }
-      }
-      return isCompleted && (isCreator || isParticipant);
-    }).length;
-    
-    const upcoming = [];
-    
-    // Book milestones
-    const bookMilestones = [1, 5, 10, 25, 50, 100, 200];
-    const nextBookMilestone = bookMilestones.find(m => m > finishedBooks);
-    if (nextBookMilestone) {
-      const progress = (finishedBooks / nextBookMilestone * 100).toFixed(0);
-      upcoming.push({
-        type: 'badge',
-        name: getBookMilestoneName(nextBookMilestone),
-        emoji: getBookMilestoneEmoji(nextBookMilestone),
-        current: finishedBooks,
-        target: nextBookMilestone,
-        progress: Math.min(100, progress),
-        description: `Read ${nextBookMilestone} books to unlock this badge!`
-      });
-    }
-    
-    // Level milestones
-    const levelMilestones = [5, 10, 15, 20, 25];
-    const nextLevelMilestone = levelMilestones.find(l => l > currentLevel);
-    if (nextLevelMilestone) {
-      const progress = (currentLevel / nextLevelMilestone * 100).toFixed(0);
-      upcoming.push({
-        type: 'title',
-        name: `Level ${nextLevelMilestone} Reader`,
-        emoji: '⭐',
-        current: currentLevel,
-        target: nextLevelMilestone,
-        progress: Math.min(100, progress),
-        description: `Reach Level ${nextLevelMilestone} to unlock this title!`
-      });
-    }
-    
-    // Streak milestones
-    const streakMilestones = [2, 4, 8, 12];
-    const nextStreakMilestone = streakMilestones.find(s => s > currentStreak);
-    if (nextStreakMilestone) {
-      const progress = (currentStreak / nextStreakMilestone * 100).toFixed(0);
-      upcoming.push({
-        type: 'achievement',
-        name: `${nextStreakMilestone} Week Streak`,
-        emoji: '🔥',
-        current: currentStreak,
-        target: nextStreakMilestone,
-        progress: Math.min(100, progress),
-        description: `Maintain a ${nextStreakMilestone}-week reading streak!`
-      });
-    }
-    
-    // Challenge milestones
-    const challengeMilestones = [1, 3, 5, 10, 20, 50];
-    const nextChallengeMilestone = challengeMilestones.find(c => c > completedChallenges);
-    if (nextChallengeMilestone) {
-      const progress = (completedChallenges / nextChallengeMilestone * 100).toFixed(0);
-      upcoming.push({
-        type: 'badge',
-        name: getChallengeMilestoneName(nextChallengeMilestone),
-        emoji: getChallengeMilestoneEmoji(nextChallengeMilestone),
-        current: completedChallenges,
-        target: nextChallengeMilestone,
-        progress: Math.min(100, progress),
-        description: `Complete ${nextChallengeMilestone} challenges to unlock this badge!`
-      });
-    }
-    
-    return upcoming.slice(0, 3); // Show top 3 upcoming
-  };
+  // Book and challenge targets, for the how-to-earn tips
+  const getBadgeTargets = (stat) => badges
+    .filter(badge => badge.criteria?.[0]?.stat === stat)
+    .map(badge => badge.criteria[0].min)
+    .sort((a, b) => a - b);
 
   // Calculate upcoming rewards first (needed for filtering)
   const upcomingRewards = getUpcomingRewards();
@@ -303,7 +192,7 @@ export default function RewardsModal({
                           <div
                             className="h-full bg-gradient-to-r from-yellow-500 to-orange-500 rounded-full transition-all"
                             style={{ 
-                              width: `${Math.min(100, ((userXP.total_xp || 0) % (100 + (userXP.current_level - 1) * 50)) / (userXP.xp_to_next_level || 100) * 100)}%` 
+                              width: `${getLevelProgress(userXP.total_xp, levelCurve).percent}%`
                             }}
                           />
                         </div>
@@ -559,11 +448,11 @@ export default function RewardsModal({
                   <h4 className="font-semibold text-gray-900 mb-1">How to Earn Rewards</h4>
                   <ul className="text-sm text-gray-700 space-y-1 list-disc list-inside">
                     <li>Complete reading challenges (earn XP + unlock challenge badges!)</li>
-                    <li>Reach reading milestones (10, 25, 50, 100 books)</li>
+                    <li>Reach reading milestones ({getBadgeTargets('finishedBooks').join(', ')} books)</li>
                     <li>Maintain reading streaks</li>
                     <li>Unlock achievements</li>
                     <li>Level up your reading profile</li>
-                    <li>Complete multiple challenges (1, 3, 5, 10, 20, 50 challenges for special badges!)</li>
+                    <li>Complete multiple challenges ({getBadgeTargets('completedChallenges').join(', ')} challenges for special badges!)</li>
                   </ul>
                 </div>
               </div>
@@ -0,0 +1,149 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, Library, Heart, ArrowRight } from 'lucide-react';
+import { buildSeriesOverview, getNextInSeries, SERIES_ENTRY_STATE, SERIES_ENTRY_STATE_OPTIONS } from '../../utils/seriesHelpers';
+
+/**
+ * SeriesModal Component
+ * Series view: every series in the user's library in reading order, showing
+ * which entries they've read, own, have wishlisted or are missing, with the
+ * next book in each started series ready to add to the wishlist.
+ *
+ * @param {boolean} show - Whether to show the modal
+ * @param {array} bookshelves - User's bookshelves with books
+ * @param {function} onAddToWishlist - Callback to add a book to the wishlist ({ title, author, reason, series, seriesPosition })
+ * @param {function} onBookClick - Callback to open a book's details
+ * @param {function} onClose - Callback to close the modal
+ */
+export default function SeriesModal({
+  show,
+  bookshelves = [],
+  onAddToWishlist,
+  onBookClick,
+  onClose
+}) {
+  const [addingKey, setAddingKey] = useState(null);
+
+  useEffect(() => {
+    if (show) setAddingKey(null);
+  }, [show]);
+
+  const seriesList = useMemo(() => (show ? buildSeriesOverview(bookshelves) : []), [show, bookshelves]);
+  const nextInSeries = useMemo(() => (show ? getNextInSeries(bookshelves) : []), [show, bookshelves]);
+
+  if (!show) return null;
+
+  const handleAddToWishlist = async (suggestion) => {
+    const key = `${suggestion.series}|${suggestion.seriesPosition}`;
+    setAddingKey(key);
+    try {
+      await onAddToWishlist(suggestion);
+    } finally {
+      setAddingKey(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Library className="w-6 h-6 text-indigo-600" />
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900">Series</h2>
+              <p className="text-sm text-gray-500">
+                {seriesList.length === 0
+                  ? 'No series on your shelves yet'
+                  : `${seriesList.length} series on your shelves`}
+              </p>
+            </div>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 p-2 hover:bg-gray-100 rounded-full transition-colors">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-grow space-y-6">
+          {seriesList.length === 0 && (
+            <div className="text-center py-10">
+              <Library className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+              <p className="text-gray-600">
+                Books in a series show up here. Set a book's series in its details, or add one
+                from search and we'll work it out for you.
+              </p>
+            </div>
+          )}
+
+          {nextInSeries.length > 0 && (
+            <div className="bg-gradient-to-r from-indigo-50 to-purple-50 border border-indigo-200 rounded-xl p-4">
+              <h3 className="font-semibold text-indigo-900 mb-3 flex items-center gap-2">
+                <ArrowRight className="w-4 h-4" />
+                Next in your series
+              </h3>
+              <div className="space-y-2">
+                {nextInSeries.map(suggestion => {
+                  const key = `${suggestion.series}|${suggestion.seriesPosition}`;
+                  return (
+                    <div key={key} className="flex items-center justify-between gap-3 bg-white rounded-lg px-3 py-2 shadow-sm">
+                      <div className="min-w-0">
+                        <p className="font-medium text-gray-900 truncate">{suggestion.title}</p>
+                        <p className="text-xs text-gray-500 truncate">
+                          {suggestion.series} #{suggestion.seriesPosition}{suggestion.author && ` · ${suggestion.author}`}
+                        </p>
+                      </div>
+                      {onAddToWishlist && (
+                        <button
+                          onClick={() => handleAddToWishlist(suggestion)}
+                          disabled={!!addingKey}
+                          className="px-3 py-1.5 bg-pink-600 text-white rounded-lg hover:bg-pink-700 transition-colors flex items-center gap-1 text-sm flex-shrink-0 disabled:opacity-50"
+                        >
+                          <Heart className="w-4 h-4" />
+                          {addingKey === key ? 'Adding...' : 'Wishlist'}
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {seriesList.map(series => (
+            <div key={series.key} className="border border-gray-200 rounded-xl overflow-hidden">
+              <div className="px-4 py-3 bg-gray-50 border-b border-gray-200 flex items-center justify-between gap-3">
+                <div className="min-w-0">
+                  <h3 className="font-semibold text-gray-900 truncate">{series.name}</h3>
+                  {series.author && <p className="text-xs text-gray-500 truncate">{series.author}</p>}
+                </div>
+                <span className="text-sm text-gray-600 flex-shrink-0">
+                  {series.readCount} of {series.entries.length} read
+                </span>
+              </div>
+              <div className="p-4 flex flex-wrap gap-2">
+                {series.entries.map((entry, index) => {
+                  const option = SERIES_ENTRY_STATE_OPTIONS[entry.state];
+                  const isNext = entry === series.nextUp;
+                  return (
+                    <button
+                      key={entry.book?.id || `${series.key}-${entry.position ?? index}`}
+                      onClick={() => entry.book && onBookClick && onBookClick(entry.book, entry.shelf)}
+                      disabled={!entry.book}
+                      title={`${option.label}${entry.shelf ? ` · on ${entry.shelf.name}` : ''}`}
+                      className={`text-left px-3 py-2 rounded-lg border text-sm max-w-[14rem] ${option.color} ${entry.book ? 'hover:shadow-md transition-shadow' : 'cursor-default'} ${isNext ? 'ring-2 ring-indigo-400' : ''}`}
+                    >
+                      <span className="block text-xs font-semibold opacity-75">
+                        {entry.position != null ? `#${entry.position}` : 'Unnumbered'} · {option.label}
+                      </span>
+                      <span className="block truncate">
+                        {entry.title || (entry.state === SERIES_ENTRY_STATE.MISSING ? 'Unknown title' : '')}
+                      </span>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
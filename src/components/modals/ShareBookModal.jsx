@@ -6,17 +6,21 @@ import { getUserProfile } from '../../services/userService';
 
 /**
  * ShareBookModal Component
- * Modal for sharing a book with other users or making it public
+ * Modal for sharing a book with other users or making it public.
+ * Given several books, the chosen users are added to each book's existing
+ * shares (public status is left as it is).
  * 
  * @param {boolean} show - Whether to show the modal
  * @param {object} book - The book to share
+ * @param {array} books - Books to share at once (instead of book)
  * @param {object} currentUser - Current logged in user
  * @param {function} onClose - Callback to close the modal
- * @param {function} onShareSuccess - Callback when sharing is successful
+ * @param {function} onShareSuccess - Callback when sharing is successful, with the sharing info and the book
  */
 export default function ShareBookModal({
   show,
   book,
+  books,
   currentUser,
   onClose,
   onShareSuccess
@@ -28,13 +32,19 @@ export default function ShareBookModal({
   const [isLoading, setIsLoading] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
 
+  const isBulk = Boolean(books?.length);
+  const targetBooks = isBulk ? books : (book ? [book] : []);
+
   useEffect(() => {
-    if (show && book) {
+    if (show && isBulk) {
+      setSelectedUserIds([]);
+      loadUsers();
+    } else if (show && book) {
       setSelectedUserIds(book.sharedWith || []);
       setIsPublic(book.isPublic || false);
       loadUsers();
     }
-  }, [show, book]);
+  }, [show, book, books]);
 
   const loadUsers = async () => {
     try {
@@ -70,7 +80,41 @@ export default function ShareBookModal({
     );
   };
 
+  const handleShareBooks = async () => {
+    setIsLoading(true);
+    try {
+      for (const target of books) {
+        const sharedWith = [...new Set([...(target.sharedWith || []), ...selectedUserIds])];
+        const { error: shareError } = await shareBook(target.id, sharedWith, currentUser.id);
+        if (shareError) {
+          console.error('Share error:', shareError);
+          alert(`Error sharing "${target.title}": ${shareError.message || JSON.stringify(shareError)}`);
+          return;
+        }
+
+        if (onShareSuccess) {
+          onShareSuccess({
+            sharedWith,
+            sharedBy: currentUser.id,
+            sharedAt: new Date().toISOString()
+          }, target);
+        }
+      }
+
+      onClose();
+    } catch (error) {
+      console.error('Error sharing books:', error);
+      alert('Error sharing books. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handleShare = async () => {
+    if (isBulk) {
+      if (currentUser) await handleShareBooks();
+      return;
+    }
     if (!book || !currentUser) return;
 
     setIsLoading(true);
@@ -115,7 +159,7 @@ export default function ShareBookModal({
           isPublic: isPublic,
           sharedBy: currentUser.id,
           sharedAt: new Date().toISOString()
-        });
+        }, book);
       }
 
       onClose();
@@ -127,7 +171,7 @@ export default function ShareBookModal({
     }
   };
 
-  if (!show || !book) return null;
+  if (!show || targetBooks.length === 0) return null;
 
   const filteredUsers = users.filter(user => {
     const profile = userProfiles[user.id];
@@ -144,7 +188,7 @@ export default function ShareBookModal({
         <div className="p-6 border-b border-gray-200 flex items-center justify-between sticky top-0 bg-white z-10">
           <div className="flex items-center gap-3">
             <Share2 className="w-6 h-6 text-indigo-600" />
-            <h2 className="text-2xl font-bold text-gray-900">Share Book</h2>
+            <h2 className="text-2xl font-bold text-gray-900">{isBulk ? `Share ${books.length} Books` : 'Share Book'}</h2>
           </div>
           <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Close modal">
             <X className="w-6 h-6" />
@@ -153,41 +197,51 @@ export default function ShareBookModal({
 
         <div className="p-6 space-y-6">
           {/* Book Info */}
-          <div className="flex gap-4 items-center bg-gray-50 rounded-lg p-4">
-            <img
-              src={book.coverUrl}
-              alt={book.title}
-              className="w-16 h-24 object-cover rounded"
-            />
-            <div>
-              <h3 className="font-semibold text-gray-900">{book.title}</h3>
-              {book.author && (
-                <p className="text-sm text-gray-600">{book.author}</p>
-              )}
+          {isBulk ? (
+            <div className="bg-gray-50 rounded-lg p-4 text-sm text-gray-700">
+              <p className="font-semibold text-gray-900 mb-1">{books.length} books</p>
+              <p className="truncate">{books.map(target => target.title).join(', ')}</p>
+              <p className="text-xs text-gray-500 mt-2">The users you pick are added to each book. Existing shares are kept.</p>
             </div>
-          </div>
+          ) : (
+            <div className="flex gap-4 items-center bg-gray-50 rounded-lg p-4">
+              <img
+                src={book.coverUrl}
+                alt={book.title}
+                className="w-16 h-24 object-cover rounded"
+              />
+              <div>
+                <h3 className="font-semibold text-gray-900">{book.title}</h3>
+                {book.author && (
+                  <p className="text-sm text-gray-600">{book.author}</p>
+                )}
+              </div>
+            </div>
+          )}
 
           {/* Public Recommendation */}
-          <div className="border border-gray-200 rounded-lg p-4">
-            <div className="flex items-center justify-between">
-              <div className="flex items-center gap-3">
-                <Globe className="w-5 h-5 text-blue-600" />
-                <div>
-                  <h4 className="font-semibold text-gray-900">Public Recommendation</h4>
-                  <p className="text-sm text-gray-600">Make this book visible in public recommendations feed</p>
+          {!isBulk && (
+            <div className="border border-gray-200 rounded-lg p-4">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center gap-3">
+                  <Globe className="w-5 h-5 text-blue-600" />
+                  <div>
+                    <h4 className="font-semibold text-gray-900">Public Recommendation</h4>
+                    <p className="text-sm text-gray-600">Make this book visible in public recommendations feed</p>
+                  </div>
                 </div>
+                <label className="relative inline-flex items-center cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={isPublic}
+                    onChange={(e) => setIsPublic(e.target.checked)}
+                    className="sr-only peer"
+                  />
+                  <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-indigo-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-indigo-600"></div>
+                </label>
               </div>
-              <label className="relative inline-flex items-center cursor-pointer">
-                <input
-                  type="checkbox"
-                  checked={isPublic}
-                  onChange={(e) => setIsPublic(e.target.checked)}
-                  className="sr-only peer"
-                />
-                <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-indigo-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-indigo-600"></div>
-              </label>
             </div>
-          </div>
+          )}
 
           {/* Share with Users */}
           <div>
@@ -269,7 +323,7 @@ export default function ShareBookModal({
               className="flex-1 py-3 px-4 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
               title={isLoading ? 'Sharing book...' : 'Share this book with selected users'}
             >
-              {isLoading ? 'Sharing...' : 'Share Book'}
+              {isLoading ? 'Sharing...' : (isBulk ? 'Share Books' : 'Share Book')}
             </button>
           </div>
         </div>
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { X, Settings } from 'lucide-react';
+import { ANIMAL_THEMES } from '../../constants/animalThemes';
+import { DEFAULT_SHELF_CAPACITY, UNLIMITED_CAPACITY, SHELF_OVERFLOW_OPTIONS } from '../../constants/shelfCapacity';
+import { getShelfCapacity, getShelfOverflow } from '../../utils/shelfHelpers';
+
+/**
+ * ShelfSettingsModal Component
+ * Lets users set how many books a regular shelf holds and what happens
+ * when a book is added to it once it's full
+ *
+ * @param {boolean} show - Whether to show the modal
+ * @param {object} shelf - The bookshelf being configured
+ * @param {function} onClose - Callback to close the modal
+ * @param {function} onSave - Callback with { capacity, overflowBehavior }
+ */
+export default function ShelfSettingsModal({ show, shelf, onClose, onSave }) {
+  const [isUnlimited, setIsUnlimited] = useState(false);
+  const [capacity, setCapacity] = useState(DEFAULT_SHELF_CAPACITY);
+  const [overflowBehavior, setOverflowBehavior] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (show && shelf) {
+      const current = getShelfCapacity(shelf);
+      setIsUnlimited(current === null);
+      setCapacity(current ?? DEFAULT_SHELF_CAPACITY);
+      setOverflowBehavior(getShelfOverflow(shelf));
+    }
+  }, [show, shelf]);
+
+  if (!show || !shelf) return null;
+
+  const theme = ANIMAL_THEMES[shelf.animal] || ANIMAL_THEMES.cat;
+  const capacityValue = parseInt(capacity, 10);
+  const isValid = isUnlimited || capacityValue >= 1;
+  const isOverCapacity = !isUnlimited && capacityValue < shelf.books.length;
+
+  const handleSave = async () => {
+    if (!isValid) return;
+    setIsSaving(true);
+    try {
+      await onSave({
+        capacity: isUnlimited ? UNLIMITED_CAPACITY : capacityValue,
+        overflowBehavior
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-2xl max-w-lg w-full max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Settings className="w-6 h-6 text-indigo-600" />
+            <h2 className="text-2xl font-bold text-gray-900">Shelf Settings</h2>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Close modal">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div className="flex items-center gap-3 bg-gray-50 rounded-lg p-4">
+            <span className="text-3xl">{theme.emoji}</span>
+            <div>
+              <div className="font-semibold text-gray-900">{shelf.name}</div>
+              <div className="text-sm text-gray-600">{shelf.books.length} books on this shelf</div>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Capacity</label>
+            <div className="flex items-center gap-4">
+              <input
+                type="number"
+                min="1"
+                value={isUnlimited ? '' : capacity}
+                disabled={isUnlimited}
+                onChange={(e) => setCapacity(e.target.value)}
+                className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:bg-gray-100"
+              />
+              <span className="text-sm text-gray-600">books</span>
+              <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={isUnlimited}
+                  onChange={(e) => setIsUnlimited(e.target.checked)}
+                  className="rounded text-indigo-600"
+                />
+                Unlimited
+              </label>
+            </div>
+            {isOverCapacity && (
+              <p className="text-xs text-amber-600 mt-2">
+                This shelf already has more books than that. It will count as full until some are moved.
+              </p>
+            )}
+          </div>
+
+          {!isUnlimited && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">When the shelf is full</label>
+              <div className="space-y-2">
+                {Object.entries(SHELF_OVERFLOW_OPTIONS).map(([value, option]) => (
+                  <label
+                    key={value}
+                    className={`flex items-start gap-3 p-3 border-2 rounded-xl cursor-pointer transition-colors ${
+                      overflowBehavior === value ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200 hover:border-indigo-300'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="overflowBehavior"
+                      value={value}
+                      checked={overflowBehavior === value}
+                      onChange={() => setOverflowBehavior(value)}
+                      className="mt-1 text-indigo-600"
+                    />
+                    <div>
+                      <div className="font-medium text-gray-900">{option.label}</div>
+                      <div className="text-sm text-gray-600">{option.description}</div>
+                    </div>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="flex gap-3 pt-4 border-t border-gray-200">
+            <button
+              onClick={onClose}
+              className="flex-1 py-3 px-4 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors font-medium"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={!isValid || isSaving}
+              className="flex-1 py-3 px-4 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSaving ? 'Saving...' : 'Save Settings'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import { X, Wand2, Search } from 'lucide-react';
+import LibraryFilterFields from '../bookshelf/LibraryFilterFields';
+import { EMPTY_LIBRARY_FILTERS, LIBRARY_SORT_OPTIONS, toLibraryFilters, hasActiveFilters } from '../../utils/librarySearch';
+import { getSmartShelfBooks, isSmartShelf } from '../../utils/shelfHelpers';
+import { getThemeOptions } from '../../utils/levelUnlocks';
+
+/**
+ * SmartShelfModal Component
+ * Creates or edits a smart shelf: a named shelf whose books are every book
+ * in the library matching its saved filters. The preview count updates as
+ * the filters change.
+ *
+ * @param {boolean} show - Whether to show the modal
+ * @param {object} shelf - Smart shelf being edited (null to create one)
+ * @param {object} initialFilters - Filters a new smart shelf starts with (e.g. the current search)
+ * @param {array} bookshelves - All bookshelves (searched for the preview, offered as a shelf filter)
+ * @param {array} availableGenres - Genres used across the library
+ * @param {array} availableTags - Tags used across the library
+ * @param {number} userLevel - User's level, which decides the themes on offer
+ * @param {function} onClose - Callback to close the modal
+ * @param {function} onSave - Callback with { name, animal, smartFilters }
+ */
+export default function SmartShelfModal({
+  show,
+  shelf,
+  initialFilters,
+  bookshelves = [],
+  availableGenres = [],
+  availableTags = [],
+  userLevel = 1,
+  onClose,
+  onSave
+}) {
+  const [name, setName] = useState('');
+  const [animal, setAnimal] = useState('owl');
+  const [filters, setFilters] = useState(EMPTY_LIBRARY_FILTERS);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (!show) return;
+    setName(shelf?.name || '');
+    setAnimal(shelf?.animal || 'owl');
+    setFilters(toLibraryFilters(shelf?.smartFilters || initialFilters || {}));
+  }, [show, shelf]);
+
+  if (!show) return null;
+
+  const sourceShelves = bookshelves.filter(item => !isSmartShelf(item) && item.type !== 'shared_with_me');
+  const matchCount = getSmartShelfBooks({ smartFilters: filters }, bookshelves).length;
+  const canSave = name.trim() && hasActiveFilters(filters);
+
+  const handleSave = async () => {
+    if (!canSave) return;
+    setIsSaving(true);
+    try {
+      await onSave({ name: name.trim(), animal, smartFilters: filters });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between sticky top-0 bg-white z-10">
+          <div className="flex items-center gap-3">
+            <Wand2 className="w-6 h-6 text-indigo-600" />
+            <h2 className="text-2xl font-bold text-gray-900">{shelf ? 'Edit Smart Shelf' : 'New Smart Shelf'}</h2>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Close modal">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <p className="text-sm text-gray-600">
+            A smart shelf shows every book that matches its rules and keeps itself up to date. Books stay on their own shelves.
+          </p>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="sm:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g. 5-star fantasy this year"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Animal</label>
+              <select
+                value={animal}
+                onChange={(e) => setAnimal(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                {getThemeOptions(userLevel, shelf?.animal).map(({ key, theme, unlockLevel, locked }) => (
+                  <option key={key} value={key} disabled={locked}>
+                    {theme.emoji} {theme.name}{locked ? ` (Level ${unlockLevel})` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="sm:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Matching text</label>
+              <div className="relative">
+                <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                <input
+                  type="text"
+                  value={filters.query}
+                  onChange={(e) => setFilters({ ...filters, query: e.target.value })}
+                  placeholder='Title, author, review, notes... ("exact phrase")'
+                  className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Order</label>
+              <select
+                value={filters.sort}
+                onChange={(e) => setFilters({ ...filters, sort: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                {Object.entries(LIBRARY_SORT_OPTIONS).map(([value, option]) => (
+                  <option key={value} value={value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <LibraryFilterFields
+            filters={filters}
+            onUpdate={(changes) => setFilters({ ...filters, ...changes })}
+            availableGenres={availableGenres}
+            availableTags={availableTags}
+            bookshelves={sourceShelves}
+          />
+
+          <div className="flex items-center justify-between gap-3 pt-4 border-t border-gray-200">
+            <span className="text-sm text-gray-600">
+              {hasActiveFilters(filters)
+                ? `${matchCount} ${matchCount === 1 ? 'book matches' : 'books match'} right now`
+                : 'Add at least one rule'}
+            </span>
+            <div className="flex gap-3">
+              <button
+                onClick={onClose}
+                className="py-2 px-4 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors font-medium"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={!canSave || isSaving}
+                className="py-2 px-4 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isSaving ? 'Saving...' : (shelf ? 'Save Smart Shelf' : 'Create Smart Shelf')}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { X, Gift, ChevronLeft, ChevronRight, Download, FileDown, Share2 } from 'lucide-react';
+import { getXPHistory } from '../../services/gamificationService';
+import { sumEarnedXP } from '../../utils/xpLedger';
+import { buildYearInReview, getRecapYears } from '../../utils/yearInReview';
+import { getRecapCardIds, drawRecapCard, canvasToBlob, exportCardsToPdf } from '../../utils/yearInReviewCards';
+
+/**
+ * Triggers a browser download for a Blob
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Download file name
+ */
+const downloadBlob = (blob, filename) => {
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * YearInReviewModal Component
+ * Paged "year in books" recap cards that can be shared or saved as images/PDF.
+ * Cards only show totals and highlights, never the full shelf.
+ *
+ * @param {boolean} show - Whether to show the modal
+ * @param {array} bookshelves - Array of bookshelves with books
+ * @param {array} readingSessions - Logged reading sessions
+ * @param {object} currentUser - Current logged in user
+ * @param {object} userProfile - User profile data (name, avatar)
+ * @param {object} userXP - Current XP record (total_xp, current_level)
+ * @param {function} onClose - Callback to close the modal
+ */
+export default function YearInReviewModal({
+  show,
+  bookshelves = [],
+  readingSessions = [],
+  currentUser,
+  userProfile,
+  userXP,
+  onClose
+}) {
+  const allBooks = useMemo(() => bookshelves.flatMap(shelf => shelf.books || []), [bookshelves]);
+  const years = useMemo(() => {
+    const recapYears = getRecapYears(allBooks);
+    return recapYears.length > 0 ? recapYears : [new Date().getFullYear()];
+  }, [allBooks]);
+
+  const [year, setYear] = useState(years[0]);
+  const [cardIndex, setCardIndex] = useState(0);
+  const [xpEarned, setXpEarned] = useState(0);
+  const [cardImages, setCardImages] = useState([]);
+  const [isExporting, setIsExporting] = useState(false);
+  const canvasesRef = useRef([]);
+
+  useEffect(() => {
+    if (show) {
+      setYear(years[0]);
+      setCardIndex(0);
+    }
+  }, [show]);
+
+  // XP earned during the year comes from the XP history
+  useEffect(() => {
+    const loadXP = async () => {
+      const { data } = await getXPHistory(currentUser.id, `${year}-01-01`, `${year}-12-31`);
+      setXpEarned(sumEarnedXP(data));
+    };
+
+    setXpEarned(0);
+    if (show && currentUser?.id) {
+      loadXP();
+    }
+  }, [show, currentUser?.id, year]);
+
+  const recap = useMemo(() => buildYearInReview(allBooks, year, {
+    sessions: readingSessions,
+    xpEarned,
+    // The current level only describes this year
+    level: year === new Date().getFullYear() ? userXP?.current_level : null
+  }), [allBooks, year, readingSessions, xpEarned, userXP?.current_level]);
+
+  const cardIds = useMemo(() => getRecapCardIds(recap), [recap]);
+
+  // Draw every card up front so exports use exactly what is on screen
+  useEffect(() => {
+    if (!show) return;
+
+    canvasesRef.current = cardIds.map(cardId => {
+      const canvas = document.createElement('canvas');
+      drawRecapCard(canvas, cardId, recap, userProfile);
+      return canvas;
+    });
+    setCardImages(canvasesRef.current.map(canvas => canvas.toDataURL('image/png')));
+    setCardIndex(index => Math.min(index, cardIds.length - 1));
+  }, [show, cardIds, recap, userProfile?.name, userProfile?.avatar]);
+
+  if (!show) return null;
+
+  const fileBase = `my-${year}-in-books`;
+
+  const handleSaveImage = async () => {
+    const canvas = canvasesRef.current[cardIndex];
+    if (!canvas) return;
+    const blob = await canvasToBlob(canvas);
+    downloadBlob(blob, `${fileBase}-${cardIndex + 1}.png`);
+  };
+
+  const handleSavePdf = async () => {
+    setIsExporting(true);
+    try {
+      const pdf = await exportCardsToPdf(canvasesRef.current);
+      downloadBlob(pdf, `${fileBase}.pdf`);
+    } catch (error) {
+      console.error('Error exporting year in review PDF:', error);
+      alert('Could not create the PDF. Please try saving the cards as images instead.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleShare = async () => {
+    const canvas = canvasesRef.current[cardIndex];
+    if (!canvas) return;
+
+    const blob = await canvasToBlob(canvas);
+    const file = new File([blob], `${fileBase}-${cardIndex + 1}.png`, { type: 'image/png' });
+
+    // Fall back to a download where the Web Share API can't send files
+    if (navigator.canShare?.({ files: [file] })) {
+      try {
+        await navigator.share({ files: [file], title: `My ${year} in Books` });
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('Error sharing year in review card:', error);
+        }
+      }
+    } else {
+      downloadBlob(blob, file.name);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-50" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-2xl max-w-lg w-full max-h-[95vh] overflow-y-auto relative flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="p-4 border-b border-gray-200 flex items-center justify-between sticky top-0 bg-white z-10">
+          <div className="flex items-center gap-3">
+            <Gift className="w-6 h-6 text-purple-600" />
+            <h2 className="text-xl font-bold text-gray-900">Year in Review</h2>
+            {years.length > 1 && (
+              <select
+                value={year}
+                onChange={(e) => {
+                  setYear(parseInt(e.target.value));
+                  setCardIndex(0);
+                }}
+                className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+              >
+                {years.map(y => (
+                  <option key={y} value={y}>{y}</option>
+                ))}
+              </select>
+            )}
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 p-2 hover:bg-gray-100 rounded-full transition-colors">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-4 flex-grow">
+          {/* Card */}
+          <div className="relative">
+            {cardImages[cardIndex] && (
+              <img
+                src={cardImages[cardIndex]}
+                alt={`Year in review card ${cardIndex + 1} of ${cardImages.length}`}
+                className="w-full rounded-xl shadow-lg"
+              />
+            )}
+            <button
+              onClick={() => setCardIndex(index => Math.max(0, index - 1))}
+              disabled={cardIndex === 0}
+              className="absolute left-2 top-1/2 -translate-y-1/2 bg-white/80 hover:bg-white rounded-full p-2 shadow disabled:opacity-0 transition-opacity"
+              title="Previous card"
+            >
+              <ChevronLeft className="w-5 h-5 text-gray-800" />
+            </button>
+            <button
+              onClick={() => setCardIndex(index => Math.min(cardImages.length - 1, index + 1))}
+              disabled={cardIndex >= cardImages.length - 1}
+              className="absolute right-2 top-1/2 -translate-y-1/2 bg-white/80 hover:bg-white rounded-full p-2 shadow disabled:opacity-0 transition-opacity"
+              title="Next card"
+            >
+              <ChevronRight className="w-5 h-5 text-gray-800" />
+            </button>
+          </div>
+
+          {/* Page dots */}
+          <div className="flex justify-center gap-1.5 my-4">
+            {cardImages.map((_, index) => (
+              <button
+                key={index}
+                onClick={() => setCardIndex(index)}
+                className={`w-2.5 h-2.5 rounded-full transition-colors ${index === cardIndex ? 'bg-purple-600' : 'bg-gray-300 hover:bg-gray-400'}`}
+                title={`Card ${index + 1}`}
+              />
+            ))}
+          </div>
+
+          {/* Export actions */}
+          <div className="grid grid-cols-3 gap-2">
+            <button
+              onClick={handleShare}
+              className="flex items-center justify-center gap-2 px-3 py-2 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-lg hover:from-purple-700 hover:to-pink-700 transition-all text-sm font-medium"
+            >
+              <Share2 className="w-4 h-4" />
+              Share
+            </button>
+            <button
+              onClick={handleSaveImage}
+              className="flex items-center justify-center gap-2 px-3 py-2 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 transition-colors text-sm font-medium"
+            >
+              <Download className="w-4 h-4" />
+              Image
+            </button>
+            <button
+              onClick={handleSavePdf}
+              disabled={isExporting}
+              className="flex items-center justify-center gap-2 px-3 py-2 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 transition-colors text-sm font-medium disabled:opacity-50"
+            >
+              <FileDown className="w-4 h-4" />
+              {isExporting ? 'Saving...' : 'PDF'}
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 text-center mt-3">
+            Cards only show your totals and highlights — your full shelf stays private.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
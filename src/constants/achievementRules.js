@@ -0,0 +1,17 @@
+/**
+ * Achievement Rules
+ *
+ * The book events the award engine (src/services/awards) reacts to, and the
+ * XP for finishing a book. The achievements themselves are the badge
+ * definitions that carry XP (see ./badgeRules), so admins can add them
+ * without a code change.
+ */
+
+// Book events that ask the server to evaluate awards
+export const AWARD_EVENTS = {
+  BOOK_CREATED: 'book_created',
+  BOOK_UPDATED: 'book_updated'
+};
+
+// XP for finishing a book, awarded once per book
+export const FINISHED_BOOK_XP = 50;
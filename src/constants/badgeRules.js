@@ -0,0 +1,77 @@
+/**
+ * Badge Rules
+ *
+ * Badges, titles and milestones are defined as data: a name, emoji and
+ * reward type, plus criteria over a reader's stats. A criterion is
+ * `{ stat, min }` (with `genre` for genre counts) and holds when the stat has
+ * reached `min`; a badge is earned when all of its criteria hold. The first
+ * criterion is the headline one, used for progress and the reward value.
+ *
+ * A badge with `xp` is also an achievement: the award engine on the server
+ * records it in bk_achievements (as `badgeType`, or the badge key) and awards
+ * the XP once. The reward check unlocks it as a badge like any other.
+ *
+ * DEFAULT_BADGES ship with the app; admins add more from the admin console
+ * (bk_badge_definitions). Both go through the same criteria, in the browser
+ * and on the server, so this file has no imports.
+ */
+
+// Stats criteria can test. `phrase` describes a criterion ({min}, {genre} filled in).
+export const BADGE_STATS = {
+  finishedBooks: { label: 'Books finished', phrase: 'Finish {min} books' },
+  totalBooks: { label: 'Books on shelves', phrase: 'Add {min} books to your shelves' },
+  booksThisMonth: { label: 'Books finished this month', phrase: 'Finish {min} books in a month' },
+  genreBooks: { label: 'Books finished in a genre', phrase: 'Finish {min} {genre} books', needsGenre: true },
+  currentStreak: { label: 'Weekly reading streak', phrase: 'Keep a {min}-week reading streak' },
+  currentLevel: { label: 'Level', phrase: 'Reach Level {min}' },
+  completedChallenges: { label: 'Challenges completed', phrase: 'Complete {min} challenges' },
+  booksRated: { label: 'Books rated', phrase: 'Rate {min} books' },
+  fiveStarBooks: { label: '5-star ratings given', phrase: 'Give {min} books 5 stars' },
+  reviewsWritten: { label: 'Reviews written', phrase: 'Write {min} reviews' },
+  quizzesPassed: { label: 'Quizzes answered correctly', phrase: 'Answer {min} quizzes correctly' }
+};
+
+export const BADGE_REWARD_TYPES = {
+  badge: { label: 'Badge' },
+  title: { label: 'Title' },
+  achievement: { label: 'Achievement' },
+  milestone: { label: 'Milestone' }
+};
+
+export const DEFAULT_BADGES = [
+  // Books finished
+  { key: 'books_1', name: 'First Steps', emoji: '🌱', description: 'Read your first book!', rewardType: 'badge', criteria: [{ stat: 'finishedBooks', min: 1 }], xp: 50, badgeType: 'first_book' },
+  { key: 'books_5', name: 'Getting Started', emoji: '📖', description: 'Read 5 books!', rewardType: 'badge', criteria: [{ stat: 'finishedBooks', min: 5 }] },
+  { key: 'books_10', name: 'Bookworm', emoji: '📚', description: 'Read 10 books!', rewardType: 'badge', criteria: [{ stat: 'finishedBooks', min: 10 }], xp: 100, badgeType: 'ten_books' },
+  { key: 'books_25', name: 'Avid Reader', emoji: '🌟', description: 'Read 25 books!', rewardType: 'badge', criteria: [{ stat: 'finishedBooks', min: 25 }] },
+  { key: 'books_50', name: 'Book Master', emoji: '👑', description: 'Read 50 books!', rewardType: 'badge', criteria: [{ stat: 'finishedBooks', min: 50 }] },
+  { key: 'books_100', name: 'Legendary Reader', emoji: '🏆', description: 'Read 100 books!', rewardType: 'badge', criteria: [{ stat: 'finishedBooks', min: 100 }] },
+  { key: 'books_200', name: 'Reading Champion', emoji: '💎', description: 'Read 200 books!', rewardType: 'badge', criteria: [{ stat: 'finishedBooks', min: 200 }] },
+
+  // Levels
+  { key: 'level_5', name: 'Level 5 Reader', emoji: '⭐', description: 'Reached Level 5!', rewardType: 'title', criteria: [{ stat: 'currentLevel', min: 5 }] },
+  { key: 'level_10', name: 'Level 10 Master', emoji: '✨', description: 'Reached Level 10!', rewardType: 'title', criteria: [{ stat: 'currentLevel', min: 10 }] },
+  { key: 'level_15', name: 'Level 15 Expert', emoji: '💫', description: 'Reached Level 15!', rewardType: 'title', criteria: [{ stat: 'currentLevel', min: 15 }] },
+  { key: 'level_20', name: 'Level 20 Legend', emoji: '🌟', description: 'Reached Level 20!', rewardType: 'title', criteria: [{ stat: 'currentLevel', min: 20 }] },
+  { key: 'level_25', name: 'Level 25 Hero', emoji: '🔥', description: 'Reached Level 25!', rewardType: 'title', criteria: [{ stat: 'currentLevel', min: 25 }] },
+
+  // Weekly streaks
+  { key: 'streak_1', name: 'Week Warrior', emoji: '🔥', description: '1 week reading streak!', rewardType: 'achievement', criteria: [{ stat: 'currentStreak', min: 1 }], xp: 75, badgeType: 'streak_1' },
+  { key: 'streak_2', name: 'Two Week Warrior', emoji: '🔥', description: '2 week reading streak!', rewardType: 'achievement', criteria: [{ stat: 'currentStreak', min: 2 }] },
+  { key: 'streak_4', name: 'Monthly Master', emoji: '🌟', description: '4 week reading streak!', rewardType: 'achievement', criteria: [{ stat: 'currentStreak', min: 4 }], xp: 200, badgeType: 'streak_4' },
+  { key: 'streak_8', name: 'Two Month Champion', emoji: '💪', description: '8 week reading streak!', rewardType: 'achievement', criteria: [{ stat: 'currentStreak', min: 8 }] },
+  { key: 'streak_12', name: 'Quarter Year Hero', emoji: '🏅', description: '12 week reading streak!', rewardType: 'achievement', criteria: [{ stat: 'currentStreak', min: 12 }] },
+
+  // Books finished in a month
+  { key: 'month_3', name: 'Monthly Reader', emoji: '📅', description: 'Read 3 books in a month!', rewardType: 'milestone', criteria: [{ stat: 'booksThisMonth', min: 3 }] },
+  { key: 'month_5', name: 'Speed Reader', emoji: '⚡', description: 'Read 5 books in a month!', rewardType: 'milestone', criteria: [{ stat: 'booksThisMonth', min: 5 }], xp: 150, badgeType: 'speed_reader' },
+  { key: 'month_10', name: 'Monthly Bookworm', emoji: '🚀', description: 'Read 10 books in a month!', rewardType: 'milestone', criteria: [{ stat: 'booksThisMonth', min: 10 }] },
+
+  // Challenges completed
+  { key: 'challenges_1', name: 'Challenge Starter', emoji: '🎯', description: 'Completed your first challenge!', rewardType: 'badge', criteria: [{ stat: 'completedChallenges', min: 1 }] },
+  { key: 'challenges_3', name: 'Challenge Enthusiast', emoji: '🏅', description: 'Completed 3 challenges!', rewardType: 'badge', criteria: [{ stat: 'completedChallenges', min: 3 }] },
+  { key: 'challenges_5', name: 'Challenge Master', emoji: '👑', description: 'Completed 5 challenges!', rewardType: 'badge', criteria: [{ stat: 'completedChallenges', min: 5 }] },
+  { key: 'challenges_10', name: 'Challenge Champion', emoji: '🏆', description: 'Completed 10 challenges!', rewardType: 'badge', criteria: [{ stat: 'completedChallenges', min: 10 }] },
+  { key: 'challenges_20', name: 'Challenge Legend', emoji: '⭐', description: 'Completed 20 challenges!', rewardType: 'badge', criteria: [{ stat: 'completedChallenges', min: 20 }] },
+  { key: 'challenges_50', name: 'Ultimate Challenger', emoji: '💎', description: 'Completed 50 challenges!', rewardType: 'badge', criteria: [{ stat: 'completedChallenges', min: 50 }] }
+];
@@ -0,0 +1,47 @@
+/**
+ * Book Format Configuration
+ *
+ * Formats a book can be read in, stored on bk_books.format. Challenge
+ * format conditions and imported/looked-up format names ("Mass Market
+ * Paperback", "Kindle Edition", "Audio CD") are normalized to these values.
+ *
+ * This file has no imports so the metadata service can load it under Node.
+ */
+
+export const BOOK_FORMAT = {
+  HARDCOVER: 'hardcover',
+  PAPERBACK: 'paperback',
+  EBOOK: 'ebook',
+  AUDIOBOOK: 'audiobook',
+  GRAPHIC_NOVEL: 'graphic_novel'
+};
+
+export const BOOK_FORMAT_OPTIONS = {
+  [BOOK_FORMAT.HARDCOVER]: { label: 'Hardcover', emoji: '📕' },
+  [BOOK_FORMAT.PAPERBACK]: { label: 'Paperback', emoji: '📖' },
+  [BOOK_FORMAT.EBOOK]: { label: 'Ebook', emoji: '📱' },
+  [BOOK_FORMAT.AUDIOBOOK]: { label: 'Audiobook', emoji: '🎧' },
+  [BOOK_FORMAT.GRAPHIC_NOVEL]: { label: 'Graphic Novel', emoji: '💬' }
+};
+
+// Checked in order; the first pattern that matches wins
+const FORMAT_PATTERNS = [
+  [BOOK_FORMAT.AUDIOBOOK, /audio|mp3|audible|\bcd\b/i],
+  [BOOK_FORMAT.GRAPHIC_NOVEL, /graphic|comic|manga/i],
+  [BOOK_FORMAT.EBOOK, /e-?book|kindle|digital|epub|nook|electronic/i],
+  [BOOK_FORMAT.HARDCOVER, /hard\s*(cover|back|bound)|library binding|board book/i],
+  [BOOK_FORMAT.PAPERBACK, /paper\s*back|soft\s*cover|mass market|trade paper/i]
+];
+
+/**
+ * Maps a format name from a user, an import or a catalog to a BOOK_FORMAT value
+ * @param {string} value - e.g. "Mass Market Paperback", "Kindle Edition", "ebook"
+ * @returns {string|null} - BOOK_FORMAT value, or null if it isn't recognized
+ */
+export const normalizeBookFormat = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  if (Object.values(BOOK_FORMAT).includes(text.toLowerCase())) return text.toLowerCase();
+  const match = FORMAT_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+};
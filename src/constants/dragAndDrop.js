@@ -0,0 +1,20 @@
+/**
+ * Drag and Drop
+ *
+ * Data types carried by drags on the bookshelf page. A book dragged onto
+ * another book on the same shelf is reordered; onto a shelf tab, it's moved
+ * to that shelf. A shelf tab dragged onto another tab is reordered.
+ */
+
+export const DRAG_TYPES = {
+  BOOK: 'application/x-bookshelf-book',
+  SHELF: 'application/x-bookshelf-shelf'
+};
+
+// Keys that move a focused book or shelf tab one place, the keyboard way to reorder
+export const REORDER_KEYS = {
+  ArrowLeft: -1,
+  ArrowUp: -1,
+  ArrowRight: 1,
+  ArrowDown: 1
+};
@@ -0,0 +1,216 @@
+/**
+ * Genre Taxonomy
+ *
+ * The canonical genres books are filed under, and the synonyms that map
+ * catalog categories and typed genres onto them ("Juvenile Fiction / Fantasy
+ * & Magic" and "Fantasy fiction" both become "Fantasy"). Admins can add
+ * their own mappings (bk_genre_mappings); those are passed in and win over
+ * the built-in synonyms.
+ *
+ * This file has no imports so the metadata service can load it under Node.
+ */
+
+export const CANONICAL_GENRES = [
+  // Fiction
+  'Fiction', 'Science Fiction', 'Fantasy', 'Mystery', 'Thriller', 'Horror', 'Romance',
+  'Historical Fiction', 'Literary Fiction', 'Contemporary', 'Classics', 'Dystopian',
+  'Paranormal', 'Adventure', 'Crime', 'Western', 'War', 'Comedy', 'Drama', 'Poetry',
+  'Graphic Novels', 'Young Adult', 'Children',
+  // Nonfiction
+  'Nonfiction', 'Biography', 'Autobiography', 'History', 'Science', 'Philosophy', 'Self-Help',
+  'Business', 'Health', 'Travel', 'Cooking', 'Art', 'Music', 'Sports', 'Education',
+  'Religion', 'Psychology'
+];
+
+// Lowercase synonym (see getGenreKey) -> canonical genre
+export const GENRE_SYNONYMS = {
+  'sci fi': 'Science Fiction',
+  'scifi': 'Science Fiction',
+  'sf': 'Science Fiction',
+  'space opera': 'Science Fiction',
+  'time travel': 'Science Fiction',
+  'fantasy and magic': 'Fantasy',
+  'magic': 'Fantasy',
+  'epic fantasy': 'Fantasy',
+  'high fantasy': 'Fantasy',
+  'urban fantasy': 'Fantasy',
+  'fairy tales': 'Fantasy',
+  'fairy tales and folklore': 'Fantasy',
+  'dragons': 'Fantasy',
+  'wizards': 'Fantasy',
+  'mysteries': 'Mystery',
+  'mystery and detective': 'Mystery',
+  'mystery and detective stories': 'Mystery',
+  'detective and mystery stories': 'Mystery',
+  'detective': 'Mystery',
+  'mysteries and detective stories': 'Mystery',
+  'thrillers': 'Thriller',
+  'suspense': 'Thriller',
+  'thrillers and suspense': 'Thriller',
+  'mystery thriller': 'Thriller',
+  'horror stories': 'Horror',
+  'ghost stories': 'Horror',
+  'ghosts': 'Horror',
+  'love stories': 'Romance',
+  'romantic': 'Romance',
+  'love and romance': 'Romance',
+  'historical': 'Historical Fiction',
+  'historical novels': 'Historical Fiction',
+  'literary': 'Literary Fiction',
+  'literature': 'Literary Fiction',
+  'realistic fiction': 'Contemporary',
+  'contemporary fiction': 'Contemporary',
+  'coming of age': 'Contemporary',
+  'family': 'Contemporary',
+  'friendship': 'Contemporary',
+  'classic': 'Classics',
+  'classic literature': 'Classics',
+  'dystopia': 'Dystopian',
+  'dystopias': 'Dystopian',
+  'post apocalyptic': 'Dystopian',
+  'supernatural': 'Paranormal',
+  'vampires': 'Paranormal',
+  'werewolves': 'Paranormal',
+  'action and adventure': 'Adventure',
+  'adventure stories': 'Adventure',
+  'adventure and adventurers': 'Adventure',
+  'survival': 'Adventure',
+  'true crime': 'Crime',
+  'westerns': 'Western',
+  'war and military': 'War',
+  'military': 'War',
+  'war stories': 'War',
+  'humor': 'Comedy',
+  'humour': 'Comedy',
+  'humorous stories': 'Comedy',
+  'plays': 'Drama',
+  'poems': 'Poetry',
+  'verse': 'Poetry',
+  'novels in verse': 'Poetry',
+  'comics and graphic novels': 'Graphic Novels',
+  'graphic novel': 'Graphic Novels',
+  'comics': 'Graphic Novels',
+  'manga': 'Graphic Novels',
+  'ya': 'Young Adult',
+  'teen': 'Young Adult',
+  'juvenile': 'Children',
+  'children s': 'Children',
+  'kids': 'Children',
+  'non fiction': 'Nonfiction',
+  'biography and autobiography': 'Biography',
+  'biographies': 'Biography',
+  'memoir': 'Autobiography',
+  'memoirs': 'Autobiography',
+  'personal memoirs': 'Autobiography',
+  'world history': 'History',
+  'science and nature': 'Science',
+  'nature': 'Science',
+  'self help': 'Self-Help',
+  'personal growth': 'Self-Help',
+  'self improvement': 'Self-Help',
+  'business and economics': 'Business',
+  'economics': 'Business',
+  'health and fitness': 'Health',
+  'cookery': 'Cooking',
+  'cookbooks': 'Cooking',
+  'arts': 'Art',
+  'sports and recreation': 'Sports',
+  'study aids': 'Education',
+  'christian': 'Religion',
+  'christianity': 'Religion',
+  'spirituality': 'Religion',
+  'body mind and spirit': 'Religion'
+};
+
+// Audience prefixes that say who a book is for, not what it is
+const AUDIENCE_PREFIX = /^(juvenile|young adult|teen|children'?s?)\s+(?=\S)/i;
+
+// Words catalogs add after a genre ("Fantasy fiction", "Horror stories")
+const GENRE_SUFFIX = /\s+(fiction|novels?|stories|tales)$/;
+
+// Catalog categories are nested: "Juvenile Fiction / Fantasy & Magic", "Magic -- Fiction"
+const SEGMENT_SEPARATOR = /\s*(?:\/|--|,|\s-\s)\s*/;
+
+/**
+ * Turns a genre into the key used to look it up in the taxonomy
+ * @param {string} value - e.g. "Fantasy & Magic"
+ * @returns {string} - e.g. "fantasy and magic"
+ */
+export const getGenreKey = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9 ]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const CANONICAL_BY_KEY = Object.fromEntries(CANONICAL_GENRES.map(genre => [getGenreKey(genre), genre]));
+
+/**
+ * Looks one genre term up in the custom mappings, synonyms and canonical genres
+ * @param {string} term - Genre term
+ * @param {object} mappings - Custom mappings keyed by getGenreKey
+ * @returns {string|null} - Canonical genre ('' when a mapping drops the term), or null if unknown
+ */
+const lookupGenre = (term, mappings) => {
+  const key = getGenreKey(term);
+  if (!key) return null;
+
+  for (const candidate of [key, key.replace(GENRE_SUFFIX, '')]) {
+    if (mappings[candidate] !== undefined) return mappings[candidate];
+    if (GENRE_SYNONYMS[candidate]) return GENRE_SYNONYMS[candidate];
+    if (CANONICAL_BY_KEY[candidate]) return CANONICAL_BY_KEY[candidate];
+  }
+  return null;
+};
+
+/**
+ * Puts a genre in title case so unknown genres at least group together
+ * @param {string} value - e.g. "steampunk"
+ * @returns {string} - e.g. "Steampunk"
+ */
+const toTitleCase = (value) => value
+  .split(' ')
+  .map(word => (word ? word.charAt(0).toUpperCase() + word.slice(1).toLowerCase() : word))
+  .join(' ');
+
+/**
+ * Maps a genre from a user, an import or a catalog onto the taxonomy
+ * The whole value is tried first, then each part of a nested category; a
+ * specific genre beats plain "Fiction". Genres the taxonomy doesn't know are
+ * kept, in title case.
+ * @param {string} value - e.g. "Juvenile Fiction / Fantasy & Magic"
+ * @param {object} mappings - Custom mappings keyed by getGenreKey (from bk_genre_mappings)
+ * @returns {string} - e.g. "Fantasy", or '' when a custom mapping drops it
+ */
+export const normalizeGenre = (value, mappings = {}) => {
+  const text = String(value || '').trim();
+  if (!text) return '';
+
+  const whole = lookupGenre(text, mappings);
+  if (whole !== null) return whole;
+
+  const segments = text.split(SEGMENT_SEPARATOR)
+    .map(segment => segment.replace(AUDIENCE_PREFIX, '').trim())
+    .filter(Boolean);
+  const matches = segments.map(segment => lookupGenre(segment, mappings)).filter(match => match !== null);
+  if (matches.length > 0) return matches.find(match => match && match !== 'Fiction') ?? matches.find(Boolean) ?? '';
+
+  return toTitleCase(segments[segments.length - 1] || text);
+};
+
+/**
+ * Maps a list of genres onto the taxonomy, dropping repeats
+ * @param {Array<string>} values - Genres, main one first
+ * @param {object} mappings - Custom mappings keyed by getGenreKey
+ * @returns {Array<string>}
+ */
+export const normalizeGenreList = (values = [], mappings = {}) => [
+  ...new Set(values.map(value => normalizeGenre(value, mappings)).filter(Boolean))
+];
+
+/**
+ * Checks whether a genre is one of the canonical genres
+ * @param {string} genre - Genre
+ * @returns {boolean}
+ */
+export const isCanonicalGenre = (genre) => CANONICAL_GENRES.includes(genre);
@@ -0,0 +1,68 @@
+/**
+ * Level Curve
+ *
+ * How much XP each level costs, and what readers unlock as they level up.
+ * A reader's level is worked out from their XP total by utils/levelCurve,
+ * which the award engine also runs on the server, so this file has no
+ * imports.
+ *
+ * LEVEL_CURVE is the default; admins change the curve from the admin console,
+ * which saves it in bk_app_settings (LEVEL_CURVE_SETTING) and recalculates
+ * every reader's level.
+ */
+
+export const LEVEL_CURVE_TYPES = {
+  linear: { label: 'Linear', description: 'Each level costs stepXP more than the one before' },
+  exponential: { label: 'Exponential', description: 'Each level costs growth times the one before' },
+  table: { label: 'Table', description: 'Each level costs the listed XP; the last entry repeats' }
+};
+
+// bk_app_settings key holding the curve admins chose
+export const LEVEL_CURVE_SETTING = 'level_curve';
+
+// Level 1 costs startXP + baseXP, later levels follow `type`: 'linear' (uses
+// `stepXP`), 'exponential' (uses `growth`) or 'table' (uses `table`, one entry
+// per level from level 1). The default keeps the original thresholds: level 2
+// at 250 XP, level 3 at 450, level 4 at 700.
+export const LEVEL_CURVE = {
+  type: 'linear',
+  startXP: 100,
+  baseXP: 150,
+  stepXP: 50,
+  growth: 1.2,
+  table: [150, 200, 250, 300, 350, 400, 500, 600, 800, 1000]
+};
+
+// Levels shown in the curve preview
+export const LEVEL_PREVIEW_COUNT = 20;
+
+// Frames drawn around a reader's avatar; `ring` holds the Tailwind classes
+export const AVATAR_FRAMES = {
+  none: { name: 'No frame', level: 1, ring: '' },
+  bronze: { name: 'Bronze', level: 3, ring: 'ring-4 ring-amber-600' },
+  silver: { name: 'Silver', level: 6, ring: 'ring-4 ring-gray-400' },
+  gold: { name: 'Gold', level: 10, ring: 'ring-4 ring-yellow-400' },
+  emerald: { name: 'Emerald', level: 15, ring: 'ring-4 ring-emerald-500' },
+  royal: { name: 'Royal', level: 20, ring: 'ring-4 ring-purple-600 ring-offset-2' }
+};
+
+// Shelf themes from ANIMAL_THEMES that open up at a level; the rest are
+// available from the start
+export const THEME_UNLOCK_LEVELS = {
+  heart: 5,
+  sparkles: 8
+};
+
+// Shelves a reader can own at level 1, and the extra slots later levels add
+export const BASE_SHELF_SLOTS = 10;
+
+// When shelf slots started; readers keep room for at least as many shelves
+// as they had made by then
+export const SHELF_SLOTS_SINCE = '2026-10-18';
+
+export const SHELF_SLOT_UNLOCKS = [
+  { level: 4, slots: 2 },
+  { level: 7, slots: 3 },
+  { level: 12, slots: 5 },
+  { level: 18, slots: 10 }
+];
@@ -0,0 +1,43 @@
+/**
+ * Reading Status Configuration
+ *
+ * Defines the lifecycle a book moves through on a user's shelves.
+ * The status is stored on bk_books.status; books saved before the column
+ * existed have no status and are inferred from their dates (see bookHelpers).
+ */
+
+export const READING_STATUS = {
+  WANT_TO_READ: 'want_to_read',
+  READING: 'reading',
+  PAUSED: 'paused',
+  FINISHED: 'finished',
+  ABANDONED: 'abandoned'
+};
+
+export const READING_STATUS_OPTIONS = {
+  [READING_STATUS.WANT_TO_READ]: {
+    label: 'Want to Read',
+    emoji: '🔖',
+    colors: { bg: 'bg-sky-100', text: 'text-sky-700', border: 'border-sky-300' }
+  },
+  [READING_STATUS.READING]: {
+    label: 'Reading',
+    emoji: '📖',
+    colors: { bg: 'bg-green-100', text: 'text-green-700', border: 'border-green-300' }
+  },
+  [READING_STATUS.PAUSED]: {
+    label: 'Paused',
+    emoji: '⏸️',
+    colors: { bg: 'bg-amber-100', text: 'text-amber-700', border: 'border-amber-300' }
+  },
+  [READING_STATUS.FINISHED]: {
+    label: 'Finished',
+    emoji: '✅',
+    colors: { bg: 'bg-indigo-100', text: 'text-indigo-700', border: 'border-indigo-300' }
+  },
+  [READING_STATUS.ABANDONED]: {
+    label: 'Abandoned',
+    emoji: '🚫',
+    colors: { bg: 'bg-gray-200', text: 'text-gray-700', border: 'border-gray-400' }
+  }
+};
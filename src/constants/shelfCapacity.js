@@ -0,0 +1,39 @@
+/**
+ * Shelf Capacity Configuration
+ *
+ * How many books a regular shelf holds and what happens when a book is added
+ * to a full one. Both are per-shelf settings stored on bk_bookshelves
+ * (capacity, overflow_behavior); shelves saved before the columns existed get
+ * the defaults. Wishlist, favorites and shared shelves are always unlimited.
+ */
+
+export const DEFAULT_SHELF_CAPACITY = 10;
+
+// Stored as capacity 0
+export const UNLIMITED_CAPACITY = 0;
+
+export const SHELF_OVERFLOW = {
+  ROLLOVER: 'rollover',
+  ARCHIVE: 'archive',
+  BLOCK: 'block'
+};
+
+export const DEFAULT_SHELF_OVERFLOW = SHELF_OVERFLOW.ROLLOVER;
+
+export const SHELF_OVERFLOW_OPTIONS = {
+  [SHELF_OVERFLOW.ROLLOVER]: {
+    label: 'Start a new shelf',
+    description: 'The book goes on a new shelf with the same animal, e.g. "Fantasy 2".'
+  },
+  [SHELF_OVERFLOW.ARCHIVE]: {
+    label: 'Archive the oldest book',
+    description: 'The book added first moves to your Archive shelf to make room.'
+  },
+  [SHELF_OVERFLOW.BLOCK]: {
+    label: 'Don\'t add the book',
+    description: 'You choose a different shelf or make room yourself.'
+  }
+};
+
+// Unlimited shelf that archived books are moved to
+export const ARCHIVE_SHELF_NAME = 'Archive';
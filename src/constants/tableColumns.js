@@ -0,0 +1,34 @@
+/**
+ * Table View Columns
+ *
+ * The columns of the library table, in display order. `editor` is the inline
+ * editor a cell opens with (null when the column can't be edited in place),
+ * and `sort` how the column orders books. Columns with `defaultVisible: false`
+ * start hidden until the reader turns them on.
+ */
+
+export const TABLE_COLUMNS = [
+  { key: 'title', label: 'Title', editor: 'text', sort: 'text', minWidth: 'min-w-[200px]', defaultVisible: true },
+  { key: 'author', label: 'Author', editor: 'text', sort: 'text', minWidth: 'min-w-[150px]', defaultVisible: true },
+  { key: 'genres', label: 'Genre', editor: 'genres', sort: 'text', minWidth: 'min-w-[100px]', defaultVisible: true },
+  { key: 'tags', label: 'Tags', editor: 'tags', sort: 'text', minWidth: 'min-w-[100px]', defaultVisible: true },
+  { key: 'bookshelfName', label: 'Bookshelf', editor: null, sort: 'text', minWidth: 'min-w-[120px]', defaultVisible: true },
+  { key: 'status', label: 'Status', editor: 'status', sort: 'text', minWidth: 'min-w-[120px]', defaultVisible: true },
+  { key: 'rating', label: 'Rating', editor: 'rating', sort: 'number', minWidth: '', defaultVisible: true },
+  { key: 'pageCount', label: 'Pages', editor: 'number', sort: 'number', minWidth: '', defaultVisible: false },
+  { key: 'startDate', label: 'Start Date', editor: 'date', sort: 'text', minWidth: 'min-w-[110px]', defaultVisible: true },
+  { key: 'finishDate', label: 'Finish Date', editor: 'date', sort: 'text', minWidth: 'min-w-[110px]', defaultVisible: true },
+  { key: 'description', label: 'Description', editor: 'longText', sort: 'text', minWidth: '', defaultVisible: true },
+  { key: 'favoriteCharacter', label: 'Favorite Character', editor: 'text', sort: 'text', minWidth: 'min-w-[160px]', defaultVisible: true },
+  { key: 'sceneSummary', label: 'Scene Summary', editor: 'longText', sort: 'text', minWidth: '', defaultVisible: true },
+  { key: 'memorableMoments', label: 'Memorable Moments', editor: 'longText', sort: 'text', minWidth: '', defaultVisible: true },
+  { key: 'review', label: 'Review', editor: 'longText', sort: 'text', minWidth: '', defaultVisible: true },
+  { key: 'leastFavoritePart', label: 'Least Favorite Part', editor: 'longText', sort: 'text', minWidth: 'min-w-[160px]', defaultVisible: true }
+];
+
+export const TABLE_PAGE_SIZES = [25, 50, 100, 250];
+
+export const DEFAULT_TABLE_PAGE_SIZE = 50;
+
+// localStorage key for the columns a reader has hidden
+export const HIDDEN_COLUMNS_STORAGE_KEY = 'bookshelf_table_hidden_columns';
@@ -0,0 +1,29 @@
+/**
+ * XP Sources
+ *
+ * What an XP ledger entry (bk_xp_history) was awarded for. Entries point at
+ * the thing that earned them with source_type and source_id, so an award can
+ * be traced back and reversed. Reversals and opening balances are entries too.
+ */
+
+export const XP_SOURCES = {
+  BOOK: 'book',
+  QUIZ: 'quiz',
+  CHALLENGE: 'challenge',
+  ACHIEVEMENT: 'achievement',
+  REVERSAL: 'reversal',
+  // XP a reader already had when the ledger started; not counted as earned in reports
+  OPENING_BALANCE: 'opening_balance'
+};
+
+export const XP_SOURCE_OPTIONS = {
+  [XP_SOURCES.BOOK]: { label: 'Book', emoji: '📖' },
+  [XP_SOURCES.QUIZ]: { label: 'Quiz', emoji: '❓' },
+  [XP_SOURCES.CHALLENGE]: { label: 'Challenge', emoji: '🎯' },
+  [XP_SOURCES.ACHIEVEMENT]: { label: 'Achievement', emoji: '🏆' },
+  [XP_SOURCES.REVERSAL]: { label: 'Reversal', emoji: '↩️' },
+  [XP_SOURCES.OPENING_BALANCE]: { label: 'Earlier XP', emoji: '💰' }
+};
+
+// Shown for entries recorded before sources were tracked
+export const UNKNOWN_XP_SOURCE = { label: 'XP', emoji: '✨' };
@@ -0,0 +1,68 @@
+/**
+ * Book Series Data
+ * Reading order for the series in the recommendations list (and a few other
+ * favorites), used to detect a book's series and to find the next entry
+ */
+
+export const BOOK_SERIES = [
+  // Dystopian & Sci-Fi
+  { name: "The Hunger Games", author: "Suzanne Collins", books: ["The Hunger Games", "Catching Fire", "Mockingjay"] },
+  { name: "The Maze Runner", author: "James Dashner", books: ["The Maze Runner", "The Scorch Trials", "The Death Cure"] },
+  { name: "Divergent", author: "Veronica Roth", books: ["Divergent", "Insurgent", "Allegiant"] },
+  { name: "The Giver Quartet", author: "Lois Lowry", books: ["The Giver", "Gathering Blue", "Messenger", "Son"] },
+  { name: "Ready Player One", author: "Ernest Cline", books: ["Ready Player One", "Ready Player Two"] },
+  { name: "Ender's Saga", author: "Orson Scott Card", books: ["Ender's Game", "Speaker for the Dead", "Xenocide", "Children of the Mind"] },
+  { name: "Dune", author: "Frank Herbert", books: ["Dune", "Dune Messiah", "Children of Dune"] },
+  { name: "The 5th Wave", author: "Rick Yancey", books: ["The 5th Wave", "The Infinite Sea", "The Last Star"] },
+  { name: "Red Rising", author: "Pierce Brown", books: ["Red Rising", "Golden Son", "Morning Star"] },
+  { name: "The Lunar Chronicles", author: "Marissa Meyer", books: ["Cinder", "Scarlet", "Cress", "Winter"] },
+  { name: "Renegades", author: "Marissa Meyer", books: ["Renegades", "Archenemies", "Supernova"] },
+
+  // Fantasy
+  { name: "Harry Potter", author: "J.K. Rowling", books: ["Harry Potter and the Sorcerer's Stone", "Harry Potter and the Chamber of Secrets", "Harry Potter and the Prisoner of Azkaban", "Harry Potter and the Goblet of Fire", "Harry Potter and the Order of the Phoenix", "Harry Potter and the Half-Blood Prince", "Harry Potter and the Deathly Hallows"] },
+  { name: "Percy Jackson and the Olympians", author: "Rick Riordan", books: ["The Lightning Thief", "The Sea of Monsters", "The Titan's Curse", "The Battle of the Labyrinth", "The Last Olympian"] },
+  { name: "The Heroes of Olympus", author: "Rick Riordan", books: ["The Lost Hero", "The Son of Neptune", "The Mark of Athena", "The House of Hades", "The Blood of Olympus"] },
+  { name: "The Kane Chronicles", author: "Rick Riordan", books: ["The Red Pyramid", "The Throne of Fire", "The Serpent's Shadow"] },
+  { name: "The Lord of the Rings", author: "J.R.R. Tolkien", books: ["The Fellowship of the Ring", "The Two Towers", "The Return of the King"] },
+  { name: "The Chronicles of Narnia", author: "C.S. Lewis", books: ["The Lion, the Witch and the Wardrobe", "Prince Caspian", "The Voyage of the Dawn Treader", "The Silver Chair", "The Horse and His Boy", "The Magician's Nephew", "The Last Battle"] },
+  { name: "The Kingkiller Chronicle", author: "Patrick Rothfuss", books: ["The Name of the Wind", "The Wise Man's Fear"] },
+  { name: "Mistborn", author: "Brandon Sanderson", books: ["The Final Empire", "The Well of Ascension", "The Hero of Ages"] },
+  { name: "The Stormlight Archive", author: "Brandon Sanderson", books: ["The Way of Kings", "Words of Radiance", "Oathbringer", "Rhythm of War"] },
+  { name: "Six of Crows", author: "Leigh Bardugo", books: ["Six of Crows", "Crooked Kingdom"] },
+  { name: "Shadow and Bone", author: "Leigh Bardugo", books: ["Shadow and Bone", "Siege and Storm", "Ruin and Rising"] },
+  { name: "The Folk of the Air", author: "Holly Black", books: ["The Cruel Prince", "The Wicked King", "The Queen of Nothing"] },
+  { name: "Throne of Glass", author: "Sarah J. Maas", books: ["Throne of Glass", "Crown of Midnight", "Heir of Fire", "Queen of Shadows", "Empire of Storms", "Tower of Dawn", "Kingdom of Ash"] },
+  { name: "A Court of Thorns and Roses", author: "Sarah J. Maas", books: ["A Court of Thorns and Roses", "A Court of Mist and Fury", "A Court of Wings and Ruin", "A Court of Frost and Starlight", "A Court of Silver Flames"] },
+  { name: "The Mortal Instruments", author: "Cassandra Clare", books: ["City of Bones", "City of Ashes", "City of Glass", "City of Fallen Angels", "City of Lost Souls", "City of Heavenly Fire"] },
+  { name: "The Infernal Devices", author: "Cassandra Clare", books: ["Clockwork Angel", "Clockwork Prince", "Clockwork Princess"] },
+  { name: "The Raven Cycle", author: "Maggie Stiefvater", books: ["The Raven Boys", "The Dream Thieves", "Blue Lily, Lily Blue", "The Raven King"] },
+  { name: "Dreamer Trilogy", author: "Maggie Stiefvater", books: ["Call Down the Hawk", "Mister Impossible", "Greywaren"] },
+  { name: "Simon Snow", author: "Rainbow Rowell", books: ["Carry On", "Wayward Son", "Any Way the Wind Blows"] },
+  { name: "Infinity Cycle", author: "Adam Silvera", books: ["Infinity Son", "Infinity Reaper"] },
+
+  // Contemporary & Romance
+  { name: "Creekwood", author: "Becky Albertalli", books: ["Simon vs. the Homo Sapiens Agenda", "The Upside of Unrequited", "Leah on the Offbeat"] },
+  { name: "What If It's Us", author: "Becky Albertalli & Adam Silvera", books: ["What If It's Us", "Here's to Us"] },
+  { name: "The Selection", author: "Kiera Cass", books: ["The Selection", "The Elite", "The One", "The Heir", "The Crown"] },
+  { name: "Shatter Me", author: "Tahereh Mafi", books: ["Shatter Me", "Unravel Me", "Ignite Me", "Restore Me", "Defy Me", "Imagine Me"] },
+  { name: "It Ends with Us", author: "Colleen Hoover", books: ["It Ends with Us", "It Starts with Us"] },
+  { name: "Hopeless", author: "Colleen Hoover", books: ["Hopeless", "Losing Hope", "Finding Cinderella"] },
+
+  // Mystery & Thriller
+  { name: "One of Us Is Lying", author: "Karen M. McManus", books: ["One of Us Is Lying", "One of Us Is Next", "One of Us Is Back"] },
+  { name: "Truly Devious", author: "Maureen Johnson", books: ["Truly Devious", "The Vanishing Stair", "The Hand on the Wall", "The Box in the Woods"] },
+  { name: "A Good Girl's Guide to Murder", author: "Holly Jackson", books: ["A Good Girl's Guide to Murder", "Good Girl, Bad Blood", "As Good as Dead"] },
+  { name: "The Inheritance Games", author: "Jennifer Lynn Barnes", books: ["The Inheritance Games", "The Hawthorne Legacy", "The Final Gambit", "The Brothers Hawthorne"] },
+  { name: "The Naturals", author: "Jennifer Lynn Barnes", books: ["The Naturals", "Killer Instinct", "All In", "Bad Blood"] },
+
+  // Adventure & Classics
+  { name: "Brian's Saga", author: "Gary Paulsen", books: ["Hatchet", "The River", "Brian's Winter", "Brian's Return", "Brian's Hunt"] },
+  { name: "Mountain Trilogy", author: "Jean Craighead George", books: ["My Side of the Mountain", "On the Far Side of the Mountain", "Frightful's Mountain"] },
+  { name: "Little Women", author: "Louisa May Alcott", books: ["Little Women", "Little Men", "Jo's Boys"] },
+  { name: "Anne of Green Gables", author: "L.M. Montgomery", books: ["Anne of Green Gables", "Anne of Avonlea", "Anne of the Island", "Anne of Windy Poplars", "Anne's House of Dreams", "Anne of Ingleside", "Rainbow Valley", "Rilla of Ingleside"] },
+
+  // Graphic Novels & Poetry
+  { name: "Maus", author: "Art Spiegelman", books: ["Maus", "Maus II"] },
+  { name: "New Kid", author: "Jerry Craft", books: ["New Kid", "Class Act", "School Trip"] },
+  { name: "Track", author: "Jason Reynolds", books: ["Ghost", "Patina", "Sunny", "Lu"] }
+];
@@ -1,5 +1,5 @@
 import { useState, useRef } from 'react';
-import { getUserBookshelves } from '../services/bookshelfService';
+import { getUserBookshelves, transformBookshelfFromDB } from '../services/bookshelfService';
 import { getBooksInBookshelf, transformBookFromDB } from '../services/bookService';
 
 /**
@@ -44,15 +44,7 @@ export function useBookshelfData(currentUser, loadGamificationData) {
           // Transform books from DB format to app format
           const transformedBooks = (books || []).map(transformBookFromDB);
           
-          return {
-            id: bookshelf.id,
-            name: bookshelf.name,
-            animal: bookshelf.animal,
-            books: transformedBooks,
-            displayMode: bookshelf.display_mode,
-            type: bookshelf.type,
-            sharedWith: bookshelf.shared_with || []
-          };
+          return transformBookshelfFromDB(bookshelf, transformedBooks);
         })
       );
 
@@ -1,17 +1,20 @@
 import { useState, useEffect, useCallback } from 'react';
 import {
   getUserXP,
-  addXP,
   getUserStreak,
   updateReadingStreak,
   getAchievements,
-  awardAchievement,
   getUserRewards,
   getChallenges,
   updateChallengeProgress,
   checkAndAwardVirtualRewards,
-  unlockReward
+  getQuizzesPassedCount
 } from '../services/gamificationService';
+import { requestAwardEvaluation } from '../services/awardService';
+import { getLevelCurve } from '../services/levelCurveService';
+import { isBookFinished } from '../utils/bookHelpers';
+import { AWARD_EVENTS } from '../constants/achievementRules';
+import { buildBadgeStats, countCompletedChallenges } from '../utils/badgeRules';
 
 /**
  * Custom hook for gamification features
@@ -23,6 +26,7 @@ import {
  */
 export function useGamification(currentUser, bookshelves) {
   const [userXP, setUserXP] = useState(null);
+  const [levelCurve, setLevelCurve] = useState(undefined); // undefined until loaded: helpers use LEVEL_CURVE
   const [userStreak, setUserStreak] = useState(null);
   const [recentAchievements, setRecentAchievements] = useState([]);
   const [userRewards, setUserRewards] = useState([]);
@@ -42,6 +46,10 @@ export function useGamification(currentUser, bookshelves) {
       const { data: xpData } = await getUserXP(currentUser.id);
       if (xpData) setUserXP(xpData);
 
+      // Load the level curve the XP bars are drawn on
+      const { data: curve } = await getLevelCurve();
+      if (curve) setLevelCurve(curve);
+
       // Load streak
       const { data: streakData } = await getUserStreak(currentUser.id);
       if (streakData) setUserStreak(streakData);
@@ -65,110 +73,49 @@ export function useGamification(currentUser, bookshelves) {
     }
   }, [currentUser, bookshelves]);
 
-  const checkAchievements = async (userId, bookshelves) => {
+  // Achievements and book XP are awarded on the server; show what it awarded
+  const evaluateAwards = async (event) => {
     try {
-      const allBooks = bookshelves.flatMap(shelf => shelf.books || []);
-      const totalBooks = allBooks.length;
-      const finishedBooks = allBooks.filter(b => b.finishDate);
-      const booksThisMonth = finishedBooks.filter(b => {
-        const finishDate = new Date(b.finishDate);
-        const now = new Date();
-        return finishDate.getMonth() === now.getMonth() && finishDate.getFullYear() === now.getFullYear();
-      }).length;
+      const { data: result, error } = await requestAwardEvaluation(event);
+      if (error || !result) return;
 
-      // First book achievement
-      if (totalBooks === 1) {
-        const result = await awardAchievement(userId, 'first_book', 'First Book', '🎉', 'Read your first book!');
-        if (result.data && !result.alreadyEarned) {
-          setNewAchievement(result.data);
-          setShowAchievementModal(true);
-          await addXP(userId, 50, 'First book achievement');
-          // Also unlock virtual reward
-          await unlockReward(userId, 'badge', 'First Steps', '1', '🌱', 'Read your first book!');
-        }
-      }
-
-      // 10 books achievement
-      if (totalBooks === 10) {
-        const result = await awardAchievement(userId, 'ten_books', 'Bookworm', '📚', 'Read 10 books!');
-        if (result.data && !result.alreadyEarned) {
-          setNewAchievement(result.data);
-          setShowAchievementModal(true);
-          await addXP(userId, 100, '10 books achievement');
-          // Also unlock virtual reward
-          await unlockReward(userId, 'badge', 'Bookworm', '10', '📚', 'Read 10 books!');
-        }
-      }
-
-      // Speed reader (5 books in a month)
-      if (booksThisMonth >= 5) {
-        const result = await awardAchievement(userId, 'speed_reader', 'Speed Reader', '⚡', 'Read 5 books in a month!');
-        if (result.data && !result.alreadyEarned) {
-          setNewAchievement(result.data);
-          setShowAchievementModal(true);
-          await addXP(userId, 150, 'Speed reader achievement');
-          // Also unlock virtual reward
-          await unlockReward(userId, 'milestone', 'Speed Reader', '5', '⚡', 'Read 5 books in a month!');
+      if (result.xp) {
+        setUserXP(result.xp);
+        window.dispatchEvent(new CustomEvent('xpUpdated', { detail: { xp: result.xp } }));
+        if (result.leveledUp) {
+          setLevelUpData({ level: result.newLevel, previousLevel: result.previousLevel, xp: result.xp.total_xp });
+          setShowLevelUpModal(true);
         }
       }
 
-      // Streak achievements (now based on weeks)
-      if (userStreak) {
-        if (userStreak.current_streak === 1) {
-          const result = await awardAchievement(userId, 'streak_1', 'Week Warrior', '🔥', '1 week reading streak!');
-          if (result.data && !result.alreadyEarned) {
-            setNewAchievement(result.data);
-            setShowAchievementModal(true);
-            await addXP(userId, 75, '1 week streak achievement');
-            // Also unlock virtual reward
-            await unlockReward(userId, 'achievement', 'Week Warrior', '1', '🔥', '1 week reading streak!');
-          }
-        }
-        if (userStreak.current_streak === 4) {
-          const result = await awardAchievement(userId, 'streak_4', 'Monthly Master', '🌟', '4 week reading streak!');
-          if (result.data && !result.alreadyEarned) {
-            setNewAchievement(result.data);
-            setShowAchievementModal(true);
-            await addXP(userId, 200, '4 week streak achievement');
-            // Also unlock virtual reward
-            await unlockReward(userId, 'achievement', 'Monthly Master', '4', '🌟', '4 week reading streak!');
-          }
-        }
+      if (result.newAchievements?.length > 0) {
+        setNewAchievement(result.newAchievements[result.newAchievements.length - 1]);
+        setShowAchievementModal(true);
+        const { data: achievements } = await getAchievements(currentUser.id, 5);
+        if (achievements) setRecentAchievements(achievements);
       }
-
-      // Reload achievements after awarding
-      const { data: achievements } = await getAchievements(userId, 5);
-      if (achievements) setRecentAchievements(achievements);
     } catch (error) {
-      console.error('Error checking achievements:', error);
+      console.error('Error evaluating awards:', error);
     }
   };
 
+  const handleBookAdded = async (bookId) => {
+    if (!currentUser) return;
+    await evaluateAwards({ type: AWARD_EVENTS.BOOK_CREATED, bookId });
+  };
+
   const handleBookFinished = async (bookId, finishDate) => {
     if (!currentUser) return;
 
     try {
-      // Award XP for finishing a book
-      const xpAmount = 50;
-      const { data: xpResult, leveledUp, newLevel } = await addXP(currentUser.id, xpAmount, 'Finished a book');
-      if (xpResult) {
-        setUserXP(xpResult);
-        if (leveledUp) {
-          setLevelUpData({ level: newLevel, xp: xpResult.total_xp });
-          setShowLevelUpModal(true);
-          // Check rewards when leveling up
-          await checkVirtualRewards(currentUser.id, bookshelves);
-        }
-      }
-
-      // Update reading streak
+      // Update reading streak first so the server sees it
       const { data: streakResult } = await updateReadingStreak(currentUser.id, finishDate);
       if (streakResult) {
         setUserStreak(streakResult);
       }
 
-      // Check achievements
-      await checkAchievements(currentUser.id, bookshelves);
+      // Award XP for finishing the book and any achievements
+      await evaluateAwards({ type: AWARD_EVENTS.BOOK_UPDATED, bookId, finished: true });
 
       // Check and award virtual rewards
       await checkVirtualRewards(currentUser.id, bookshelves);
@@ -191,6 +138,20 @@ export function useGamification(currentUser, bookshelves) {
     }
   };
 
+  const handleReadingSessionLogged = async (sessionDate) => {
+    if (!currentUser) return;
+
+    try {
+      // Any logged session counts as reading activity for the weekly streak
+      const { data: streakResult } = await updateReadingStreak(currentUser.id, sessionDate);
+      if (streakResult) {
+        setUserStreak(streakResult);
+      }
+    } catch (error) {
+      console.error('Error handling reading session:', error);
+    }
+  };
+
   const updateChallengesForBook = async (bookId, bookData = null) => {
     if (!currentUser || !challenges.length) {
       console.log('Skipping challenge update: no currentUser or no challenges');
@@ -198,18 +159,18 @@ export function useGamification(currentUser, bookshelves) {
     }
     
     try {
-      // If bookData is provided, check if it has a finishDate
-      // Only count books with finishDate toward challenges
+      // If bookData is provided, check that the book is finished
+      // Only finished books count toward challenges
       if (bookData !== null) {
-        // If bookData is an object, check finishDate property
-        const hasFinishDate = bookData && (
-          (typeof bookData === 'object' && bookData.finishDate && bookData.finishDate.trim() !== '') ||
-          (typeof bookData === 'string' && bookData.trim() !== '') // If it's just the finishDate string
+        // If bookData is an object, check its status; a string is just the finishDate
+        const isFinished = bookData && (
+          (typeof bookData === 'object' && isBookFinished(bookData)) ||
+          (typeof bookData === 'string' && bookData.trim() !== '')
         );
         
-        if (!hasFinishDate) {
-          // Book doesn't have finishDate, don't count it toward challenges
-          console.log('Book does not have finishDate, skipping challenge update');
+        if (!isFinished) {
+          // Book isn't finished, don't count it toward challenges
+          console.log('Book is not finished, skipping challenge update');
           return;
         }
       }
@@ -295,7 +256,7 @@ export function useGamification(currentUser, bookshelves) {
           setUserXP(updatedXP);
           // Show level up modal if user leveled up
           if (xpAwarded.leveledUp) {
-            setLevelUpData({ level: xpAwarded.newLevel, xp: xpAwarded.totalXP });
+            setLevelUpData({ level: xpAwarded.newLevel, previousLevel: xpAwarded.previousLevel, xp: xpAwarded.totalXP });
             setShowLevelUpModal(true);
           }
           // Trigger XP update event so ProfileModal and other components can refresh
@@ -321,48 +282,14 @@ export function useGamification(currentUser, bookshelves) {
   // Check and award virtual rewards based on current stats
   const checkVirtualRewards = async (userId, bookshelves) => {
     try {
-      const allBooks = bookshelves.flatMap(shelf => shelf.books || []);
-      const finishedBooks = allBooks.filter(b => b.finishDate);
-      const booksThisMonth = finishedBooks.filter(b => {
-        const finishDate = new Date(b.finishDate);
-        const now = new Date();
-        return finishDate.getMonth() === now.getMonth() && finishDate.getFullYear() === now.getFullYear();
-      }).length;
-
-      // Count completed challenges (where user is creator or participant)
-      const completedChallenges = challenges.filter(c => {
-        const isCompleted = c.is_completed || (c.current_count >= c.target_count);
-        // Check if user is creator or in shared_with
-        const isCreator = String(c.user_id) === String(userId);
-        let isParticipant = false;
-        if (c.shared_with) {
-          let sharedArray = c.shared_with;
-          if (typeof sharedArray === 'string') {
-            try {
-              sharedArray = JSON.parse(sharedArray);
-            } catch (e) {
-              if (sharedArray.includes(',')) {
-                sharedArray = sharedArray.split(',').map(id => id.trim());
-              } else {
-                sharedArray = [sharedArray];
-              }
-            }
-          }
-          if (Array.isArray(sharedArray)) {
-            isParticipant = sharedArray.map(id => String(id)).includes(String(userId));
-          }
-        }
-        return isCompleted && (isCreator || isParticipant);
-      }).length;
-
-      const stats = {
-        totalBooks: allBooks.length,
-        finishedBooks: finishedBooks.length,
-        currentLevel: userXP?.current_level || 1,
-        currentStreak: userStreak?.current_streak || 0,
-        booksThisMonth: booksThisMonth,
-        completedChallenges: completedChallenges
-      };
+      const { data: quizzesPassed } = await getQuizzesPassedCount(userId);
+      const stats = buildBadgeStats({
+        books: bookshelves.flatMap(shelf => shelf.books || []),
+        userXP,
+        userStreak,
+        completedChallenges: countCompletedChallenges(challenges, userId),
+        quizzesPassed
+      });
 
       const { data: newlyUnlocked, error } = await checkAndAwardVirtualRewards(userId, stats);
       
@@ -394,6 +321,8 @@ export function useGamification(currentUser, bookshelves) {
   return {
     userXP,
     setUserXP,
+    levelCurve,
+    setLevelCurve,
     userStreak,
     setUserStreak,
     recentAchievements,
@@ -414,8 +343,9 @@ export function useGamification(currentUser, bookshelves) {
     newRewards,
     setNewRewards,
     loadGamificationData,
-    checkAchievements,
+    handleBookAdded,
     handleBookFinished,
+    handleReadingSessionLogged,
     updateChallengesForBook
   };
 }
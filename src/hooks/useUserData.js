@@ -55,6 +55,7 @@ export function useUserData(currentUser) {
           name: profileData.name || '',
           monthlyTarget: profileData.monthly_target || 0,
           avatar: profileData.avatar || '📚',
+          avatarFrame: profileData.avatar_frame || 'none',
           bio: profileData.bio || '',
           feedback: profileData.feedback || '',
           hideFromComparison: profileData.hide_from_comparison || false,
@@ -4,11 +4,15 @@
  * Handles admin operations including:
  * - User management
  * - Virtual rewards management
+ * - Reversing XP awards
  * - System statistics
  * - AI recommendations access control
  */
 
 import { supabase } from '../config/supabase';
+import { syncUserXP } from './gamificationService';
+import { isReversible } from '../utils/xpLedger';
+import { XP_SOURCES } from '../constants/xpSources';
 
 /**
  * Check if a user is an admin
@@ -341,6 +345,60 @@ export const updateUserSettings = async (userId, settings) => {
   }
 };
 
+/**
+ * Reverse an XP award. The entry stays in the ledger, marked as reversed,
+ * and a negative entry cancels it out; the user's totals are then recalculated.
+ * If the negative entry can't be written, the entry is unmarked again.
+ * @param {object} entry - bk_xp_history row to reverse
+ * @param {string} adminUserId - Admin doing the reversal
+ * @returns {Promise<{data: object|null, error: object|null}>} - The user's updated XP
+ */
+export const reverseXPEntry = async (entry, adminUserId) => {
+  try {
+    if (!isReversible(entry)) {
+      return { data: null, error: { message: 'This entry has already been reversed or cannot be reversed' } };
+    }
+
+    // Only mark it if nobody else reversed it in the meantime
+    const { data: marked, error: markError } = await supabase
+      .from('bk_xp_history')
+      .update({ reversed_at: new Date().toISOString(), reversed_by: adminUserId })
+      .eq('id', entry.id)
+      .is('reversed_at', null)
+      .select()
+      .maybeSingle();
+    if (markError) throw markError;
+    if (!marked) {
+      return { data: null, error: { message: 'This entry has already been reversed' } };
+    }
+
+    const { error: insertError } = await supabase
+      .from('bk_xp_history')
+      .insert([{
+        user_id: entry.user_id,
+        amount: -entry.amount,
+        reason: `Reversed: ${entry.reason || 'XP award'}`,
+        source_type: XP_SOURCES.REVERSAL,
+        source_id: String(entry.id),
+        created_by: adminUserId
+      }]);
+    if (insertError) {
+      // Unmark it, so the XP that was never taken back can be reversed again
+      const { error: unmarkError } = await supabase
+        .from('bk_xp_history')
+        .update({ reversed_at: null, reversed_by: null })
+        .eq('id', entry.id);
+      if (unmarkError) console.error('Error unmarking reversed XP entry:', unmarkError);
+      throw insertError;
+    }
+
+    return await syncUserXP(entry.user_id);
+  } catch (error) {
+    console.error('Error reversing XP entry:', error);
+    return { data: null, error };
+  }
+};
+
 /**
  * Get system statistics
  * @returns {Promise<{data: object, error: object|null}>}
@@ -21,9 +21,10 @@ import { BOOK_RECOMMENDATIONS } from '../data/recommendations';
  * @param {object} userProfile - User profile data
  * @param {string} userId - User ID for rate limiting and caching
  * @param {boolean} forceRefresh - Force refresh even if cache exists
+ * @param {array} nextInSeries - Next unread books in series the user has started (from getNextInSeries)
  * @returns {Promise<{data: array, error: object|null, fromCache: boolean, rateLimited: boolean}>}
  */
-export const generateAIRecommendations = async (userBooks, userProfile, userId = null, forceRefresh = false) => {
+export const generateAIRecommendations = async (userBooks, userProfile, userId = null, forceRefresh = false, nextInSeries = []) => {
   try {
     // Check environment variable to force refresh (overrides parameter)
     // This allows bypassing cache for testing via .env file
@@ -54,7 +55,7 @@ export const generateAIRecommendations = async (userBooks, userProfile, userId =
       if (cached) {
         // Still save to database that cache was used (for tracking)
         if (userId) {
-          const promptData = buildRecommendationPrompt(analysis, userProfile);
+          const promptData = buildRecommendationPrompt(analysis, userProfile, nextInSeries);
           const { prompt } = promptData;
           await saveAIRecommendationRequest(
             userId,
@@ -72,7 +73,7 @@ export const generateAIRecommendations = async (userBooks, userProfile, userId =
           );
         }
         return {
-          data: cached,
+          data: withNextInSeries(cached, nextInSeries),
           error: null,
           fromCache: true,
           rateLimited: false
@@ -81,7 +82,7 @@ export const generateAIRecommendations = async (userBooks, userProfile, userId =
     }
     
     // Build prompt for AI (now returns object with prompt, tokenEstimate, costEstimate)
-    const promptData = buildRecommendationPrompt(analysis, userProfile);
+    const promptData = buildRecommendationPrompt(analysis, userProfile, nextInSeries);
     const { prompt, tokenEstimate, costEstimate } = promptData;
     
     // Call AI service (OpenAI, Anthropic, or local model)
@@ -145,7 +146,7 @@ export const generateAIRecommendations = async (userBooks, userProfile, userId =
     }
     
     return {
-      data: recommendations,
+      data: withNextInSeries(recommendations, nextInSeries),
       error: null,
       fromCache: false,
       rateLimited: false,
@@ -163,6 +164,52 @@ export const generateAIRecommendations = async (userBooks, userProfile, userId =
   }
 };
 
+/**
+ * Puts next-in-series books at the top of a recommendation list
+ * They're the surest pick for a reader partway through a series, so they
+ * always appear even when the AI (or a cached answer) left them out.
+ * @param {array} recommendations - Recommendations from the AI, cache or fallback
+ * @param {array} nextInSeries - [{ title, author, series, seriesPosition, reason }]
+ * @returns {array} Recommendations with series entries first and no repeats
+ */
+const withNextInSeries = (recommendations = [], nextInSeries = []) => {
+  if (nextInSeries.length === 0) return recommendations;
+
+  const seriesKeys = new Set(nextInSeries.map(book => book.title.toLowerCase()));
+  const seriesRecs = nextInSeries.map(book => ({
+    title: book.title,
+    author: book.author,
+    reason: book.reason,
+    series: book.series,
+    seriesPosition: book.seriesPosition,
+    score: 100,
+    isAI: false,
+    isNextInSeries: true
+  }));
+
+  return [
+    ...seriesRecs,
+    ...recommendations.filter(rec => !seriesKeys.has((rec.title || '').toLowerCase()))
+  ];
+};
+
+/**
+ * Formats the next-in-series books for the recommendation prompt
+ * Shared with the prompt preview in AIRecommendationsModal
+ * @param {array} nextInSeries - [{ title, author, series, seriesPosition }]
+ * @returns {string} Prompt section, or '' when there are none
+ */
+export const formatSeriesPromptSection = (nextInSeries = []) => {
+  if (nextInSeries.length === 0) return '';
+
+  let section = `\nSeries In Progress (next unread book):\n`;
+  nextInSeries.slice(0, 5).forEach(book => {
+    section += `- "${book.title}" by ${book.author} (${book.series} #${book.seriesPosition})\n`;
+  });
+  section += `These are already suggested to the user, so don't repeat them; use them as a signal of what they enjoy.\n`;
+  return section;
+};
+
 /**
  * Generate writing style feedback from book reviews
  * @param {array} booksWithReviews - Array of books with reviews
@@ -590,9 +637,10 @@ export const estimateAICost = (inputTokens, outputTokens = 1500) => {
  * Build prompt for AI recommendation with token limits
  * @param {object} analysis - Reading pattern analysis
  * @param {object} userProfile - User profile
+ * @param {array} nextInSeries - Next unread books in series the user has started
  * @returns {object} { prompt: string, tokenEstimate: number, costEstimate: object }
  */
-const buildRecommendationPrompt = (analysis, userProfile) => {
+const buildRecommendationPrompt = (analysis, userProfile, nextInSeries = []) => {
   const { favoriteGenres, favoriteAuthors, highlyRatedBooks, readingThemes, averageRating } = analysis;
   
   const MAX_PROMPT_TOKENS = 1000; // Limit to ~1,000 tokens
@@ -658,6 +706,12 @@ const buildRecommendationPrompt = (analysis, userProfile) => {
     
     prompt += booksSection;
   }
+
+  // Series the user is partway through (skipped if it would exceed the token limit)
+  const seriesSection = formatSeriesPromptSection(nextInSeries);
+  if (seriesSection && estimateTokens(prompt + seriesSection) <= MAX_PROMPT_TOKENS) {
+    prompt += seriesSection;
+  }
   
   // Include user's bio if available (truncated to 200 chars)
   if (userProfile && userProfile.bio && userProfile.bio.trim()) {
@@ -0,0 +1,47 @@
+/**
+ * Award Service
+ *
+ * Asks the server to award achievements and XP after a book event. The
+ * rules run in the award engine on the server (src/services/awards), reached
+ * through /api/awards: server.js in development, a Vercel function in
+ * production. The reader is identified by their session token.
+ */
+
+import { supabase } from '../config/supabase';
+
+/**
+ * Ask the server to evaluate awards after a book was created or updated
+ * @param {object} event - { type: AWARD_EVENTS value, bookId, finished (the update finished the book) }
+ * @returns {Promise<{data: object|null, error: object|null}>} - data: { xp, leveledUp, previousLevel,
+ *   newLevel, newAchievements, stats }
+ */
+export const requestAwardEvaluation = async (event) => {
+  try {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) {
+      return { data: null, error: { message: 'User not authenticated' } };
+    }
+
+    const isProduction = import.meta.env.PROD || (typeof window !== 'undefined' && window.location.hostname !== 'localhost');
+    const apiUrl = isProduction ? '/api/awards' : 'http://localhost:3001/api/awards';
+
+    const response = await fetch(apiUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session.access_token}`
+      },
+      body: JSON.stringify(event)
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.error || `Award request failed (${response.status})`);
+    }
+
+    return { data: result, error: null };
+  } catch (error) {
+    console.error('Error requesting award evaluation:', error);
+    return { data: null, error };
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * Award Request Handler
+ *
+ * The HTTP side of the award engine, shared by the Express route in server.js
+ * and the Vercel function in api/awards.js. The reader is identified from
+ * their Supabase access token, never from the request body, and the engine
+ * runs with the service role key so awards can't be written from the browser.
+ *
+ * Needs SUPABASE_SERVICE_ROLE_KEY and SUPABASE_URL (or VITE_SUPABASE_URL) in
+ * the server environment.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { createAwardEngine } from './index.js';
+import { AWARD_EVENTS } from '../../constants/achievementRules.js';
+
+let serviceClient = null;
+
+const getServiceClient = () => {
+  const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!url || !serviceKey) return null;
+
+  if (!serviceClient) {
+    serviceClient = createClient(url, serviceKey, {
+      auth: { persistSession: false, autoRefreshToken: false }
+    });
+  }
+  return serviceClient;
+};
+
+/**
+ * Evaluates awards for the signed-in reader behind a request
+ * @param {string} authorization - Authorization header ("Bearer <access token>")
+ * @param {object} body - Book event: { type: AWARD_EVENTS value, bookId, finished }
+ * @returns {Promise<{status: number, body: object}>} - Response to send
+ */
+export const handleAwardRequest = async (authorization, body = {}) => {
+  const token = (authorization || '').replace(/^Bearer\s+/i, '').trim();
+  if (!token) {
+    return { status: 401, body: { error: 'Sign in to earn awards' } };
+  }
+
+  if (!Object.values(AWARD_EVENTS).includes(body?.type)) {
+    return { status: 400, body: { error: 'Unknown award event' } };
+  }
+
+  const supabase = getServiceClient();
+  if (!supabase) {
+    console.error('Supabase service role key not found in environment variables');
+    return {
+      status: 500,
+      body: {
+        error: 'Awards are not configured',
+        details: 'Set SUPABASE_SERVICE_ROLE_KEY and SUPABASE_URL (or VITE_SUPABASE_URL) in the server environment.'
+      }
+    };
+  }
+
+  const { data: authData, error: authError } = await supabase.auth.getUser(token);
+  if (authError || !authData?.user) {
+    return { status: 401, body: { error: 'Your session has expired. Please sign in again.' } };
+  }
+
+  const { data, error } = await createAwardEngine(supabase).evaluateAwards(authData.user.id, {
+    type: body.type,
+    bookId: body.bookId,
+    finished: Boolean(body.finished)
+  });
+  if (error) {
+    return { status: 500, body: { error: error.message || 'Could not evaluate awards' } };
+  }
+
+  return { status: 200, body: data };
+};
@@ -0,0 +1,267 @@
+/**
+ * Award Engine
+ *
+ * Decides what a reader has earned after a book event and records it:
+ * - XP for finishing a book, once per book
+ * - Achievements: the badge definitions that carry XP, built-in and
+ *   admin-added (bk_badge_definitions), once per reader and badge, each with
+ *   its XP (the reward check unlocks them as badges, see utils/badgeRules)
+ *
+ * It runs on the server (server.js in development, api/awards.js on Vercel)
+ * so that two open tabs can't both award the same thing. Criteria are
+ * minimums, so an achievement whose count was jumped past is still earned on
+ * the next event.
+ *
+ * Awards are idempotent: unique indexes on bk_achievements (user_id,
+ * badge_type) and bk_xp_history (user_id, source_type, source_id) for book
+ * and achievement entries settle races, and each write checks first so
+ * repeated events are cheap.
+ *
+ * Imports in this folder carry explicit .js extensions so server.js and api/
+ * can run the engine under plain Node.
+ */
+
+import { AWARD_EVENTS, FINISHED_BOOK_XP } from '../../constants/achievementRules.js';
+import { XP_SOURCES } from '../../constants/xpSources.js';
+import { isBookFinished } from '../../utils/bookHelpers.js';
+import {
+  buildBadgeStats,
+  meetsCriteria,
+  countCompletedChallenges,
+  toBadgeDefinition,
+  combineBadgeDefinitions,
+  getAchievementBadges,
+  getAchievementType
+} from '../../utils/badgeRules.js';
+import { getXPForLevelUp } from '../../utils/levelCurve.js';
+import { loadLevelCurve } from './levelCurve.js';
+import { createXPLedger } from './ledger.js';
+
+// Postgres unique violation
+const DUPLICATE_KEY = '23505';
+
+// Rows fetched per request; Supabase caps a single select at 1000
+const PAGE_SIZE = 1000;
+
+/**
+ * Finds the achievements a reader's stats meet
+ * @param {object} stats - Reader stats (see buildBadgeStats)
+ * @param {Array} badges - Badge definitions
+ * @returns {Array} - Achievement badges whose criteria are met
+ */
+export const getEarnedAchievements = (stats, badges) =>
+  getAchievementBadges(badges).filter(badge => meetsCriteria(badge.criteria, stats));
+
+/**
+ * Creates the award engine for a Supabase client with rights to write awards
+ * @param {object} supabase - Supabase client (service role on the server)
+ * @returns {object} - { evaluateAwards }
+ */
+export const createAwardEngine = (supabase) => {
+  const xpLedger = createXPLedger(supabase);
+
+  // Books on the reader's own shelves (not ones shared with them)
+  const getUserBooks = async (userId) => {
+    const { data: shelves, error } = await supabase
+      .from('bk_bookshelves')
+      .select('id')
+      .eq('user_id', userId);
+    if (error) throw error;
+
+    const shelfIds = (shelves || []).map(shelf => shelf.id);
+    if (shelfIds.length === 0) return [];
+
+    const books = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error: booksError } = await supabase
+        .from('bk_books')
+        .select('id, status, finish_date, rating, review, genre, genres')
+        .in('bookshelf_id', shelfIds)
+        .order('id')
+        .range(from, from + PAGE_SIZE - 1);
+      if (booksError) throw booksError;
+
+      books.push(...(data || []).map(book => ({
+        id: book.id,
+        status: book.status,
+        finishDate: book.finish_date,
+        rating: book.rating,
+        review: book.review,
+        genre: book.genre,
+        genres: book.genres
+      })));
+      if (!data || data.length < PAGE_SIZE) return books;
+    }
+  };
+
+  const getCurrentStreak = async (userId) => {
+    const { data, error } = await supabase
+      .from('bk_reading_streaks')
+      .select('current_streak')
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw error;
+    return data?.current_streak || 0;
+  };
+
+  // Built-in badges plus the active ones admins added
+  const getBadges = async () => {
+    const { data, error } = await supabase
+      .from('bk_badge_definitions')
+      .select('*')
+      .eq('is_active', true)
+      .order('created_at', { ascending: true });
+    // Built-in badges still apply if the custom ones can't be loaded
+    if (error) {
+      console.error('Error getting badge definitions:', error);
+      return combineBadgeDefinitions();
+    }
+    return combineBadgeDefinitions((data || []).map(toBadgeDefinition));
+  };
+
+  // Challenges the reader created or was invited to
+  const getCompletedChallengeCount = async (userId) => {
+    const { data: own, error } = await supabase
+      .from('bk_reading_challenges')
+      .select('id, user_id, shared_with, is_completed, current_count, target_count')
+      .eq('user_id', userId);
+    if (error) throw error;
+
+    const { data: shared, error: sharedError } = await supabase
+      .from('bk_reading_challenges')
+      .select('id, user_id, shared_with, is_completed, current_count, target_count')
+      .contains('shared_with', [userId]);
+    if (sharedError) throw sharedError;
+
+    const challenges = new Map([...(own || []), ...(shared || [])].map(challenge => [challenge.id, challenge]));
+    return countCompletedChallenges([...challenges.values()], userId);
+  };
+
+  const getQuizzesPassed = async (userId) => {
+    const { data, error } = await supabase
+      .from('bk_quiz_attempts')
+      .select('quiz_id')
+      .eq('user_id', userId)
+      .eq('is_correct', true);
+    if (error) throw error;
+    return new Set((data || []).map(attempt => attempt.quiz_id)).size;
+  };
+
+  // The reader's bk_user_xp row, created if they don't have one yet
+  const getXPTotals = async (userId) => {
+    const { data, error } = await supabase
+      .from('bk_user_xp')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw error;
+    if (data) return data;
+
+    const { data: created, error: createError } = await supabase
+      .from('bk_user_xp')
+      .insert([{ user_id: userId, total_xp: 0, current_level: 1, xp_to_next_level: getXPForLevelUp(1, await loadLevelCurve(supabase)) }])
+      .select()
+      .single();
+    if (createError) throw createError;
+    return created;
+  };
+
+  // Returns the new bk_achievements row, or null if it was already earned
+  const awardAchievement = async (userId, badge) => {
+    const { data: existing, error: findError } = await supabase
+      .from('bk_achievements')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('badge_type', getAchievementType(badge))
+      .maybeSingle();
+    if (findError) throw findError;
+    if (existing) return null;
+
+    const { data, error } = await supabase
+      .from('bk_achievements')
+      .insert([{
+        user_id: userId,
+        badge_type: getAchievementType(badge),
+        badge_name: badge.name,
+        badge_emoji: badge.emoji,
+        badge_description: badge.description
+      }])
+      .select()
+      .single();
+    if (error?.code === DUPLICATE_KEY) return null;
+    if (error) throw error;
+    return data;
+  };
+
+  /**
+   * Awards whatever a reader has earned after a book event
+   * @param {string} userId - The reader
+   * @param {object} event - { type: AWARD_EVENTS value, bookId, finished (the update finished the book) }
+   * @returns {Promise<{data: object|null, error: object|null}>} - data: { xp, leveledUp, previousLevel,
+   *   newLevel, newAchievements, stats }
+   */
+  const evaluateAwards = async (userId, event = {}) => {
+    try {
+      const xpBefore = await getXPTotals(userId);
+      await xpLedger.ensureOpeningBalance(userId, xpBefore.total_xp || 0);
+
+      const books = await getUserBooks(userId);
+      let xpChanged = false;
+
+      if (event.type === AWARD_EVENTS.BOOK_UPDATED && event.finished) {
+        const book = books.find(item => String(item.id) === String(event.bookId));
+        if (book && isBookFinished(book)) {
+          xpChanged = await xpLedger.recordEntryOnce(userId, {
+            amount: FINISHED_BOOK_XP,
+            reason: 'Finished a book',
+            sourceType: XP_SOURCES.BOOK,
+            sourceId: book.id
+          });
+        }
+      }
+
+      const stats = buildBadgeStats({
+        books,
+        userXP: xpBefore,
+        userStreak: { current_streak: await getCurrentStreak(userId) },
+        completedChallenges: await getCompletedChallengeCount(userId),
+        quizzesPassed: await getQuizzesPassed(userId)
+      });
+      const newAchievements = [];
+
+      for (const badge of getEarnedAchievements(stats, await getBadges())) {
+        const achievement = await awardAchievement(userId, badge);
+        if (!achievement) continue;
+        newAchievements.push(achievement);
+
+        if (badge.xp) {
+          const recorded = await xpLedger.recordEntryOnce(userId, {
+            amount: badge.xp,
+            reason: `${badge.name} achievement`,
+            sourceType: XP_SOURCES.ACHIEVEMENT,
+            sourceId: achievement.id
+          });
+          xpChanged = xpChanged || recorded;
+        }
+      }
+
+      const xp = xpChanged ? await xpLedger.syncTotals(userId) : xpBefore;
+      return {
+        data: {
+          xp,
+          leveledUp: xp.current_level > xpBefore.current_level,
+          previousLevel: xpBefore.current_level,
+          newLevel: xp.current_level,
+          newAchievements,
+          stats
+        },
+        error: null
+      };
+    } catch (error) {
+      console.error('Error evaluating awards:', error);
+      return { data: null, error };
+    }
+  };
+
+  return { evaluateAwards };
+};
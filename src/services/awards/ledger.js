@@ -0,0 +1,132 @@
+/**
+ * XP Ledger Writes
+ *
+ * Writing entries to the XP ledger (bk_xp_history) and keeping the totals in
+ * bk_user_xp in step with it. Used by gamificationService in the browser and
+ * by the award engine on the server, each with its own Supabase client.
+ * These throw on database errors; callers turn them into { data, error }.
+ */
+
+import { XP_SOURCES } from '../../constants/xpSources.js';
+import { sumLedger } from '../../utils/xpLedger.js';
+import { getLevelForXP } from '../../utils/levelCurve.js';
+import { loadLevelCurve } from './levelCurve.js';
+
+// Postgres unique violation
+const DUPLICATE_KEY = '23505';
+
+// Rows fetched per request; Supabase caps a single select at 1000
+const PAGE_SIZE = 1000;
+
+// The opening balance's source_id: a fixed value, so the unique index on
+// (user_id, source_type, source_id) allows only one per reader
+const OPENING_BALANCE_ID = 'opening';
+
+/**
+ * Creates the ledger writers for a Supabase client
+ * @param {object} supabase - Supabase client
+ * @returns {object} - { ensureOpeningBalance, recordEntry, recordEntryOnce, syncTotals }
+ */
+export const createXPLedger = (supabase) => {
+  // Every ledger entry of a reader, a page at a time
+  const getEntries = async (userId, columns) => {
+    const entries = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('bk_xp_history')
+        .select(columns)
+        .eq('user_id', userId)
+        .order('id')
+        .range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+
+      entries.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return entries;
+    }
+  };
+
+  // Readers who had XP before the ledger existed get it as one opening entry,
+  // so deriving totals from the ledger doesn't lose it
+  const ensureOpeningBalance = async (userId, cachedTotalXP) => {
+    const entries = await getEntries(userId, 'amount, source_type');
+
+    const hasOpeningBalance = entries.some(entry => entry.source_type === XP_SOURCES.OPENING_BALANCE);
+    const missingXP = cachedTotalXP - sumLedger(entries);
+    if (hasOpeningBalance || missingXP <= 0) return;
+
+    const { error: insertError } = await supabase
+      .from('bk_xp_history')
+      .insert([{
+        user_id: userId,
+        amount: missingXP,
+        reason: 'XP earned before the XP history started',
+        source_type: XP_SOURCES.OPENING_BALANCE,
+        source_id: OPENING_BALANCE_ID
+      }]);
+    // Another request wrote it first
+    if (insertError?.code === DUPLICATE_KEY) return;
+    if (insertError) throw insertError;
+  };
+
+  const toRow = (userId, { amount, reason = '', sourceType = null, sourceId = null }) => ({
+    user_id: userId,
+    amount,
+    reason,
+    source_type: sourceType,
+    source_id: sourceId != null ? String(sourceId) : null
+  });
+
+  const recordEntry = async (userId, entry) => {
+    const { error } = await supabase
+      .from('bk_xp_history')
+      .insert([toRow(userId, entry)]);
+    if (error) throw error;
+  };
+
+  // Records an entry unless the same source already earned XP; returns
+  // whether it was recorded. The unique index on (user_id, source_type,
+  // source_id) settles two requests racing past the check.
+  const recordEntryOnce = async (userId, entry) => {
+    const row = toRow(userId, entry);
+    const { data: existing, error: findError } = await supabase
+      .from('bk_xp_history')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('source_type', row.source_type)
+      .eq('source_id', row.source_id)
+      .limit(1);
+    if (findError) throw findError;
+    if (existing && existing.length > 0) return false;
+
+    const { error } = await supabase
+      .from('bk_xp_history')
+      .insert([row]);
+    if (error?.code === DUPLICATE_KEY) return false;
+    if (error) throw error;
+    return true;
+  };
+
+  // Works the totals and level out again from the ledger, on the saved level
+  // curve; returns the bk_user_xp row
+  const syncTotals = async (userId) => {
+    const totalXP = sumLedger(await getEntries(userId, 'amount'));
+    const { level, xpToNextLevel } = getLevelForXP(totalXP, await loadLevelCurve(supabase));
+
+    const { data, error } = await supabase
+      .from('bk_user_xp')
+      .update({
+        total_xp: totalXP,
+        current_level: level,
+        xp_to_next_level: xpToNextLevel,
+        updated_at: new Date().toISOString()
+      })
+      .eq('user_id', userId)
+      .select()
+      .single();
+    if (error) throw error;
+
+    return data;
+  };
+
+  return { ensureOpeningBalance, recordEntry, recordEntryOnce, syncTotals };
+};
@@ -0,0 +1,30 @@
+/**
+ * Level Curve Setting
+ *
+ * Reads the level curve admins chose (bk_app_settings) for a Supabase
+ * client, so the ledger works levels out with the same curve in the browser
+ * and on the server. Falls back to LEVEL_CURVE when nothing is saved.
+ */
+
+import { LEVEL_CURVE, LEVEL_CURVE_SETTING } from '../../constants/levelCurve.js';
+import { normalizeLevelCurve } from '../../utils/levelCurve.js';
+
+/**
+ * Loads the level curve in use
+ * @param {object} supabase - Supabase client
+ * @returns {Promise<object>} - Level curve
+ */
+export const loadLevelCurve = async (supabase) => {
+  const { data, error } = await supabase
+    .from('bk_app_settings')
+    .select('value')
+    .eq('key', LEVEL_CURVE_SETTING)
+    .maybeSingle();
+
+  // Levels keep working on the default curve if the setting can't be read
+  if (error) {
+    console.error('Error loading level curve:', error);
+    return LEVEL_CURVE;
+  }
+  return normalizeLevelCurve(data?.value);
+};
@@ -0,0 +1,510 @@
+/**
+ * Backup Service
+ *
+ * Handles full-account backup and restore:
+ * - Exporting every bk_* row the user owns into a versioned backup file
+ * - Validating a backup before it is restored
+ * - Restoring a backup into the same or a fresh account, remapping IDs
+ *
+ * Rows are stored exactly as they come from the database (snake_case), so
+ * columns added later are carried along without changing the format.
+ */
+
+import { supabase } from '../config/supabase';
+import { XP_SOURCES } from '../constants/xpSources';
+import { createXPLedger } from './awards/ledger';
+import { getUserXP, syncUserXP } from './gamificationService';
+
+const xpLedger = createXPLedger(supabase);
+
+export const BACKUP_FORMAT = 'bookshelf-backup';
+export const BACKUP_VERSION = 1;
+
+// Rows are inserted in batches so large libraries don't hit request limits
+const INSERT_BATCH_SIZE = 100;
+
+// Rows fetched per request; Supabase caps a single select at 1000
+const PAGE_SIZE = 1000;
+
+// Parent IDs per .in() filter, so the request URL stays short
+const ID_CHUNK_SIZE = 200;
+
+/**
+ * Tables included in a backup, in restore order (parents before children).
+ * - owner: column holding the user ID
+ * - parent: { column, table } for tables owned through another table's rows
+ * - refs: { column: table } foreign keys remapped to the restored rows
+ * - sourceRefs: { source_type: table } for XP entries, whose source_id points
+ *   at a different table depending on source_type
+ * - filters: column holding saved library filters, whose shelfIds are remapped
+ * - singleton: one row per user, updated in place rather than re-inserted
+ * - derived: worked out again from the restored rows instead of restored
+ *   (XP totals come from the ledger, see syncUserXP)
+ * - unique: columns that can only hold each value once per user; a merging
+ *   restore skips rows matching one the account already has
+ * - omit: columns never restored (e.g. privileges)
+ */
+const BACKUP_TABLES = [
+  { table: 'bk_user_profiles', owner: 'user_id', singleton: true, omit: ['is_admin'] },
+  { table: 'bk_bookshelves', owner: 'user_id', filters: 'smart_filters' },
+  { table: 'bk_books', parent: { column: 'bookshelf_id', table: 'bk_bookshelves' } },
+  { table: 'bk_book_facts', parent: { column: 'book_id', table: 'bk_books' } },
+  { table: 'bk_quizzes', parent: { column: 'book_id', table: 'bk_books' } },
+  { table: 'bk_quiz_attempts', owner: 'user_id', refs: { quiz_id: 'bk_quizzes' } },
+  { table: 'bk_reading_sessions', owner: 'user_id', refs: { book_id: 'bk_books' } },
+  { table: 'bk_reading_challenges', owner: 'user_id' },
+  { table: 'bk_challenge_books', owner: 'user_id', refs: { challenge_id: 'bk_reading_challenges', book_id: 'bk_books' } },
+  { table: 'bk_user_xp', owner: 'user_id', singleton: true, derived: true },
+  { table: 'bk_reading_streaks', owner: 'user_id', singleton: true },
+  { table: 'bk_achievements', owner: 'user_id', unique: ['badge_type'] },
+  {
+    table: 'bk_xp_history',
+    owner: 'user_id',
+    unique: ['source_type', 'source_id'],
+    sourceRefs: {
+      [XP_SOURCES.BOOK]: 'bk_books',
+      [XP_SOURCES.QUIZ]: 'bk_quizzes',
+      [XP_SOURCES.CHALLENGE]: 'bk_reading_challenges',
+      [XP_SOURCES.ACHIEVEMENT]: 'bk_achievements',
+      [XP_SOURCES.REVERSAL]: 'bk_xp_history'
+    }
+  },
+  { table: 'bk_user_rewards', owner: 'user_id' },
+  { table: 'bk_ai_recommendations', owner: 'user_id' },
+  { table: 'bk_ai_writing_feedback', owner: 'user_id' },
+  { table: 'bk_ignored_suggestions', owner: 'user_id' },
+  { table: 'bk_filter_presets', owner: 'user_id', filters: 'filters' },
+  { table: 'bk_reading_reports', owner: 'user_id' },
+  { table: 'bk_stories', owner: 'user_id', refs: { book_id: 'bk_books' } }
+];
+
+/**
+ * Splits a list into chunks
+ * @param {array} items - Items to split
+ * @param {number} size - Items per chunk
+ * @returns {array} - Chunks
+ */
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let start = 0; start < items.length; start += size) {
+    chunks.push(items.slice(start, start + size));
+  }
+  return chunks;
+};
+
+/**
+ * Fetches every row a query matches, a page at a time
+ * @param {function} buildQuery - Returns a fresh filtered select
+ * @param {boolean} ordered - Whether the table has an id to page in order by
+ * @returns {Promise<array>}
+ */
+const fetchAllPages = async (buildQuery, ordered = true) => {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = buildQuery();
+    if (ordered) query = query.order('id');
+    const { data, error } = await query.range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+};
+
+/**
+ * Fetches the rows of one backup table owned by the user
+ * @param {object} spec - Entry from BACKUP_TABLES
+ * @param {string} userId - The user ID
+ * @param {object} tables - Rows fetched so far, keyed by table
+ * @returns {Promise<array>}
+ */
+const fetchTableRows = async (spec, userId, tables) => {
+  try {
+    if (spec.owner) {
+      return await fetchAllPages(() => supabase.from(spec.table).select('*').eq(spec.owner, userId), !spec.singleton);
+    }
+
+    const rows = [];
+    const parentIds = (tables[spec.parent.table] || []).map(row => row.id);
+    for (const ids of chunk(parentIds, ID_CHUNK_SIZE)) {
+      rows.push(...await fetchAllPages(() => supabase.from(spec.table).select('*').in(spec.parent.column, ids)));
+    }
+    return rows;
+  } catch (error) {
+    // A table that doesn't exist in this deployment shouldn't block the backup
+    if (error.code === '42P01') {
+      console.warn(`Skipping ${spec.table} in backup: table not found`);
+      return [];
+    }
+    throw error;
+  }
+};
+
+/**
+ * Create a full backup of the user's account
+ * @param {string} userId - The user ID
+ * @returns {Promise<{data: object|null, error: object|null}>}
+ */
+export const createBackup = async (userId) => {
+  try {
+    const { data: user } = await supabase
+      .from('bk_users')
+      .select('id, username')
+      .eq('id', userId)
+      .maybeSingle();
+
+    const tables = {};
+    for (const spec of BACKUP_TABLES) {
+      tables[spec.table] = await fetchTableRows(spec, userId, tables);
+    }
+
+    return {
+      data: {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        user: user || { id: userId },
+        tables
+      },
+      error: null
+    };
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Checks whether parsed JSON is a backup file
+ * @param {*} json - Parsed file contents
+ * @returns {boolean}
+ */
+export const isBackupFile = (json) => !!json && typeof json === 'object' && json.format === BACKUP_FORMAT;
+
+/**
+ * Validate a backup and summarize what it contains
+ * @param {object} backup - Parsed backup file
+ * @returns {{data: object|null, error: object|null}} - data: { exportedAt, username, counts }
+ */
+export const validateBackup = (backup) => {
+  if (!isBackupFile(backup) || !backup.tables || typeof backup.tables !== 'object') {
+    return { data: null, error: { message: 'This file is not a Bookshelf backup.' } };
+  }
+  if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+    return { data: null, error: { message: 'This backup was made by a newer version of the app. Please update and try again.' } };
+  }
+
+  const invalidTable = Object.entries(backup.tables).find(([, rows]) => !Array.isArray(rows));
+  if (invalidTable) {
+    return { data: null, error: { message: `The backup is damaged: ${invalidTable[0]} is not a list of rows.` } };
+  }
+
+  const counts = {};
+  BACKUP_TABLES.forEach(({ table }) => {
+    counts[table] = (backup.tables[table] || []).length;
+  });
+
+  return {
+    data: {
+      exportedAt: backup.exportedAt || null,
+      username: backup.user?.username || null,
+      counts
+    },
+    error: null
+  };
+};
+
+/**
+ * Deletes the user's existing rows before a replacing restore
+ * Children go first; singleton rows are kept and overwritten instead
+ * @param {string} userId - The user ID
+ */
+const clearAccountData = async (userId) => {
+  const shelves = await fetchAllPages(() => supabase.from('bk_bookshelves').select('id').eq('user_id', userId));
+  const shelfIds = shelves.map(shelf => shelf.id);
+
+  const bookIds = [];
+  for (const ids of chunk(shelfIds, ID_CHUNK_SIZE)) {
+    const books = await fetchAllPages(() => supabase.from('bk_books').select('id').in('bookshelf_id', ids));
+    bookIds.push(...books.map(book => book.id));
+  }
+
+  const ids = { bk_bookshelves: shelfIds, bk_books: bookIds };
+  for (const spec of [...BACKUP_TABLES].reverse()) {
+    if (spec.singleton) continue;
+
+    const queries = spec.owner
+      ? [supabase.from(spec.table).delete().eq(spec.owner, userId)]
+      : chunk(ids[spec.parent.table] || [], ID_CHUNK_SIZE)
+        .map(parentIds => supabase.from(spec.table).delete().in(spec.parent.column, parentIds));
+
+    for (const query of queries) {
+      const { error } = await query;
+      if (error && error.code !== '42P01') throw error;
+    }
+  }
+};
+
+/**
+ * Builds the key of a row's unique columns
+ * @param {object} spec - Entry from BACKUP_TABLES
+ * @param {object} row - Row to key
+ * @returns {string|null} - Null when a column is empty (empty values never clash)
+ */
+const getUniqueKey = (spec, row) => {
+  if (spec.unique.some(column => row[column] == null)) return null;
+  return JSON.stringify(spec.unique.map(column => String(row[column])));
+};
+
+/**
+ * Fetches the unique keys of the rows the user already has in a table
+ * @param {object} spec - Entry from BACKUP_TABLES
+ * @param {string} userId - The user ID
+ * @returns {Promise<Map>} - Unique key to the existing row's ID
+ */
+const fetchExistingKeys = async (spec, userId) => {
+  const rows = await fetchAllPages(() => supabase
+    .from(spec.table)
+    .select(['id', ...spec.unique].join(', '))
+    .eq(spec.owner, userId));
+
+  const keys = new Map();
+  rows.forEach(row => {
+    const key = getUniqueKey(spec, row);
+    if (key) keys.set(key, row.id);
+  });
+  return keys;
+};
+
+/**
+ * Points the shelf filter of saved library filters at the restored shelves
+ * @param {object|string} filters - Saved filters (a JSON string in older rows)
+ * @param {object} shelfIdMap - Backup shelf ID to restored shelf ID
+ * @returns {object|string} - Filters with remapped shelfIds
+ */
+const remapFilterShelfIds = (filters, shelfIdMap) => {
+  let parsed = filters;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch (e) {
+      return filters;
+    }
+  }
+  if (!Array.isArray(parsed?.shelfIds) || parsed.shelfIds.length === 0) return filters;
+
+  return { ...parsed, shelfIds: parsed.shelfIds.map(id => shelfIdMap[id] ?? id) };
+};
+
+/**
+ * Points restored smart shelves' shelf filters at the restored shelves
+ * @param {object} spec - Entry from BACKUP_TABLES
+ * @param {array} prepared - Rows as inserted
+ * @param {array} originalIds - Backup IDs of the prepared rows
+ * @param {object} shelfIdMap - Backup shelf ID to restored shelf ID
+ */
+const remapSmartShelfFilters = async (spec, prepared, originalIds, shelfIdMap) => {
+  for (let index = 0; index < prepared.length; index++) {
+    const filters = prepared[index][spec.filters];
+    const newId = shelfIdMap[originalIds[index]];
+    if (!filters || !newId) continue;
+
+    const remapped = remapFilterShelfIds(filters, shelfIdMap);
+    if (remapped === filters) continue;
+
+    const { error } = await supabase
+      .from(spec.table)
+      .update({ [spec.filters]: remapped })
+      .eq('id', newId);
+    if (error) console.error(`Error remapping ${spec.table} filters:`, error);
+  }
+};
+
+/**
+ * Points restored entries whose source is another row of the same table
+ * (an XP reversal and the entry it reversed) at that row's new ID
+ * @param {object} spec - Entry from BACKUP_TABLES
+ * @param {array} prepared - Rows as inserted
+ * @param {array} originalIds - Backup IDs of the prepared rows
+ * @param {object} idMap - Backup ID to restored ID for the table
+ */
+const remapSelfSourceIds = async (spec, prepared, originalIds, idMap) => {
+  for (let index = 0; index < prepared.length; index++) {
+    const row = prepared[index];
+    const newId = idMap[originalIds[index]];
+    const sourceId = row.source_id && idMap[row.source_id];
+    if (spec.sourceRefs[row.source_type] !== spec.table || !newId || !sourceId) continue;
+
+    const { error } = await supabase
+      .from(spec.table)
+      .update({ source_id: String(sourceId) })
+      .eq('id', newId);
+    if (error) console.error(`Error remapping ${spec.table} source:`, error);
+  }
+};
+
+/**
+ * Restore a backup into an account
+ * Every row gets a new ID; owner columns point at the target user and
+ * references between restored rows are remapped to the new IDs. References
+ * to rows the backup doesn't contain (e.g. a friend's shared challenge) are
+ * kept as they are. When merging, rows the account already has one of (an
+ * achievement, the XP opening balance) are skipped and counted as failed.
+ * XP totals are worked out again from the merged ledger.
+ * @param {string} userId - The user to restore into
+ * @param {object} backup - Parsed backup file
+ * @param {object} options - { replaceExisting: delete the user's current data first }
+ * @returns {Promise<{data: object|null, error: object|null}>} - data: { restored: { table: count }, failed: { table: count } }
+ */
+export const restoreBackup = async (userId, backup, { replaceExisting = false } = {}) => {
+  try {
+    const { error: validationError } = validateBackup(backup);
+    if (validationError) {
+      return { data: null, error: validationError };
+    }
+
+    if (replaceExisting) {
+      await clearAccountData(userId);
+    }
+
+    // The XP row has to exist for the totals to be synced into it; when
+    // merging, XP from before the ledger started is kept as an opening entry
+    const { data: currentXP, error: xpError } = await getUserXP(userId);
+    if (xpError) throw xpError;
+    if (!replaceExisting) {
+      await xpLedger.ensureOpeningBalance(userId, currentXP?.total_xp || 0);
+    }
+
+    const idMaps = {};
+    const restored = {};
+    const failed = {};
+
+    for (const spec of BACKUP_TABLES) {
+      const rows = backup.tables[spec.table] || [];
+      idMaps[spec.table] = {};
+      restored[spec.table] = 0;
+      if (rows.length === 0 || spec.derived) continue;
+
+      const existingKeys = spec.unique && !replaceExisting
+        ? await fetchExistingKeys(spec, userId)
+        : null;
+
+      const prepared = [];
+      const originalIds = [];
+      rows.forEach(row => {
+        const { id, ...rest } = row;
+        (spec.omit || []).forEach(column => delete rest[column]);
+
+        if (spec.owner) {
+          rest[spec.owner] = userId;
+        } else {
+          // Rows whose parent wasn't restored have nowhere to go
+          const parentId = idMaps[spec.parent.table][rest[spec.parent.column]];
+          if (!parentId) {
+            failed[spec.table] = (failed[spec.table] || 0) + 1;
+            return;
+          }
+          rest[spec.parent.column] = parentId;
+        }
+
+        Object.entries(spec.refs || {}).forEach(([column, table]) => {
+          if (rest[column] && idMaps[table]?.[rest[column]]) {
+            rest[column] = idMaps[table][rest[column]];
+          }
+        });
+
+        // Smart shelves point at shelves of their own table, fixed up once it's inserted
+        if (spec.filters && rest[spec.filters] && spec.table !== 'bk_bookshelves') {
+          rest[spec.filters] = remapFilterShelfIds(rest[spec.filters], idMaps.bk_bookshelves);
+        }
+
+        // Entries pointing into their own table (reversals) are fixed up once it's inserted
+        const sourceTable = spec.sourceRefs?.[rest.source_type];
+        if (sourceTable && sourceTable !== spec.table && rest.source_id && idMaps[sourceTable]?.[rest.source_id]) {
+          rest.source_id = String(idMaps[sourceTable][rest.source_id]);
+        }
+
+        // Point references to a skipped row at the account's own copy
+        const existingId = existingKeys && sourceTable !== spec.table
+          ? existingKeys.get(getUniqueKey(spec, rest))
+          : undefined;
+        if (existingId !== undefined) {
+          idMaps[spec.table][id] = existingId;
+          failed[spec.table] = (failed[spec.table] || 0) + 1;
+          return;
+        }
+
+        prepared.push(rest);
+        originalIds.push(id);
+      });
+
+      if (spec.singleton) {
+        const [row] = prepared;
+        if (!row) continue;
+        const { data: existing } = await supabase
+          .from(spec.table)
+          .select(spec.owner)
+          .eq(spec.owner, userId)
+          .maybeSingle();
+        const { error } = existing
+          ? await supabase.from(spec.table).update(row).eq(spec.owner, userId)
+          : await supabase.from(spec.table).insert([row]);
+        if (error) {
+          console.error(`Error restoring ${spec.table}:`, error);
+          failed[spec.table] = (failed[spec.table] || 0) + 1;
+        } else {
+          restored[spec.table] = 1;
+        }
+        continue;
+      }
+
+      for (let start = 0; start < prepared.length; start += INSERT_BATCH_SIZE) {
+        const batch = prepared.slice(start, start + INSERT_BATCH_SIZE);
+        const { data, error } = await supabase
+          .from(spec.table)
+          .insert(batch)
+          .select();
+
+        if (error) {
+          console.error(`Error restoring ${spec.table}:`, error);
+          failed[spec.table] = (failed[spec.table] || 0) + batch.length;
+          continue;
+        }
+
+        // Inserted rows come back in the order they were sent
+        (data || []).forEach((inserted, index) => {
+          const originalId = originalIds[start + index];
+          if (originalId !== undefined && inserted.id !== undefined) {
+            idMaps[spec.table][originalId] = inserted.id;
+          }
+        });
+        restored[spec.table] += batch.length;
+      }
+
+      if (spec.filters && spec.table === 'bk_bookshelves') {
+        await remapSmartShelfFilters(spec, prepared, originalIds, idMaps.bk_bookshelves);
+      }
+      if (spec.sourceRefs) {
+        await remapSelfSourceIds(spec, prepared, originalIds, idMaps[spec.table]);
+      }
+    }
+
+    // A backup from before the ledger started keeps that XP as an opening entry
+    const [backupXP] = backup.tables.bk_user_xp || [];
+    if (replaceExisting && backupXP) {
+      await xpLedger.ensureOpeningBalance(userId, backupXP.total_xp || 0);
+    }
+
+    const { error: syncError } = await syncUserXP(userId);
+    if (syncError) {
+      failed.bk_user_xp = 1;
+    } else {
+      restored.bk_user_xp = 1;
+    }
+
+    return { data: { restored, failed }, error: null };
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    return { data: null, error };
+  }
+};
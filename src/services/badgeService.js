@@ -0,0 +1,118 @@
+/**
+ * Badge Service
+ *
+ * Handles badge definitions: the badges that ship with the app
+ * (DEFAULT_BADGES) plus the ones admins add from the admin console
+ * (bk_badge_definitions). Every place in the browser that awards or shows
+ * badges reads them from here; the award engine reads the same rows on the
+ * server.
+ */
+
+import { supabase } from '../config/supabase';
+import { toBadgeDefinition, combineBadgeDefinitions } from '../utils/badgeRules';
+
+/**
+ * Transform a badge definition to database format
+ * @param {object} badge - Badge definition
+ * @returns {object} - Row fields for bk_badge_definitions
+ */
+const transformBadgeToDB = (badge) => ({
+  name: badge.name.trim(),
+  emoji: badge.emoji || null,
+  description: badge.description?.trim() || null,
+  reward_type: badge.rewardType,
+  criteria: badge.criteria.map(({ stat, min, genre }) => (genre ? { stat, min, genre } : { stat, min })),
+  xp: badge.xp || 0,
+  is_active: badge.isActive !== false
+});
+
+const BUILT_IN_BADGES = combineBadgeDefinitions();
+
+/**
+ * Get every badge definition, built-in ones first
+ * @param {object} options - { includeInactive: also return badges an admin switched off }
+ * @returns {Promise<{data: array, error: object|null}>}
+ */
+export const getBadgeDefinitions = async ({ includeInactive = false } = {}) => {
+  try {
+    const { data, error } = await supabase
+      .from('bk_badge_definitions')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    // Built-in badges still apply if the custom ones can't be loaded
+    if (error) {
+      console.error('Error getting badge definitions:', error);
+      return { data: BUILT_IN_BADGES, error };
+    }
+
+    return { data: combineBadgeDefinitions((data || []).map(toBadgeDefinition), includeInactive), error: null };
+  } catch (error) {
+    console.error('Error getting badge definitions:', error);
+    return { data: BUILT_IN_BADGES, error };
+  }
+};
+
+/**
+ * Create a badge definition
+ * @param {object} badge - Badge definition (name, emoji, description, rewardType, criteria, xp, isActive)
+ * @param {string} adminUserId - Admin creating it
+ * @returns {Promise<{data: object|null, error: object|null}>}
+ */
+export const createBadgeDefinition = async (badge, adminUserId) => {
+  try {
+    const { data, error } = await supabase
+      .from('bk_badge_definitions')
+      .insert([{ ...transformBadgeToDB(badge), created_by: adminUserId || null }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { data: toBadgeDefinition(data), error: null };
+  } catch (error) {
+    console.error('Error creating badge definition:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Update a badge definition
+ * @param {string} badgeId - Definition ID
+ * @param {object} badge - Badge definition
+ * @returns {Promise<{data: object|null, error: object|null}>}
+ */
+export const updateBadgeDefinition = async (badgeId, badge) => {
+  try {
+    const { data, error } = await supabase
+      .from('bk_badge_definitions')
+      .update({ ...transformBadgeToDB(badge), updated_at: new Date().toISOString() })
+      .eq('id', badgeId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { data: toBadgeDefinition(data), error: null };
+  } catch (error) {
+    console.error('Error updating badge definition:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Delete a badge definition (badges readers already unlocked are kept)
+ * @param {string} badgeId - Definition ID
+ * @returns {Promise<{error: object|null}>}
+ */
+export const deleteBadgeDefinition = async (badgeId) => {
+  try {
+    const { error } = await supabase
+      .from('bk_badge_definitions')
+      .delete()
+      .eq('id', badgeId);
+
+    return { error };
+  } catch (error) {
+    console.error('Error deleting badge definition:', error);
+    return { error };
+  }
+};
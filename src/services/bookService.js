@@ -8,9 +8,25 @@
  */
 
 import { supabase } from '../config/supabase';
+import { getBookStatus } from '../utils/bookHelpers';
+import { toISBN10, toISBN13 } from './metadata/normalize.js';
+import { normalizeGenreList } from '../constants/genreTaxonomy';
+import { getActiveGenreMappings } from './genreMappingService';
 
 /**
- * Get all books in a bookshelf
+ * Build the genre columns for a book, normalized onto the genre taxonomy
+ * @param {Array<string>} genres - Genres, main one first
+ * @param {string} genre - Single genre, used when there's no list (older callers)
+ * @returns {object} - { genre, genres }
+ */
+const toGenreColumns = (genres, genre) => {
+  const list = normalizeGenreList(genres?.length ? genres : (genre ? [genre] : []), getActiveGenreMappings());
+  return { genre: list[0] || null, genres: list };
+};
+
+/**
+ * Get all books in a bookshelf, in shelf order: books that were never
+ * arranged by hand first (newest first), then by their sort position
  * @param {string} bookshelfId - The bookshelf ID
  * @returns {Promise<{data: array, error: object|null}>}
  */
@@ -20,6 +36,7 @@ export const getBooksInBookshelf = async (bookshelfId) => {
       .from('bk_books')
       .select('*')
       .eq('bookshelf_id', bookshelfId)
+      .order('sort_position', { ascending: true, nullsFirst: true })
       .order('added_date', { ascending: false });
 
     return { data: data || [], error };
@@ -84,7 +101,8 @@ export const createBook = async (bookshelfId, bookData) => {
       bookshelf_id: bookshelfId,
       title: bookData.title,
       author: bookData.author || null,
-      genre: bookData.genre || null,
+      ...toGenreColumns(bookData.genres, bookData.genre),
+      tags: bookData.tags || [],
       cover_url: bookData.coverUrl || null,
       description: bookData.description || null,
       favorite_character: bookData.favoriteCharacter || null,
@@ -94,7 +112,24 @@ export const createBook = async (bookshelfId, bookData) => {
       least_favorite_part: bookData.leastFavoritePart || null,
       rating: bookData.rating || 0,
       start_date: bookData.startDate || null,
-      finish_date: bookData.finishDate || null
+      finish_date: bookData.finishDate || null,
+      status: getBookStatus(bookData),
+      abandoned_at_page: bookData.abandonedAtPage || null,
+      abandon_reason: bookData.abandonReason || null,
+      page_count: bookData.pageCount || null,
+      current_page: bookData.currentPage || 0,
+      isbn: bookData.isbn || null,
+      // Fill in whichever ISBN form is missing so both can be searched on
+      isbn_10: bookData.isbn10 || toISBN10(bookData.isbn) || null,
+      isbn_13: bookData.isbn13 || toISBN13(bookData.isbn) || null,
+      ol_work_key: bookData.openLibraryWorkKey || null,
+      ol_edition_key: bookData.openLibraryEditionKey || null,
+      publisher: bookData.publisher || null,
+      publication_year: bookData.publicationYear || null,
+      language: bookData.language || null,
+      format: bookData.format || null,
+      series_name: bookData.series || null,
+      series_position: bookData.seriesPosition ?? null
     };
 
     const { data, error } = await supabase
@@ -145,10 +180,24 @@ export const updateBook = async (bookId, updates) => {
     if (updates.isPublic !== undefined) dbUpdates.is_public = updates.isPublic;
     if (updates.sharedBy !== undefined) dbUpdates.shared_by = updates.sharedBy;
     if (updates.sharedAt !== undefined) dbUpdates.shared_at = updates.sharedAt;
+    if (updates.abandonedAtPage !== undefined) dbUpdates.abandoned_at_page = updates.abandonedAtPage;
+    if (updates.abandonReason !== undefined) dbUpdates.abandon_reason = updates.abandonReason;
+    if (updates.pageCount !== undefined) dbUpdates.page_count = updates.pageCount;
+    if (updates.currentPage !== undefined) dbUpdates.current_page = updates.currentPage;
+    if (updates.isbn10 !== undefined) dbUpdates.isbn_10 = updates.isbn10;
+    if (updates.isbn13 !== undefined) dbUpdates.isbn_13 = updates.isbn13;
+    if (updates.openLibraryWorkKey !== undefined) dbUpdates.ol_work_key = updates.openLibraryWorkKey;
+    if (updates.openLibraryEditionKey !== undefined) dbUpdates.ol_edition_key = updates.openLibraryEditionKey;
+    if (updates.publicationYear !== undefined) dbUpdates.publication_year = updates.publicationYear;
+    if (updates.series !== undefined) dbUpdates.series_name = updates.series;
+    if (updates.seriesPosition !== undefined) dbUpdates.series_position = updates.seriesPosition;
+    if (updates.genres !== undefined || updates.genre !== undefined) {
+      Object.assign(dbUpdates, toGenreColumns(updates.genres, updates.genre));
+    }
     
     // Direct mappings for fields that don't need conversion
     Object.keys(updates).forEach(key => {
-      if (!['coverUrl', 'favoriteCharacter', 'sceneSummary', 'memorableMoments', 'leastFavoritePart', 'startDate', 'finishDate', 'sharedWith', 'isPublic', 'sharedBy', 'sharedAt'].includes(key)) {
+      if (!['coverUrl', 'favoriteCharacter', 'sceneSummary', 'memorableMoments', 'leastFavoritePart', 'startDate', 'finishDate', 'sharedWith', 'isPublic', 'sharedBy', 'sharedAt', 'abandonedAtPage', 'abandonReason', 'pageCount', 'currentPage', 'isbn10', 'isbn13', 'openLibraryWorkKey', 'openLibraryEditionKey', 'publicationYear', 'series', 'seriesPosition', 'genre', 'genres'].includes(key)) {
         dbUpdates[key] = updates[key];
       }
     });
@@ -190,13 +239,14 @@ export const deleteBook = async (bookId) => {
  * Move a book to a different bookshelf
  * @param {string} bookId - The book ID
  * @param {string} newBookshelfId - The new bookshelf ID
+ * @param {number|null} sortPosition - Position on the new shelf (null sorts it with unarranged books)
  * @returns {Promise<{data: object|null, error: object|null}>}
  */
-export const moveBook = async (bookId, newBookshelfId) => {
+export const moveBook = async (bookId, newBookshelfId, sortPosition = null) => {
   try {
     const { data, error } = await supabase
       .from('bk_books')
-      .update({ bookshelf_id: newBookshelfId })
+      .update({ bookshelf_id: newBookshelfId, sort_position: sortPosition })
       .eq('id', bookId)
       .select()
       .single();
@@ -208,6 +258,94 @@ export const moveBook = async (bookId, newBookshelfId) => {
   }
 };
 
+// Position saves run one after another, so overlapping reorders land in order
+let bookPositionWrites = Promise.resolve();
+
+/**
+ * Save the order of the books on a shelf
+ * @param {Array<object>} positions - [{ id, position }] for the books that moved (see getChangedPositions)
+ * @returns {Promise<{data: null, error: object|null}>}
+ */
+export const updateBookPositions = (positions) => {
+  const write = bookPositionWrites.then(async () => {
+    try {
+      const results = await Promise.all(positions.map(({ id, position }) => supabase
+        .from('bk_books')
+        .update({ sort_position: position })
+        .eq('id', id)));
+
+      const failed = results.find(result => result.error);
+      if (failed) throw failed.error;
+      return { data: null, error: null };
+    } catch (error) {
+      console.error('Error saving book order:', error);
+      return { data: null, error };
+    }
+  });
+  bookPositionWrites = write;
+  return write;
+};
+
+/**
+ * Merge a duplicate book into another
+ * Applies the merged fields to the kept book, moves reading sessions and
+ * challenge links over, then deletes the duplicate. A challenge both books
+ * count toward keeps a single link so progress isn't counted twice.
+ * @param {string} keepBookId - The book that stays
+ * @param {string} removeBookId - The duplicate to merge in and delete
+ * @param {object} updates - Merged fields for the kept book (see mergeBookRecords)
+ * @returns {Promise<{data: object|null, error: object|null}>}
+ */
+export const mergeBooks = async (keepBookId, removeBookId, updates = {}) => {
+  try {
+    if (Object.keys(updates).length > 0) {
+      const { error: updateError } = await updateBook(keepBookId, updates);
+      if (updateError) throw updateError;
+    }
+
+    const { error: sessionsError } = await supabase
+      .from('bk_reading_sessions')
+      .update({ book_id: keepBookId })
+      .eq('book_id', removeBookId);
+    if (sessionsError) throw sessionsError;
+
+    const { data: links, error: linksError } = await supabase
+      .from('bk_challenge_books')
+      .select('*')
+      .in('book_id', [keepBookId, removeBookId]);
+    if (linksError) throw linksError;
+
+    const keptChallenges = new Set(
+      (links || []).filter(link => link.book_id === keepBookId).map(link => `${link.challenge_id}:${link.user_id || ''}`)
+    );
+    for (const link of (links || []).filter(l => l.book_id === removeBookId)) {
+      const table = supabase.from('bk_challenge_books');
+      let query = keptChallenges.has(`${link.challenge_id}:${link.user_id || ''}`)
+        ? table.delete()
+        : table.update({ book_id: keepBookId });
+      query = query.eq('challenge_id', link.challenge_id).eq('book_id', removeBookId);
+      if (link.user_id) query = query.eq('user_id', link.user_id);
+
+      const { error } = await query;
+      if (error) throw error;
+    }
+
+    const { error: deleteError } = await deleteBook(removeBookId);
+    if (deleteError) throw deleteError;
+
+    const { data, error } = await supabase
+      .from('bk_books')
+      .select('*')
+      .eq('id', keepBookId)
+      .single();
+
+    return { data, error };
+  } catch (error) {
+    console.error('Error merging books:', error);
+    return { data: null, error };
+  }
+};
+
 /**
  * Transform database book object to app format
  * @param {object} dbBook - Book object from database
@@ -234,11 +372,17 @@ export const transformBookFromDB = (dbBook) => {
     }
   };
 
+  const startDate = formatDateForInput(dbBook.start_date);
+  const finishDate = formatDateForInput(dbBook.finish_date);
+
   return {
     id: dbBook.id,
     title: dbBook.title,
     author: dbBook.author ? String(dbBook.author).trim() : null,
     genre: dbBook.genre || null,
+    // Rows from before multi-genre support only have the single genre
+    genres: dbBook.genres?.length ? dbBook.genres : (dbBook.genre ? [dbBook.genre] : []),
+    tags: dbBook.tags || [],
     coverUrl: dbBook.cover_url,
     description: dbBook.description,
     favoriteCharacter: dbBook.favorite_character,
@@ -247,9 +391,26 @@ export const transformBookFromDB = (dbBook) => {
     review: dbBook.review,
     leastFavoritePart: dbBook.least_favorite_part,
     rating: dbBook.rating,
-    startDate: formatDateForInput(dbBook.start_date),
-    finishDate: formatDateForInput(dbBook.finish_date),
+    startDate,
+    finishDate,
+    status: getBookStatus({ status: dbBook.status, startDate, finishDate }),
+    abandonedAtPage: dbBook.abandoned_at_page || null,
+    abandonReason: dbBook.abandon_reason || null,
+    pageCount: dbBook.page_count || null,
+    currentPage: dbBook.current_page || 0,
+    isbn: dbBook.isbn || null,
+    isbn10: dbBook.isbn_10 || null,
+    isbn13: dbBook.isbn_13 || null,
+    openLibraryWorkKey: dbBook.ol_work_key || null,
+    openLibraryEditionKey: dbBook.ol_edition_key || null,
+    publisher: dbBook.publisher || null,
+    publicationYear: dbBook.publication_year || null,
+    language: dbBook.language || null,
+    format: dbBook.format || null,
+    series: dbBook.series_name || null,
+    seriesPosition: dbBook.series_position ?? null,
     addedDate: dbBook.added_date,
+    sortPosition: dbBook.sort_position ?? null,
     sharedWith: dbBook.shared_with || [],
     isPublic: dbBook.is_public || false,
     sharedBy: dbBook.shared_by || null,
@@ -266,7 +427,8 @@ export const transformBookToDB = (appBook) => {
   return {
     title: appBook.title,
     author: appBook.author || null,
-    genre: appBook.genre || null,
+    ...toGenreColumns(appBook.genres, appBook.genre),
+    tags: appBook.tags || [],
     cover_url: appBook.coverUrl || null,
     description: appBook.description || null,
     favorite_character: appBook.favoriteCharacter || null,
@@ -277,6 +439,22 @@ export const transformBookToDB = (appBook) => {
     rating: appBook.rating || 0,
     start_date: appBook.startDate || null,
     finish_date: appBook.finishDate || null,
+    status: getBookStatus(appBook),
+    abandoned_at_page: appBook.abandonedAtPage || null,
+    abandon_reason: appBook.abandonReason || null,
+    page_count: appBook.pageCount || null,
+    current_page: appBook.currentPage || 0,
+    isbn: appBook.isbn || null,
+    isbn_10: appBook.isbn10 || null,
+    isbn_13: appBook.isbn13 || null,
+    ol_work_key: appBook.openLibraryWorkKey || null,
+    ol_edition_key: appBook.openLibraryEditionKey || null,
+    publisher: appBook.publisher || null,
+    publication_year: appBook.publicationYear || null,
+    language: appBook.language || null,
+    format: appBook.format || null,
+    series_name: appBook.series || null,
+    series_position: appBook.seriesPosition ?? null,
     shared_with: appBook.sharedWith || [],
     is_public: appBook.isPublic || false,
     shared_by: appBook.sharedBy || null,
@@ -472,11 +650,12 @@ export const getUserBooksThisMonth = async (userId) => {
     const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).toISOString();
     const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59).toISOString();
 
-    // Count books finished this month
+    // Count books finished this month (rows without a status predate the status column)
     const { count, error } = await supabase
       .from('bk_books')
       .select('*', { count: 'exact', head: true })
       .in('bookshelf_id', bookshelfIds)
+      .or('status.eq.finished,status.is.null')
       .not('finish_date', 'is', null)
       .gte('finish_date', monthStart)
       .lte('finish_date', monthEnd);
@@ -3,14 +3,58 @@
  * 
  * Handles all bookshelf-related database operations including:
  * - Creating and managing bookshelves
- * - Updating bookshelf settings
+ * - Updating bookshelf settings (including capacity and what happens when full)
+ * - Smart shelves, whose books come from saved filters (smart_filters)
+ * - The order shelves are listed in (sort_position)
  * - Managing shared bookshelf permissions
  */
 
 import { supabase } from '../config/supabase';
+import { toLibraryFilters } from '../utils/librarySearch';
 
 /**
- * Get all bookshelves for a user
+ * Reads a smart shelf's saved filters; a malformed row shows an empty shelf
+ * rather than stopping every shelf from loading
+ * @param {object|string} smartFilters - smart_filters column (a JSON string in older rows)
+ * @returns {object}
+ */
+const parseSmartFilters = (smartFilters) => {
+  if (typeof smartFilters !== 'string') return smartFilters || {};
+  try {
+    return JSON.parse(smartFilters) || {};
+  } catch (error) {
+    console.error('Error parsing smart shelf filters:', error);
+    return {};
+  }
+};
+
+/**
+ * Transform bookshelf from database format to app format
+ * Capacity and overflow behavior stay null when unset so the defaults in
+ * constants/shelfCapacity apply; smart shelves get their saved filters
+ * @param {object} dbBookshelf - Row from bk_bookshelves
+ * @param {Array} books - Books on the shelf (app format)
+ * @returns {object} - Bookshelf in app format
+ */
+export const transformBookshelfFromDB = (dbBookshelf, books = []) => ({
+  id: dbBookshelf.id,
+  name: dbBookshelf.name,
+  animal: dbBookshelf.animal,
+  books,
+  displayMode: dbBookshelf.display_mode,
+  type: dbBookshelf.type,
+  sharedWith: dbBookshelf.shared_with || [],
+  capacity: dbBookshelf.capacity ?? null,
+  overflowBehavior: dbBookshelf.overflow_behavior || null,
+  sortPosition: dbBookshelf.sort_position ?? null,
+  autoCreated: Boolean(dbBookshelf.auto_created),
+  createdAt: dbBookshelf.created_at || null,
+  smartFilters: dbBookshelf.type === 'smart' ? toLibraryFilters(parseSmartFilters(dbBookshelf.smart_filters)) : null
+});
+
+/**
+ * Get all bookshelves for a user, in the order they arranged them
+ * (shelves never arranged by hand go last, oldest first)
  * @param {string} userId - The user ID
  * @returns {Promise<{data: array, error: object|null}>}
  */
@@ -20,6 +64,7 @@ export const getUserBookshelves = async (userId) => {
       .from('bk_bookshelves')
       .select('*')
       .eq('user_id', userId)
+      .order('sort_position', { ascending: true, nullsFirst: false })
       .order('created_at', { ascending: true });
 
     return { data: data || [], error };
@@ -80,6 +125,11 @@ export const createBookshelf = async (userId, bookshelfData) => {
       type: bookshelfData.type || 'regular',
       shared_with: bookshelfData.sharedWith || []
     };
+    // Only sent when set, so shelves keep working before the columns are added
+    if (bookshelfData.capacity != null) bookshelfInsert.capacity = bookshelfData.capacity;
+    if (bookshelfData.overflowBehavior) bookshelfInsert.overflow_behavior = bookshelfData.overflowBehavior;
+    if (bookshelfData.smartFilters) bookshelfInsert.smart_filters = bookshelfData.smartFilters;
+    if (bookshelfData.autoCreated) bookshelfInsert.auto_created = true;
 
     const { data, error } = await supabase
       .from('bk_bookshelves')
@@ -134,6 +184,34 @@ export const updateBookshelf = async (bookshelfId, updates) => {
   }
 };
 
+// Position saves run one after another, so overlapping reorders land in order
+let bookshelfPositionWrites = Promise.resolve();
+
+/**
+ * Save the order of a user's bookshelves
+ * @param {Array<object>} positions - [{ id, position }] for the bookshelves that moved (see getChangedPositions)
+ * @returns {Promise<{data: null, error: object|null}>}
+ */
+export const updateBookshelfPositions = (positions) => {
+  const write = bookshelfPositionWrites.then(async () => {
+    try {
+      const results = await Promise.all(positions.map(({ id, position }) => supabase
+        .from('bk_bookshelves')
+        .update({ sort_position: position })
+        .eq('id', id)));
+
+      const failed = results.find(result => result.error);
+      if (failed) throw failed.error;
+      return { data: null, error: null };
+    } catch (error) {
+      console.error('Error saving bookshelf order:', error);
+      return { data: null, error };
+    }
+  });
+  bookshelfPositionWrites = write;
+  return write;
+};
+
 /**
  * Delete a bookshelf
  * @param {string} bookshelfId - The bookshelf ID
@@ -256,7 +334,8 @@ export const ensureDefaultBookshelves = async (userId) => {
         name: 'My Bookshelf',
         animal: 'cat',
         displayMode: 'covers',
-        type: 'regular'
+        type: 'regular',
+        autoCreated: true
       });
       if (!error && data) createdShelves.push(data);
     }
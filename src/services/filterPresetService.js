@@ -0,0 +1,87 @@
+/**
+ * Filter Preset Service
+ *
+ * Handles the library search filters a user saves under a name
+ * (bk_filter_presets), so they can be applied again with one click
+ */
+
+import { supabase } from '../config/supabase';
+import { toLibraryFilters } from '../utils/librarySearch';
+
+/**
+ * Transform a preset row to app format
+ * @param {object} row - Row from bk_filter_presets
+ * @returns {object} - { id, name, filters }
+ */
+const transformPresetFromDB = (row) => ({
+  id: row.id,
+  name: row.name,
+  filters: toLibraryFilters(typeof row.filters === 'string' ? JSON.parse(row.filters) : row.filters)
+});
+
+/**
+ * Get a user's saved filter presets
+ * @param {string} userId - The user ID
+ * @returns {Promise<{data: array, error: object|null}>}
+ */
+export const getFilterPresets = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('bk_filter_presets')
+      .select('*')
+      .eq('user_id', userId)
+      .order('name');
+
+    if (error) throw error;
+    return { data: (data || []).map(transformPresetFromDB), error: null };
+  } catch (error) {
+    console.error('Error fetching filter presets:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Save the current filters as a preset
+ * @param {string} userId - The user ID
+ * @param {string} name - Preset name
+ * @param {object} filters - Library filters
+ * @returns {Promise<{data: object|null, error: object|null}>}
+ */
+export const createFilterPreset = async (userId, name, filters) => {
+  try {
+    const { data, error } = await supabase
+      .from('bk_filter_presets')
+      .insert([{
+        user_id: userId,
+        name: name.trim(),
+        filters
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { data: transformPresetFromDB(data), error: null };
+  } catch (error) {
+    console.error('Error creating filter preset:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Delete a filter preset
+ * @param {string} presetId - The preset ID
+ * @returns {Promise<{error: object|null}>}
+ */
+export const deleteFilterPreset = async (presetId) => {
+  try {
+    const { error } = await supabase
+      .from('bk_filter_presets')
+      .delete()
+      .eq('id', presetId);
+
+    return { error };
+  } catch (error) {
+    console.error('Error deleting filter preset:', error);
+    return { error };
+  }
+};
@@ -2,7 +2,7 @@
  * Gamification Service
  * 
  * Handles all gamification features including:
- * - XP and levels
+ * - XP and levels (every change recorded in the XP ledger)
  * - Reading streaks
  * - Achievements
  * - Virtual rewards
@@ -12,6 +12,20 @@
  */
 
 import { supabase } from '../config/supabase';
+import { transformBookFromDB } from './bookService';
+import { getUserSessions } from './readingSessionService';
+import { isBookFinished, summarizeReadingSessions } from '../utils/bookHelpers';
+import { summarizeFinishedBooks } from '../utils/reportHelpers';
+import { normalizeBookFormat } from '../constants/bookFormats';
+import { getBookGenres, getBookTags } from '../utils/bookTags';
+import { sumEarnedXP } from '../utils/xpLedger';
+import { getXPForLevelUp } from '../utils/levelCurve';
+import { XP_SOURCES } from '../constants/xpSources';
+import { createXPLedger } from './awards/ledger';
+import { getBadgeDefinitions } from './badgeService';
+import { meetsCriteria, getBadgeValue } from '../utils/badgeRules';
+
+const xpLedger = createXPLedger(supabase);
 
 // XP and Levels
 export const getUserXP = async (userId) => {
@@ -29,7 +43,7 @@ export const getUserXP = async (userId) => {
           user_id: userId,
           total_xp: 0,
           current_level: 1,
-          xp_to_next_level: 100
+          xp_to_next_level: getXPForLevelUp(1)
         }, 
         error: null 
       };
@@ -49,7 +63,7 @@ export const getUserXP = async (userId) => {
           user_id: userId,
           total_xp: 0,
           current_level: 1,
-          xp_to_next_level: 100
+          xp_to_next_level: getXPForLevelUp(1)
         }])
         .select()
         .maybeSingle();
@@ -64,7 +78,7 @@ export const getUserXP = async (userId) => {
               user_id: userId,
               total_xp: 0,
               current_level: 1,
-              xp_to_next_level: 100
+              xp_to_next_level: getXPForLevelUp(1)
             }, 
             error: null 
           };
@@ -83,7 +97,7 @@ export const getUserXP = async (userId) => {
             user_id: userId,
             total_xp: 0,
             current_level: 1,
-            xp_to_next_level: 100
+            xp_to_next_level: getXPForLevelUp(1)
           }, 
           error: null 
         };
@@ -100,7 +114,7 @@ export const getUserXP = async (userId) => {
           user_id: userId,
           total_xp: 0,
           current_level: 1,
-          xp_to_next_level: 100
+          xp_to_next_level: getXPForLevelUp(1)
         }, 
         error: null 
       };
@@ -113,14 +127,24 @@ export const getUserXP = async (userId) => {
         user_id: userId,
         total_xp: 0,
         current_level: 1,
-        xp_to_next_level: 100
+        xp_to_next_level: getXPForLevelUp(1)
       }, 
       error: null 
     };
   }
 };
 
-export const addXP = async (userId, xpAmount, reason = '') => {
+/**
+ * Award (or take away) XP. The change is written to the XP ledger
+ * (bk_xp_history) first, then the totals in bk_user_xp are worked out again
+ * from the ledger.
+ * @param {string} userId - The user ID
+ * @param {number} xpAmount - XP to add (negative to take away)
+ * @param {string} reason - Why, shown in the XP history
+ * @param {object} source - What earned it: { type: XP_SOURCES value, id }
+ * @returns {Promise<{data: object|null, error: object|null, leveledUp: boolean, previousLevel: number, newLevel: number}>}
+ */
+export const addXP = async (userId, xpAmount, reason = '', source = {}) => {
   try {
     // Get current XP
     const { data: currentXP, error: fetchError } = await getUserXP(userId);
@@ -130,54 +154,62 @@ export const addXP = async (userId, xpAmount, reason = '') => {
     if (!currentXP) {
       console.warn('No XP data found for user, using defaults');
     }
-    const totalXP = currentXP?.total_xp || 0;
     const currentLevel = currentXP?.current_level || 1;
-    const newTotalXP = totalXP + xpAmount;
-    
-    // Calculate new level (100 XP per level, increasing by 50 each level)
-    const baseXP = 100;
-    const xpPerLevel = 50;
-    let newLevel = currentLevel;
-    let xpForCurrentLevel = 0;
-    let xpToNextLevel = baseXP + (newLevel * xpPerLevel);
-
-    // Check if leveled up
-    let totalXPForLevel = 0;
-    for (let level = 1; level <= newLevel; level++) {
-      totalXPForLevel += baseXP + ((level - 1) * xpPerLevel);
-    }
 
-    while (newTotalXP >= totalXPForLevel + xpToNextLevel) {
-      newLevel++;
-      totalXPForLevel += xpToNextLevel;
-      xpToNextLevel = baseXP + (newLevel * xpPerLevel);
-    }
-
-    xpForCurrentLevel = newTotalXP - totalXPForLevel;
-    const newXPToNextLevel = xpToNextLevel - xpForCurrentLevel;
-
-    const { data, error } = await supabase
-      .from('bk_user_xp')
-      .update({
-        total_xp: newTotalXP,
-        current_level: newLevel,
-        xp_to_next_level: newXPToNextLevel,
-        updated_at: new Date().toISOString()
-      })
-      .eq('user_id', userId)
-      .select()
-      .single();
+    await xpLedger.ensureOpeningBalance(userId, currentXP?.total_xp || 0);
+    await xpLedger.recordEntry(userId, { amount: xpAmount, reason, sourceType: source.type || null, sourceId: source.id });
 
+    const { data, error } = await syncUserXP(userId);
     if (error) throw error;
 
-    const leveledUp = newLevel > currentLevel;
-    return { data, error: null, leveledUp, newLevel };
+    const leveledUp = data.current_level > currentLevel;
+    return { data, error: null, leveledUp, previousLevel: currentLevel, newLevel: data.current_level };
   } catch (error) {
     console.error('Error adding XP:', error);
     return { data: null, error, leveledUp: false };
   }
 };
 
+// XP Ledger (the writes are shared with the server's award engine)
+/**
+ * Recalculate a user's XP totals and level from their ledger
+ * @param {string} userId - The user ID
+ * @returns {Promise<{data: object|null, error: object|null}>} - The updated bk_user_xp row
+ */
+export const syncUserXP = async (userId) => {
+  try {
+    const data = await xpLedger.syncTotals(userId);
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error syncing user XP:', error);
+    return { data: null, error };
+  }
+};
+
+// The ledger, newest first, optionally limited to a period (YYYY-MM-DD, inclusive)
+export const getXPHistory = async (userId, periodStart = null, periodEnd = null) => {
+  try {
+    let query = supabase
+      .from('bk_xp_history')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (periodStart) {
+      query = query.gte('created_at', `${periodStart}T00:00:00`);
+    }
+    if (periodEnd) {
+      query = query.lte('created_at', `${periodEnd}T23:59:59.999`);
+    }
+
+    const { data, error } = await query;
+    return { data: data || [], error };
+  } catch (error) {
+    console.error('Error getting XP history:', error);
+    return { data: [], error };
+  }
+};
+
 // Reading Streaks
 export const getUserStreak = async (userId) => {
   try {
@@ -383,6 +415,7 @@ export const updateReadingStreak = async (userId, readingDate) => {
 };
 
 // Achievements
+// Earned on the server by the award engine (see ./awards); read-only here
 export const getAchievements = async (userId, limit = 10) => {
   try {
     const { data, error } = await supabase
@@ -399,40 +432,6 @@ export const getAchievements = async (userId, limit = 10) => {
   }
 };
 
-export const awardAchievement = async (userId, badgeType, badgeName, badgeEmoji, badgeDescription) => {
-  try {
-    // Check if already earned
-    const { data: existing } = await supabase
-      .from('bk_achievements')
-      .select('id')
-      .eq('user_id', userId)
-      .eq('badge_type', badgeType)
-      .single();
-
-    if (existing) {
-      return { data: existing, error: null, alreadyEarned: true };
-    }
-
-    const { data, error } = await supabase
-      .from('bk_achievements')
-      .insert([{
-        user_id: userId,
-        badge_type: badgeType,
-        badge_name: badgeName,
-        badge_emoji: badgeEmoji,
-        badge_description: badgeDescription
-      }])
-      .select()
-      .single();
-
-    if (error) throw error;
-    return { data, error: null, alreadyEarned: false };
-  } catch (error) {
-    console.error('Error awarding achievement:', error);
-    return { data: null, error };
-  }
-};
-
 // Virtual Rewards
 export const getUserRewards = async (userId) => {
   try {
@@ -521,138 +520,30 @@ export const unlockReward = async (userId, rewardType, rewardName, rewardValue,
 };
 
 /**
- * Check and award virtual rewards based on milestones
+ * Check and award virtual rewards: every active badge definition whose criteria the stats meet
  * @param {string} userId - User ID
- * @param {object} stats - User stats (totalBooks, currentLevel, currentStreak, completedChallenges, etc.)
+ * @param {object} stats - User stats from buildBadgeStats (finishedBooks, currentLevel, currentStreak, genreCounts, etc.)
  * @returns {object} Array of newly unlocked rewards
  */
 export const checkAndAwardVirtualRewards = async (userId, stats) => {
-  const { totalBooks = 0, finishedBooks = 0, currentLevel = 1, currentStreak = 0, booksThisMonth = 0, completedChallenges = 0 } = stats;
   const newlyUnlocked = [];
 
   try {
-    // Book count milestones - Badges
-    const bookMilestones = [
-      { count: 1, name: 'First Steps', emoji: '🌱', description: 'Read your first book!', type: 'badge' },
-      { count: 5, name: 'Getting Started', emoji: '📖', description: 'Read 5 books!', type: 'badge' },
-      { count: 10, name: 'Bookworm', emoji: '📚', description: 'Read 10 books!', type: 'badge' },
-      { count: 25, name: 'Avid Reader', emoji: '🌟', description: 'Read 25 books!', type: 'badge' },
-      { count: 50, name: 'Book Master', emoji: '👑', description: 'Read 50 books!', type: 'badge' },
-      { count: 100, name: 'Legendary Reader', emoji: '🏆', description: 'Read 100 books!', type: 'badge' },
-      { count: 200, name: 'Reading Champion', emoji: '💎', description: 'Read 200 books!', type: 'badge' }
-    ];
-
-    for (const milestone of bookMilestones) {
-      if (finishedBooks >= milestone.count) {
-        const result = await unlockReward(
-          userId,
-          milestone.type,
-          milestone.name,
-          milestone.count,
-          milestone.emoji,
-          milestone.description
-        );
-        if (result.data && !result.alreadyUnlocked) {
-          newlyUnlocked.push(result.data);
-        }
-      }
-    }
-
-    // Level milestones - Titles
-    const levelMilestones = [
-      { level: 5, name: 'Level 5 Reader', emoji: '⭐', description: 'Reached Level 5!', type: 'title' },
-      { level: 10, name: 'Level 10 Master', emoji: '✨', description: 'Reached Level 10!', type: 'title' },
-      { level: 15, name: 'Level 15 Expert', emoji: '💫', description: 'Reached Level 15!', type: 'title' },
-      { level: 20, name: 'Level 20 Legend', emoji: '🌟', description: 'Reached Level 20!', type: 'title' },
-      { level: 25, name: 'Level 25 Hero', emoji: '🔥', description: 'Reached Level 25!', type: 'title' }
-    ];
-
-    for (const milestone of levelMilestones) {
-      if (currentLevel >= milestone.level) {
-        const result = await unlockReward(
-          userId,
-          milestone.type,
-          milestone.name,
-          milestone.level,
-          milestone.emoji,
-          milestone.description
-        );
-        if (result.data && !result.alreadyUnlocked) {
-          newlyUnlocked.push(result.data);
-        }
-      }
-    }
-
-    // Streak milestones - Achievements
-    const streakMilestones = [
-      { streak: 2, name: 'Two Week Warrior', emoji: '🔥', description: '2 week reading streak!', type: 'achievement' },
-      { streak: 4, name: 'Monthly Master', emoji: '🌟', description: '4 week reading streak!', type: 'achievement' },
-      { streak: 8, name: 'Two Month Champion', emoji: '💪', description: '8 week reading streak!', type: 'achievement' },
-      { streak: 12, name: 'Quarter Year Hero', emoji: '🏅', description: '12 week reading streak!', type: 'achievement' }
-    ];
-
-    for (const milestone of streakMilestones) {
-      if (currentStreak >= milestone.streak) {
-        const result = await unlockReward(
-          userId,
-          milestone.type,
-          milestone.name,
-          milestone.streak,
-          milestone.emoji,
-          milestone.description
-        );
-        if (result.data && !result.alreadyUnlocked) {
-          newlyUnlocked.push(result.data);
-        }
-      }
-    }
-
-    // Monthly reading milestones
-    const monthlyMilestones = [
-      { count: 3, name: 'Monthly Reader', emoji: '📅', description: 'Read 3 books in a month!', type: 'milestone' },
-      { count: 5, name: 'Speed Reader', emoji: '⚡', description: 'Read 5 books in a month!', type: 'milestone' },
-      { count: 10, name: 'Monthly Bookworm', emoji: '🚀', description: 'Read 10 books in a month!', type: 'milestone' }
-    ];
-
-    for (const milestone of monthlyMilestones) {
-      if (booksThisMonth >= milestone.count) {
-        const result = await unlockReward(
-          userId,
-          milestone.type,
-          milestone.name,
-          milestone.count,
-          milestone.emoji,
-          milestone.description
-        );
-        if (result.data && !result.alreadyUnlocked) {
-          newlyUnlocked.push(result.data);
-        }
-      }
-    }
-
-    // Challenge completion milestones - Badges
-    const challengeMilestones = [
-      { count: 1, name: 'Challenge Starter', emoji: '🎯', description: 'Completed your first challenge!', type: 'badge' },
-      { count: 3, name: 'Challenge Enthusiast', emoji: '🏅', description: 'Completed 3 challenges!', type: 'badge' },
-      { count: 5, name: 'Challenge Master', emoji: '👑', description: 'Completed 5 challenges!', type: 'badge' },
-      { count: 10, name: 'Challenge Champion', emoji: '🏆', description: 'Completed 10 challenges!', type: 'badge' },
-      { count: 20, name: 'Challenge Legend', emoji: '⭐', description: 'Completed 20 challenges!', type: 'badge' },
-      { count: 50, name: 'Ultimate Challenger', emoji: '💎', description: 'Completed 50 challenges!', type: 'badge' }
-    ];
-
-    for (const milestone of challengeMilestones) {
-      if (completedChallenges >= milestone.count) {
-        const result = await unlockReward(
-          userId,
-          milestone.type,
-          milestone.name,
-          milestone.count,
-          milestone.emoji,
-          milestone.description
-        );
-        if (result.data && !result.alreadyUnlocked) {
-          newlyUnlocked.push(result.data);
-        }
+    const { data: badges } = await getBadgeDefinitions();
+
+    for (const badge of badges) {
+      if (!meetsCriteria(badge.criteria, stats)) continue;
+
+      const result = await unlockReward(
+        userId,
+        badge.rewardType,
+        badge.name,
+        getBadgeValue(badge),
+        badge.emoji,
+        badge.description
+      );
+      if (result.data && !result.alreadyUnlocked) {
+        newlyUnlocked.push(result.data);
       }
     }
 
@@ -664,6 +555,73 @@ export const checkAndAwardVirtualRewards = async (userId, stats) => {
 };
 
 // Reading Challenges
+
+// Challenge list conditions are stored as arrays, but older rows may hold a JSON string or a plain value
+const toConditionList = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [parsed];
+    } catch (e) {
+      return value.split(',').map(v => v.trim()).filter(Boolean);
+    }
+  }
+  return [value];
+};
+
+/**
+ * Check whether a book counts toward a challenge
+ * Only finished books count; the optional challenge conditions narrow it further
+ * @param {object} book - Book row from bk_books
+ * @param {object} challenge - Challenge row from bk_reading_challenges
+ * @returns {boolean} True if the book should be counted
+ */
+const bookMatchesChallengeConditions = (book, challenge) => {
+  const appBook = transformBookFromDB(book);
+  if (!isBookFinished(appBook)) return false;
+
+  const genres = toConditionList(challenge.condition_genre).map(g => String(g).toLowerCase());
+  if (genres.length > 0) {
+    const bookGenres = getBookGenres(appBook).map(g => g.toLowerCase());
+    const matchesGenre = (bookGenre) => genres.some(g => bookGenre.includes(g) || g.includes(bookGenre));
+    if (!bookGenres.some(matchesGenre)) return false;
+  }
+
+  // Any one of the tags is enough
+  const tags = toConditionList(challenge.condition_tags).map(t => String(t).toLowerCase());
+  if (tags.length > 0) {
+    const bookTags = getBookTags(appBook).map(t => t.toLowerCase());
+    if (!tags.some(t => bookTags.includes(t))) return false;
+  }
+
+  if (challenge.condition_min_rating && (appBook.rating || 0) < challenge.condition_min_rating) {
+    return false;
+  }
+
+  const authors = toConditionList(challenge.condition_author).map(a => String(a).toLowerCase());
+  if (authors.length > 0) {
+    const bookAuthor = (appBook.author || '').toLowerCase();
+    if (!bookAuthor || !authors.some(a => bookAuthor.includes(a))) return false;
+  }
+
+  // Formats may be stored as typed ("Paperback", "Kindle"), so compare normalized values
+  const formats = toConditionList(challenge.condition_format).map(normalizeBookFormat).filter(Boolean);
+  if (toConditionList(challenge.condition_format).length > 0) {
+    if (!appBook.format || !formats.includes(appBook.format)) return false;
+  }
+
+  if (challenge.condition_year_min || challenge.condition_year_max) {
+    const year = parseInt(appBook.publicationYear, 10);
+    if (!year) return false;
+    if (challenge.condition_year_min && year < challenge.condition_year_min) return false;
+    if (challenge.condition_year_max && year > challenge.condition_year_max) return false;
+  }
+
+  return true;
+};
+
 export const getChallenges = async (userId) => {
   try {
     // TODO: See ChallengeModal.jsx TODO - once is_closed field is added to DB,
@@ -785,6 +743,7 @@ export const createChallenge = async (userId, challengeData) => {
         is_completed: challengeData.is_completed || false,
         // Optional condition fields
         condition_genre: challengeData.condition_genre || null,
+        condition_tags: challengeData.condition_tags || null,
         condition_min_rating: challengeData.condition_min_rating || null,
         condition_author: challengeData.condition_author || null,
         condition_format: challengeData.condition_format || null,
@@ -1019,12 +978,13 @@ export const updateChallengeProgress = async (challengeId, bookId, userId) => {
       // Award XP if this user completed the challenge
       let xpAwarded = null;
       if (isCompleted && challenge.reward_xp > 0) {
-        const xpResult = await addXP(userId, challenge.reward_xp, 'Challenge completed');
+        const xpResult = await addXP(userId, challenge.reward_xp, 'Challenge completed', { type: XP_SOURCES.CHALLENGE, id: challengeId });
         if (xpResult.data) {
           xpAwarded = {
             amount: challenge.reward_xp,
             totalXP: xpResult.data.total_xp,
             leveledUp: xpResult.leveledUp,
+            previousLevel: xpResult.previousLevel,
             newLevel: xpResult.newLevel
           };
         }
@@ -1119,7 +1079,7 @@ export const submitQuizAnswer = async (userId, quizId, selectedAnswer) => {
 
     // Award XP if correct
     if (isCorrect && xpEarned > 0) {
-      await addXP(userId, xpEarned, 'Quiz answered correctly');
+      await addXP(userId, xpEarned, 'Quiz answered correctly', { type: XP_SOURCES.QUIZ, id: quizId });
     }
 
     return { data, error: null, isCorrect, xpEarned };
@@ -1129,6 +1089,23 @@ export const submitQuizAnswer = async (userId, quizId, selectedAnswer) => {
   }
 };
 
+// Number of different quizzes a user has answered correctly
+export const getQuizzesPassedCount = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('bk_quiz_attempts')
+      .select('quiz_id')
+      .eq('user_id', userId)
+      .eq('is_correct', true);
+
+    if (error) throw error;
+    return { data: new Set((data || []).map(attempt => attempt.quiz_id)).size, error: null };
+  } catch (error) {
+    console.error('Error counting passed quizzes:', error);
+    return { data: 0, error };
+  }
+};
+
 // Book Facts
 export const getBookFacts = async (bookId) => {
   try {
@@ -1219,27 +1196,122 @@ export const createStory = async (userId, storyData) => {
 };
 
 // Reading Reports
+const getFinishedBooksInPeriod = async (userId, periodStart, periodEnd) => {
+  const { data: bookshelves, error: bookshelfError } = await supabase
+    .from('bk_bookshelves')
+    .select('id')
+    .eq('user_id', userId);
+
+  if (bookshelfError) throw bookshelfError;
+  if (!bookshelves || bookshelves.length === 0) return [];
+
+  // Rows without a status predate the status column and count when they have a finish date
+  const { data, error } = await supabase
+    .from('bk_books')
+    .select('*')
+    .in('bookshelf_id', bookshelves.map(bs => bs.id))
+    .or('status.eq.finished,status.is.null')
+    .not('finish_date', 'is', null)
+    .gte('finish_date', periodStart)
+    .lte('finish_date', periodEnd)
+    .order('finish_date', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(transformBookFromDB).filter(isBookFinished);
+};
+
+const getAchievementsInPeriod = async (userId, periodStart, periodEnd) => {
+  const { data, error } = await supabase
+    .from('bk_achievements')
+    .select('badge_type, badge_name, badge_emoji, earned_at')
+    .eq('user_id', userId)
+    .gte('earned_at', `${periodStart}T00:00:00`)
+    .lte('earned_at', `${periodEnd}T23:59:59.999`)
+    .order('earned_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+// A challenge is completed on the day the user's Nth qualifying book was linked to it
+const getChallengesCompletedInPeriod = async (userId, periodStart, periodEnd) => {
+  const { data: links, error } = await supabase
+    .from('bk_challenge_books')
+    .select('challenge_id, created_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  if (!links || links.length === 0) return [];
+
+  const challengeIds = [...new Set(links.map(link => link.challenge_id))];
+  const { data: challenges, error: challengeError } = await supabase
+    .from('bk_reading_challenges')
+    .select('id, challenge_name, target_count')
+    .in('id', challengeIds);
+
+  if (challengeError) throw challengeError;
+
+  const rangeStart = new Date(`${periodStart}T00:00:00`);
+  const rangeEnd = new Date(`${periodEnd}T23:59:59.999`);
+
+  return (challenges || []).filter(challenge => {
+    const challengeLinks = links.filter(link => link.challenge_id === challenge.id);
+    const completingLink = challengeLinks[(challenge.target_count || 0) - 1];
+    if (!completingLink?.created_at) return false;
+
+    const completedAt = new Date(completingLink.created_at);
+    return completedAt >= rangeStart && completedAt <= rangeEnd;
+  });
+};
+
 export const generateReadingReport = async (userId, reportType, periodStart, periodEnd) => {
   try {
-    // Calculate stats from books
-    // This would need to query books finished in the period
-    // For now, return a placeholder structure
-    
-    const { data, error } = await supabase
+    const [finishedBooks, { data: sessions }, { data: xpHistory }, achievements, completedChallenges] = await Promise.all([
+      getFinishedBooksInPeriod(userId, periodStart, periodEnd),
+      getUserSessions(userId, periodStart, periodEnd),
+      getXPHistory(userId, periodStart, periodEnd),
+      getAchievementsInPeriod(userId, periodStart, periodEnd),
+      getChallengesCompletedInPeriod(userId, periodStart, periodEnd)
+    ]);
+
+    const bookStats = summarizeFinishedBooks(finishedBooks);
+    const sessionTotals = summarizeReadingSessions(sessions);
+
+    const report = {
+      user_id: userId,
+      report_type: reportType,
+      period_start: periodStart,
+      period_end: periodEnd,
+      books_read: bookStats.booksRead,
+      pages_read: sessionTotals.pages,
+      hours_read: Math.round((sessionTotals.minutes / 60) * 10) / 10,
+      average_rating: bookStats.averageRating,
+      xp_earned: sumEarnedXP(xpHistory),
+      achievements_earned: achievements.length,
+      challenges_completed: completedChallenges.length,
+      genre_breakdown: bookStats.genreBreakdown,
+      author_breakdown: bookStats.authorBreakdown,
+      finished_books: bookStats.finishedBooks,
+      achievements: achievements.map(a => ({ name: a.badge_name, emoji: a.badge_emoji, earnedAt: a.earned_at })),
+      challenges: completedChallenges.map(c => ({ id: c.id, name: c.challenge_name })),
+      generated_at: new Date().toISOString()
+    };
+
+    // Regenerating a period replaces its earlier report instead of adding a duplicate row
+    const { data: existing } = await supabase
       .from('bk_reading_reports')
-      .insert([{
-        user_id: userId,
-        report_type: reportType,
-        period_start: periodStart,
-        period_end: periodEnd,
-        books_read: 0, // Calculate from books
-        pages_read: 0,
-        hours_read: 0,
-        xp_earned: 0,
-        achievements_earned: 0
-      }])
-      .select()
-      .single();
+      .select('id')
+      .eq('user_id', userId)
+      .eq('report_type', reportType)
+      .eq('period_start', periodStart)
+      .maybeSingle();
+
+    const query = existing
+      ? supabase.from('bk_reading_reports').update(report).eq('id', existing.id)
+      : supabase.from('bk_reading_reports').insert([report]);
+
+    const { data, error } = await query.select().single();
 
     return { data, error };
   } catch (error) {
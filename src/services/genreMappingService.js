@@ -0,0 +1,144 @@
+/**
+ * Genre Mapping Service
+ *
+ * Handles the admin-editable genre mappings (bk_genre_mappings) that extend
+ * the built-in taxonomy in constants/genreTaxonomy.js, including:
+ * - Loading the mappings once and keeping them for normalizing genres on write
+ * - Adding, changing and removing mappings from the admin console
+ * - Counting which genres books actually use, to find ones worth mapping
+ */
+
+import { supabase } from '../config/supabase';
+import { getGenreKey, normalizeGenre } from '../constants/genreTaxonomy';
+
+// Custom mappings keyed by getGenreKey, as normalizeGenre expects them
+let activeMappings = {};
+
+/**
+ * Turns mapping rows into the lookup normalizeGenre takes
+ * @param {Array} rows - Rows from bk_genre_mappings
+ * @returns {object} - { [term key]: genre }
+ */
+const toMappingLookup = (rows = []) => Object.fromEntries(
+  rows.map(row => [getGenreKey(row.term), (row.genre || '').trim()])
+);
+
+/**
+ * Get the mappings loaded by loadGenreMappings
+ * Empty until they've been loaded, so genres still normalize with the built-in synonyms
+ * @returns {object} - { [term key]: genre }
+ */
+export const getActiveGenreMappings = () => activeMappings;
+
+/**
+ * Get all genre mappings
+ * @returns {Promise<{data: array, error: object|null}>}
+ */
+export const getGenreMappings = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('bk_genre_mappings')
+      .select('*')
+      .order('term');
+
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error getting genre mappings:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Load the genre mappings used when books are saved
+ * @returns {Promise<{data: object, error: object|null}>} - data: { [term key]: genre }
+ */
+export const loadGenreMappings = async () => {
+  const { data, error } = await getGenreMappings();
+  if (!error) activeMappings = toMappingLookup(data);
+  return { data: activeMappings, error };
+};
+
+/**
+ * Add or change the genre a term maps to
+ * @param {string} term - Genre as it arrives, e.g. "Juvenile Fiction / Dragons"
+ * @param {string} genre - Genre to file it under ('' to drop the term)
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<{data: object|null, error: object|null}>}
+ */
+export const saveGenreMapping = async (term, genre, userId) => {
+  try {
+    const key = getGenreKey(term);
+    if (!key) {
+      return { data: null, error: { message: 'Enter the genre term to map' } };
+    }
+
+    const { data, error } = await supabase
+      .from('bk_genre_mappings')
+      .upsert({
+        term: key,
+        genre: (genre || '').trim(),
+        updated_by: userId || null,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'term' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    activeMappings = { ...activeMappings, [key]: data.genre };
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error saving genre mapping:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Remove a genre mapping
+ * @param {object} mapping - Row from bk_genre_mappings
+ * @returns {Promise<{error: object|null}>}
+ */
+export const deleteGenreMapping = async (mapping) => {
+  try {
+    const { error } = await supabase
+      .from('bk_genre_mappings')
+      .delete()
+      .eq('id', mapping.id);
+
+    if (error) throw error;
+    const { [getGenreKey(mapping.term)]: removed, ...rest } = activeMappings;
+    activeMappings = rest;
+    return { error: null };
+  } catch (error) {
+    console.error('Error deleting genre mapping:', error);
+    return { error };
+  }
+};
+
+/**
+ * Count the genres books use, and what each one normalizes to now
+ * @returns {Promise<{data: array, error: object|null}>} - data: [{ genre, count, normalized }], most used first
+ */
+export const getGenreUsage = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('bk_books')
+      .select('genre, genres');
+
+    if (error) throw error;
+
+    const counts = new Map();
+    (data || []).forEach(book => {
+      const genres = book.genres?.length ? book.genres : (book.genre ? [book.genre] : []);
+      genres.forEach(genre => counts.set(genre, (counts.get(genre) || 0) + 1));
+    });
+
+    const usage = [...counts.entries()]
+      .map(([genre, count]) => ({ genre, count, normalized: normalizeGenre(genre, activeMappings) }))
+      .sort((a, b) => b.count - a.count || a.genre.localeCompare(b.genre));
+    return { data: usage, error: null };
+  } catch (error) {
+    console.error('Error getting genre usage:', error);
+    return { data: [], error };
+  }
+};
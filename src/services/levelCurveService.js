@@ -0,0 +1,98 @@
+/**
+ * Level Curve Service
+ *
+ * Handles the level curve admins set from the admin console: reading it,
+ * saving it to bk_app_settings, and recalculating every reader's level when
+ * it changes. The XP ledger reads the same setting (see awards/levelCurve),
+ * so levels follow the saved curve in the browser and on the server.
+ */
+
+import { supabase } from '../config/supabase';
+import { LEVEL_CURVE, LEVEL_CURVE_SETTING } from '../constants/levelCurve';
+import { getLevelForXP, normalizeLevelCurve } from '../utils/levelCurve';
+import { loadLevelCurve } from './awards/levelCurve';
+
+// Rows fetched per request; Supabase caps a single select at 1000
+const PAGE_SIZE = 1000;
+
+/**
+ * Get the level curve in use
+ * @returns {Promise<{data: object, error: object|null}>} - Falls back to LEVEL_CURVE
+ */
+export const getLevelCurve = async () => {
+  try {
+    return { data: await loadLevelCurve(supabase), error: null };
+  } catch (error) {
+    console.error('Error getting level curve:', error);
+    return { data: LEVEL_CURVE, error };
+  }
+};
+
+/**
+ * Recalculate every reader's level on a curve
+ * Readers moved up don't get a level-up celebration; it's the curve that
+ * changed, not their XP.
+ * @param {object} curve - Level curve
+ * @returns {Promise<{data: {updated: number}|null, error: object|null}>}
+ */
+export const recalculateLevels = async (curve) => {
+  try {
+    let updated = 0;
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data: rows, error } = await supabase
+        .from('bk_user_xp')
+        .select('user_id, total_xp, current_level, xp_to_next_level')
+        .order('user_id')
+        .range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+
+      for (const row of rows || []) {
+        const { level, xpToNextLevel } = getLevelForXP(row.total_xp || 0, curve);
+        if (level === row.current_level && xpToNextLevel === row.xp_to_next_level) continue;
+
+        const { error: updateError } = await supabase
+          .from('bk_user_xp')
+          .update({ current_level: level, xp_to_next_level: xpToNextLevel, updated_at: new Date().toISOString() })
+          .eq('user_id', row.user_id);
+        if (updateError) throw updateError;
+        updated++;
+      }
+
+      if (!rows || rows.length < PAGE_SIZE) break;
+    }
+
+    return { data: { updated }, error: null };
+  } catch (error) {
+    console.error('Error recalculating levels:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Save the level curve and recalculate every reader's level on it
+ * @param {object} curve - Level curve (see validateLevelCurve)
+ * @param {string} adminUserId - Admin saving it
+ * @returns {Promise<{data: {curve: object, updated: number}|null, error: object|null}>}
+ */
+export const saveLevelCurve = async (curve, adminUserId) => {
+  try {
+    const normalized = normalizeLevelCurve(curve);
+    const { error } = await supabase
+      .from('bk_app_settings')
+      .upsert({
+        key: LEVEL_CURVE_SETTING,
+        value: normalized,
+        updated_by: adminUserId || null,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'key' });
+    if (error) throw error;
+
+    const { data: recalculated, error: recalculateError } = await recalculateLevels(normalized);
+    if (recalculateError) throw recalculateError;
+
+    return { data: { curve: normalized, updated: recalculated.updated }, error: null };
+  } catch (error) {
+    console.error('Error saving level curve:', error);
+    return { data: null, error };
+  }
+};
@@ -0,0 +1,64 @@
+/**
+ * File Metadata Cache
+ *
+ * Node cache for metadata lookups made by the scripts in scripts/. Entries
+ * live in one JSON file, so re-running a script doesn't ask the APIs about
+ * books it already looked up. Not for use in the browser.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+/**
+ * Creates a metadata cache backed by a JSON file
+ * @param {string} filePath - Where to keep the cache
+ * @returns {object} - { get(key), set(key, value, ttlMs), clear() }
+ */
+export const createFileCache = (filePath) => {
+  let entriesPromise = null;
+
+  const load = () => {
+    if (!entriesPromise) {
+      entriesPromise = readFile(filePath, 'utf8')
+        .then(text => {
+          const now = Date.now();
+          const entries = JSON.parse(text);
+          Object.keys(entries).forEach(key => {
+            if (entries[key].expiresAt <= now) delete entries[key];
+          });
+          return entries;
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') console.warn(`Ignoring unreadable metadata cache ${filePath}:`, error.message);
+          return {};
+        });
+    }
+    return entriesPromise;
+  };
+
+  const save = async (entries) => {
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFile(filePath, JSON.stringify(entries));
+  };
+
+  return {
+    async get(key) {
+      const entries = await load();
+      const entry = entries[key];
+      if (!entry || entry.expiresAt <= Date.now()) return undefined;
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      const entries = await load();
+      entries[key] = { value, expiresAt: Date.now() + ttlMs };
+      await save(entries).catch(error => console.warn('Error writing metadata cache:', error.message));
+    },
+
+    async clear() {
+      const entries = await load();
+      Object.keys(entries).forEach(key => delete entries[key]);
+      await save(entries);
+    }
+  };
+};
@@ -0,0 +1,108 @@
+/**
+ * IndexedDB Metadata Cache
+ *
+ * Browser cache for metadata lookups that survives reloads. Falls back to
+ * memory when IndexedDB isn't available (private browsing, old browsers).
+ * Entries are stored as { value, expiresAt } and expired ones are pruned
+ * each time the database is opened.
+ */
+
+const DB_NAME = 'bookshelf-metadata-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+/**
+ * Opens the cache database and prunes expired entries
+ * @param {string} dbName - Database name
+ * @returns {Promise<IDBDatabase|null>} - null when IndexedDB can't be used
+ */
+const openDatabase = (dbName) => new Promise(resolve => {
+  if (typeof indexedDB === 'undefined') {
+    resolve(null);
+    return;
+  }
+
+  const request = indexedDB.open(dbName, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE_NAME);
+  };
+  request.onsuccess = () => {
+    const db = request.result;
+    const now = Date.now();
+    const cursorRequest = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+      if (cursor.value.expiresAt <= now) cursor.delete();
+      cursor.continue();
+    };
+    resolve(db);
+  };
+  request.onerror = () => {
+    console.warn('Metadata cache unavailable, using memory only:', request.error);
+    resolve(null);
+  };
+});
+
+/**
+ * Runs one request against the entries store
+ * @param {IDBDatabase} db - Open database
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} makeRequest - (store) => IDBRequest
+ * @returns {Promise<*>} - The request's result
+ */
+const runRequest = (db, mode, makeRequest) => new Promise((resolve, reject) => {
+  const request = makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Creates a metadata cache backed by IndexedDB
+ * @param {object} options - { dbName }
+ * @returns {object} - { get(key), set(key, value, ttlMs), clear() }
+ */
+export const createIndexedDbCache = ({ dbName = DB_NAME } = {}) => {
+  const memory = new Map();
+  let dbPromise = null;
+  const getDb = () => {
+    if (!dbPromise) dbPromise = openDatabase(dbName);
+    return dbPromise;
+  };
+
+  return {
+    async get(key) {
+      let entry = memory.get(key);
+      if (!entry) {
+        const db = await getDb();
+        if (db) {
+          entry = await runRequest(db, 'readonly', store => store.get(key)).catch(() => undefined);
+          if (entry) memory.set(key, entry);
+        }
+      }
+
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        memory.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      const entry = { value, expiresAt: Date.now() + ttlMs };
+      memory.set(key, entry);
+      const db = await getDb();
+      if (db) {
+        await runRequest(db, 'readwrite', store => store.put(entry, key))
+          .catch(error => console.warn('Error writing metadata cache:', error));
+      }
+    },
+
+    async clear() {
+      memory.clear();
+      const db = await getDb();
+      if (db) await runRequest(db, 'readwrite', store => store.clear());
+    }
+  };
+};
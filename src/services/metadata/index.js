@@ -0,0 +1,301 @@
+/**
+ * Book Metadata Service
+ *
+ * One place to look books up, whichever catalogs answer:
+ * - Searching every enabled provider and merging their results, so the same
+ *   book from Open Library and Google Books shows up once
+ * - Recording which provider supplied each field of a merged result
+ * - Finding genres by asking providers in genre priority order
+ * - Checking that a manually typed book really exists
+ * - Caching answers (see ./cache) so repeated lookups don't hit the network
+ *
+ * Each provider implements the same interface:
+ *   { id, name, search(query, { isbn, limit, fetch, signal }), getSubjects(book, { fetch }) }
+ * and returns records shaped as
+ *   { title, author, authors, coverUrl, description, isbn, isbns, isbn13, isbn10, pageCount,
+ *     subjects, key (Open Library work), editionKey (Open Library edition), publisher,
+ *     publicationYear, language, format (a BOOK_FORMAT value) }
+ *
+ * Imports in this folder carry explicit .js extensions so the scripts in
+ * scripts/ can use the service under plain Node.
+ */
+
+import { openLibraryProvider } from './providers/openLibrary.js';
+import { googleBooksProvider } from './providers/googleBooks.js';
+import { createStubProvider } from './providers/stub.js';
+import { normalizeGenre } from '../../constants/genreTaxonomy.js';
+import { cleanGenre, cleanISBN, getMatchKey, isTitleMatch, normalizeQuery, parseISBNQuery, toISBN10, toISBN13 } from './normalize.js';
+
+export { cleanGenre, parseISBNQuery, toISBN10, toISBN13 } from './normalize.js';
+
+export const METADATA_PROVIDERS = {
+  openlibrary: openLibraryProvider,
+  googlebooks: googleBooksProvider,
+  stub: createStubProvider()
+};
+
+// Providers used when none are configured
+export const DEFAULT_PROVIDER_IDS = ['openlibrary', 'googlebooks'];
+
+// Google Books categories make better genres than Open Library subjects
+const DEFAULT_GENRE_PRIORITY = ['googlebooks', 'openlibrary', 'stub'];
+
+// Most genres kept for a book; later subjects are usually too specific
+const MAX_GENRES = 3;
+
+// Bump when metadata records gain fields (or genres are normalized differently)
+// so older cached answers aren't reused
+const CACHE_VERSION = 4;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How long cached answers are trusted. Editions behind an ISBN rarely change;
+// text searches pick up new books; misses are retried soon in case an API was down.
+const CACHE_TTL_MS = {
+  search: DAY_MS,
+  isbn: 30 * DAY_MS,
+  genre: 30 * DAY_MS,
+  miss: HOUR_MS
+};
+
+// Fields combined across providers; the first provider to supply one wins
+const MERGED_FIELDS = [
+  'title', 'author', 'coverUrl', 'description', 'isbn', 'isbn13', 'isbn10', 'pageCount',
+  'key', 'editionKey', 'publisher', 'publicationYear', 'language', 'format'
+];
+
+/**
+ * Resolves a list of provider IDs (in search priority order)
+ * @param {string|Array<string>} ids - e.g. "openlibrary,googlebooks" or ['stub']
+ * @returns {Array<object>} - Providers; unknown IDs are ignored
+ */
+export const getMetadataProviders = (ids) => {
+  const list = Array.isArray(ids) ? ids : String(ids || '').split(',');
+  const providers = list
+    .map(id => METADATA_PROVIDERS[id.trim().toLowerCase()])
+    .filter(Boolean);
+  return providers.length > 0 ? providers : DEFAULT_PROVIDER_IDS.map(id => METADATA_PROVIDERS[id]);
+};
+
+/**
+ * Checks whether a value counts as filled in for merging
+ * @param {*} value - Field value
+ * @returns {boolean}
+ */
+const hasValue = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Merges provider results into one deduplicated list
+ * Records match on any shared ISBN, or on title and author surname. The
+ * merged record keeps the first non-empty value of each field in provider
+ * order and notes where it came from in `provenance`.
+ * @param {Array<{provider: object, records: Array}>} resultSets - Results in priority order
+ * @returns {Array<object>} - Merged records, ordered by first appearance
+ */
+export const mergeMetadataResults = (resultSets) => {
+  const merged = [];
+  const byISBN = new Map();
+  const byMatchKey = new Map();
+
+  resultSets.forEach(({ provider, records }) => {
+    records.forEach(record => {
+      const isbns = [record.isbn, ...(record.isbns || [])].map(cleanISBN).filter(Boolean);
+      const matchKey = getMatchKey(record);
+      let target = isbns.map(isbn => byISBN.get(isbn)).find(Boolean) || byMatchKey.get(matchKey);
+
+      if (!target) {
+        target = { authors: [], isbns: [], subjects: [], provenance: {}, sources: [] };
+        MERGED_FIELDS.forEach(field => { target[field] = null; });
+        merged.push(target);
+      }
+
+      MERGED_FIELDS.forEach(field => {
+        if (!hasValue(target[field]) && hasValue(record[field])) {
+          target[field] = record[field];
+          target.provenance[field] = provider.id;
+        }
+      });
+      target.authors = [...new Set([...target.authors, ...(record.authors || [])])];
+      target.isbns = [...new Set([...target.isbns, ...isbns])];
+      target.subjects = [...new Set([...target.subjects, ...(record.subjects || [])])];
+      if (!target.sources.includes(provider.id)) target.sources.push(provider.id);
+
+      target.isbns.forEach(isbn => byISBN.set(isbn, target));
+      byMatchKey.set(getMatchKey(target), target);
+      byMatchKey.set(matchKey, target);
+    });
+  });
+
+  return merged;
+};
+
+/**
+ * Checks whether an error came from cancelling a request
+ * @param {*} error - Caught error
+ * @returns {boolean}
+ */
+const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Creates a metadata service over a set of providers
+ * @param {object} options
+ * @param {Array<object>} options.providers - Providers in search priority order
+ * @param {Array<string>} options.genrePriority - Provider IDs in the order asked for genres
+ * @param {function} options.fetch - fetch implementation (scripts pass one that works behind proxies)
+ * @param {object} options.cache - Optional cache ({ get(key), set(key, value, ttlMs) }) from ./cache
+ * @param {function} options.genreMappings - Returns the admin genre mappings to apply on top of the taxonomy
+ * @returns {object} - { providers, searchBooks, fetchGenre, verifyBookExists }
+ */
+export const createMetadataService = ({
+  providers = getMetadataProviders(DEFAULT_PROVIDER_IDS),
+  genrePriority = DEFAULT_GENRE_PRIORITY,
+  fetch: fetchImpl = (...args) => globalThis.fetch(...args),
+  cache = null,
+  genreMappings = () => ({})
+} = {}) => {
+  // Answers depend on which providers were asked, and on the record shape (CACHE_VERSION)
+  const cachePrefix = `v${CACHE_VERSION}:${providers.map(provider => provider.id).join(',')}`;
+
+  const readCache = async (key) => {
+    if (!cache) return undefined;
+    try {
+      return await cache.get(`${cachePrefix}:${key}`);
+    } catch (error) {
+      console.warn('Error reading metadata cache:', error);
+      return undefined;
+    }
+  };
+
+  const writeCache = async (key, value, ttlMs) => {
+    if (!cache) return;
+    try {
+      await cache.set(`${cachePrefix}:${key}`, value, ttlMs);
+    } catch (error) {
+      console.warn('Error writing metadata cache:', error);
+    }
+  };
+
+  const genreProviders = [...providers].sort((a, b) => {
+    const rank = (provider) => {
+      const index = genrePriority.indexOf(provider.id);
+      return index === -1 ? genrePriority.length : index;
+    };
+    return rank(a) - rank(b);
+  });
+
+  /**
+   * Search every provider and merge the results
+   * An ISBN query keeps the exact ISBN that was asked for on its results.
+   * Aborting the signal cancels the requests and resolves with an AbortError.
+   * @param {string} query - Title/author text or an ISBN
+   * @param {object} options - { limit: max results per provider, signal: AbortSignal }
+   * @returns {Promise<{data: Array|null, error: object|null}>}
+   */
+  const searchBooks = async (query, { limit = 20, signal } = {}) => {
+    try {
+      const isbn = parseISBNQuery(query);
+      const cacheKey = `search:${isbn ? `isbn:${isbn}` : normalizeQuery(query)}:${limit}`;
+      const cached = await readCache(cacheKey);
+      if (cached) return { data: cached, error: null };
+
+      const settled = await Promise.allSettled(
+        providers.map(provider => provider.search(query, { isbn, limit, fetch: fetchImpl, signal }))
+      );
+      if (signal?.aborted) {
+        throw settled.find(outcome => isAbortError(outcome.reason))?.reason || new DOMException('Search cancelled', 'AbortError');
+      }
+
+      const resultSets = [];
+      const failures = [];
+      settled.forEach((outcome, index) => {
+        if (outcome.status === 'fulfilled') {
+          resultSets.push({ provider: providers[index], records: outcome.value });
+        } else {
+          console.warn(`${providers[index].name} search failed:`, outcome.reason);
+          failures.push(outcome.reason);
+        }
+      });
+
+      // One provider being down shouldn't stop the search
+      if (resultSets.length === 0 && failures.length > 0) {
+        throw failures[0];
+      }
+
+      const results = mergeMetadataResults(resultSets);
+      results.forEach(result => {
+        if (isbn) result.isbn = isbn;
+        // Fill in whichever ISBN form the providers left out
+        result.isbn13 = (isbn && toISBN13(isbn)) || result.isbn13 || toISBN13(result.isbn);
+        result.isbn10 = (isbn && toISBN10(isbn)) || result.isbn10 || toISBN10(result.isbn);
+      });
+
+      // A partial answer (some provider failed) is only kept briefly
+      const ttl = results.length === 0 || resultSets.length < providers.length
+        ? CACHE_TTL_MS.miss
+        : (isbn ? CACHE_TTL_MS.isbn : CACHE_TTL_MS.search);
+      await writeCache(cacheKey, results, ttl);
+
+      return { data: results, error: null };
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Error searching book metadata:', error);
+      }
+      return { data: null, error };
+    }
+  };
+
+  /**
+   * Find genres for a book, trying providers in genre priority order
+   * The first provider that knows any genre supplies them all, mapped
+   * onto the genre taxonomy
+   * @param {object} book - { title, author, isbn, key }
+   * @returns {Promise<{data: object|null, error: object|null}>} - data: { genre (main one), genres, source } or null
+   */
+  const fetchGenre = async (book) => {
+    const isbn = cleanISBN(book.isbn);
+    const cacheKey = `genre:${isbn ? `isbn:${isbn}` : (book.key ? `work:${book.key}` : `title:${getMatchKey(book)}`)}`;
+    const cached = await readCache(cacheKey);
+    if (cached !== undefined) return { data: cached, error: null };
+
+    let lastError = null;
+    for (const provider of genreProviders) {
+      try {
+        const subjects = await provider.getSubjects(book, { fetch: fetchImpl });
+        const mappings = genreMappings();
+        const genres = [...new Set(subjects
+          .filter(subject => cleanGenre(subject))
+          .map(subject => normalizeGenre(subject, mappings))
+          .filter(Boolean))].slice(0, MAX_GENRES);
+        if (genres.length > 0) {
+          const data = { genre: genres[0], genres, source: provider.id };
+          await writeCache(cacheKey, data, CACHE_TTL_MS.genre);
+          return { data, error: null };
+        }
+      } catch (error) {
+        console.warn(`${provider.name} genre lookup failed:`, error);
+        lastError = error;
+      }
+    }
+
+    // Remember that nobody knows this book's genre, unless a provider errored
+    if (!lastError) await writeCache(cacheKey, null, CACHE_TTL_MS.miss);
+    return { data: null, error: lastError };
+  };
+
+  /**
+   * Check that some provider knows a book with this title
+   * @param {string} title - Book title
+   * @param {string} author - Author name (optional)
+   * @returns {Promise<{data: boolean, error: object|null}>}
+   */
+  const verifyBookExists = async (title, author) => {
+    if (!title?.trim()) return { data: false, error: null };
+
+    const { data, error } = await searchBooks(author ? `${title} ${author}` : title, { limit: 5 });
+    if (error) return { data: false, error };
+    return { data: data.some(result => isTitleMatch(result.title, title)), error: null };
+  };
+
+  return { providers, searchBooks, fetchGenre, verifyBookExists };
+};
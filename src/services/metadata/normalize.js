@@ -0,0 +1,151 @@
+/**
+ * Metadata Normalization Helpers
+ *
+ * Shared by the metadata providers and the merge step. Kept free of app
+ * imports so scripts/ can load the metadata service directly in Node.
+ */
+
+import { normalizeBookFormat } from '../../constants/bookFormats.js';
+
+export { normalizeBookFormat };
+
+// Subjects that describe the edition or library, never the genre
+const NON_GENRE_SUBJECTS = ['accessible book', 'protected daisy', 'in library', 'large type books', 'open library staff picks'];
+
+// What's left of some subjects once "Fiction" is stripped; too broad to be a genre
+const GENERIC_GENRES = ['fiction', 'juvenile', 'young adult', 'children', "children's", 'general'];
+
+/**
+ * Strips an ISBN down to digits (and a trailing X)
+ * @param {string} value - ISBN as typed or printed
+ * @returns {string}
+ */
+export const cleanISBN = (value) => String(value || '').toUpperCase().replace(/[^0-9X]/g, '');
+
+// MARC (Open Library) language codes mapped to the ISO 639-1 codes Google Books uses
+const MARC_LANGUAGES = {
+  eng: 'en', spa: 'es', fre: 'fr', ger: 'de', ita: 'it', por: 'pt', dut: 'nl',
+  rus: 'ru', jpn: 'ja', chi: 'zh', kor: 'ko', ara: 'ar', hin: 'hi', swe: 'sv', pol: 'pl'
+};
+
+/**
+ * Converts an ISBN-10 to ISBN-13
+ * @param {string} value - ISBN-10 or ISBN-13
+ * @returns {string|null} - ISBN-13, or null if the value isn't an ISBN
+ */
+export const toISBN13 = (value) => {
+  const isbn = cleanISBN(value);
+  if (isbn.length === 13) return isbn;
+  if (isbn.length !== 10) return null;
+
+  const base = `978${isbn.slice(0, 9)}`;
+  const sum = base.split('').reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return `${base}${(10 - (sum % 10)) % 10}`;
+};
+
+/**
+ * Converts an ISBN-13 to ISBN-10 (only 978-prefixed ISBNs have one)
+ * @param {string} value - ISBN-10 or ISBN-13
+ * @returns {string|null} - ISBN-10, or null if there is none
+ */
+export const toISBN10 = (value) => {
+  const isbn = cleanISBN(value);
+  if (isbn.length === 10) return isbn;
+  if (isbn.length !== 13 || !isbn.startsWith('978')) return null;
+
+  const base = isbn.slice(3, 12);
+  const sum = base.split('').reduce((total, digit, index) => total + Number(digit) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return `${base}${check === 10 ? 'X' : check}`;
+};
+
+/**
+ * Normalizes a language to a two-letter code where it can
+ * @param {string} value - e.g. "eng", "en", "EN-US"
+ * @returns {string|null}
+ */
+export const normalizeLanguage = (value) => {
+  const code = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  if (!code) return null;
+  return MARC_LANGUAGES[code] || code;
+};
+
+/**
+ * Pulls a four-digit year out of a publication date
+ * @param {string|number} value - e.g. "2003", "2003-09-01", "September 1, 2003"
+ * @returns {number|null}
+ */
+export const parsePublicationYear = (value) => {
+  const match = String(value || '').match(/\b(1[5-9]\d{2}|20\d{2})\b/);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Checks whether a query is an ISBN-10 or ISBN-13
+ * @param {string} query - Search text
+ * @returns {string|null} - The cleaned ISBN, or null for a text search
+ */
+export const parseISBNQuery = (query) => {
+  if (!/^[\d\s-]{10,17}X?$/i.test(query.trim())) return null;
+  const isbn = cleanISBN(query);
+  return isbn.length === 10 || isbn.length === 13 ? isbn : null;
+};
+
+/**
+ * Normalizes free-text search so "The Hobbit " and "the  hobbit" share a cache entry
+ * @param {string} query - Search text
+ * @returns {string}
+ */
+export const normalizeQuery = (query) => String(query || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Builds the key results are deduplicated on when they share no ISBN
+ * Ignores case, punctuation, leading articles and subtitles, and uses the
+ * author's surname so "J.K. Rowling" and "Joanne Rowling" line up
+ * @param {object} record - { title, author }
+ * @returns {string}
+ */
+export const getMatchKey = ({ title, author }) => {
+  const cleanTitle = String(title || '')
+    .toLowerCase()
+    .split(':')[0]
+    .replace(/[^a-z0-9 ]/g, '')
+    .replace(/^(the|a|an) /, '')
+    .trim();
+  const surname = String(author || '').toLowerCase().replace(/[^a-z ]/g, '').trim().split(/\s+/).pop() || '';
+  return `${cleanTitle}|${surname}`;
+};
+
+/**
+ * Loose title comparison used to pick the best hit from a provider
+ * @param {string} candidate - Title from the provider
+ * @param {string} title - Title searched for
+ * @returns {boolean}
+ */
+export const isTitleMatch = (candidate, title) => {
+  const a = String(candidate || '').toLowerCase();
+  const b = String(title || '').toLowerCase();
+  if (!a || !b) return false;
+  return a === b || a.includes(b) || b.includes(a);
+};
+
+/**
+ * Turns a provider subject/category into a genre
+ * Google Books categories are paths ("Juvenile Fiction / Fantasy & Magic");
+ * the broadest segment after the audience is used
+ * @param {string} subject - e.g. "Juvenile Fiction - Fantasy"
+ * @returns {string} - e.g. "Fantasy", or '' when it isn't a genre
+ */
+export const cleanGenre = (subject) => {
+  const text = String(subject || '').trim();
+  const lower = text.toLowerCase();
+  if (!text || NON_GENRE_SUBJECTS.some(term => lower.includes(term))) return '';
+
+  const genre = text
+    .replace(/^(Juvenile|Young Adult)\s+/i, '')
+    .replace(/^Fiction\s*[-/]\s*/i, '')
+    .split(/\s+\/\s+/)[0]
+    .replace(/(?<!Science)\s+Fiction$/i, '')
+    .trim();
+  return GENERIC_GENRES.includes(genre.toLowerCase()) ? '' : genre;
+};
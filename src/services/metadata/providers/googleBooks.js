@@ -0,0 +1,90 @@
+/**
+ * Google Books Metadata Provider
+ *
+ * Book search and categories from the public Google Books volumes API.
+ * Its categories are usually better genres than Open Library's subjects.
+ */
+
+import { isTitleMatch, normalizeLanguage, parsePublicationYear } from '../normalize.js';
+
+const VOLUMES_URL = 'https://www.googleapis.com/books/v1/volumes';
+
+/**
+ * Maps a Google Books volume to a metadata record
+ * @param {object} item - Entry from the volumes API's items
+ * @returns {object} - Metadata record
+ */
+const toRecord = (item) => {
+  const info = item.volumeInfo || {};
+  const identifiers = info.industryIdentifiers || [];
+  const isbn13 = identifiers.find(id => id.type === 'ISBN_13')?.identifier;
+  const isbn10 = identifiers.find(id => id.type === 'ISBN_10')?.identifier;
+  const thumbnail = info.imageLinks?.thumbnail || info.imageLinks?.smallThumbnail || '';
+
+  return {
+    title: info.subtitle ? `${info.title}: ${info.subtitle}` : (info.title || ''),
+    author: info.authors ? info.authors[0] : '',
+    authors: info.authors || [],
+    coverUrl: thumbnail.replace(/^http:/, 'https:'),
+    description: info.description || '',
+    isbn: isbn13 || isbn10 || null,
+    isbns: [isbn13, isbn10].filter(Boolean),
+    isbn13: isbn13 || null,
+    isbn10: isbn10 || null,
+    pageCount: info.pageCount || null,
+    subjects: info.categories || [],
+    key: null,
+    editionKey: null,
+    publisher: info.publisher || null,
+    publicationYear: parsePublicationYear(info.publishedDate),
+    language: normalizeLanguage(info.language),
+    // Volumes cover every edition, so Google Books can't say which format a copy is
+    format: null
+  };
+};
+
+/**
+ * Runs a volumes query
+ * @param {string} q - Google Books query
+ * @param {number} limit - Max results (the API allows up to 40)
+ * @param {function} fetchImpl - fetch implementation
+ * @param {AbortSignal} signal - Cancels the request (optional)
+ * @returns {Promise<Array>} - Volume items
+ */
+const searchVolumes = async (q, limit, fetchImpl, signal) => {
+  const params = new URLSearchParams({ q, maxResults: String(Math.min(limit, 40)) });
+  const response = await fetchImpl(`${VOLUMES_URL}?${params}`, { signal });
+  if (!response.ok) throw new Error(`Google Books search failed (${response.status})`);
+  const data = await response.json();
+  return data.items || [];
+};
+
+export const googleBooksProvider = {
+  id: 'googlebooks',
+  name: 'Google Books',
+
+  /**
+   * Searches by title/author text or ISBN
+   * @param {string} query - Search text
+   * @param {object} options - { isbn, limit, fetch, signal }
+   * @returns {Promise<Array>} - Metadata records
+   */
+  async search(query, { isbn, limit, fetch: fetchImpl, signal }) {
+    const items = await searchVolumes(isbn ? `isbn:${isbn}` : query, limit, fetchImpl, signal);
+    return items.map(toRecord);
+  },
+
+  /**
+   * Finds categories for the best title match
+   * @param {object} book - { title, author }
+   * @param {object} options - { fetch }
+   * @returns {Promise<Array<string>>}
+   */
+  async getSubjects({ title, author }, { fetch: fetchImpl }) {
+    if (!title) return [];
+    const q = author ? `intitle:${title}+inauthor:${author}` : `intitle:${title}`;
+    const items = await searchVolumes(q, 3, fetchImpl);
+    const bestMatch = items.find(item => isTitleMatch(item.volumeInfo?.title, title)) || items[0];
+    return bestMatch?.volumeInfo?.categories || [];
+  }
+};
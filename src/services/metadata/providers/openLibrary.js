@@ -0,0 +1,94 @@
+/**
+ * Open Library Metadata Provider
+ *
+ * Book search and subjects from openlibrary.org. No API key needed.
+ */
+
+import { cleanISBN, isTitleMatch, normalizeBookFormat, normalizeLanguage } from '../normalize.js';
+
+const SEARCH_URL = 'https://openlibrary.org/search.json';
+
+/**
+ * Maps an Open Library search document to a metadata record
+ * @param {object} doc - Entry from search.json's docs
+ * @returns {object} - Metadata record
+ */
+const toRecord = (doc) => {
+  const isbns = (doc.isbn || []).map(cleanISBN);
+  const editionKey = doc.cover_edition_key || doc.edition_key?.[0];
+
+  return {
+    title: doc.title || '',
+    author: doc.author_name ? doc.author_name[0] : '',
+    authors: doc.author_name || [],
+    coverUrl: doc.cover_i ? `https://covers.openlibrary.org/b/id/${doc.cover_i}-L.jpg` : '',
+    description: doc.first_sentence ? (Array.isArray(doc.first_sentence) ? doc.first_sentence[0] : doc.first_sentence) : '',
+    isbn: isbns.find(isbn => isbn.length === 13) || isbns[0] || null,
+    isbns,
+    isbn13: isbns.find(isbn => isbn.length === 13) || null,
+    isbn10: isbns.find(isbn => isbn.length === 10) || null,
+    pageCount: doc.number_of_pages_median || null,
+    subjects: doc.subject || [],
+    key: doc.key || null,
+    editionKey: editionKey ? `/books/${editionKey}` : null,
+    publisher: doc.publisher?.[0] || null,
+    publicationYear: doc.first_publish_year || null,
+    language: normalizeLanguage(doc.language?.[0]),
+    format: (doc.format || []).map(normalizeBookFormat).find(Boolean) || null
+  };
+};
+
+/**
+ * Runs a search.json query
+ * @param {object} params - Query string parameters
+ * @param {function} fetchImpl - fetch implementation
+ * @param {AbortSignal} signal - Cancels the request (optional)
+ * @returns {Promise<Array>} - Search documents
+ */
+const searchDocs = async (params, fetchImpl, signal) => {
+  const response = await fetchImpl(`${SEARCH_URL}?${new URLSearchParams(params)}`, { signal });
+  if (!response.ok) throw new Error(`Open Library search failed (${response.status})`);
+  const data = await response.json();
+  return data.docs || [];
+};
+
+export const openLibraryProvider = {
+  id: 'openlibrary',
+  name: 'Open Library',
+
+  /**
+   * Searches by title/author text or ISBN
+   * @param {string} query - Search text
+   * @param {object} options - { isbn, limit, fetch, signal }
+   * @returns {Promise<Array>} - Metadata records
+   */
+  async search(query, { isbn, limit, fetch: fetchImpl, signal }) {
+    const docs = await searchDocs(isbn ? { isbn, limit } : { q: query, limit }, fetchImpl, signal);
+    return docs.map(toRecord);
+  },
+
+  /**
+   * Finds subjects for a book, from its work record when the key is known
+   * and otherwise from the best title match in a search
+   * @param {object} book - { title, author, key }
+   * @param {object} options - { fetch }
+   * @returns {Promise<Array<string>>}
+   */
+  async getSubjects({ title, author, key }, { fetch: fetchImpl }) {
+    if (key) {
+      const workKey = key.startsWith('/works/') ? key : `/works/${key}`;
+      const response = await fetchImpl(`https://openlibrary.org${workKey}.json`);
+      if (response.ok) {
+        const work = await response.json();
+        const subjects = Array.isArray(work.subjects) ? work.subjects : (work.subjects ? [work.subjects] : []);
+        if (subjects.length > 0) return subjects;
+      }
+    }
+
+    if (!title) return [];
+    const docs = await searchDocs({ q: author ? `${title} ${author}` : title, limit: 3 }, fetchImpl);
+    const bestMatch = docs.find(doc => isTitleMatch(doc.title, title)) || docs[0];
+    if (!bestMatch?.subject) return [];
+    return Array.isArray(bestMatch.subject) ? bestMatch.subject : [bestMatch.subject];
+  }
+};
@@ -0,0 +1,123 @@
+/**
+ * Stub Metadata Provider
+ *
+ * Answers from a fixed in-memory catalog without touching the network, so
+ * book search, genre lookup and the genre script can be tried offline.
+ * Enable it with VITE_METADATA_PROVIDERS=stub (app) or
+ * METADATA_PROVIDERS=stub (scripts).
+ */
+
+import { cleanISBN, isTitleMatch, toISBN10, toISBN13 } from '../normalize.js';
+
+const STUB_CATALOG = [
+  {
+    title: 'Wonder',
+    author: 'R. J. Palacio',
+    description: 'August Pullman was born with a facial difference that has kept him out of mainstream school until fifth grade.',
+    isbns: ['9780375869020', '0375869026'],
+    publisher: 'Alfred A. Knopf',
+    publicationYear: 2012,
+    format: 'hardcover',
+    pageCount: 315,
+    subjects: ['Juvenile Fiction / Social Themes / Friendship', 'School stories'],
+    key: '/works/OL16079925W'
+  },
+  {
+    title: 'Harry Potter and the Sorcerer\'s Stone',
+    author: 'J. K. Rowling',
+    description: 'Harry Potter has never even heard of Hogwarts when the letters start dropping on the doormat at number four, Privet Drive.',
+    isbns: ['9780590353427', '059035342X'],
+    publisher: 'Scholastic',
+    publicationYear: 1998,
+    format: 'paperback',
+    pageCount: 309,
+    subjects: ['Juvenile Fiction / Fantasy & Magic', 'Wizards'],
+    key: '/works/OL82563W'
+  },
+  {
+    title: 'Hatchet',
+    author: 'Gary Paulsen',
+    description: 'After a plane crash, thirteen-year-old Brian spends fifty-four days in the wilderness with only a hatchet.',
+    isbns: ['9781416936473', '1416936475'],
+    publisher: 'Simon & Schuster',
+    publicationYear: 1987,
+    format: 'paperback',
+    pageCount: 195,
+    subjects: ['Juvenile Fiction / Action & Adventure / Survival Stories', 'Wilderness survival'],
+    key: '/works/OL59795W'
+  },
+  {
+    title: 'The Hobbit',
+    author: 'J. R. R. Tolkien',
+    description: 'Bilbo Baggins is swept into a quest to reclaim the dwarves\' treasure from the dragon Smaug.',
+    isbns: ['9780547928227', '054792822X'],
+    publisher: 'Houghton Mifflin Harcourt',
+    publicationYear: 1937,
+    format: 'paperback',
+    pageCount: 300,
+    subjects: ['Fantasy fiction', 'Dragons'],
+    key: '/works/OL27482W'
+  },
+  {
+    title: 'New Kid',
+    author: 'Jerry Craft',
+    description: 'Seventh grader Jordan Banks starts at a prestigious private school where he is one of the few kids of color.',
+    isbns: ['9780062691194', '0062691198'],
+    publisher: 'HarperAlley',
+    publicationYear: 2019,
+    format: 'graphic_novel',
+    pageCount: 256,
+    subjects: ['Comics & Graphic Novels', 'Middle schools'],
+    key: '/works/OL19734520W'
+  }
+];
+
+/**
+ * Maps a catalog entry to a metadata record
+ * @param {object} entry - Entry from the catalog
+ * @returns {object} - Metadata record
+ */
+const toRecord = (entry) => ({
+  title: entry.title,
+  author: entry.author,
+  authors: [entry.author],
+  coverUrl: '',
+  description: entry.description,
+  isbn: entry.isbns[0],
+  isbns: entry.isbns,
+  isbn13: toISBN13(entry.isbns[0]),
+  isbn10: toISBN10(entry.isbns[0]),
+  pageCount: entry.pageCount,
+  subjects: entry.subjects,
+  key: entry.key,
+  editionKey: null,
+  publisher: entry.publisher,
+  publicationYear: entry.publicationYear,
+  language: 'en',
+  format: entry.format
+});
+
+/**
+ * Creates a stub provider
+ * @param {Array} catalog - Books to answer from (defaults to a small built-in set)
+ * @returns {object} - Metadata provider
+ */
+export const createStubProvider = (catalog = STUB_CATALOG) => ({
+  id: 'stub',
+  name: 'Offline catalog',
+
+  async search(query, { isbn, limit }) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return catalog
+      .filter(entry => (isbn
+        ? entry.isbns.map(cleanISBN).includes(isbn)
+        : words.every(word => `${entry.title} ${entry.author}`.toLowerCase().includes(word))))
+      .slice(0, limit)
+      .map(toRecord);
+  },
+
+  async getSubjects({ title, key }) {
+    const entry = catalog.find(item => (key && item.key === key) || isTitleMatch(item.title, title));
+    return entry ? entry.subjects : [];
+  }
+});
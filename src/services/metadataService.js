@@ -0,0 +1,43 @@
+/**
+ * Metadata Service
+ *
+ * The app's book lookup, backed by the providers in ./metadata. Set
+ * VITE_METADATA_PROVIDERS to a comma-separated list of provider IDs
+ * (openlibrary, googlebooks, stub) to change which catalogs are searched
+ * and in what priority; use "stub" to work offline. Answers are cached in
+ * IndexedDB so repeated searches and genre lookups don't hit the network.
+ * Genres come back mapped onto the genre taxonomy, admin mappings included.
+ */
+
+import { createMetadataService, getMetadataProviders } from './metadata/index.js';
+import { createIndexedDbCache } from './metadata/cache/indexedDbCache.js';
+import { getActiveGenreMappings } from './genreMappingService';
+
+const metadataService = createMetadataService({
+  providers: getMetadataProviders(import.meta.env.VITE_METADATA_PROVIDERS),
+  cache: createIndexedDbCache(),
+  genreMappings: getActiveGenreMappings
+});
+
+/**
+ * Search enabled providers for books, merged and deduplicated
+ * @param {string} query - Title/author text or an ISBN
+ * @param {object} options - { limit, signal: AbortSignal to cancel a stale search }
+ * @returns {Promise<{data: Array|null, error: object|null}>}
+ */
+export const searchBookMetadata = (query, options) => metadataService.searchBooks(query, options);
+
+/**
+ * Find genres for a book
+ * @param {object} book - { title, author, isbn, key }
+ * @returns {Promise<{data: object|null, error: object|null}>} - data: { genre, genres, source }
+ */
+export const fetchBookGenre = (book) => metadataService.fetchGenre(book);
+
+/**
+ * Check that a book with this title exists in any provider
+ * @param {string} title - Book title
+ * @param {string} author - Author name (optional)
+ * @returns {Promise<{data: boolean, error: object|null}>}
+ */
+export const verifyBookExists = (title, author) => metadataService.verifyBookExists(title, author);
@@ -0,0 +1,154 @@
+/**
+ * Reading Session Service
+ *
+ * Handles the per-session reading log:
+ * - Logging a session (date, start page, end page, minutes)
+ * - Fetching sessions for a book or for a user over a period
+ * - Deleting sessions
+ */
+
+import { supabase } from '../config/supabase';
+
+// Rows fetched per request; Supabase caps a single select at 1000
+const PAGE_SIZE = 1000;
+
+/**
+ * Get all reading sessions for a book
+ * @param {string} bookId - The book ID
+ * @returns {Promise<{data: array, error: object|null}>}
+ */
+export const getBookSessions = async (bookId) => {
+  try {
+    const { data, error } = await supabase
+      .from('bk_reading_sessions')
+      .select('*')
+      .eq('book_id', bookId)
+      .order('session_date', { ascending: false })
+      .order('created_at', { ascending: false });
+
+    return { data: (data || []).map(transformSessionFromDB), error };
+  } catch (error) {
+    console.error('Error fetching book sessions:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Get reading sessions for a user, optionally limited to a date range
+ * @param {string} userId - The user ID
+ * @param {string|null} periodStart - Inclusive start date (YYYY-MM-DD)
+ * @param {string|null} periodEnd - Inclusive end date (YYYY-MM-DD)
+ * @returns {Promise<{data: array, error: object|null}>}
+ */
+export const getUserSessions = async (userId, periodStart = null, periodEnd = null) => {
+  try {
+    const sessions = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      let query = supabase
+        .from('bk_reading_sessions')
+        .select('*')
+        .eq('user_id', userId)
+        .order('session_date', { ascending: false })
+        .order('id', { ascending: false });
+
+      if (periodStart) {
+        query = query.gte('session_date', periodStart);
+      }
+      if (periodEnd) {
+        query = query.lte('session_date', periodEnd);
+      }
+
+      const { data, error } = await query.range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+
+      sessions.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return { data: sessions.map(transformSessionFromDB), error: null };
+  } catch (error) {
+    console.error('Error fetching user sessions:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Log a reading session for a book
+ * @param {string} userId - The user ID
+ * @param {string} bookId - The book ID
+ * @param {object} sessionData - Session data (date, startPage, endPage, minutes)
+ * @returns {Promise<{data: object|null, error: object|null}>}
+ */
+export const logReadingSession = async (userId, bookId, sessionData) => {
+  try {
+    const startPage = parseInt(sessionData.startPage) || 0;
+    const endPage = parseInt(sessionData.endPage) || 0;
+    const minutes = parseInt(sessionData.minutes) || 0;
+
+    if (endPage < startPage) {
+      return { data: null, error: { message: 'End page must be after the start page.' } };
+    }
+    if (endPage === startPage && minutes === 0) {
+      return { data: null, error: { message: 'Please enter the pages you read or how long you read.' } };
+    }
+
+    const { data, error } = await supabase
+      .from('bk_reading_sessions')
+      .insert([{
+        user_id: userId,
+        book_id: bookId,
+        session_date: sessionData.date,
+        start_page: startPage,
+        end_page: endPage,
+        minutes
+      }])
+      .select()
+      .single();
+
+    return { data: data ? transformSessionFromDB(data) : null, error };
+  } catch (error) {
+    console.error('Error logging reading session:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Delete a reading session
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<{data: object|null, error: object|null}>}
+ */
+export const deleteReadingSession = async (sessionId) => {
+  try {
+    const { error } = await supabase
+      .from('bk_reading_sessions')
+      .delete()
+      .eq('id', sessionId);
+
+    return { data: { success: true }, error };
+  } catch (error) {
+    console.error('Error deleting reading session:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Transform database session object to app format
+ * @param {object} dbSession - Session object from database
+ * @returns {object} Session object in app format
+ */
+export const transformSessionFromDB = (dbSession) => {
+  const startPage = dbSession.start_page || 0;
+  const endPage = dbSession.end_page || 0;
+
+  return {
+    id: dbSession.id,
+    userId: dbSession.user_id,
+    bookId: dbSession.book_id,
+    date: dbSession.session_date,
+    startPage,
+    endPage,
+    pagesRead: Math.max(0, endPage - startPage),
+    minutes: dbSession.minutes || 0,
+    createdAt: dbSession.created_at
+  };
+};
@@ -254,6 +254,7 @@ export const getBooksReadThisMonth = async (userId) => {
       .from('bk_books')
       .select('*', { count: 'exact', head: true })
       .in('bookshelf_id', bookshelfIds)
+      .or('status.eq.finished,status.is.null')
       .gte('finish_date', firstDayOfMonth.toISOString().split('T')[0])
       .lte('finish_date', lastDayOfMonth.toISOString().split('T')[0])
       .not('finish_date', 'is', null);
@@ -0,0 +1,246 @@
+/**
+ * Badge Rule Helpers
+ *
+ * Works out a reader's stats and checks them against badge criteria (see
+ * constants/badgeRules). Shared by the reward check, the rewards modal and
+ * the admin console, and by the award engine on the server, so imports carry
+ * explicit .js extensions.
+ */
+
+import { BADGE_STATS, DEFAULT_BADGES } from '../constants/badgeRules.js';
+import { isBookFinished } from './bookHelpers.js';
+import { getBookGenres } from './bookTags.js';
+
+/**
+ * Turns a bk_badge_definitions row into a badge definition
+ * @param {object} row - Row from bk_badge_definitions
+ * @returns {object} - Badge definition
+ */
+export const toBadgeDefinition = (row) => {
+  let criteria = row.criteria;
+  if (typeof criteria === 'string') {
+    try {
+      criteria = JSON.parse(criteria);
+    } catch (error) {
+      console.error('Error parsing badge criteria:', error);
+      criteria = [];
+    }
+  }
+
+  return {
+    id: row.id,
+    key: `custom_${row.id}`,
+    name: row.name,
+    emoji: row.emoji || '🏅',
+    description: row.description || '',
+    rewardType: row.reward_type || 'badge',
+    criteria: Array.isArray(criteria) ? criteria : [],
+    xp: row.xp || 0,
+    isActive: row.is_active !== false,
+    isBuiltIn: false
+  };
+};
+
+/**
+ * Puts the built-in badges ahead of the custom ones
+ * @param {Array} customBadges - Badge definitions from bk_badge_definitions
+ * @param {boolean} includeInactive - Also keep custom badges an admin switched off
+ * @returns {Array} - Badge definitions
+ */
+export const combineBadgeDefinitions = (customBadges = [], includeInactive = false) => [
+  ...DEFAULT_BADGES.map(badge => ({ ...badge, isActive: true, isBuiltIn: true })),
+  ...(includeInactive ? customBadges : customBadges.filter(badge => badge.isActive))
+];
+
+/**
+ * The badges that are also achievements: active ones that carry XP
+ * @param {Array} badges - Badge definitions
+ * @returns {Array}
+ */
+export const getAchievementBadges = (badges = []) => badges.filter(badge => badge.isActive && badge.xp > 0);
+
+/**
+ * The bk_achievements badge_type an achievement badge is recorded as
+ * @param {object} badge - Badge definition
+ * @returns {string}
+ */
+export const getAchievementType = (badge) => badge.badgeType || badge.key;
+
+/**
+ * Counts the challenges a reader completed, as creator or participant
+ * @param {Array} challenges - Challenges (bk_reading_challenges rows)
+ * @param {string} userId - The reader
+ * @returns {number}
+ */
+export const countCompletedChallenges = (challenges = [], userId) => challenges.filter(challenge => {
+  const isCompleted = challenge.is_completed || (challenge.current_count >= challenge.target_count);
+  if (!isCompleted || !userId) return false;
+  if (String(challenge.user_id) === String(userId)) return true;
+
+  // shared_with is an array, but older rows may hold a JSON string or a comma-separated list
+  let shared = challenge.shared_with;
+  if (typeof shared === 'string') {
+    try {
+      shared = JSON.parse(shared);
+    } catch (e) {
+      shared = shared.split(',').map(id => id.trim());
+    }
+  }
+  return Array.isArray(shared) && shared.map(id => String(id)).includes(String(userId));
+}).length;
+
+/**
+ * Works out the stats badge criteria test
+ * @param {object} sources - { books, userXP, userStreak, completedChallenges, quizzesPassed, now }
+ * @returns {object} - Stats keyed by BADGE_STATS, plus genreCounts ({ lowercased genre: finished books })
+ */
+export const buildBadgeStats = ({
+  books = [],
+  userXP = null,
+  userStreak = null,
+  completedChallenges = 0,
+  quizzesPassed = 0,
+  now = new Date()
+}) => {
+  const finishedBooks = books.filter(isBookFinished);
+  const booksThisMonth = finishedBooks.filter(book => {
+    const finishDate = new Date(book.finishDate);
+    return finishDate.getMonth() === now.getMonth() && finishDate.getFullYear() === now.getFullYear();
+  }).length;
+
+  const genreCounts = {};
+  finishedBooks.forEach(book => {
+    getBookGenres(book).forEach(genre => {
+      const key = genre.toLowerCase();
+      genreCounts[key] = (genreCounts[key] || 0) + 1;
+    });
+  });
+
+  return {
+    totalBooks: books.length,
+    finishedBooks: finishedBooks.length,
+    booksThisMonth,
+    currentStreak: userStreak?.current_streak || 0,
+    currentLevel: userXP?.current_level || 1,
+    completedChallenges,
+    booksRated: books.filter(book => (book.rating || 0) > 0).length,
+    fiveStarBooks: books.filter(book => (book.rating || 0) >= 5).length,
+    reviewsWritten: books.filter(book => String(book.review || '').trim() !== '').length,
+    quizzesPassed,
+    genreCounts
+  };
+};
+
+/**
+ * Gets the value a criterion tests
+ * @param {object} stats - Reader stats
+ * @param {object} criterion - { stat, min, genre }
+ * @returns {number}
+ */
+export const getCriterionValue = (stats, criterion) => {
+  if (BADGE_STATS[criterion.stat]?.needsGenre) {
+    return stats.genreCounts?.[String(criterion.genre || '').toLowerCase()] || 0;
+  }
+  return stats[criterion.stat] || 0;
+};
+
+/**
+ * Checks whether stats meet every criterion
+ * @param {Array} criteria - Criteria ({ stat, min, genre })
+ * @param {object} stats - Reader stats
+ * @returns {boolean}
+ */
+export const meetsCriteria = (criteria = [], stats) => criteria.length > 0 &&
+  criteria.every(criterion => getCriterionValue(stats, criterion) >= criterion.min);
+
+/**
+ * Progress towards the headline (first) criterion
+ * @param {Array} criteria - Criteria
+ * @param {object} stats - Reader stats
+ * @returns {object} - { current, target, progress (0-100) }
+ */
+export const getCriteriaProgress = (criteria = [], stats) => {
+  const headline = criteria[0];
+  if (!headline) return { current: 0, target: 0, progress: 0 };
+  const current = getCriterionValue(stats, headline);
+  return {
+    current,
+    target: headline.min,
+    progress: headline.min > 0 ? Math.min(100, Math.round(current / headline.min * 100)) : 100
+  };
+};
+
+/**
+ * Describes a criterion, e.g. "Finish 10 Fantasy books"
+ * @param {object} criterion - { stat, min, genre }
+ * @returns {string}
+ */
+export const describeCriterion = (criterion) => {
+  const phrase = BADGE_STATS[criterion.stat]?.phrase || `${criterion.stat} {min}`;
+  return phrase.replace('{min}', criterion.min).replace('{genre}', criterion.genre || '');
+};
+
+/**
+ * Describes all of a badge's criteria
+ * @param {Array} criteria - Criteria
+ * @returns {string}
+ */
+export const describeCriteria = (criteria = []) => criteria.map(describeCriterion).join(' and ');
+
+/**
+ * The reward value recorded when a badge unlocks (its headline target)
+ * @param {object} badge - Badge definition
+ * @returns {string}
+ */
+export const getBadgeValue = (badge) => String(badge.criteria?.[0]?.min ?? '');
+
+/**
+ * Checks whether a reader has unlocked a badge
+ * @param {object} badge - Badge definition
+ * @param {Array} rewards - The reader's bk_user_rewards rows
+ * @returns {boolean}
+ */
+export const isBadgeUnlocked = (badge, rewards = []) => rewards.some(reward => reward.unlocked_at &&
+  reward.reward_type === badge.rewardType && reward.reward_name === badge.name);
+
+/**
+ * The next badge to work towards for each headline stat, in definition order
+ * @param {Array} badges - Active badge definitions
+ * @param {object} stats - Reader stats
+ * @param {Array} rewards - The reader's bk_user_rewards rows
+ * @returns {Array} - [{ badge, current, target, progress }]
+ */
+export const getNextBadges = (badges, stats, rewards = []) => {
+  const next = new Map();
+  badges.forEach(badge => {
+    const headline = badge.criteria?.[0];
+    if (!headline || meetsCriteria(badge.criteria, stats) || isBadgeUnlocked(badge, rewards)) return;
+
+    const key = `${headline.stat}:${headline.genre || ''}`;
+    const current = next.get(key);
+    if (!current || headline.min < current.target) {
+      next.set(key, { badge, ...getCriteriaProgress(badge.criteria, stats) });
+    }
+  });
+  return [...next.values()];
+};
+
+/**
+ * Checks a badge definition before it's saved
+ * @param {object} badge - Badge definition
+ * @param {Array} otherBadges - The other definitions (names must be unique per reward type)
+ * @returns {string|null} - What's wrong, or null
+ */
+export const validateBadge = (badge, otherBadges = []) => {
+  if (!badge.name?.trim()) return 'Give the badge a name';
+  if (!badge.criteria?.length) return 'Add at least one rule';
+  for (const criterion of badge.criteria) {
+    if (!BADGE_STATS[criterion.stat]) return 'Choose what each rule counts';
+    if (BADGE_STATS[criterion.stat].needsGenre && !criterion.genre) return 'Choose a genre for the genre rule';
+    if (!Number.isInteger(criterion.min) || criterion.min < 1) return 'Each rule needs a target of at least 1';
+  }
+  if (badge.xp != null && (!Number.isInteger(badge.xp) || badge.xp < 0)) return 'XP must be a whole number, 0 or more';
+  const duplicate = otherBadges.some(other => other.rewardType === badge.rewardType &&
+    other.name.trim().toLowerCase() === badge.name.trim().toLowerCase());
+  return duplicate ? `There's already a ${badge.rewardType} called "${badge.name.trim()}"` : null;
+};
@@ -0,0 +1,245 @@
+/**
+ * Barcode Scanner Utilities
+ *
+ * Client-side EAN-13 decoding for the ISBN barcodes printed on books.
+ * Uses the browser's BarcodeDetector where it exists and falls back to a
+ * scanline decoder that works on any canvas, so no image ever leaves the
+ * device.
+ */
+
+// Bar/space widths (in modules) of each digit's L-code; R-codes share them
+const L_WIDTHS = [
+  [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+  [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2]
+];
+
+// G-codes are the L-codes mirrored
+const G_WIDTHS = L_WIDTHS.map(widths => [...widths].reverse());
+
+// L/G parity of the six left-hand digits encodes the first digit
+const FIRST_DIGIT_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// An EAN-13 symbol is 59 bars and spaces: guard, 6 digits, centre, 6 digits, guard
+const EAN13_RUNS = 59;
+
+// Largest summed width error (in modules) still accepted for one digit
+const MAX_DIGIT_ERROR = 1.4;
+
+// Scanlines tried across the image in each direction
+const SCANLINES = 24;
+
+/**
+ * Validates an ISBN-13 (or any EAN-13) check digit
+ * @param {string} code - 13 digits
+ * @returns {boolean}
+ */
+export const isValidEAN13 = (code) => {
+  if (!/^\d{13}$/.test(code)) return false;
+  const sum = code.slice(0, 12).split('').reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10 === Number(code[12]);
+};
+
+/**
+ * Validates an ISBN-10 check digit
+ * @param {string} code - 9 digits followed by a digit or X
+ * @returns {boolean}
+ */
+export const isValidISBN10 = (code) => {
+  if (!/^\d{9}[\dX]$/.test(code)) return false;
+  const sum = code.split('').reduce((total, char, index) => total + (char === 'X' ? 10 : Number(char)) * (10 - index), 0);
+  return sum % 11 === 0;
+};
+
+/**
+ * Checks whether a code is a valid ISBN
+ * EAN-13 codes only count when they carry the 978/979 "Bookland" prefix
+ * @param {string} value - Scanned or typed code (punctuation ignored)
+ * @returns {boolean}
+ */
+export const isValidISBN = (value) => {
+  const code = (value || '').toUpperCase().replace(/[^0-9X]/g, '');
+  if (code.length === 10) return isValidISBN10(code);
+  return /^97[89]/.test(code) && isValidEAN13(code);
+};
+
+/**
+ * Converts RGBA pixels to luminance
+ * @param {ImageData} imageData - Canvas pixels
+ * @returns {Uint8ClampedArray} - One value per pixel
+ */
+const toGrayscale = ({ data, width, height }) => {
+  const gray = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+  }
+  return gray;
+};
+
+/**
+ * Run-length encodes a line of pixels into alternating bars and spaces
+ * @param {Array<number>} line - Luminance values
+ * @returns {Array<{dark: boolean, width: number}>}
+ */
+const toRuns = (line) => {
+  let min = 255;
+  let max = 0;
+  line.forEach(value => {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+  // Too little contrast to hold a barcode
+  if (max - min < 40) return [];
+
+  const threshold = (min + max) / 2;
+  const runs = [];
+  line.forEach(value => {
+    const dark = value < threshold;
+    const last = runs[runs.length - 1];
+    if (last && last.dark === dark) {
+      last.width++;
+    } else {
+      runs.push({ dark, width: 1 });
+    }
+  });
+  return runs;
+};
+
+/**
+ * Matches four runs against a table of digit widths
+ * @param {Array<number>} widths - Four run widths in pixels
+ * @param {Array<Array<number>>} table - Digit widths in modules
+ * @returns {{digit: number, error: number}}
+ */
+const matchDigit = (widths, table) => {
+  const total = widths.reduce((sum, width) => sum + width, 0);
+  const scaled = widths.map(width => (width * 7) / total);
+
+  let best = { digit: -1, error: Infinity };
+  table.forEach((pattern, digit) => {
+    const error = pattern.reduce((sum, modules, index) => sum + Math.abs(modules - scaled[index]), 0);
+    if (error < best.error) best = { digit, error };
+  });
+  return best;
+};
+
+/**
+ * Checks that guard runs are about one module wide
+ * @param {Array<number>} widths - Guard run widths in pixels
+ * @param {number} moduleWidth - Expected module width in pixels
+ * @returns {boolean}
+ */
+const isGuard = (widths, moduleWidth) => widths.every(width => width > moduleWidth * 0.4 && width < moduleWidth * 1.8);
+
+/**
+ * Tries to decode an EAN-13 symbol starting at a given bar
+ * @param {Array<number>} widths - Run widths, starting with the first guard bar
+ * @returns {string|null} - 13 digits, or null
+ */
+const decodeAt = (widths) => {
+  const moduleWidth = widths.reduce((sum, width) => sum + width, 0) / 95;
+  if (!isGuard(widths.slice(0, 3), moduleWidth) ||
+      !isGuard(widths.slice(27, 32), moduleWidth) ||
+      !isGuard(widths.slice(56, 59), moduleWidth)) {
+    return null;
+  }
+
+  let parity = '';
+  let digits = '';
+  for (let i = 0; i < 6; i++) {
+    const digitWidths = widths.slice(3 + i * 4, 7 + i * 4);
+    const l = matchDigit(digitWidths, L_WIDTHS);
+    const g = matchDigit(digitWidths, G_WIDTHS);
+    const best = l.error <= g.error ? l : g;
+    if (best.error > MAX_DIGIT_ERROR) return null;
+    parity += l.error <= g.error ? 'L' : 'G';
+    digits += best.digit;
+  }
+  for (let i = 0; i < 6; i++) {
+    const best = matchDigit(widths.slice(32 + i * 4, 36 + i * 4), L_WIDTHS);
+    if (best.error > MAX_DIGIT_ERROR) return null;
+    digits += best.digit;
+  }
+
+  const firstDigit = FIRST_DIGIT_PARITY.indexOf(parity);
+  if (firstDigit === -1) return null;
+
+  const code = `${firstDigit}${digits}`;
+  return isValidEAN13(code) ? code : null;
+};
+
+/**
+ * Decodes an EAN-13 symbol from one line of pixels, in either direction
+ * @param {Array<number>} line - Luminance values
+ * @returns {string|null}
+ */
+const decodeLine = (line) => {
+  const runs = toRuns(line);
+  for (const ordered of [runs, [...runs].reverse()]) {
+    for (let start = 0; start + EAN13_RUNS <= ordered.length; start++) {
+      if (!ordered[start].dark) continue;
+      const code = decodeAt(ordered.slice(start, start + EAN13_RUNS).map(run => run.width));
+      if (code) return code;
+    }
+  }
+  return null;
+};
+
+/**
+ * Decodes an EAN-13 barcode from canvas pixels
+ * Scans horizontal and vertical lines and returns the code most lines agree on
+ * @param {ImageData} imageData - Canvas pixels
+ * @returns {string|null} - 13 digits, or null if no barcode was found
+ */
+export const decodeEAN13 = (imageData) => {
+  const { width, height } = imageData;
+  const gray = toGrayscale(imageData);
+  const votes = {};
+
+  for (let i = 1; i <= SCANLINES; i++) {
+    const y = Math.floor((height * i) / (SCANLINES + 1));
+    const row = Array.from(gray.subarray(y * width, (y + 1) * width));
+    const x = Math.floor((width * i) / (SCANLINES + 1));
+    const column = Array.from({ length: height }, (_, index) => gray[index * width + x]);
+
+    [row, column].forEach(line => {
+      const code = decodeLine(line);
+      if (code) votes[code] = (votes[code] || 0) + 1;
+    });
+  }
+
+  const [best] = Object.entries(votes).sort((a, b) => b[1] - a[1]);
+  return best ? best[0] : null;
+};
+
+/**
+ * Finds an ISBN barcode in an image, video frame or canvas
+ * @param {HTMLCanvasElement|HTMLVideoElement|HTMLImageElement|ImageBitmap} source - What to scan
+ * @param {HTMLCanvasElement} canvas - Scratch canvas for the fallback decoder
+ * @returns {Promise<string|null>} - ISBN-13, or null if none was found
+ */
+export const detectISBN = async (source, canvas = document.createElement('canvas')) => {
+  if (typeof window !== 'undefined' && 'BarcodeDetector' in window) {
+    try {
+      const detector = new window.BarcodeDetector({ formats: ['ean_13'] });
+      const barcodes = await detector.detect(source);
+      const match = barcodes.map(barcode => barcode.rawValue).find(isValidISBN);
+      if (match) return match;
+    } catch (error) {
+      // Fall through to the built-in decoder
+    }
+  }
+
+  const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+  const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+  if (!sourceWidth || !sourceHeight) return null;
+
+  // Large photos are scaled down; barcodes stay readable and decoding stays fast
+  const scale = Math.min(1, 1280 / Math.max(sourceWidth, sourceHeight));
+  canvas.width = Math.round(sourceWidth * scale);
+  canvas.height = Math.round(sourceHeight * scale);
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+  const code = decodeEAN13(context.getImageData(0, 0, canvas.width, canvas.height));
+  return code && isValidISBN(code) ? code : null;
+};
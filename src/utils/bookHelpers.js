@@ -5,6 +5,8 @@
  * including date formatting, statistics calculation, and data transformation.
  */
 
+import { READING_STATUS } from '../constants/readingStatus.js';
+
 /**
  * Formats a date string for display
  * @param {string|Date} date - The date to format
@@ -21,6 +23,170 @@ export const formatDate = (date) => {
   }
 };
 
+/**
+ * Returns today's date in the YYYY-MM-DD format used by date inputs
+ * @returns {string} - Today's local date
+ */
+export const getTodayDateString = () => {
+  const now = new Date();
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Gets the reading status of a book
+ * Books saved before statuses existed are inferred from their dates
+ * @param {object} book - Book object in app format
+ * @returns {string} - One of READING_STATUS
+ */
+export const getBookStatus = (book) => {
+  if (!book) return READING_STATUS.WANT_TO_READ;
+  if (book.status && Object.values(READING_STATUS).includes(book.status)) {
+    return book.status;
+  }
+  if (book.finishDate) return READING_STATUS.FINISHED;
+  if (book.startDate) return READING_STATUS.READING;
+  return READING_STATUS.WANT_TO_READ;
+};
+
+/**
+ * Checks whether a book has been finished
+ * @param {object} book - Book object in app format
+ * @returns {boolean} - True if the book counts as read
+ */
+export const isBookFinished = (book) => getBookStatus(book) === READING_STATUS.FINISHED;
+
+/**
+ * Builds the field updates for moving a book to a new status, stamping dates automatically
+ * @param {object} book - Current book object in app format
+ * @param {string} newStatus - Target status (one of READING_STATUS)
+ * @param {object} options - Optional values: finishDate, startDate, abandonedAtPage, abandonReason
+ * @returns {object} - Updates to apply to the book (always includes status)
+ */
+export const getStatusTransitionUpdates = (book, newStatus, options = {}) => {
+  const today = getTodayDateString();
+  const startDate = options.startDate || book?.startDate || null;
+  const updates = { status: newStatus };
+
+  switch (newStatus) {
+    case READING_STATUS.WANT_TO_READ:
+      updates.startDate = null;
+      updates.finishDate = null;
+      updates.abandonedAtPage = null;
+      updates.abandonReason = null;
+      break;
+    case READING_STATUS.READING:
+    case READING_STATUS.PAUSED:
+      updates.startDate = startDate || today;
+      updates.finishDate = null;
+      updates.abandonedAtPage = null;
+      updates.abandonReason = null;
+      break;
+    case READING_STATUS.FINISHED: {
+      const finishDate = options.finishDate || book?.finishDate || today;
+      updates.startDate = startDate || finishDate;
+      updates.finishDate = finishDate;
+      updates.abandonedAtPage = null;
+      updates.abandonReason = null;
+      break;
+    }
+    case READING_STATUS.ABANDONED:
+      updates.startDate = startDate || today;
+      updates.finishDate = null;
+      updates.abandonedAtPage = options.abandonedAtPage ?? book?.abandonedAtPage ?? null;
+      updates.abandonReason = options.abandonReason ?? book?.abandonReason ?? null;
+      break;
+    default:
+      return {};
+  }
+
+  return updates;
+};
+
+/**
+ * Resolves a set of book updates so that status and dates stay consistent.
+ * An explicit status change stamps dates; editing dates directly moves the status.
+ * @param {object} book - Current book object in app format
+ * @param {object} updates - Requested updates
+ * @returns {object} - Updates with status and dates reconciled
+ */
+export const resolveStatusUpdates = (book, updates) => {
+  const currentStatus = getBookStatus(book);
+
+  if (updates.status && updates.status !== currentStatus) {
+    return { ...updates, ...getStatusTransitionUpdates(book, updates.status, updates) };
+  }
+
+  if (updates.finishDate && currentStatus !== READING_STATUS.FINISHED) {
+    return { ...updates, ...getStatusTransitionUpdates(book, READING_STATUS.FINISHED, updates) };
+  }
+
+  if (updates.finishDate !== undefined && !updates.finishDate && currentStatus === READING_STATUS.FINISHED) {
+    const startDate = updates.startDate !== undefined ? updates.startDate : book?.startDate;
+    return { ...updates, status: startDate ? READING_STATUS.READING : READING_STATUS.WANT_TO_READ };
+  }
+
+  if (updates.startDate && currentStatus === READING_STATUS.WANT_TO_READ) {
+    return { ...updates, status: READING_STATUS.READING };
+  }
+
+  return updates;
+};
+
+/**
+ * Calculates how far through a book the reader is
+ * @param {object} book - Book object in app format
+ * @returns {number|null} - Percentage (0-100), or null when the page count is unknown
+ */
+export const getReadingProgress = (book) => {
+  const pageCount = parseInt(book?.pageCount) || 0;
+  if (pageCount <= 0) return null;
+  if (isBookFinished(book)) return 100;
+
+  const currentPage = parseInt(book.currentPage) || 0;
+  return Math.min(100, Math.max(0, Math.round((currentPage / pageCount) * 100)));
+};
+
+// Edition details captured from a catalog lookup (format values are in constants/bookFormats)
+export const EDITION_FIELDS = [
+  'isbn', 'isbn10', 'isbn13', 'openLibraryWorkKey', 'openLibraryEditionKey',
+  'publisher', 'publicationYear', 'language', 'format'
+];
+
+/**
+ * Picks the edition details off a book search result
+ * @param {object} result - Result from the metadata service
+ * @returns {object} - Edition fields in app format
+ */
+export const getEditionDetails = (result) => ({
+  isbn: result.isbn || null,
+  isbn10: result.isbn10 || null,
+  isbn13: result.isbn13 || null,
+  openLibraryWorkKey: result.key || null,
+  openLibraryEditionKey: result.editionKey || null,
+  publisher: result.publisher || null,
+  publicationYear: result.publicationYear || null,
+  language: result.language || null,
+  format: result.format || null
+});
+
+/**
+ * Totals the pages and minutes across a list of reading sessions
+ * @param {Array} sessions - Reading sessions in app format
+ * @returns {object} - { pages, minutes, sessions }
+ */
+export const summarizeReadingSessions = (sessions) => {
+  if (!sessions || !Array.isArray(sessions)) return { pages: 0, minutes: 0, sessions: 0 };
+
+  return sessions.reduce((totals, session) => ({
+    pages: totals.pages + (session.pagesRead || 0),
+    minutes: totals.minutes + (session.minutes || 0),
+    sessions: totals.sessions + 1
+  }), { pages: 0, minutes: 0, sessions: 0 });
+};
+
 /**
  * Calculates the number of books read this month
  * @param {Array} books - Array of book objects
@@ -33,7 +199,7 @@ export const getBooksReadThisMonth = (books) => {
   const currentYear = new Date().getFullYear();
   
   return books.filter(book => {
-    if (!book.finishDate) return false;
+    if (!isBookFinished(book) || !book.finishDate) return false;
     const finishDate = new Date(book.finishDate);
     return finishDate.getMonth() === currentMonth && finishDate.getFullYear() === currentYear;
   }).length;
@@ -47,7 +213,7 @@ export const getBooksReadThisMonth = (books) => {
 export const calculateAverageBooksPerMonth = (books) => {
   if (!books || books.length === 0) return 0;
   
-  const finishedBooks = books.filter(b => b.finishDate);
+  const finishedBooks = books.filter(b => isBookFinished(b) && b.finishDate);
   if (finishedBooks.length === 0) return 0;
   
   const dates = finishedBooks.map(b => new Date(b.finishDate)).sort((a, b) => a - b);
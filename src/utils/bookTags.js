@@ -0,0 +1,101 @@
+/**
+ * Genre & Tag Helpers
+ *
+ * A book has a list of genres and a list of free-form tags the reader adds
+ * ("school assignment", "read aloud", "comfort read"). The first genre is
+ * also kept in `genre`, which reports, the AI prompt and older rows read.
+ * Genres and tags are compared case-insensitively.
+ */
+
+export const SUGGESTED_TAGS = ['school assignment', 'read aloud', 'comfort read', 'reread', 'book club', 'gift'];
+
+/**
+ * Turns "a, b; c" (or an array) into a clean list without repeats
+ * The first spelling of a repeated value wins
+ * @param {string|Array<string>} value - Comma/semicolon-separated text or a list
+ * @returns {Array<string>}
+ */
+export const parseTagList = (value) => {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[,;]/);
+  const seen = new Set();
+  return items
+    .map(item => String(item || '').trim())
+    .filter(item => {
+      const key = item.toLowerCase();
+      if (!item || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Gets a book's genres, falling back to its single genre for older books
+ * @param {object} book - Book
+ * @returns {Array<string>}
+ */
+export const getBookGenres = (book) => {
+  if (Array.isArray(book?.genres) && book.genres.length > 0) return book.genres;
+  return book?.genre ? [book.genre] : [];
+};
+
+/**
+ * Gets a book's tags
+ * @param {object} book - Book
+ * @returns {Array<string>}
+ */
+export const getBookTags = (book) => (Array.isArray(book?.tags) ? book.tags : []);
+
+/**
+ * Builds the genre fields to save from a list of genres
+ * @param {string|Array<string>} genres - Genres, first is the main one
+ * @returns {object} - { genre, genres }
+ */
+export const toGenreFields = (genres) => {
+  const list = parseTagList(genres);
+  return { genre: list[0] || null, genres: list };
+};
+
+/**
+ * Counts values across books and sorts the most used first
+ * @param {Array} books - Books
+ * @param {function} getValues - Book => list of values
+ * @returns {Array<string>}
+ */
+const collectValues = (books, getValues) => {
+  const counts = new Map();
+  books.forEach(book => getValues(book).forEach(value => {
+    const key = value.toLowerCase();
+    const entry = counts.get(key) || { value, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  }));
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    .map(entry => entry.value);
+};
+
+/**
+ * Every tag used in a library, most used first
+ * @param {Array} books - Books
+ * @returns {Array<string>}
+ */
+export const getLibraryTags = (books = []) => collectValues(books, getBookTags);
+
+/**
+ * Every genre used in a library, most used first
+ * @param {Array} books - Books
+ * @returns {Array<string>}
+ */
+export const getLibraryGenres = (books = []) => collectValues(books, getBookGenres);
+
+/**
+ * Checks whether a book has every one of the given tags
+ * @param {object} book - Book
+ * @param {Array<string>} tags - Tags to look for
+ * @returns {boolean}
+ */
+export const bookHasAllTags = (book, tags = []) => {
+  if (tags.length === 0) return true;
+  const bookTags = getBookTags(book).map(tag => tag.toLowerCase());
+  return tags.every(tag => bookTags.includes(tag.toLowerCase()));
+};
@@ -0,0 +1,112 @@
+/**
+ * Cover OCR Utilities
+ *
+ * Reads the text on a photo of a book's front cover in the browser and
+ * picks out the likely title and author so they can be run through the
+ * normal book search. tesseract.js is loaded on first use so it doesn't
+ * weigh down the main bundle.
+ */
+
+// Lines Tesseract is less sure about than this (0-100) are ignored
+const MIN_LINE_CONFIDENCE = 45;
+
+// Cover blurbs that are never the title or the author
+const NOISE_PATTERNS = [
+  /best\s*sell/i,
+  /new york times/i,
+  /\bauthor of\b/i,
+  /\bwinner\b/i,
+  /\baward\b/i,
+  /\ba novel\b/i,
+  /\bbook \d+\b/i,
+  /\bvolume\b/i,
+  /\bfrom the\b/i,
+  /\bcopies sold\b/i,
+  /\bnow a major\b/i,
+  /\billustrated by\b/i
+];
+
+/**
+ * Runs OCR on a cover photo
+ * @param {File|Blob|HTMLImageElement|HTMLCanvasElement} image - Cover photo
+ * @param {function} onProgress - Called with progress from 0 to 1 while recognizing
+ * @returns {Promise<Array<{text: string, confidence: number, height: number}>>} - Text lines
+ */
+export const recognizeCoverText = async (image, onProgress = () => {}) => {
+  const { createWorker } = await import('tesseract.js');
+  const worker = await createWorker('eng', 1, {
+    logger: (message) => {
+      if (message.status === 'recognizing text') onProgress(message.progress);
+    }
+  });
+
+  try {
+    const { data } = await worker.recognize(image, {}, { blocks: true });
+    const lines = data.blocks
+      ? data.blocks.flatMap(block => block.paragraphs.flatMap(paragraph => paragraph.lines))
+      : data.lines || [];
+
+    return lines.map(line => ({
+      text: line.text.trim(),
+      confidence: line.confidence,
+      height: line.bbox.y1 - line.bbox.y0
+    }));
+  } finally {
+    await worker.terminate();
+  }
+};
+
+/**
+ * Cleans OCR noise from a line of cover text
+ * @param {string} text - Raw line
+ * @returns {string} - Letters, digits and basic punctuation only
+ */
+const cleanLine = (text) => text
+  .replace(/[^A-Za-z0-9'’&:,.!?\- ]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Checks whether a line reads like a person's name (2-4 capitalized words)
+ * @param {string} text - Cleaned line
+ * @returns {boolean}
+ */
+const looksLikeName = (text) => /^([A-Z][a-zA-Z'’.-]*\.?\s+){1,3}[A-Z][a-zA-Z'’-]+$/.test(text) ||
+  /^[A-Z][A-Z'’.-]*(\s+[A-Z][A-Z'’.-]*){1,3}$/.test(text);
+
+/**
+ * Picks the likely title and author from OCR lines
+ * The title is usually the biggest text on the cover; the author is a
+ * name-shaped line (or one starting with "by") elsewhere on it.
+ * @param {Array<{text, confidence, height}>} lines - Lines from recognizeCoverText
+ * @returns {object} - { title, author, text }
+ */
+export const extractTitleAndAuthor = (lines) => {
+  const candidates = lines
+    .map(line => ({ ...line, text: cleanLine(line.text) }))
+    .filter(line => line.confidence >= MIN_LINE_CONFIDENCE)
+    .filter(line => (line.text.match(/[A-Za-z]/g) || []).length >= 2)
+    .filter(line => !NOISE_PATTERNS.some(pattern => pattern.test(line.text)));
+
+  // Title lines are the tallest text; neighbouring lines of similar size are part of it
+  const isByLine = (line) => /^by\s+/i.test(line.text);
+  const tallest = Math.max(0, ...candidates.filter(line => !isByLine(line)).map(line => line.height));
+  const titleLines = candidates.filter(line => !isByLine(line) && line.height >= tallest * 0.7);
+  const title = titleLines.map(line => line.text).join(' ');
+
+  // The author is a "by ..." line, or failing that a name-shaped line outside the title
+  let author = '';
+  const byLine = candidates.find(isByLine);
+  if (byLine) {
+    author = byLine.text.replace(/^by\s+/i, '');
+  } else {
+    const nameLine = candidates.find(line => !titleLines.includes(line) && looksLikeName(line.text));
+    if (nameLine) author = nameLine.text;
+  }
+
+  return {
+    title,
+    author,
+    text: candidates.map(line => line.text).join(' ')
+  };
+};
@@ -0,0 +1,295 @@
+/**
+ * CSV Import Utilities
+ *
+ * Column mapping, per-row validation and the dry-run plan used by
+ * CSVImportModal. Nothing here writes to the database; App.jsx applies
+ * the plan once the user confirms it.
+ */
+
+import { READING_STATUS, READING_STATUS_OPTIONS } from '../constants/readingStatus';
+import { normalizeBookFormat } from '../constants/bookFormats';
+import { createDuplicateIndex, describeDuplicate } from './duplicateDetection';
+import { parseSeriesFromTitle } from './seriesHelpers';
+import { parseTagList } from './bookTags';
+
+/**
+ * Book fields a CSV column can be mapped to. `aliases` are header names
+ * (lowercased) recognised automatically, including our own export headers.
+ */
+export const BOOK_IMPORT_FIELDS = [
+  { key: 'title', label: 'Title', required: true, aliases: ['title', 'book title', 'name'] },
+  { key: 'author', label: 'Author', aliases: ['author', 'authors', 'author name', 'writer'] },
+  { key: 'bookshelf', label: 'Bookshelf', aliases: ['bookshelf', 'shelf', 'bookshelf name'] },
+  { key: 'genre', label: 'Genres', aliases: ['genre', 'genres', 'category'] },
+  { key: 'tags', label: 'Tags', aliases: ['tags', 'tag', 'labels'] },
+  { key: 'status', label: 'Reading Status', aliases: ['status', 'reading status', 'read status'] },
+  { key: 'rating', label: 'Rating (0-5)', aliases: ['rating', 'my rating', 'stars', 'star rating'] },
+  { key: 'pageCount', label: 'Pages', aliases: ['pages', 'page count', 'number of pages', 'length'] },
+  { key: 'currentPage', label: 'Current Page', aliases: ['current page', 'page'] },
+  { key: 'startDate', label: 'Start Date', aliases: ['start date', 'date started', 'started'] },
+  { key: 'finishDate', label: 'Finish Date', aliases: ['finish date', 'date finished', 'date read', 'finished'] },
+  { key: 'description', label: 'Description', aliases: ['description', 'summary', 'blurb'] },
+  { key: 'review', label: 'Review', aliases: ['review', 'my review', 'notes'] },
+  { key: 'favoriteCharacter', label: 'Favorite Character', aliases: ['favorite character', 'favourite character'] },
+  { key: 'sceneSummary', label: 'Scene Summary', aliases: ['scene summary'] },
+  { key: 'memorableMoments', label: 'Memorable Moments', aliases: ['memorable moments'] },
+  { key: 'leastFavoritePart', label: 'Least Favorite Part', aliases: ['least favorite part', 'least favourite part'] },
+  { key: 'coverUrl', label: 'Cover Image URL', aliases: ['cover', 'cover url', 'cover image', 'image url'] },
+  { key: 'isbn', label: 'ISBN', aliases: ['isbn', 'isbn13', 'isbn-13', 'isbn10', 'isbn-10'] },
+  { key: 'publisher', label: 'Publisher', aliases: ['publisher', 'published by'] },
+  { key: 'publicationYear', label: 'Publication Year', aliases: ['publication year', 'year published', 'published', 'year'] },
+  { key: 'language', label: 'Language', aliases: ['language', 'lang'] },
+  { key: 'format', label: 'Format', aliases: ['format', 'binding', 'edition format'] },
+  { key: 'series', label: 'Series', aliases: ['series', 'series name'] },
+  { key: 'seriesPosition', label: 'Series Number', aliases: ['series number', 'series position', 'book number', 'number in series'] }
+];
+
+/**
+ * Guesses a column mapping from the CSV headers
+ * @param {Array<string>} headers - Header row
+ * @returns {object} - { [columnIndex]: fieldKey } (unmatched columns are left out)
+ */
+export const guessColumnMapping = (headers) => {
+  const mapping = {};
+  const used = new Set();
+
+  headers.forEach((header, index) => {
+    const normalized = header.trim().toLowerCase();
+    const field = BOOK_IMPORT_FIELDS.find(f => !used.has(f.key) && f.aliases.includes(normalized));
+    if (field) {
+      mapping[index] = field.key;
+      used.add(field.key);
+    }
+  });
+
+  return mapping;
+};
+
+/**
+ * Normalizes a date to YYYY-MM-DD
+ * Accepts YYYY-MM-DD, YYYY/MM/DD and MM/DD/YYYY (optionally with a time part)
+ * @param {string} value - Raw date
+ * @returns {string|null} - Normalized date, or null if it can't be read
+ */
+export const normalizeImportDate = (value) => {
+  const text = (value || '').trim();
+  if (!text) return null;
+
+  let year;
+  let month;
+  let day;
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (match) {
+    [, year, month, day] = match;
+  } else {
+    match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/);
+    if (!match) return null;
+    [, month, day, year] = match;
+  }
+
+  const date = new Date(Number(year), Number(month) - 1, Number(day));
+  if (date.getFullYear() !== Number(year) || date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) {
+    return null;
+  }
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Normalizes a status value (key or label, any case) to a READING_STATUS value
+ * @param {string} value - Raw status
+ * @returns {string|null} - Status, or null if it isn't recognised
+ */
+export const normalizeImportStatus = (value) => {
+  const text = (value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (!text) return null;
+
+  const match = Object.entries(READING_STATUS_OPTIONS).find(([key, option]) =>
+    key === text || option.label.toLowerCase().replace(/\s+/g, '_') === text
+  );
+  if (match) return match[0];
+
+  const aliases = {
+    to_read: READING_STATUS.WANT_TO_READ,
+    currently_reading: READING_STATUS.READING,
+    in_progress: READING_STATUS.READING,
+    read: READING_STATUS.FINISHED,
+    completed: READING_STATUS.FINISHED,
+    dnf: READING_STATUS.ABANDONED,
+    did_not_finish: READING_STATUS.ABANDONED,
+    on_hold: READING_STATUS.PAUSED
+  };
+  return aliases[text] || null;
+};
+
+/**
+ * Parses a whole number
+ * @param {string} value - Raw value
+ * @returns {number|null} - The number, null when blank, NaN when invalid
+ */
+const parseWholeNumber = (value) => {
+  const text = (value || '').trim();
+  if (!text) return null;
+  return /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+};
+
+/**
+ * Maps one CSV row to a book and validates it
+ * @param {Array<string>} row - Row values
+ * @param {object} mapping - { [columnIndex]: fieldKey }
+ * @returns {object} - { book, errors: Array<string> }
+ */
+export const mapRowToBook = (row, mapping) => {
+  const raw = {};
+  Object.entries(mapping).forEach(([index, key]) => {
+    if (key) raw[key] = (row[index] ?? '').trim();
+  });
+
+  const errors = [];
+  // "Fantasy; Adventure" lists several genres, the first is the main one
+  const genres = parseTagList(raw.genre);
+  const book = {
+    title: raw.title || '',
+    author: raw.author || '',
+    bookshelf: raw.bookshelf || '',
+    genre: genres[0] || '',
+    genres,
+    tags: parseTagList(raw.tags),
+    description: raw.description || '',
+    review: raw.review || '',
+    favoriteCharacter: raw.favoriteCharacter || '',
+    sceneSummary: raw.sceneSummary || '',
+    memorableMoments: raw.memorableMoments || '',
+    leastFavoritePart: raw.leastFavoritePart || '',
+    coverUrl: raw.coverUrl || '',
+    isbn: raw.isbn ? raw.isbn.toUpperCase().replace(/[^0-9X]/g, '') || null : null,
+    publisher: raw.publisher || null,
+    publicationYear: null,
+    language: raw.language || null,
+    format: null,
+    series: raw.series || null,
+    seriesPosition: null,
+    status: null,
+    rating: 0,
+    pageCount: null,
+    currentPage: null,
+    startDate: null,
+    finishDate: null
+  };
+
+  if (!book.title) {
+    errors.push('Title is missing');
+  }
+
+  if (raw.status) {
+    book.status = normalizeImportStatus(raw.status);
+    if (!book.status) errors.push(`Unknown status "${raw.status}"`);
+  }
+
+  if (raw.rating) {
+    const rating = Number(raw.rating);
+    if (Number.isNaN(rating) || rating < 0 || rating > 5) {
+      errors.push(`Rating "${raw.rating}" must be between 0 and 5`);
+    } else {
+      book.rating = Math.round(rating);
+    }
+  }
+
+  [['pageCount', 'Pages'], ['currentPage', 'Current page']].forEach(([key, label]) => {
+    const value = parseWholeNumber(raw[key]);
+    if (Number.isNaN(value)) {
+      errors.push(`${label} "${raw[key]}" is not a whole number`);
+    } else {
+      book[key] = value || null;
+    }
+  });
+
+  if (raw.publicationYear) {
+    const year = parseWholeNumber(raw.publicationYear);
+    if (Number.isNaN(year) || year < 1000 || year > new Date().getFullYear() + 1) {
+      errors.push(`Publication year "${raw.publicationYear}" is not a valid year`);
+    } else {
+      book.publicationYear = year;
+    }
+  }
+
+  if (raw.format) {
+    book.format = normalizeBookFormat(raw.format);
+    if (!book.format) errors.push(`Unknown format "${raw.format}"`);
+  }
+
+  if (raw.seriesPosition) {
+    const position = Number(raw.seriesPosition.trim().replace(/^#/, ''));
+    if (Number.isNaN(position) || position <= 0) {
+      errors.push(`Series number "${raw.seriesPosition}" is not a number`);
+    } else {
+      book.seriesPosition = position;
+    }
+  }
+
+  // "Catching Fire (The Hunger Games, #2)" fills in the series when there's no series column
+  const seriesFromTitle = parseSeriesFromTitle(book.title);
+  if (seriesFromTitle && !book.series) {
+    Object.assign(book, seriesFromTitle);
+  }
+
+  [['startDate', 'Start date'], ['finishDate', 'Finish date']].forEach(([key, label]) => {
+    if (!raw[key]) return;
+    book[key] = normalizeImportDate(raw[key]);
+    if (!book[key]) errors.push(`${label} "${raw[key]}" is not a valid date`);
+  });
+
+  if (book.startDate && book.finishDate && book.finishDate < book.startDate) {
+    errors.push('Finish date is before the start date');
+  }
+
+  return { book, errors };
+};
+
+/**
+ * Builds the dry-run plan for an import
+ * Rows matching a book already on the user's shelves (or an earlier row)
+ * are flagged as duplicates and skipped.
+ * @param {Array<Array<string>>} rows - Data rows
+ * @param {object} mapping - { [columnIndex]: fieldKey }
+ * @param {Array} bookshelves - User's existing bookshelves
+ * @param {string} defaultShelfName - Shelf used for rows without a bookshelf value
+ * @returns {object} - { rows, validRows, errorRows, duplicateRows, shelves, newShelves }
+ */
+export const buildImportPlan = (rows, mapping, bookshelves, defaultShelfName) => {
+  const duplicates = createDuplicateIndex(bookshelves);
+
+  const plannedRows = rows.map((row, index) => {
+    const { book, errors } = mapRowToBook(row, mapping);
+    const shelfName = book.bookshelf || defaultShelfName;
+    if (!shelfName) errors.push('No bookshelf to put this book on');
+
+    let duplicateOf = null;
+    if (errors.length === 0) {
+      const match = duplicates.find(book);
+      if (match) {
+        duplicateOf = describeDuplicate(match);
+      } else {
+        duplicates.add(book);
+      }
+    }
+
+    // Row numbers count the header as row 1, like a spreadsheet
+    return { rowNumber: index + 2, book, shelfName, errors, duplicateOf };
+  });
+
+  const validRows = plannedRows.filter(row => row.errors.length === 0 && !row.duplicateOf);
+  const shelves = {};
+  validRows.forEach(row => {
+    shelves[row.shelfName] = (shelves[row.shelfName] || 0) + 1;
+  });
+  const existingNames = new Set(bookshelves.map(shelf => shelf.name));
+
+  return {
+    rows: plannedRows,
+    validRows,
+    errorRows: plannedRows.filter(row => row.errors.length > 0),
+    duplicateRows: plannedRows.filter(row => row.duplicateOf),
+    shelves,
+    newShelves: Object.keys(shelves).filter(name => !existingNames.has(name))
+  };
+};
@@ -0,0 +1,142 @@
+/**
+ * CSV Parser
+ *
+ * RFC 4180 parser that handles quoted fields containing commas, quotes
+ * ("" escapes) and line breaks, plus CRLF/LF/CR line endings and a UTF-8 BOM.
+ * The parser is incremental so large files can be read chunk by chunk.
+ */
+
+/**
+ * Creates an incremental CSV parser
+ * @param {function} onRow - Called with each parsed row (array of strings)
+ * @returns {object} - { push(chunk), end() }
+ */
+export const createCSVParser = (onRow) => {
+  let field = '';
+  let row = [];
+  let inQuotes = false;
+  let quotePending = false; // Saw a quote inside a quoted field; next char decides
+  let skipLineFeed = false; // Last char was CR, so a following LF is part of it
+  let atStart = true;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+
+  const endRow = () => {
+    endField();
+    // Blank lines are not rows
+    if (row.length > 1 || row[0] !== '') {
+      onRow(row);
+    }
+    row = [];
+  };
+
+  const push = (chunk) => {
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (atStart) {
+        atStart = false;
+        if (char === '\uFEFF') continue;
+      }
+
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (char === '\n') continue;
+      }
+
+      if (quotePending) {
+        quotePending = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        // The quote closed the field; handle this char as unquoted
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          quotePending = true;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === ',') {
+        endField();
+      } else if (char === '\r' || char === '\n') {
+        skipLineFeed = char === '\r';
+        endRow();
+      } else {
+        field += char;
+      }
+    }
+  };
+
+  const end = () => {
+    if (field !== '' || row.length > 0 || quotePending) {
+      endRow();
+    }
+  };
+
+  return { push, end };
+};
+
+/**
+ * Parses CSV text into rows
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} - Parsed rows
+ */
+export const parseCSV = (text) => {
+  const rows = [];
+  const parser = createCSVParser(row => rows.push(row));
+  parser.push(text);
+  parser.end();
+  return rows;
+};
+
+/**
+ * Reads and parses a CSV file, streaming it where the browser supports it
+ * @param {File} file - CSV file
+ * @returns {Promise<{headers: Array<string>, rows: Array<Array<string>>}>}
+ */
+export const parseCSVFile = async (file) => {
+  const rows = [];
+  const parser = createCSVParser(row => rows.push(row));
+
+  if (typeof file.stream === 'function' && typeof TextDecoder !== 'undefined') {
+    const reader = file.stream().getReader();
+    const decoder = new TextDecoder('utf-8');
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parser.push(decoder.decode(value, { stream: true }));
+    }
+    parser.push(decoder.decode());
+  } else {
+    parser.push(await file.text());
+  }
+  parser.end();
+
+  const [headerRow = [], ...dataRows] = rows;
+  return {
+    headers: headerRow.map(header => header.trim()),
+    rows: dataRows
+  };
+};
+
+/**
+ * Escapes a value for a CSV field
+ * @param {*} value - Value to write
+ * @returns {string} - Field text, quoted when needed
+ */
+export const toCSVField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
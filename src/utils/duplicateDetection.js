@@ -0,0 +1,271 @@
+/**
+ * Duplicate Detection Utilities
+ *
+ * Fuzzy matching of books by ISBN, normalized title and author. Used when
+ * adding a book, by the CSV / Goodreads / StoryGraph import plans, and by the
+ * library-wide "find duplicates" tool, which also uses mergeBookRecords to
+ * combine two records into one.
+ */
+
+import { READING_STATUS } from '../constants/readingStatus';
+import { getBookStatus, EDITION_FIELDS } from './bookHelpers';
+import { parseTagList, getBookGenres, getBookTags, toGenreFields } from './bookTags';
+
+// Titles at least this similar (0-1) by the same author count as the same book
+const TITLE_SIMILARITY_THRESHOLD = 0.85;
+
+// Free-text fields where the longer (richer) entry wins on merge
+const TEXT_FIELDS = ['description', 'review', 'favoriteCharacter', 'sceneSummary', 'memorableMoments', 'leastFavoritePart'];
+
+// Fields taken from the kept book, falling back to the other when empty
+const FILL_FIELDS = [
+  'author', 'coverUrl', 'pageCount', 'abandonedAtPage', 'abandonReason', 'series', 'seriesPosition',
+  ...EDITION_FIELDS
+];
+
+// Furthest-along status wins when the two records disagree
+const STATUS_RANK = [
+  READING_STATUS.WANT_TO_READ,
+  READING_STATUS.PAUSED,
+  READING_STATUS.READING,
+  READING_STATUS.ABANDONED,
+  READING_STATUS.FINISHED
+];
+
+/**
+ * Normalizes a title for matching
+ * Drops series info like "(The Hunger Games, #1)", subtitles, leading
+ * articles and punctuation
+ * @param {string} title - Book title
+ * @returns {string} - Comparable title
+ */
+export const normalizeTitle = (title) => (title || '')
+  .toLowerCase()
+  .replace(/\([^)]*#[^)]*\)\s*$/, '')
+  .split(':')[0]
+  .trim()
+  .replace(/^(the|a|an)\s+/, '')
+  .replace(/[^a-z0-9]/g, '');
+
+/**
+ * Normalizes an author for matching (first listed author only)
+ * Handles "Last, First" as well as "First Last"
+ * @param {string} author - Author name(s)
+ * @returns {string} - Comparable author
+ */
+export const normalizeAuthor = (author) => {
+  const first = (author || '').split(/&| and |;/)[0].trim();
+  const parts = first.split(',').map(part => part.trim()).filter(Boolean);
+  // "Collins, Suzanne" -> "Suzanne Collins"; "Suzanne Collins, Jane Doe" stays first author
+  const name = parts.length === 2 && !parts[1].includes(' ') ? `${parts[1]} ${parts[0]}` : parts[0] || '';
+  return name.toLowerCase().replace(/[^a-z]/g, '');
+};
+
+/**
+ * Normalizes an ISBN to ISBN-13 so both forms of an edition compare equal
+ * @param {string} value - Raw ISBN (any punctuation)
+ * @returns {string|null} - ISBN-13, or null if it isn't a valid length
+ */
+export const normalizeISBN = (value) => {
+  const isbn = (value || '').toString().toUpperCase().replace(/[^0-9X]/g, '');
+  if (isbn.length === 13) return isbn;
+  if (isbn.length !== 10) return null;
+
+  const core = `978${isbn.slice(0, 9)}`;
+  const sum = core.split('').reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return `${core}${(10 - (sum % 10)) % 10}`;
+};
+
+/**
+ * Gets a book's ISBN-13 from whichever ISBN field it has
+ * @param {object} book - Book
+ * @returns {string|null}
+ */
+const getBookISBN = (book) => normalizeISBN(book.isbn || book.isbn13 || book.isbn10);
+
+/**
+ * Dice coefficient over character bigrams
+ * @param {string} a - Normalized string
+ * @param {string} b - Normalized string
+ * @returns {number} - Similarity from 0 to 1
+ */
+const getSimilarity = (a, b) => {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      overlap++;
+    }
+  }
+
+  return (2 * overlap) / (a.length + b.length - 2);
+};
+
+/**
+ * Checks whether two books look like the same book
+ * @param {object} a - Book
+ * @param {object} b - Book
+ * @returns {boolean}
+ */
+export const isLikelyDuplicate = (a, b) => {
+  const isbnA = getBookISBN(a);
+  if (isbnA && isbnA === getBookISBN(b)) return true;
+
+  const authorA = normalizeAuthor(a.author);
+  const authorB = normalizeAuthor(b.author);
+  if (authorA && authorB && authorA !== authorB) return false;
+
+  const titleA = normalizeTitle(a.title);
+  const titleB = normalizeTitle(b.title);
+  if (!titleA || !titleB) return false;
+  return getSimilarity(titleA, titleB) >= TITLE_SIMILARITY_THRESHOLD;
+};
+
+/**
+ * Creates an index of books to check new books against
+ * Books are bucketed by ISBN and author so lookups stay cheap for big imports
+ * @param {Array} bookshelves - Bookshelves to index (shared-with-me shelves are skipped)
+ * @returns {object} - { add(book, shelf), find(book) => { book, shelf } | null }
+ */
+export const createDuplicateIndex = (bookshelves = []) => {
+  const byISBN = new Map();
+  const byAuthor = new Map();
+
+  const add = (book, shelf = null) => {
+    const entry = { book, shelf };
+    const isbn = getBookISBN(book);
+    if (isbn && !byISBN.has(isbn)) byISBN.set(isbn, entry);
+
+    const author = normalizeAuthor(book.author);
+    if (!byAuthor.has(author)) byAuthor.set(author, []);
+    byAuthor.get(author).push(entry);
+  };
+
+  const find = (book) => {
+    const isbn = getBookISBN(book);
+    if (isbn && byISBN.has(isbn)) return byISBN.get(isbn);
+
+    // Books with no author can match any author and vice versa
+    const author = normalizeAuthor(book.author);
+    const candidates = author
+      ? [...(byAuthor.get(author) || []), ...(byAuthor.get('') || [])]
+      : [...byAuthor.values()].flat();
+    return candidates.find(entry => isLikelyDuplicate(book, entry.book)) || null;
+  };
+
+  bookshelves
+    .filter(shelf => shelf.type !== 'shared_with_me')
+    .forEach(shelf => (shelf.books || []).forEach(book => add(book, shelf)));
+
+  return { add, find };
+};
+
+/**
+ * Finds a book on the user's shelves that looks like the given one
+ * @param {object} book - Book being added (title, author, optional isbn)
+ * @param {Array} bookshelves - User's bookshelves
+ * @returns {object|null} - { book, shelf } for the first match
+ */
+export const findDuplicateBook = (book, bookshelves) => createDuplicateIndex(bookshelves).find(book);
+
+/**
+ * Describes a duplicate match for import previews
+ * @param {object} match - { book, shelf } from a duplicate index
+ * @returns {string} - e.g. "Dune" on Sci-Fi Shelf
+ */
+export const describeDuplicate = (match) => (match.shelf
+  ? `"${match.book.title}" on ${match.shelf.name}`
+  : `"${match.book.title}" earlier in this file`);
+
+/**
+ * Finds groups of likely duplicates across the whole library
+ * @param {Array} bookshelves - User's bookshelves
+ * @returns {Array<Array<{book, shelf}>>} - Groups of two or more entries
+ */
+export const findDuplicateGroups = (bookshelves) => {
+  const entries = bookshelves
+    .filter(shelf => shelf.type !== 'shared_with_me')
+    .flatMap(shelf => (shelf.books || []).map(book => ({ book, shelf })));
+
+  // Union-find so A~B and B~C end up in one group
+  const parent = entries.map((_, index) => index);
+  const root = (index) => (parent[index] === index ? index : (parent[index] = root(parent[index])));
+
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      if (root(i) !== root(j) && isLikelyDuplicate(entries[i].book, entries[j].book)) {
+        parent[root(j)] = root(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  entries.forEach((entry, index) => {
+    const key = root(index);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+
+  return [...groups.values()].filter(group => group.length > 1);
+};
+
+/**
+ * Combines two records of the same book into updates for the kept one
+ * Longer review/notes win, empty fields are filled from the other record,
+ * reading dates span both, genres and tags are combined, and the
+ * furthest-along status wins.
+ * @param {object} keep - Book that stays
+ * @param {object} remove - Book that is merged in and then deleted
+ * @returns {object} - Updates to apply to the kept book
+ */
+export const mergeBookRecords = (keep, remove) => {
+  const updates = {};
+
+  TEXT_FIELDS.forEach(field => {
+    const kept = (keep[field] || '').trim();
+    const other = (remove[field] || '').trim();
+    if (other.length > kept.length) updates[field] = remove[field];
+  });
+
+  FILL_FIELDS.forEach(field => {
+    if (!keep[field] && remove[field]) updates[field] = remove[field];
+  });
+
+  if (!keep.rating && remove.rating) updates.rating = remove.rating;
+  if ((remove.currentPage || 0) > (keep.currentPage || 0)) updates.currentPage = remove.currentPage;
+
+  const earliest = [keep.startDate, remove.startDate].filter(Boolean).sort()[0];
+  if (earliest && earliest !== keep.startDate) updates.startDate = earliest;
+
+  const keepStatus = getBookStatus(keep);
+  const removeStatus = getBookStatus(remove);
+  if (STATUS_RANK.indexOf(removeStatus) > STATUS_RANK.indexOf(keepStatus)) {
+    updates.status = removeStatus;
+  }
+  if ((updates.status || keepStatus) === READING_STATUS.FINISHED) {
+    const latest = [keep.finishDate, remove.finishDate].filter(Boolean).sort().pop();
+    if (latest && latest !== keep.finishDate) updates.finishDate = latest;
+  }
+
+  const sharedWith = [...new Set([...(keep.sharedWith || []), ...(remove.sharedWith || [])])];
+  if (sharedWith.length > (keep.sharedWith || []).length) updates.sharedWith = sharedWith;
+
+  // Genres and tags from both records, the kept book's main genre first
+  const genres = parseTagList([...getBookGenres(keep), ...getBookGenres(remove)]);
+  if (genres.length > getBookGenres(keep).length) Object.assign(updates, toGenreFields(genres));
+  const tags = parseTagList([...getBookTags(keep), ...getBookTags(remove)]);
+  if (tags.length > getBookTags(keep).length) updates.tags = tags;
+
+  return updates;
+};
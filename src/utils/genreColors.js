@@ -1,7 +1,8 @@
 /**
  * Genre Color Mapping
  * 
- * Maps book genres to color schemes for visual badges
+ * Maps book genres to color schemes for visual badges. Keys are the
+ * canonical genres from constants/genreTaxonomy.js.
  */
 
 export const GENRE_COLORS = {
@@ -15,8 +16,13 @@ export const GENRE_COLORS = {
   'Romance': { bg: 'bg-pink-500', text: 'text-white', border: 'border-pink-600' },
   'Historical Fiction': { bg: 'bg-amber-600', text: 'text-white', border: 'border-amber-700' },
   'Literary Fiction': { bg: 'bg-teal-500', text: 'text-white', border: 'border-teal-600' },
+  'Contemporary': { bg: 'bg-sky-600', text: 'text-white', border: 'border-sky-700' },
+  'Classics': { bg: 'bg-stone-600', text: 'text-white', border: 'border-stone-700' },
+  'Paranormal': { bg: 'bg-purple-800', text: 'text-white', border: 'border-purple-900' },
+  'Graphic Novels': { bg: 'bg-orange-600', text: 'text-white', border: 'border-orange-700' },
   
   // Non-fiction genres
+  'Nonfiction': { bg: 'bg-emerald-700', text: 'text-white', border: 'border-emerald-800' },
   'Biography': { bg: 'bg-orange-500', text: 'text-white', border: 'border-orange-600' },
   'Autobiography': { bg: 'bg-orange-400', text: 'text-white', border: 'border-orange-500' },
   'History': { bg: 'bg-amber-700', text: 'text-white', border: 'border-amber-800' },
@@ -87,3 +93,34 @@ export const getShortGenreName = (genre, maxLength = 12) => {
   return genre.substring(0, maxLength - 3) + '...';
 };
 
+
+// Colors for user tags, picked by a hash of the tag so a tag keeps its color
+const TAG_COLORS = [
+  { bg: 'bg-rose-100', text: 'text-rose-800', border: 'border-rose-300' },
+  { bg: 'bg-amber-100', text: 'text-amber-800', border: 'border-amber-300' },
+  { bg: 'bg-lime-100', text: 'text-lime-800', border: 'border-lime-300' },
+  { bg: 'bg-emerald-100', text: 'text-emerald-800', border: 'border-emerald-300' },
+  { bg: 'bg-cyan-100', text: 'text-cyan-800', border: 'border-cyan-300' },
+  { bg: 'bg-sky-100', text: 'text-sky-800', border: 'border-sky-300' },
+  { bg: 'bg-violet-100', text: 'text-violet-800', border: 'border-violet-300' },
+  { bg: 'bg-fuchsia-100', text: 'text-fuchsia-800', border: 'border-fuchsia-300' },
+  { bg: 'bg-orange-100', text: 'text-orange-800', border: 'border-orange-300' },
+  { bg: 'bg-teal-100', text: 'text-teal-800', border: 'border-teal-300' }
+];
+
+/**
+ * Get color scheme for a user tag
+ * Lighter than genre badges so tags and genres can sit side by side
+ * @param {string} tag - The tag
+ * @returns {object} Color scheme object with bg, text, and border classes
+ */
+export const getTagColor = (tag) => {
+  const normalized = (tag || '').trim().toLowerCase();
+  if (!normalized) return { bg: 'bg-gray-100', text: 'text-gray-700', border: 'border-gray-300' };
+
+  let hash = 0;
+  for (let i = 0; i < normalized.length; i++) {
+    hash = (hash * 31 + normalized.charCodeAt(i)) >>> 0;
+  }
+  return TAG_COLORS[hash % TAG_COLORS.length];
+};
@@ -0,0 +1,124 @@
+/**
+ * Level Curve Helpers
+ *
+ * Turns XP totals into levels using a level curve (see constants/levelCurve).
+ * Each helper takes the curve in use, falling back to LEVEL_CURVE. The award
+ * engine runs these on the server as well, so imports carry explicit .js
+ * extensions.
+ */
+
+import { LEVEL_CURVE, LEVEL_CURVE_TYPES, LEVEL_PREVIEW_COUNT } from '../constants/levelCurve.js';
+
+/**
+ * Fills in a stored curve with the defaults for anything it leaves out
+ * @param {object} curve - Curve from bk_app_settings (may be partial or missing)
+ * @returns {object} - Level curve
+ */
+export const normalizeLevelCurve = (curve) => {
+  const merged = { ...LEVEL_CURVE, ...(curve && typeof curve === 'object' ? curve : {}) };
+  return LEVEL_CURVE_TYPES[merged.type] ? merged : { ...merged, type: LEVEL_CURVE.type };
+};
+
+/**
+ * Checks a level curve before it's saved
+ * @param {object} curve - Level curve
+ * @returns {string|null} - What's wrong, or null
+ */
+export const validateLevelCurve = (curve) => {
+  if (!LEVEL_CURVE_TYPES[curve.type]) return 'Choose a curve type';
+  if (!Number.isFinite(curve.startXP) || curve.startXP < 0) return 'Starting XP must be 0 or more';
+  if (curve.type === 'table') {
+    if (!curve.table?.length) return 'List the XP for at least one level';
+    if (curve.table.some(xp => !Number.isInteger(xp) || xp < 1)) return 'Each level needs at least 1 XP';
+    return null;
+  }
+  if (!Number.isFinite(curve.baseXP) || curve.baseXP < 1) return 'Level 1 needs at least 1 XP';
+  if (curve.type === 'linear' && (!Number.isFinite(curve.stepXP) || curve.stepXP < 0)) return 'Extra XP per level must be 0 or more';
+  if (curve.type === 'exponential' && (!Number.isFinite(curve.growth) || curve.growth < 1)) return 'Growth must be at least 1';
+  return null;
+};
+
+/**
+ * Gets the XP it takes to go from a level to the next one
+ * @param {number} level - Level (1 and up)
+ * @param {object} curve - Level curve (defaults to LEVEL_CURVE)
+ * @returns {number}
+ */
+export const getXPForLevelUp = (level, curve = LEVEL_CURVE) => {
+  const step = Math.max(0, level - 1);
+  let cost;
+
+  switch (curve.type) {
+    case 'exponential':
+      cost = curve.baseXP * Math.pow(curve.growth || 1, step);
+      break;
+    case 'table': {
+      const table = curve.table?.length ? curve.table : [curve.baseXP];
+      cost = table[Math.min(step, table.length - 1)];
+      break;
+    }
+    case 'linear':
+    default:
+      cost = curve.baseXP + step * (curve.stepXP || 0);
+  }
+
+  // Every level costs at least 1 XP, so a badly set curve can't loop forever
+  return Math.max(1, Math.round(cost + (step === 0 ? curve.startXP || 0 : 0)));
+};
+
+/**
+ * Works out the level for an XP total
+ * @param {number} totalXP - Total XP
+ * @param {object} curve - Level curve (defaults to LEVEL_CURVE)
+ * @returns {object} - { level, xpToNextLevel }
+ */
+export const getLevelForXP = (totalXP, curve = LEVEL_CURVE) => {
+  let level = 1;
+  let levelStartXP = 0;
+  let cost = getXPForLevelUp(level, curve);
+
+  while (totalXP >= levelStartXP + cost) {
+    levelStartXP += cost;
+    level++;
+    cost = getXPForLevelUp(level, curve);
+  }
+
+  return { level, xpToNextLevel: cost - (totalXP - levelStartXP) };
+};
+
+/**
+ * Gets how far a reader is through their current level, for progress bars
+ * @param {number} totalXP - Total XP
+ * @param {object} curve - Level curve (defaults to LEVEL_CURVE)
+ * @returns {object} - { level, xpIntoLevel, xpForLevel, xpToNextLevel, percent (0-100) }
+ */
+export const getLevelProgress = (totalXP, curve = LEVEL_CURVE) => {
+  const { level, xpToNextLevel } = getLevelForXP(totalXP || 0, curve);
+  const xpForLevel = getXPForLevelUp(level, curve);
+  const xpIntoLevel = xpForLevel - xpToNextLevel;
+
+  return {
+    level,
+    xpIntoLevel,
+    xpForLevel,
+    xpToNextLevel,
+    percent: Math.min(100, Math.round(xpIntoLevel / xpForLevel * 100))
+  };
+};
+
+/**
+ * Lists what each level costs and the XP total that reaches it
+ * @param {object} curve - Level curve (defaults to LEVEL_CURVE)
+ * @param {number} count - Levels to list (defaults to LEVEL_PREVIEW_COUNT)
+ * @returns {Array} - [{ level, xpForLevel (from the level before), totalXP }], starting at level 2
+ */
+export const getLevelCurvePreview = (curve = LEVEL_CURVE, count = LEVEL_PREVIEW_COUNT) => {
+  const preview = [];
+  let totalXP = 0;
+  for (let level = 2; level <= count + 1; level++) {
+    const xpForLevel = getXPForLevelUp(level - 1, curve);
+    totalXP += xpForLevel;
+    preview.push({ level, xpForLevel, totalXP });
+  }
+  return preview;
+};
@@ -0,0 +1,130 @@
+/**
+ * Level Unlock Helpers
+ *
+ * What readers unlock by levelling up (see constants/levelCurve): extra shelf
+ * themes from ANIMAL_THEMES, avatar frames and more shelf slots.
+ */
+
+import { ANIMAL_THEMES } from '../constants/animalThemes';
+import { AVATAR_FRAMES, THEME_UNLOCK_LEVELS, BASE_SHELF_SLOTS, SHELF_SLOT_UNLOCKS, SHELF_SLOTS_SINCE } from '../constants/levelCurve';
+import { isRegularShelf, isSmartShelf } from './shelfHelpers';
+
+/**
+ * Lists every level unlock, lowest level first
+ * @returns {Array} - [{ level, type ('theme' | 'frame' | 'shelfSlots'), key, emoji, label }]
+ */
+export const getLevelUnlocks = () => {
+  const themes = Object.entries(THEME_UNLOCK_LEVELS)
+    .filter(([key]) => ANIMAL_THEMES[key])
+    .map(([key, level]) => ({
+      level,
+      type: 'theme',
+      key,
+      emoji: ANIMAL_THEMES[key].emoji,
+      label: `${ANIMAL_THEMES[key].name} shelf theme`
+    }));
+
+  const frames = Object.entries(AVATAR_FRAMES)
+    .filter(([, frame]) => frame.level > 1)
+    .map(([key, frame]) => ({ level: frame.level, type: 'frame', key, emoji: '🖼️', label: `${frame.name} avatar frame` }));
+
+  const slots = SHELF_SLOT_UNLOCKS.map(unlock => ({
+    level: unlock.level,
+    type: 'shelfSlots',
+    key: `slots_${unlock.level}`,
+    emoji: '📚',
+    label: `${unlock.slots} more shelf ${unlock.slots === 1 ? 'slot' : 'slots'}`
+  }));
+
+  return [...themes, ...frames, ...slots].sort((a, b) => a.level - b.level);
+};
+
+/**
+ * Gets the unlocks reached when going from one level to another
+ * @param {number} fromLevel - Level before (its unlocks are not included)
+ * @param {number} toLevel - Level reached
+ * @returns {Array} - Unlocks (see getLevelUnlocks)
+ */
+export const getUnlocksBetween = (fromLevel, toLevel) =>
+  getLevelUnlocks().filter(unlock => unlock.level > fromLevel && unlock.level <= toLevel);
+
+/**
+ * Gets the next unlock above a level
+ * @param {number} level - Current level
+ * @returns {object|null} - Unlock (see getLevelUnlocks)
+ */
+export const getNextUnlock = (level) => getLevelUnlocks().find(unlock => unlock.level > level) || null;
+
+/**
+ * Gets the level a shelf theme opens up at
+ * @param {string} themeKey - ANIMAL_THEMES key
+ * @returns {number}
+ */
+export const getThemeUnlockLevel = (themeKey) => THEME_UNLOCK_LEVELS[themeKey] || 1;
+
+/**
+ * Lists the shelf themes for a picker, with the ones above the reader's level locked
+ * @param {number} level - Reader's level
+ * @param {string} currentTheme - Theme the shelf already has (never shown as locked)
+ * @returns {Array} - [{ key, theme, unlockLevel, locked }]
+ */
+export const getThemeOptions = (level, currentTheme) => Object.entries(ANIMAL_THEMES).map(([key, theme]) => {
+  const unlockLevel = getThemeUnlockLevel(key);
+  return { key, theme, unlockLevel, locked: key !== currentTheme && unlockLevel > (level || 1) };
+});
+
+/**
+ * Gets the avatar frame for a key, falling back to no frame
+ * @param {string} frameKey - AVATAR_FRAMES key
+ * @returns {object} - { name, level, ring }
+ */
+export const getAvatarFrame = (frameKey) => AVATAR_FRAMES[frameKey] || AVATAR_FRAMES.none;
+
+/**
+ * Checks whether a reader's level has unlocked an avatar frame
+ * @param {string} frameKey - AVATAR_FRAMES key
+ * @param {number} level - Reader's level
+ * @returns {boolean}
+ */
+export const isAvatarFrameUnlocked = (frameKey, level) => getAvatarFrame(frameKey).level <= (level || 1);
+
+/**
+ * Checks whether a shelf takes a slot: the reader's own regular and smart
+ * shelves do; Wishlist, Favorites, Shared with Me and the shelves the app
+ * makes itself (archive, overflow, import) don't
+ * @param {object} shelf - Bookshelf
+ * @returns {boolean}
+ */
+const takesShelfSlot = (shelf) => (isRegularShelf(shelf) || isSmartShelf(shelf)) && !shelf.autoCreated;
+
+/**
+ * Gets how many shelves a reader can own at a level. Readers who had more
+ * shelves before shelf slots started (SHELF_SLOTS_SINCE) keep room for them.
+ * @param {number} level - Reader's level
+ * @param {Array} bookshelves - All bookshelves
+ * @returns {number}
+ */
+export const getShelfSlots = (level, bookshelves = []) => {
+  const levelSlots = BASE_SHELF_SLOTS + SHELF_SLOT_UNLOCKS
+    .filter(unlock => unlock.level <= (level || 1))
+    .reduce((sum, unlock) => sum + unlock.slots, 0);
+  const earlierShelves = bookshelves
+    .filter(shelf => takesShelfSlot(shelf) && shelf.createdAt && shelf.createdAt < SHELF_SLOTS_SINCE)
+    .length;
+  return Math.max(levelSlots, earlierShelves);
+};
+
+/**
+ * Counts the shelves that take a slot
+ * @param {Array} bookshelves - All bookshelves
+ * @returns {number}
+ */
+export const countUsedShelfSlots = (bookshelves = []) => bookshelves.filter(takesShelfSlot).length;
+
+/**
+ * Gets the level that adds the next shelf slots
+ * @param {number} level - Reader's level
+ * @returns {number|null}
+ */
+export const getNextShelfSlotLevel = (level) =>
+  SHELF_SLOT_UNLOCKS.find(unlock => unlock.level > (level || 1))?.level || null;
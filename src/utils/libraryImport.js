@@ -0,0 +1,218 @@
+/**
+ * Library Import Utilities
+ *
+ * Reads Goodreads and StoryGraph library exports and turns them into the
+ * same import plan CSVImportModal produces, so App.jsx can apply either
+ * one the same way. Their exclusive shelves map onto ours:
+ * - read / currently-reading (and StoryGraph's did-not-finish) go to a
+ *   regular bookshelf with the matching reading status
+ * - to-read goes to the wishlist
+ * Goodreads' other (non-exclusive) shelves and StoryGraph's tags become tags.
+ */
+
+import { READING_STATUS } from '../constants/readingStatus';
+import { normalizeBookFormat } from '../constants/bookFormats';
+import { normalizeImportDate } from './csvImport';
+import { createDuplicateIndex, describeDuplicate } from './duplicateDetection';
+import { parseSeriesFromTitle } from './seriesHelpers';
+import { parseTagList } from './bookTags';
+
+export const LIBRARY_SOURCES = {
+  goodreads: {
+    label: 'Goodreads',
+    // Headers that only appear in a Goodreads "Export Library" file
+    signature: ['book id', 'exclusive shelf', 'my rating']
+  },
+  storygraph: {
+    label: 'StoryGraph',
+    signature: ['isbn/uid', 'read status', 'star rating']
+  }
+};
+
+const SHELF_MAPPING = {
+  read: { shelfType: 'regular', status: READING_STATUS.FINISHED },
+  'currently-reading': { shelfType: 'regular', status: READING_STATUS.READING },
+  'did-not-finish': { shelfType: 'regular', status: READING_STATUS.ABANDONED },
+  'to-read': { shelfType: 'wishlist', status: READING_STATUS.WANT_TO_READ }
+};
+
+/**
+ * Detects whether a CSV is a Goodreads or StoryGraph export
+ * @param {Array<string>} headers - Header row
+ * @returns {string|null} - Key of LIBRARY_SOURCES, or null for any other CSV
+ */
+export const detectLibrarySource = (headers) => {
+  const normalized = headers.map(header => header.trim().toLowerCase());
+  const match = Object.entries(LIBRARY_SOURCES).find(([, source]) =>
+    source.signature.every(header => normalized.includes(header))
+  );
+  return match ? match[0] : null;
+};
+
+/**
+ * Cleans an ISBN from an export
+ * Goodreads wraps ISBNs as ="0439023483" so spreadsheets keep leading zeros
+ * @param {string} value - Raw ISBN
+ * @returns {string|null} - Digits (and a trailing X for ISBN-10), or null
+ */
+export const cleanISBN = (value) => {
+  const isbn = (value || '').toUpperCase().replace(/[^0-9X]/g, '');
+  return isbn.length === 10 || isbn.length === 13 ? isbn : null;
+};
+
+/**
+ * Converts review HTML from Goodreads (<br/> line breaks, links) to text
+ * @param {string} value - Raw review
+ * @returns {string} - Plain text review
+ */
+const cleanReview = (value) => (value || '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&amp;/g, '&')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .trim();
+
+/**
+ * Reads the last date range from StoryGraph's "Dates Read" column
+ * e.g. "2022/12/29-2023/01/05, 2024/03/01-2024/03/09"
+ * @param {string} value - Raw dates read
+ * @returns {object} - { startDate, finishDate }
+ */
+const parseDatesRead = (value) => {
+  const ranges = (value || '').split(',').map(range => range.trim()).filter(Boolean);
+  if (ranges.length === 0) return { startDate: null, finishDate: null };
+
+  const [start, finish] = ranges[ranges.length - 1].split('-').map(date => date.trim());
+  return {
+    startDate: finish ? normalizeImportDate(start) : null,
+    finishDate: normalizeImportDate(finish || start)
+  };
+};
+
+/**
+ * Maps one export row to a book
+ * @param {string} source - Key of LIBRARY_SOURCES
+ * @param {object} record - Row keyed by lowercased header
+ * @returns {object} - { book, sourceShelf, shelfType, errors }
+ */
+export const mapLibraryRecord = (source, record) => {
+  const get = (header) => (record[header] || '').trim();
+  const errors = [];
+  let book;
+  let sourceShelf;
+
+  if (source === 'goodreads') {
+    sourceShelf = get('exclusive shelf').toLowerCase();
+    book = {
+      title: get('title'),
+      author: get('author'),
+      isbn: cleanISBN(get('isbn13')) || cleanISBN(get('isbn')),
+      isbn13: cleanISBN(get('isbn13')),
+      isbn10: cleanISBN(get('isbn')),
+      publisher: get('publisher') || null,
+      publicationYear: parseInt(get('year published'), 10) || parseInt(get('original publication year'), 10) || null,
+      format: normalizeBookFormat(get('binding')),
+      rating: parseInt(get('my rating'), 10) || 0,
+      pageCount: parseInt(get('number of pages'), 10) || null,
+      startDate: null,
+      finishDate: normalizeImportDate(get('date read')),
+      review: cleanReview(get('my review')),
+      // "Bookshelves" also lists the exclusive shelf, which is already the status
+      tags: parseTagList(get('bookshelves'))
+        .filter(shelf => shelf.toLowerCase() !== sourceShelf && !SHELF_MAPPING[shelf.toLowerCase()])
+    };
+  } else {
+    sourceShelf = get('read status').toLowerCase();
+    const { startDate, finishDate } = parseDatesRead(get('dates read'));
+    book = {
+      title: get('title'),
+      author: get('authors'),
+      isbn: cleanISBN(get('isbn/uid')),
+      format: normalizeBookFormat(get('format')),
+      // StoryGraph allows quarter stars; we store whole stars
+      rating: Math.round(parseFloat(get('star rating'))) || 0,
+      pageCount: null,
+      startDate,
+      finishDate: finishDate || normalizeImportDate(get('last date read')),
+      review: cleanReview(get('review')),
+      tags: parseTagList(get('tags'))
+    };
+  }
+
+  // Goodreads titles carry the series, e.g. "Catching Fire (The Hunger Games, #2)"
+  const seriesFromTitle = parseSeriesFromTitle(book.title);
+  if (seriesFromTitle) {
+    Object.assign(book, seriesFromTitle);
+  }
+
+  // Custom Goodreads exclusive shelves keep an inferred status on a regular shelf
+  const mapped = SHELF_MAPPING[sourceShelf] || { shelfType: 'regular', status: null };
+  book.status = mapped.status;
+  if (book.status !== READING_STATUS.FINISHED) {
+    book.finishDate = null;
+  }
+
+  if (!book.title) errors.push('Title is missing');
+
+  return { book, sourceShelf: sourceShelf || 'unshelved', shelfType: mapped.shelfType, errors };
+};
+
+/**
+ * Builds the import plan for a Goodreads or StoryGraph export, skipping
+ * books already on the user's shelves (and repeats within the file)
+ * @param {string} source - Key of LIBRARY_SOURCES
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Array<string>>} rows - Data rows
+ * @param {Array} bookshelves - User's existing bookshelves
+ * @param {object} targets - { regular: shelf name, wishlist: shelf name }
+ * @returns {object} - { rows, validRows, errorRows, duplicateRows, shelves, newShelves, shelfTypes }
+ */
+export const buildLibraryImportPlan = (source, headers, rows, bookshelves, targets) => {
+  const keys = headers.map(header => header.trim().toLowerCase());
+  const ownShelves = bookshelves.filter(shelf => shelf.type !== 'shared_with_me');
+  const duplicates = createDuplicateIndex(ownShelves);
+
+  const plannedRows = rows.map((row, index) => {
+    const record = {};
+    keys.forEach((key, column) => {
+      record[key] = row[column];
+    });
+
+    const { book, sourceShelf, shelfType, errors } = mapLibraryRecord(source, record);
+    const shelfName = targets[shelfType] || '';
+    if (!shelfName) errors.push('No bookshelf to put this book on');
+
+    let duplicateOf = null;
+    if (errors.length === 0) {
+      const match = duplicates.find(book);
+      if (match) {
+        duplicateOf = describeDuplicate(match);
+      } else {
+        duplicates.add(book);
+      }
+    }
+
+    // Row numbers count the header as row 1, like a spreadsheet
+    return { rowNumber: index + 2, book, sourceShelf, shelfType, shelfName, errors, duplicateOf };
+  });
+
+  const validRows = plannedRows.filter(row => row.errors.length === 0 && !row.duplicateOf);
+  const shelves = {};
+  const shelfTypes = {};
+  validRows.forEach(row => {
+    shelves[row.shelfName] = (shelves[row.shelfName] || 0) + 1;
+    shelfTypes[row.shelfName] = row.shelfType;
+  });
+  const existingNames = new Set(ownShelves.map(shelf => shelf.name));
+
+  return {
+    rows: plannedRows,
+    validRows,
+    errorRows: plannedRows.filter(row => row.errors.length > 0),
+    duplicateRows: plannedRows.filter(row => row.duplicateOf),
+    shelves,
+    newShelves: Object.keys(shelves).filter(name => !existingNames.has(name)),
+    shelfTypes
+  };
+};
@@ -0,0 +1,248 @@
+/**
+ * Library Search
+ *
+ * Full-text search and facet filters over every book in a library. Text
+ * search matches title, author, series, genres, tags and everything the
+ * reader wrote (review and reading notes). Facets narrow the results:
+ * a book must match every facet that's set, and any one value within a
+ * facet, except tags, where it must have all of them.
+ *
+ * The same filters define smart shelves, so they're kept serializable and
+ * dates can be relative ("this year") as well as fixed.
+ */
+
+import { getBookStatus } from './bookHelpers';
+import { getBookGenres, getBookTags, bookHasAllTags } from './bookTags';
+
+export const EMPTY_LIBRARY_FILTERS = {
+  query: '',
+  minRating: 0,
+  maxRating: 5,
+  genres: [],
+  tags: [],
+  statuses: [],
+  shelfIds: [],
+  finishedFrom: '',
+  finishedTo: '',
+  finishedPeriod: '',
+  withFields: [],
+  withoutFields: [],
+  sort: 'shelf'
+};
+
+export const LIBRARY_SORT_OPTIONS = {
+  shelf: { label: 'Shelf order' },
+  title: { label: 'Title (A-Z)' },
+  author: { label: 'Author (A-Z)' },
+  rating: { label: 'Highest rated' },
+  finished: { label: 'Recently finished' }
+};
+
+// Finish dates relative to today, so saved filters stay current
+export const FINISHED_PERIOD_OPTIONS = {
+  this_year: { label: 'This year' },
+  last_year: { label: 'Last year' },
+  last_30_days: { label: 'Last 30 days' },
+  last_12_months: { label: 'Last 12 months' }
+};
+
+// Fields a book can be filtered on having filled in, or not
+export const NOTE_FIELD_OPTIONS = {
+  review: { label: 'Review' },
+  favoriteCharacter: { label: 'Favorite character' },
+  sceneSummary: { label: 'Scene summary' },
+  memorableMoments: { label: 'Memorable moments' },
+  leastFavoritePart: { label: 'Least favorite part' },
+  series: { label: 'Series' }
+};
+
+// Book fields searched by the text query
+const SEARCH_FIELDS = [
+  'title', 'author', 'series', 'publisher', 'description', 'review', 'favoriteCharacter',
+  'sceneSummary', 'memorableMoments', 'leastFavoritePart', 'abandonReason'
+];
+
+/**
+ * Lowercases and strips accents so "Pokémon" matches "pokemon"
+ * @param {string} value - Text
+ * @returns {string}
+ */
+const toSearchText = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+/**
+ * Splits a query into terms; "quoted phrases" stay together
+ * @param {string} query - Search box text
+ * @returns {Array<string>}
+ */
+const getQueryTerms = (query) => (toSearchText(query).match(/"[^"]+"|\S+/g) || [])
+  .map(term => term.replace(/"/g, '').trim())
+  .filter(Boolean);
+
+/**
+ * Checks whether a book contains every term of a query
+ * @param {object} book - Book
+ * @param {string} query - Search box text
+ * @returns {boolean}
+ */
+export const bookMatchesQuery = (book, query) => {
+  const terms = getQueryTerms(query);
+  if (terms.length === 0) return true;
+
+  const text = toSearchText([
+    ...SEARCH_FIELDS.map(field => book[field]),
+    ...getBookGenres(book),
+    ...getBookTags(book)
+  ].filter(Boolean).join(' \n '));
+  return terms.every(term => text.includes(term));
+};
+
+/**
+ * Formats a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+const toDateString = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Turns a relative finish period into dates
+ * @param {string} period - FINISHED_PERIOD_OPTIONS key
+ * @param {Date} now - Today
+ * @returns {object|null} - { from, to } as YYYY-MM-DD, or null for an unknown period
+ */
+export const getFinishedPeriodRange = (period, now = new Date()) => {
+  const year = now.getFullYear();
+  switch (period) {
+    case 'this_year': return { from: `${year}-01-01`, to: `${year}-12-31` };
+    case 'last_year': return { from: `${year - 1}-01-01`, to: `${year - 1}-12-31` };
+    case 'last_30_days': {
+      const from = new Date(now);
+      from.setDate(from.getDate() - 30);
+      return { from: toDateString(from), to: toDateString(now) };
+    }
+    case 'last_12_months': {
+      const from = new Date(now);
+      from.setFullYear(from.getFullYear() - 1);
+      return { from: toDateString(from), to: toDateString(now) };
+    }
+    default: return null;
+  }
+};
+
+/**
+ * Checks whether a book has a text field filled in
+ * @param {object} book - Book
+ * @param {string} field - NOTE_FIELD_OPTIONS key
+ * @returns {boolean}
+ */
+const hasField = (book, field) => String(book[field] ?? '').trim() !== '';
+
+/**
+ * Checks whether a book passes the facet filters
+ * @param {object} book - Book
+ * @param {object} filters - Library filters (see EMPTY_LIBRARY_FILTERS)
+ * @param {object} shelf - Shelf the book is on
+ * @returns {boolean}
+ */
+export const bookMatchesFilters = (book, filters, shelf) => {
+  const rating = book.rating || 0;
+  if (rating < filters.minRating || rating > filters.maxRating) return false;
+
+  if (filters.genres.length > 0) {
+    const genres = getBookGenres(book).map(genre => genre.toLowerCase());
+    if (!filters.genres.some(genre => genres.includes(genre.toLowerCase()))) return false;
+  }
+
+  if (!bookHasAllTags(book, filters.tags)) return false;
+
+  if (filters.statuses.length > 0 && !filters.statuses.includes(getBookStatus(book))) return false;
+  if (filters.shelfIds.length > 0 && !filters.shelfIds.includes(shelf?.id)) return false;
+
+  const period = getFinishedPeriodRange(filters.finishedPeriod);
+  const finishedFrom = period ? period.from : filters.finishedFrom;
+  const finishedTo = period ? period.to : filters.finishedTo;
+  if (finishedFrom || finishedTo) {
+    const finished = (book.finishDate || '').slice(0, 10);
+    if (!finished) return false;
+    if (finishedFrom && finished < finishedFrom) return false;
+    if (finishedTo && finished > finishedTo) return false;
+  }
+
+  if (!filters.withFields.every(field => hasField(book, field))) return false;
+  if (filters.withoutFields.some(field => hasField(book, field))) return false;
+
+  return bookMatchesQuery(book, filters.query);
+};
+
+/**
+ * Fills in any filters missing from a saved preset or older state
+ * @param {object} filters - Partial library filters
+ * @returns {object} - Complete library filters
+ */
+export const toLibraryFilters = (filters = {}) => ({ ...EMPTY_LIBRARY_FILTERS, ...filters });
+
+/**
+ * Counts the filters that narrow the library (sort doesn't count)
+ * @param {object} filters - Library filters
+ * @returns {number}
+ */
+export const countActiveFilters = (filters) => [
+  filters.query.trim(),
+  filters.minRating > EMPTY_LIBRARY_FILTERS.minRating || filters.maxRating < EMPTY_LIBRARY_FILTERS.maxRating,
+  filters.genres.length,
+  filters.tags.length,
+  filters.statuses.length,
+  filters.shelfIds.length,
+  filters.finishedPeriod || filters.finishedFrom || filters.finishedTo,
+  filters.withFields.length,
+  filters.withoutFields.length
+].filter(Boolean).length;
+
+/**
+ * Checks whether any filter narrows the library
+ * @param {object} filters - Library filters
+ * @returns {boolean}
+ */
+export const hasActiveFilters = (filters) => countActiveFilters(filters) > 0;
+
+const compareText = (a, b) => String(a || '').localeCompare(String(b || ''), undefined, { sensitivity: 'base' });
+
+const SORT_COMPARATORS = {
+  title: (a, b) => compareText(a.title, b.title),
+  author: (a, b) => compareText(a.author, b.author) || compareText(a.title, b.title),
+  rating: (a, b) => (b.rating || 0) - (a.rating || 0) || compareText(a.title, b.title),
+  // Unfinished books go last
+  finished: (a, b) => compareText(b.finishDate, a.finishDate) || compareText(a.title, b.title)
+};
+
+/**
+ * Sorts books by one of LIBRARY_SORT_OPTIONS
+ * @param {Array} books - Books (not changed)
+ * @param {string} sort - LIBRARY_SORT_OPTIONS key; 'shelf' keeps the given order
+ * @returns {Array}
+ */
+export const sortBooks = (books, sort) => {
+  const comparator = SORT_COMPARATORS[sort];
+  return comparator ? [...books].sort(comparator) : books;
+};
+
+/**
+ * Searches a whole library
+ * @param {Array} bookshelves - Bookshelves with books
+ * @param {object} filters - Library filters
+ * @returns {Array} - [{ book, shelf }] in the chosen sort order
+ */
+export const searchLibrary = (bookshelves, filters) => {
+  const matches = bookshelves.flatMap(shelf => (shelf.books || [])
+    .filter(book => bookMatchesFilters(book, filters, shelf))
+    .map(book => ({ book, shelf })));
+
+  const comparator = SORT_COMPARATORS[filters.sort];
+  return comparator ? matches.sort((a, b) => comparator(a.book, b.book)) : matches;
+};
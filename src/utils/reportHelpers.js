@@ -0,0 +1,143 @@
+/**
+ * Reading Report Helpers
+ *
+ * Period math and book summaries shared by the report service and the
+ * reports modal. Periods are inclusive YYYY-MM-DD strings; weeks start on
+ * Monday to match the weekly reading streak.
+ */
+
+export const REPORT_TYPES = ['weekly', 'monthly', 'yearly'];
+
+/**
+ * Formats a Date as a local YYYY-MM-DD string
+ * @param {Date} date - Date to format
+ * @returns {string} - Date string
+ */
+const toDateString = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Gets the period a report covers
+ * @param {string} reportType - 'weekly', 'monthly' or 'yearly'
+ * @param {Date} referenceDate - Any date inside the period (defaults to today)
+ * @returns {object} - { periodStart, periodEnd }
+ */
+export const getReportPeriod = (reportType, referenceDate = new Date()) => {
+  const date = new Date(referenceDate.getFullYear(), referenceDate.getMonth(), referenceDate.getDate());
+
+  if (reportType === 'weekly') {
+    const dayOfWeek = date.getDay() || 7; // Sunday counts as the end of the week
+    const monday = new Date(date);
+    monday.setDate(date.getDate() - dayOfWeek + 1);
+    const sunday = new Date(monday);
+    sunday.setDate(monday.getDate() + 6);
+    return { periodStart: toDateString(monday), periodEnd: toDateString(sunday) };
+  }
+
+  if (reportType === 'yearly') {
+    return {
+      periodStart: toDateString(new Date(date.getFullYear(), 0, 1)),
+      periodEnd: toDateString(new Date(date.getFullYear(), 11, 31))
+    };
+  }
+
+  return {
+    periodStart: toDateString(new Date(date.getFullYear(), date.getMonth(), 1)),
+    periodEnd: toDateString(new Date(date.getFullYear(), date.getMonth() + 1, 0))
+  };
+};
+
+/**
+ * Moves a reference date forward or back by whole report periods
+ * @param {string} reportType - 'weekly', 'monthly' or 'yearly'
+ * @param {Date} referenceDate - Date inside the current period
+ * @param {number} steps - Number of periods to move (negative goes back)
+ * @returns {Date} - Date inside the target period
+ */
+export const shiftReportPeriod = (reportType, referenceDate, steps) => {
+  const date = new Date(referenceDate);
+  if (reportType === 'weekly') {
+    date.setDate(date.getDate() + steps * 7);
+  } else if (reportType === 'yearly') {
+    date.setFullYear(date.getFullYear() + steps);
+  } else {
+    // Pin to the 1st so stepping from the 31st doesn't skip a short month
+    date.setDate(1);
+    date.setMonth(date.getMonth() + steps);
+  }
+  return date;
+};
+
+/**
+ * Builds a human readable label for a report period
+ * @param {string} reportType - 'weekly', 'monthly' or 'yearly'
+ * @param {string} periodStart - Period start (YYYY-MM-DD)
+ * @param {string} periodEnd - Period end (YYYY-MM-DD)
+ * @returns {string} - e.g. "March 2025", "2025", "Mar 3 – Mar 9, 2025"
+ */
+export const formatReportPeriod = (reportType, periodStart, periodEnd) => {
+  const start = new Date(periodStart + 'T00:00:00');
+  const end = new Date(periodEnd + 'T00:00:00');
+
+  if (reportType === 'yearly') {
+    return String(start.getFullYear());
+  }
+  if (reportType === 'monthly') {
+    return start.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  }
+
+  const startLabel = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  const endLabel = end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  return `${startLabel} – ${endLabel}`;
+};
+
+/**
+ * Counts values and returns them sorted by frequency
+ * @param {Array} values - Values to count (empty values are skipped)
+ * @returns {Array} - [{ name, count }] sorted by count, highest first
+ */
+const countBreakdown = (values) => {
+  const counts = {};
+  values.forEach(value => {
+    const name = (value || '').trim();
+    if (name) {
+      counts[name] = (counts[name] || 0) + 1;
+    }
+  });
+
+  return Object.entries(counts)
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+/**
+ * Summarizes the books finished during a report period
+ * @param {Array} books - Finished books in app format
+ * @returns {object} - { booksRead, averageRating, genreBreakdown, authorBreakdown, finishedBooks }
+ */
+export const summarizeFinishedBooks = (books) => {
+  const finished = Array.isArray(books) ? books : [];
+  const rated = finished.filter(book => book.rating > 0);
+  const averageRating = rated.length > 0
+    ? Math.round((rated.reduce((sum, book) => sum + book.rating, 0) / rated.length) * 10) / 10
+    : null;
+
+  return {
+    booksRead: finished.length,
+    averageRating,
+    genreBreakdown: countBreakdown(finished.map(book => book.genre)),
+    authorBreakdown: countBreakdown(finished.map(book => book.author)),
+    finishedBooks: finished.map(book => ({
+      id: book.id,
+      title: book.title,
+      author: book.author || '',
+      rating: book.rating || 0,
+      finishDate: book.finishDate,
+      coverUrl: book.coverUrl || ''
+    }))
+  };
+};
@@ -0,0 +1,250 @@
+/**
+ * Series Helpers
+ *
+ * Detects which series a book belongs to, from a "(Series, #2)" suffix on
+ * its title (Goodreads and many catalogs add one) or from the series list in
+ * data/series.js, and builds the series view: every series in the library
+ * with the entries the user has read, owns, has wishlisted or is missing,
+ * plus the next unread entry to suggest.
+ */
+
+import { BOOK_SERIES } from '../data/series';
+import { READING_STATUS } from '../constants/readingStatus';
+import { getBookStatus } from './bookHelpers';
+import { normalizeAuthor } from './duplicateDetection';
+
+// "Catching Fire (The Hunger Games, #2)", "Title (Series Book 3)", "Title (Series, Vol. 1)"
+const SERIES_SUFFIX = /\s*\(([^()]+?),?\s+(?:#|book\s+|vol\.?\s*|volume\s+)(\d+(?:\.\d+)?)[^()]*\)\s*$/i;
+
+// Catalog titles shorter than this must match a book's title exactly
+const MIN_SUFFIX_MATCH_LENGTH = 6;
+
+export const SERIES_ENTRY_STATE = {
+  READ: 'read',
+  READING: 'reading',
+  OWNED: 'owned',
+  WISHLIST: 'wishlist',
+  MISSING: 'missing'
+};
+
+export const SERIES_ENTRY_STATE_OPTIONS = {
+  [SERIES_ENTRY_STATE.READ]: { label: 'Read', color: 'bg-green-100 text-green-800 border-green-300' },
+  [SERIES_ENTRY_STATE.READING]: { label: 'Reading', color: 'bg-blue-100 text-blue-800 border-blue-300' },
+  [SERIES_ENTRY_STATE.OWNED]: { label: 'On a shelf', color: 'bg-indigo-100 text-indigo-800 border-indigo-300' },
+  [SERIES_ENTRY_STATE.WISHLIST]: { label: 'Wishlist', color: 'bg-pink-100 text-pink-800 border-pink-300' },
+  [SERIES_ENTRY_STATE.MISSING]: { label: 'Missing', color: 'bg-gray-50 text-gray-500 border-dashed border-gray-300' }
+};
+
+/**
+ * Normalizes a title for series matching
+ * Drops a series suffix, leading article and punctuation
+ * @param {string} title - Book title
+ * @returns {string}
+ */
+const getTitleKey = (title) => (title || '')
+  .replace(SERIES_SUFFIX, '')
+  .toLowerCase()
+  .trim()
+  .replace(/^(the|a|an)\s+/, '')
+  .replace(/[^a-z0-9]/g, '');
+
+/**
+ * Normalizes a series name so "Hunger Games" and "The Hunger Games" group together
+ * @param {string} name - Series name
+ * @returns {string}
+ */
+export const getSeriesKey = (name) => getTitleKey(name);
+
+/**
+ * Reads a "(Series, #2)" suffix off a title
+ * @param {string} title - Book title
+ * @returns {object|null} - { title (without the suffix), series, seriesPosition }
+ */
+export const parseSeriesFromTitle = (title) => {
+  const match = (title || '').match(SERIES_SUFFIX);
+  if (!match) return null;
+  return {
+    title: title.slice(0, match.index).trim(),
+    series: match[1].trim(),
+    seriesPosition: parseFloat(match[2])
+  };
+};
+
+/**
+ * Checks whether a book's title is a catalog entry's title
+ * Also accepts titles with the series name in front, like
+ * "Mistborn: The Final Empire" or "Percy Jackson and the Lightning Thief"
+ * @param {string} bookKey - Title key of the book
+ * @param {string} entryKey - Title key of the catalog entry
+ * @returns {boolean}
+ */
+const isCatalogTitleMatch = (bookKey, entryKey) => (
+  bookKey === entryKey || (entryKey.length >= MIN_SUFFIX_MATCH_LENGTH && bookKey.endsWith(entryKey))
+);
+
+/**
+ * Looks a book up in the series catalog
+ * @param {object} book - { title, author }
+ * @returns {object|null} - { series, seriesPosition }
+ */
+const findCatalogSeries = ({ title, author }) => {
+  const bookKey = getTitleKey(title);
+  if (!bookKey) return null;
+  const authorKey = normalizeAuthor(author);
+
+  for (const series of BOOK_SERIES) {
+    if (authorKey && normalizeAuthor(series.author) !== authorKey) continue;
+    const index = series.books.findIndex(entry => isCatalogTitleMatch(bookKey, getTitleKey(entry)));
+    if (index !== -1) return { series: series.name, seriesPosition: index + 1 };
+  }
+  return null;
+};
+
+/**
+ * Works out a book's series from its title or the series catalog
+ * @param {object} book - { title, author }
+ * @returns {object|null} - { title, series, seriesPosition }; title has any series suffix removed
+ */
+export const detectSeries = (book) => {
+  const parsed = parseSeriesFromTitle(book.title);
+  if (parsed) return parsed;
+
+  const found = findCatalogSeries(book);
+  return found ? { title: book.title, ...found } : null;
+};
+
+/**
+ * Gets the series to save with a new book: what the user entered, or a detected one
+ * @param {object} book - { title, author, series, seriesPosition }
+ * @returns {object} - { series, seriesPosition } (null when there's no series)
+ */
+export const getSeriesDetails = (book) => {
+  const series = (book.series || '').trim();
+  if (series) return { series, seriesPosition: parseFloat(book.seriesPosition) || null };
+
+  const detected = detectSeries(book);
+  return { series: detected?.series || null, seriesPosition: detected?.seriesPosition ?? null };
+};
+
+/**
+ * Gets a book's series, using what's saved on it before detecting one
+ * @param {object} book - Book
+ * @returns {object|null} - { series, seriesPosition }
+ */
+const getBookSeries = (book) => {
+  if (book.series) return { series: book.series, seriesPosition: book.seriesPosition ?? null };
+  const detected = detectSeries(book);
+  return detected ? { series: detected.series, seriesPosition: detected.seriesPosition } : null;
+};
+
+/**
+ * Gets where a book stands in the user's reading
+ * @param {object} book - Book
+ * @param {object} shelf - Shelf it's on
+ * @returns {string} - SERIES_ENTRY_STATE value
+ */
+const getEntryState = (book, shelf) => {
+  const status = getBookStatus(book);
+  if (status === READING_STATUS.FINISHED) return SERIES_ENTRY_STATE.READ;
+  if (status === READING_STATUS.READING) return SERIES_ENTRY_STATE.READING;
+  if (shelf.type === 'wishlist') return SERIES_ENTRY_STATE.WISHLIST;
+  return SERIES_ENTRY_STATE.OWNED;
+};
+
+// Most-progressed copy wins when the user has an entry more than once
+const STATE_RANK = [
+  SERIES_ENTRY_STATE.MISSING,
+  SERIES_ENTRY_STATE.WISHLIST,
+  SERIES_ENTRY_STATE.OWNED,
+  SERIES_ENTRY_STATE.READING,
+  SERIES_ENTRY_STATE.READ
+];
+
+/**
+ * Builds the series view for a library
+ * Catalog series list every entry so missing ones show up; other series list
+ * the user's books and any gaps in their numbering.
+ * @param {Array} bookshelves - User's bookshelves (shared-with-me shelves are skipped)
+ * @returns {Array} - [{ key, name, author, entries: [{ position, title, book, shelf, state }], readCount, nextUp }]
+ */
+export const buildSeriesOverview = (bookshelves = []) => {
+  const groups = new Map();
+
+  bookshelves
+    .filter(shelf => shelf.type !== 'shared_with_me')
+    .forEach(shelf => (shelf.books || []).forEach(book => {
+      const bookSeries = getBookSeries(book);
+      if (!bookSeries) return;
+      const key = getSeriesKey(bookSeries.series);
+      if (!groups.has(key)) groups.set(key, { name: bookSeries.series, author: book.author || '', owned: [] });
+      groups.get(key).owned.push({ book, shelf, position: bookSeries.seriesPosition, state: getEntryState(book, shelf) });
+    }));
+
+  return [...groups.entries()].map(([key, group]) => {
+    const catalog = BOOK_SERIES.find(series => getSeriesKey(series.name) === key);
+    const entries = new Map();
+
+    if (catalog) {
+      catalog.books.forEach((title, index) => {
+        entries.set(index + 1, { position: index + 1, title, book: null, shelf: null, state: SERIES_ENTRY_STATE.MISSING });
+      });
+    }
+
+    const unnumbered = [];
+    group.owned.forEach(item => {
+      const position = item.position ?? (catalog ? findCatalogSeries(item.book)?.seriesPosition : null);
+      if (position == null) {
+        unnumbered.push({ position: null, title: item.book.title, ...item });
+        return;
+      }
+      const existing = entries.get(position);
+      if (!existing || STATE_RANK.indexOf(item.state) > STATE_RANK.indexOf(existing.state)) {
+        entries.set(position, { position, title: existing?.title || item.book.title, ...item });
+      }
+    });
+
+    // Gaps in the numbering of series we don't have a catalog entry for
+    if (!catalog) {
+      const whole = [...entries.keys()].filter(Number.isInteger);
+      for (let position = 1; position < Math.max(0, ...whole); position++) {
+        if (!entries.has(position)) {
+          entries.set(position, { position, title: null, book: null, shelf: null, state: SERIES_ENTRY_STATE.MISSING });
+        }
+      }
+    }
+
+    const ordered = [...[...entries.values()].sort((a, b) => a.position - b.position), ...unnumbered];
+    const furthestRead = Math.max(0, ...ordered
+      .filter(entry => entry.state === SERIES_ENTRY_STATE.READ && entry.position != null)
+      .map(entry => entry.position));
+    const nextUp = furthestRead > 0
+      ? ordered.find(entry => entry.position > furthestRead && entry.state !== SERIES_ENTRY_STATE.READ) || null
+      : null;
+
+    return {
+      key,
+      name: catalog?.name || group.name,
+      author: catalog?.author || group.author,
+      entries: ordered,
+      readCount: ordered.filter(entry => entry.state === SERIES_ENTRY_STATE.READ).length,
+      nextUp
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Finds the next book to get in each series the user has started
+ * Only entries the user doesn't have yet (and whose title is known) count,
+ * so these can go straight onto the wishlist or into recommendations.
+ * @param {Array} bookshelves - User's bookshelves
+ * @returns {Array} - [{ title, author, series, seriesPosition, reason }]
+ */
+export const getNextInSeries = (bookshelves = []) => buildSeriesOverview(bookshelves)
+  .filter(series => series.nextUp?.state === SERIES_ENTRY_STATE.MISSING && series.nextUp.title)
+  .map(series => ({
+    title: series.nextUp.title,
+    author: series.author,
+    series: series.name,
+    seriesPosition: series.nextUp.position,
+    reason: `Book ${series.nextUp.position} of ${series.name}. You've read ${series.readCount} ${series.readCount === 1 ? 'book' : 'books'} in this series.`
+  }));
@@ -0,0 +1,145 @@
+/**
+ * Shelf Helpers
+ *
+ * Capacity checks and naming for bookshelves (see constants/shelfCapacity),
+ * the contents of smart shelves, and manual ordering of books and shelves.
+ */
+
+import { searchLibrary, toLibraryFilters } from './librarySearch';
+import { DEFAULT_SHELF_CAPACITY, UNLIMITED_CAPACITY, DEFAULT_SHELF_OVERFLOW, SHELF_OVERFLOW_OPTIONS } from '../constants/shelfCapacity';
+
+/**
+ * Checks whether a shelf is a regular shelf (the only kind with a capacity)
+ * @param {object} shelf - Bookshelf
+ * @returns {boolean}
+ */
+export const isRegularShelf = (shelf) => Boolean(shelf) && (!shelf.type || shelf.type === 'regular');
+
+/**
+ * Checks whether a shelf is a smart shelf (filled by its saved filters)
+ * @param {object} shelf - Bookshelf
+ * @returns {boolean}
+ */
+export const isSmartShelf = (shelf) => shelf?.type === 'smart';
+
+/**
+ * Finds what a smart shelf shows: every book of the user's own shelves that
+ * matches its filters. Books stay on their shelves; this is only a view.
+ * @param {object} shelf - Smart bookshelf
+ * @param {Array} bookshelves - All bookshelves
+ * @returns {Array} - [{ book, shelf }] with the shelf each book is really on
+ */
+export const getSmartShelfMatches = (shelf, bookshelves) => searchLibrary(
+  bookshelves.filter(item => !isSmartShelf(item) && item.type !== 'shared_with_me'),
+  toLibraryFilters(shelf.smartFilters || {})
+);
+
+/**
+ * Gets the books a smart shelf shows (see getSmartShelfMatches)
+ * @param {object} shelf - Smart bookshelf
+ * @param {Array} bookshelves - All bookshelves
+ * @returns {Array} - Matching books
+ */
+export const getSmartShelfBooks = (shelf, bookshelves) => getSmartShelfMatches(shelf, bookshelves)
+  .map(match => match.book);
+
+/**
+ * Gets how many books a shelf holds
+ * @param {object} shelf - Bookshelf
+ * @returns {number|null} - Capacity, or null when the shelf is unlimited
+ */
+export const getShelfCapacity = (shelf) => {
+  if (!isRegularShelf(shelf)) return null;
+  const capacity = shelf.capacity ?? DEFAULT_SHELF_CAPACITY;
+  return capacity === UNLIMITED_CAPACITY ? null : capacity;
+};
+
+/**
+ * Gets what happens when a book is added to a shelf that's full
+ * @param {object} shelf - Bookshelf
+ * @returns {string} - SHELF_OVERFLOW value
+ */
+export const getShelfOverflow = (shelf) => (
+  SHELF_OVERFLOW_OPTIONS[shelf?.overflowBehavior] ? shelf.overflowBehavior : DEFAULT_SHELF_OVERFLOW
+);
+
+/**
+ * Gets how many more books fit on a shelf
+ * @param {object} shelf - Bookshelf
+ * @returns {number} - Books that fit (Infinity when unlimited)
+ */
+export const getShelfRoom = (shelf) => {
+  const capacity = getShelfCapacity(shelf);
+  return capacity === null ? Infinity : Math.max(0, capacity - (shelf.books || []).length);
+};
+
+/**
+ * Checks whether a shelf has no room for more books
+ * @param {object} shelf - Bookshelf
+ * @param {number} adding - Books about to be added
+ * @returns {boolean}
+ */
+export const isShelfFull = (shelf, adding = 1) => getShelfRoom(shelf) < adding;
+
+/**
+ * Formats a shelf's book count for shelf lists, e.g. "(7/10)" or "(42)"
+ * @param {object} shelf - Bookshelf
+ * @param {number} count - Books to count, when not the shelf's own (smart shelves)
+ * @returns {string}
+ */
+export const formatShelfCount = (shelf, count = (shelf.books || []).length) => {
+  const capacity = getShelfCapacity(shelf);
+  return capacity === null ? `(${count})` : `(${count}/${capacity})`;
+};
+
+/**
+ * Picks the name for the shelf a full shelf rolls over into
+ * "Fantasy" -> "Fantasy 2", "Fantasy 2" -> "Fantasy 3", skipping names in use
+ * @param {object} shelf - Full bookshelf
+ * @param {Array} bookshelves - All bookshelves
+ * @returns {string}
+ */
+export const getNextShelfName = (shelf, bookshelves) => {
+  const match = (shelf.name || 'Bookshelf').match(/^(.*?)\s+(\d+)$/);
+  const base = match ? match[1] : (shelf.name || 'Bookshelf');
+  const names = new Set(bookshelves.map(item => (item.name || '').toLowerCase()));
+
+  let number = match ? Number(match[2]) + 1 : 2;
+  while (names.has(`${base} ${number}`.toLowerCase())) number++;
+  return `${base} ${number}`;
+};
+
+/**
+ * Moves one item of a list to another place
+ * @param {Array} items - List (not changed)
+ * @param {number} fromIndex - Index of the item to move
+ * @param {number} toIndex - Index it ends up at
+ * @returns {Array} - Reordered copy
+ */
+export const moveItem = (items, fromIndex, toIndex) => {
+  const reordered = [...items];
+  const [item] = reordered.splice(fromIndex, 1);
+  reordered.splice(toIndex, 0, item);
+  return reordered;
+};
+
+/**
+ * Lists the items of a reordered list whose saved position no longer matches
+ * their place, so a move only writes the rows between where it started and ended
+ * @param {Array} items - Reordered list (items still carry their old sortPosition)
+ * @returns {Array} - [{ id, position }]
+ */
+export const getChangedPositions = (items) => items
+  .map((item, index) => ({ id: item.id, position: index, previous: item.sortPosition }))
+  .filter(item => item.previous !== item.position)
+  .map(({ id, position }) => ({ id, position }));
+
+/**
+ * Gets the sort position that puts a book after everything on a shelf
+ * @param {object} shelf - Bookshelf
+ * @returns {number}
+ */
+export const getNextSortPosition = (shelf) => (shelf.books || []).reduce(
+  (max, book) => Math.max(max, book.sortPosition ?? -1),
+  -1
+) + 1;
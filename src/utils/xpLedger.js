@@ -0,0 +1,43 @@
+/**
+ * XP Ledger Helpers
+ *
+ * Every XP change is an entry in bk_xp_history; a reader's total is the sum
+ * of their entries and their level follows from the total. A mistaken award
+ * is reversed by a second, negative entry, so the history stays complete.
+ * Levels come from the curve in utils/levelCurve.
+ */
+
+import { XP_SOURCES, XP_SOURCE_OPTIONS, UNKNOWN_XP_SOURCE } from '../constants/xpSources.js';
+
+/**
+ * Totals a reader's ledger; the total never goes below zero
+ * @param {Array} entries - bk_xp_history rows
+ * @returns {number}
+ */
+export const sumLedger = (entries) => Math.max(0, (entries || []).reduce((sum, entry) => sum + (entry.amount || 0), 0));
+
+/**
+ * Totals the XP earned in a set of entries, leaving out opening balances
+ * (XP from before the ledger, which wasn't earned in the period)
+ * @param {Array} entries - bk_xp_history rows
+ * @returns {number}
+ */
+export const sumEarnedXP = (entries) => (entries || [])
+  .filter(entry => entry.source_type !== XP_SOURCES.OPENING_BALANCE)
+  .reduce((sum, entry) => sum + (entry.amount || 0), 0);
+
+/**
+ * Checks whether an admin can reverse an entry: not already reversed,
+ * and not itself a reversal
+ * @param {object} entry - bk_xp_history row
+ * @returns {boolean}
+ */
+export const isReversible = (entry) => Boolean(entry) && !entry.reversed_at &&
+  entry.source_type !== XP_SOURCES.REVERSAL && (entry.amount || 0) !== 0;
+
+/**
+ * Gets the label and emoji for an entry's source
+ * @param {object} entry - bk_xp_history row
+ * @returns {object} - { label, emoji }
+ */
+export const getXPSourceDisplay = (entry) => XP_SOURCE_OPTIONS[entry?.source_type] || UNKNOWN_XP_SOURCE;
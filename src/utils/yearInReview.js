@@ -0,0 +1,124 @@
+/**
+ * Year in Review Utilities
+ *
+ * Builds the annual recap shown in YearInReviewModal. Only highlights and
+ * totals are collected here so a shared recap never lists the whole shelf.
+ */
+
+import { isBookFinished, calculateAverageBooksPerMonth, findMostReadAuthor, summarizeReadingSessions } from './bookHelpers';
+import { summarizeFinishedBooks } from './reportHelpers';
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Parses a stored date, treating bare YYYY-MM-DD values as local dates
+ * @param {string} dateStr - Date string
+ * @returns {Date} - Parsed date
+ */
+const parseDate = (dateStr) => new Date(dateStr.length === 10 ? dateStr + 'T00:00:00' : dateStr);
+
+/**
+ * Gets the Monday that starts the week containing a date
+ * @param {Date} date - Any date
+ * @returns {number} - Timestamp of that Monday at midnight
+ */
+const getWeekStart = (date) => {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const dayOfWeek = monday.getDay() || 7;
+  monday.setDate(monday.getDate() - dayOfWeek + 1);
+  return monday.getTime();
+};
+
+/**
+ * Finds the longest run of consecutive weeks with reading activity
+ * (same weekly rule as the reading streak)
+ * @param {Array<Date>} dates - Days the user finished a book or logged a session
+ * @returns {number} - Longest streak in weeks
+ */
+const findLongestWeeklyStreak = (dates) => {
+  const weeks = [...new Set(dates.map(getWeekStart))].sort((a, b) => a - b);
+  const oneWeek = 7 * 24 * 60 * 60 * 1000;
+
+  let longest = weeks.length > 0 ? 1 : 0;
+  let current = 1;
+  for (let i = 1; i < weeks.length; i++) {
+    // Round to absorb daylight saving shifts between the two Mondays
+    if (Math.round((weeks[i] - weeks[i - 1]) / oneWeek) === 1) {
+      current++;
+      longest = Math.max(longest, current);
+    } else {
+      current = 1;
+    }
+  }
+  return longest;
+};
+
+/**
+ * Gets the years the user has finished books in, newest first
+ * @param {Array} books - All of the user's books
+ * @returns {Array<number>} - Years with at least one finished book
+ */
+export const getRecapYears = (books) => {
+  const years = (books || [])
+    .filter(book => isBookFinished(book) && book.finishDate)
+    .map(book => parseDate(book.finishDate).getFullYear());
+  return [...new Set(years)].sort((a, b) => b - a);
+};
+
+/**
+ * Builds the year in review stats
+ * @param {Array} books - All of the user's books
+ * @param {number} year - Year to recap
+ * @param {object} extras - { sessions, xpEarned, level }
+ * @returns {object} - Recap stats for the year
+ */
+export const buildYearInReview = (books, year, extras = {}) => {
+  const inYear = (dateStr) => dateStr && parseDate(dateStr).getFullYear() === year;
+
+  const finishedBooks = (books || [])
+    .filter(book => isBookFinished(book) && inYear(book.finishDate))
+    .sort((a, b) => parseDate(a.finishDate) - parseDate(b.finishDate));
+  const sessions = (extras.sessions || []).filter(session => inYear(session.date));
+  const summary = summarizeFinishedBooks(finishedBooks);
+  const sessionTotals = summarizeReadingSessions(sessions);
+
+  const monthlyCounts = MONTH_LABELS.map((label, month) => ({
+    label,
+    count: finishedBooks.filter(book => parseDate(book.finishDate).getMonth() === month).length
+  }));
+  const busiestMonth = monthlyCounts.reduce((best, month) => (month.count > best.count ? month : best), monthlyCounts[0]);
+
+  // Highest rating wins; among equals the most recently finished book
+  const topRatedBook = [...finishedBooks]
+    .filter(book => book.rating > 0)
+    .sort((a, b) => b.rating - a.rating || parseDate(b.finishDate) - parseDate(a.finishDate))[0] || null;
+
+  const favoriteCharacters = finishedBooks
+    .filter(book => book.favoriteCharacter && book.favoriteCharacter.trim())
+    .map(book => ({ name: book.favoriteCharacter.trim(), bookTitle: book.title }));
+
+  const activityDates = [
+    ...finishedBooks.map(book => parseDate(book.finishDate)),
+    ...sessions.map(session => parseDate(session.date))
+  ];
+
+  return {
+    year,
+    booksRead: finishedBooks.length,
+    pagesRead: sessionTotals.pages,
+    hoursRead: Math.round((sessionTotals.minutes / 60) * 10) / 10,
+    averageBooksPerMonth: Number(calculateAverageBooksPerMonth(finishedBooks)) || 0,
+    averageRating: summary.averageRating,
+    monthlyCounts,
+    busiestMonth: busiestMonth.count > 0 ? busiestMonth : null,
+    topRatedBook: topRatedBook
+      ? { title: topRatedBook.title, author: topRatedBook.author || '', rating: topRatedBook.rating }
+      : null,
+    mostReadAuthor: findMostReadAuthor(finishedBooks),
+    genreMix: summary.genreBreakdown,
+    favoriteCharacters,
+    longestStreakWeeks: findLongestWeeklyStreak(activityDates),
+    xpEarned: extras.xpEarned || 0,
+    level: extras.level || null
+  };
+};
@@ -0,0 +1,365 @@
+/**
+ * Year in Review Card Rendering
+ *
+ * Draws the recap cards onto canvases so the same pixels are shown in the
+ * modal, saved as PNG images and bundled into a PDF. Cover images are never
+ * drawn: remote covers would taint the canvas and block exporting.
+ */
+
+export const CARD_WIDTH = 1080;
+export const CARD_HEIGHT = 1350;
+
+const PDF_PAGE_WIDTH = 432; // 6in in PDF points
+const FONT_FAMILY = '"Segoe UI", "Helvetica Neue", Arial, sans-serif';
+
+const CARD_THEMES = {
+  intro: ['#4f46e5', '#9333ea'],
+  pace: ['#0d9488', '#0891b2'],
+  months: ['#2563eb', '#4f46e5'],
+  topBook: ['#d97706', '#dc2626'],
+  genres: ['#db2777', '#9333ea'],
+  author: ['#059669', '#0d9488'],
+  characters: ['#7c3aed', '#db2777'],
+  xp: ['#ea580c', '#d97706'],
+  outro: ['#4338ca', '#0f766e']
+};
+
+const BAR_COLORS = ['#fde68a', '#a7f3d0', '#bfdbfe', '#fbcfe8', '#ddd6fe', '#fed7aa'];
+
+/**
+ * Works out which cards to show for a recap (cards with nothing to say are skipped)
+ * @param {object} recap - Stats from buildYearInReview
+ * @returns {Array<string>} - Card ids in display order
+ */
+export const getRecapCardIds = (recap) => {
+  const ids = ['intro', 'pace', 'months'];
+  if (recap.topRatedBook) ids.push('topBook');
+  if (recap.genreMix.length > 0) ids.push('genres');
+  if (recap.mostReadAuthor !== 'N/A' || recap.longestStreakWeeks > 0) ids.push('author');
+  if (recap.favoriteCharacters.length > 0) ids.push('characters');
+  if (recap.xpEarned > 0 || recap.level) ids.push('xp');
+  ids.push('outro');
+  return ids;
+};
+
+const setFont = (ctx, size, weight = 'normal') => {
+  ctx.font = `${weight} ${size}px ${FONT_FAMILY}`;
+};
+
+/**
+ * Splits text into lines that fit the given width
+ * @param {CanvasRenderingContext2D} ctx - Context with the font already set
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Maximum line width in pixels
+ * @param {number} maxLines - Lines to keep before truncating with an ellipsis
+ * @returns {Array<string>} - Wrapped lines
+ */
+const wrapText = (ctx, text, maxWidth, maxLines = 3) => {
+  const words = String(text).split(/\s+/);
+  const lines = [];
+  let line = '';
+
+  words.forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (ctx.measureText(candidate).width > maxWidth && line) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = `${kept[maxLines - 1].replace(/\s+\S*$/, '')}…`;
+    return kept;
+  }
+  return lines;
+};
+
+const drawCentered = (ctx, text, y, size, weight = 'normal', maxLines = 3) => {
+  setFont(ctx, size, weight);
+  ctx.textAlign = 'center';
+  const lines = wrapText(ctx, text, CARD_WIDTH - 160, maxLines);
+  lines.forEach((line, index) => {
+    ctx.fillText(line, CARD_WIDTH / 2, y + index * size * 1.2);
+  });
+  return y + lines.length * size * 1.2;
+};
+
+const drawBackground = (ctx, cardId) => {
+  const [from, to] = CARD_THEMES[cardId] || CARD_THEMES.intro;
+  const gradient = ctx.createLinearGradient(0, 0, CARD_WIDTH, CARD_HEIGHT);
+  gradient.addColorStop(0, from);
+  gradient.addColorStop(1, to);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+
+  // Soft decorative circles
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+  ctx.beginPath();
+  ctx.arc(CARD_WIDTH - 120, 160, 260, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.beginPath();
+  ctx.arc(100, CARD_HEIGHT - 140, 200, 0, Math.PI * 2);
+  ctx.fill();
+};
+
+const drawFrame = (ctx, recap, profile) => {
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  setFont(ctx, 34, '600');
+  ctx.textAlign = 'center';
+  ctx.fillText(`MY ${recap.year} IN BOOKS`, CARD_WIDTH / 2, 110);
+
+  setFont(ctx, 32);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.75)';
+  const name = profile?.name ? `${profile.avatar || '📚'} ${profile.name}` : (profile?.avatar || '📚');
+  ctx.fillText(name, CARD_WIDTH / 2, CARD_HEIGHT - 80);
+};
+
+const drawBars = (ctx, items, { top, height, showLabels = true }) => {
+  const left = 100;
+  const width = CARD_WIDTH - 200;
+  const max = Math.max(...items.map(item => item.count), 1);
+  const slot = width / items.length;
+  const barWidth = slot * 0.65;
+
+  items.forEach((item, index) => {
+    const barHeight = (item.count / max) * (height - 80);
+    const x = left + index * slot + (slot - barWidth) / 2;
+    const y = top + height - 50 - barHeight;
+
+    ctx.fillStyle = item.count === max && item.count > 0 ? '#fde68a' : 'rgba(255, 255, 255, 0.85)';
+    ctx.fillRect(x, y, barWidth, Math.max(barHeight, 4));
+
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    if (item.count > 0) {
+      setFont(ctx, 28, 'bold');
+      ctx.fillText(String(item.count), x + barWidth / 2, y - 12);
+    }
+    if (showLabels) {
+      setFont(ctx, 24);
+      ctx.fillText(item.label, x + barWidth / 2, top + height - 12);
+    }
+  });
+};
+
+const CARD_DRAWERS = {
+  intro: (ctx, recap, profile) => {
+    ctx.fillStyle = '#ffffff';
+    drawCentered(ctx, profile?.avatar || '📚', 380, 160);
+    drawCentered(ctx, `${recap.year} was a year of stories`, 560, 64, 'bold');
+    setFont(ctx, 220, 'bold');
+    ctx.textAlign = 'center';
+    ctx.fillText(String(recap.booksRead), CARD_WIDTH / 2, 900);
+    drawCentered(ctx, recap.booksRead === 1 ? 'book finished' : 'books finished', 980, 48);
+    if (recap.pagesRead > 0) {
+      drawCentered(ctx, `${recap.pagesRead.toLocaleString()} pages logged`, 1080, 40);
+    }
+  },
+
+  pace: (ctx, recap) => {
+    ctx.fillStyle = '#ffffff';
+    drawCentered(ctx, 'Your reading pace', 300, 60, 'bold');
+    setFont(ctx, 200, 'bold');
+    ctx.textAlign = 'center';
+    ctx.fillText(String(recap.averageBooksPerMonth), CARD_WIDTH / 2, 620);
+    drawCentered(ctx, 'books a month', 700, 48);
+    if (recap.busiestMonth) {
+      drawCentered(ctx, `Busiest month: ${recap.busiestMonth.label} with ${recap.busiestMonth.count} ${recap.busiestMonth.count === 1 ? 'book' : 'books'}`, 880, 44, '600', 2);
+    }
+    if (recap.hoursRead > 0) {
+      drawCentered(ctx, `${recap.hoursRead} hours spent reading`, 1040, 40);
+    }
+  },
+
+  months: (ctx, recap) => {
+    ctx.fillStyle = '#ffffff';
+    drawCentered(ctx, 'Month by month', 280, 60, 'bold');
+    drawBars(ctx, recap.monthlyCounts, { top: 380, height: 700 });
+  },
+
+  topBook: (ctx, recap) => {
+    const book = recap.topRatedBook;
+    ctx.fillStyle = '#ffffff';
+    drawCentered(ctx, 'Your top-rated read', 300, 56, 'bold');
+    ctx.fillStyle = '#fde68a';
+    drawCentered(ctx, '★'.repeat(book.rating) + '☆'.repeat(Math.max(0, 5 - book.rating)), 460, 90);
+    ctx.fillStyle = '#ffffff';
+    const afterTitle = drawCentered(ctx, `“${book.title}”`, 640, 72, 'bold', 3);
+    if (book.author) {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+      drawCentered(ctx, `by ${book.author}`, afterTitle + 40, 44);
+    }
+  },
+
+  genres: (ctx, recap) => {
+    ctx.fillStyle = '#ffffff';
+    drawCentered(ctx, 'Your genre mix', 280, 60, 'bold');
+
+    const top = recap.genreMix.slice(0, 6);
+    const total = recap.genreMix.reduce((sum, genre) => sum + genre.count, 0);
+    const rowHeight = 130;
+    top.forEach((genre, index) => {
+      const y = 400 + index * rowHeight;
+      const share = total > 0 ? genre.count / total : 0;
+
+      ctx.fillStyle = '#ffffff';
+      ctx.textAlign = 'left';
+      setFont(ctx, 38, '600');
+      const label = wrapText(ctx, genre.name, 620, 1)[0];
+      ctx.fillText(label, 100, y);
+      ctx.textAlign = 'right';
+      ctx.fillText(`${Math.round(share * 100)}%`, CARD_WIDTH - 100, y);
+
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+      ctx.fillRect(100, y + 20, CARD_WIDTH - 200, 28);
+      ctx.fillStyle = BAR_COLORS[index % BAR_COLORS.length];
+      ctx.fillRect(100, y + 20, (CARD_WIDTH - 200) * share, 28);
+    });
+  },
+
+  author: (ctx, recap) => {
+    ctx.fillStyle = '#ffffff';
+    if (recap.mostReadAuthor !== 'N/A') {
+      drawCentered(ctx, 'Most-read author', 320, 52, '600');
+      drawCentered(ctx, recap.mostReadAuthor, 440, 80, 'bold', 2);
+    }
+    if (recap.longestStreakWeeks > 0) {
+      drawCentered(ctx, 'Longest reading streak', 760, 52, '600');
+      setFont(ctx, 160, 'bold');
+      ctx.textAlign = 'center';
+      ctx.fillText(`🔥 ${recap.longestStreakWeeks}`, CARD_WIDTH / 2, 960);
+      drawCentered(ctx, recap.longestStreakWeeks === 1 ? 'week in a row' : 'weeks in a row', 1040, 44);
+    }
+  },
+
+  characters: (ctx, recap) => {
+    ctx.fillStyle = '#ffffff';
+    drawCentered(ctx, 'Characters you loved', 280, 60, 'bold');
+
+    recap.favoriteCharacters.slice(0, 6).forEach((character, index) => {
+      const y = 420 + index * 135;
+      ctx.fillStyle = '#ffffff';
+      drawCentered(ctx, `💜 ${character.name}`, y, 46, 'bold', 1);
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.75)';
+      drawCentered(ctx, `from ${character.bookTitle}`, y + 48, 30, 'normal', 1);
+    });
+  },
+
+  xp: (ctx, recap) => {
+    ctx.fillStyle = '#ffffff';
+    drawCentered(ctx, 'Experience earned', 320, 60, 'bold');
+    setFont(ctx, 200, 'bold');
+    ctx.textAlign = 'center';
+    ctx.fillText(`⚡${recap.xpEarned.toLocaleString()}`, CARD_WIDTH / 2, 640);
+    drawCentered(ctx, 'XP this year', 720, 48);
+    if (recap.level) {
+      drawCentered(ctx, `Now at Level ${recap.level}`, 920, 64, 'bold');
+    }
+  },
+
+  outro: (ctx, recap) => {
+    ctx.fillStyle = '#ffffff';
+    drawCentered(ctx, '📖', 420, 160);
+    drawCentered(ctx, 'What a year!', 600, 80, 'bold');
+    drawCentered(ctx, `Here's to even more stories in ${recap.year + 1}.`, 720, 48, 'normal', 2);
+  }
+};
+
+/**
+ * Draws one recap card onto a canvas
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {string} cardId - Card id from getRecapCardIds
+ * @param {object} recap - Stats from buildYearInReview
+ * @param {object} profile - User profile (name, avatar)
+ */
+export const drawRecapCard = (canvas, cardId, recap, profile) => {
+  canvas.width = CARD_WIDTH;
+  canvas.height = CARD_HEIGHT;
+  const ctx = canvas.getContext('2d');
+  ctx.textBaseline = 'alphabetic';
+
+  drawBackground(ctx, cardId);
+  drawFrame(ctx, recap, profile);
+  CARD_DRAWERS[cardId]?.(ctx, recap, profile);
+};
+
+/**
+ * Converts a canvas to a Blob
+ * @param {HTMLCanvasElement} canvas - Canvas to convert
+ * @param {string} type - MIME type
+ * @param {number} quality - JPEG quality
+ * @returns {Promise<Blob>}
+ */
+export const canvasToBlob = (canvas, type = 'image/png', quality = 0.92) => {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not export image'))), type, quality);
+  });
+};
+
+/**
+ * Builds a PDF with one card per page. Each page embeds the card as a JPEG,
+ * which PDF readers can display without any re-encoding.
+ * @param {Array<HTMLCanvasElement>} canvases - Rendered cards
+ * @returns {Promise<Blob>} - PDF file
+ */
+export const exportCardsToPdf = async (canvases) => {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let offset = 0;
+
+  const write = (data) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    chunks.push(bytes);
+    offset += bytes.length;
+  };
+  const beginObject = (number) => {
+    offsets[number] = offset;
+    write(`${number} 0 obj\n`);
+  };
+
+  const images = await Promise.all(canvases.map(async canvas => {
+    const blob = await canvasToBlob(canvas, 'image/jpeg');
+    return { bytes: new Uint8Array(await blob.arrayBuffer()), width: canvas.width, height: canvas.height };
+  }));
+
+  // Object layout: 1 catalog, 2 page tree, then page/content/image per card
+  const pageObject = (index) => 3 + index * 3;
+  const objectCount = 2 + images.length * 3;
+
+  write('%PDF-1.4\n');
+  beginObject(1);
+  write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+  beginObject(2);
+  write(`<< /Type /Pages /Kids [${images.map((_, i) => `${pageObject(i)} 0 R`).join(' ')}] /Count ${images.length} >>\nendobj\n`);
+
+  images.forEach((image, index) => {
+    const pageWidth = PDF_PAGE_WIDTH;
+    const pageHeight = Math.round(PDF_PAGE_WIDTH * image.height / image.width);
+    const contentObject = pageObject(index) + 1;
+    const imageObject = pageObject(index) + 2;
+    const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Card${index} Do Q`;
+
+    beginObject(pageObject(index));
+    write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Card${index} ${imageObject} 0 R >> >> /Contents ${contentObject} 0 R >>\nendobj\n`);
+    beginObject(contentObject);
+    write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+    beginObject(imageObject);
+    write(`<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`);
+    write(image.bytes);
+    write('\nendstream\nendobj\n');
+  });
+
+  const xrefOffset = offset;
+  write(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`);
+  for (let number = 1; number <= objectCount; number++) {
+    write(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`);
+  }
+  write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return new Blob(chunks, { type: 'application/pdf' });
+};